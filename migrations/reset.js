@@ -67,13 +67,23 @@ async function confirmReset() {
   return new Promise((resolve) => {
     console.log('\n⚠️  WARNING: This will DELETE ALL DATA from the database!');
     console.log('📋 Tables to be dropped:');
+    console.log('   - exit_fills');
+    console.log('   - broker_intents');
+    console.log('   - phase_transitions');
+    console.log('   - api_tokens');
+    console.log('   - trading_halts');
+    console.log('   - order_update_jobs');
     console.log('   - notifications');
     console.log('   - trade_phases');
     console.log('   - order_events');
     console.log('   - orders');
+    console.log('   - reconciliation_issues');
+    console.log('   - orphaned_orders');
     console.log('   - trades');
     console.log('   - templates');
     console.log('   - settings');
+    console.log('   - accounts');
+    console.log('   - users');
     console.log('');
     
     rl.question('Are you sure you want to continue? (yes/no): ', (answer) => {
@@ -92,13 +102,23 @@ async function resetDatabase() {
     
     // Drop tables in reverse order (respecting foreign key constraints)
     const tables = [
+      'exit_fills',
+      'broker_intents',
+      'phase_transitions',
+      'api_tokens',
+      'trading_halts',
+      'order_update_jobs',
       'notifications',
       'trade_phases',
       'order_events',
       'orders',
+      'reconciliation_issues',
+      'orphaned_orders',
       'trades',
       'templates',
-      'settings'
+      'settings',
+      'accounts',
+      'users'
     ];
     
     for (const table of tables) {
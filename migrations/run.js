@@ -70,6 +70,46 @@ async function createTableSafe(tableName, cb) {
   console.log('✔ Table already exists =>', tableName);
 }
 
+// =====================================================
+// SAFE ADD COLUMN UTIL
+// =====================================================
+async function addColumnSafe(tableName, columnName, cb) {
+  const exists = await db.schema.hasColumn(tableName, columnName);
+  if (!exists) {
+    console.log('🆕 Adding column =>', `${tableName}.${columnName}`);
+    return db.schema.alterTable(tableName, cb);
+  }
+}
+
+// =====================================================
+// REPLACE ENUM VALUES UTIL
+// =====================================================
+// knex enums are text columns with a <table>_<column>_check constraint
+async function setEnumValues(tableName, columnName, values) {
+  const constraint = `${tableName}_${columnName}_check`;
+  const list = values.map((v) => `'${v}'`).join(', ');
+
+  await db.raw(`ALTER TABLE ${tableName} DROP CONSTRAINT IF EXISTS ${constraint}`);
+  await db.raw(
+    `ALTER TABLE ${tableName} ADD CONSTRAINT ${constraint} CHECK (${columnName} IN (${list}))`
+  );
+}
+
+// =====================================================
+// FRACTIONAL QUANTITY COLUMN UTIL
+// =====================================================
+// Integer share columns -> numeric(18, 9); defaults and NOT NULL are kept
+async function setQuantityColumn(tableName, columnName) {
+  const { rows } = await db.raw(
+    'SELECT data_type FROM information_schema.columns WHERE table_name = ? AND column_name = ?',
+    [tableName, columnName]
+  );
+  if (rows.length === 0 || rows[0].data_type === 'numeric') return;
+
+  console.log('🔁 Changing column to numeric =>', `${tableName}.${columnName}`);
+  await db.raw(`ALTER TABLE ${tableName} ALTER COLUMN ${columnName} TYPE numeric(18, 9)`);
+}
+
 async function migrate() {
   try {
     logger.info('Starting database migration...');
@@ -139,7 +179,7 @@ async function migrate() {
       // Results (filled when trade completes)
       table.decimal('realized_pnl', 14, 2);
       table.decimal('realized_pnl_pct', 8, 4);
-      table.string('exit_reason'); // 'phase_4_complete', 'stopped_out', 'manual', 'cancelled'
+      table.string('exit_reason'); // 'phase_<n>_complete' (last phase), 'stopped_out', 'manual', 'cancelled'
       table.integer('exit_phase');
       
       // Timestamps
@@ -299,6 +339,375 @@ async function migrate() {
       table.index('sent');
     });
     
+    // ===========================================
+    // ORDER_UPDATE_JOBS TABLE (Fill processing queue)
+    // ===========================================
+    logger.info('Creating order_update_jobs table...');
+    await db.schema.createTableIfNotExists('order_update_jobs', (table) => {
+      table.increments('id').primary();
+      
+      // One job per broker order / OCO leg fill
+      table.string('idempotency_key').unique().notNullable();
+      table.string('job_type').notNullable(); // 'fill'
+      table.string('source'); // 'stream', 'sync', 'reconciliation', 'transition'
+      
+      table.integer('trade_id').references('id').inTable('trades').onDelete('CASCADE');
+      table.integer('order_id').references('id').inTable('orders').onDelete('SET NULL');
+      table.string('broker_order_id');
+      table.jsonb('payload');
+      
+      // Processing state
+      table.enum('status', ['pending', 'processing', 'completed', 'dead']).defaultTo('pending');
+      table.integer('attempts').defaultTo(0);
+      table.integer('max_attempts').defaultTo(5);
+      table.text('last_error');
+      table.timestamp('run_at').defaultTo(db.fn.now());
+      table.timestamp('locked_at');
+      table.timestamp('completed_at');
+      
+      table.timestamp('created_at').defaultTo(db.fn.now());
+      table.timestamp('updated_at').defaultTo(db.fn.now());
+      
+      // Indexes
+      table.index(['status', 'run_at']);
+      table.index('trade_id');
+    });
+    
+    // ===========================================
+    // TRAILING STOPS (trade_phases)
+    // ===========================================
+    logger.info('Adding trailing stop columns...');
+    await addColumnSafe('trade_phases', 'stop_type', (table) => {
+      table.string('stop_type').defaultTo('fixed'); // fixed, trailing
+    });
+    await addColumnSafe('trade_phases', 'trail_pct', (table) => {
+      table.decimal('trail_pct', 8, 4);
+    });
+    await addColumnSafe('trade_phases', 'trail_amount', (table) => {
+      table.decimal('trail_amount', 14, 4);
+    });
+    await addColumnSafe('trade_phases', 'high_water_price', (table) => {
+      table.decimal('high_water_price', 14, 4); // best price seen (lowest for shorts)
+    });
+    await addColumnSafe('trade_phases', 'trail_history', (table) => {
+      table.jsonb('trail_history'); // [{ high_water_price, stop_price, at }]
+    });
+    
+    // ===========================================
+    // SHORT SELLING (trades)
+    // ===========================================
+    logger.info('Adding trade side column...');
+    await addColumnSafe('trades', 'side', (table) => {
+      table.string('side').defaultTo('long'); // long, short
+    });
+
+    // ===========================================
+    // USERS TABLE
+    // ===========================================
+    logger.info('Creating users table...');
+    await db.schema.createTableIfNotExists('users', (table) => {
+      table.increments('id').primary();
+      table.string('email').unique().notNullable();
+      table.string('password_hash').notNullable(); // scrypt$salt$hash
+      table.string('name');
+      table.enum('role', ['admin', 'user']).defaultTo('user');
+      table.boolean('is_active').defaultTo(true);
+      table.timestamp('last_login_at');
+
+      table.timestamp('created_at').defaultTo(db.fn.now());
+      table.timestamp('updated_at').defaultTo(db.fn.now());
+    });
+
+    // ===========================================
+    // API_TOKENS TABLE
+    // ===========================================
+    logger.info('Creating api_tokens table...');
+    await db.schema.createTableIfNotExists('api_tokens', (table) => {
+      table.increments('id').primary();
+      table.integer('user_id').references('id').inTable('users').onDelete('CASCADE').notNullable();
+      table.string('name').notNullable();
+
+      // Only the SHA-256 hash of the token is stored
+      table.string('token_hash').unique().notNullable();
+      table.string('token_prefix'); // first characters, to tell tokens apart
+      table.enum('scope', ['read', 'trade']).defaultTo('read');
+
+      table.timestamp('expires_at');
+      table.timestamp('last_used_at');
+      table.timestamp('revoked_at');
+      table.timestamp('created_at').defaultTo(db.fn.now());
+
+      // Index
+      table.index('user_id');
+    });
+
+    // ===========================================
+    // ACCOUNTS TABLE (Linked broker accounts)
+    // ===========================================
+    logger.info('Creating accounts table...');
+    await db.schema.createTableIfNotExists('accounts', (table) => {
+      table.increments('id').primary();
+      table.integer('user_id').references('id').inTable('users').onDelete('CASCADE').notNullable();
+      table.string('name').notNullable();
+      table.enum('broker', ['alpaca', 'sim']).defaultTo('alpaca');
+      table.enum('mode', ['paper', 'live']).defaultTo('paper');
+
+      // Credentials are encrypted with CREDENTIALS_ENCRYPTION_KEY
+      table.text('api_key_encrypted');
+      table.text('secret_key_encrypted');
+      table.string('base_url');
+
+      table.boolean('is_active').defaultTo(true);
+      table.timestamp('created_at').defaultTo(db.fn.now());
+      table.timestamp('updated_at').defaultTo(db.fn.now());
+
+      // Index
+      table.index('user_id');
+    });
+
+    // ===========================================
+    // ACCOUNT SCOPING
+    // ===========================================
+    // Rows with a null account_id belong to the default account configured
+    // through the ALPACA_* environment variables
+    logger.info('Adding account_id columns...');
+    for (const tableName of ['trades', 'templates', 'settings', 'notifications']) {
+      await addColumnSafe(tableName, 'account_id', (table) => {
+        table.integer('account_id').references('id').inTable('accounts').onDelete('CASCADE');
+        table.index('account_id');
+      });
+    }
+
+    // Settings are unique per account; default-account rows (null
+    // account_id) double as the defaults every account inherits
+    await db.raw('ALTER TABLE settings DROP CONSTRAINT IF EXISTS settings_key_unique');
+    await db.raw(`
+      CREATE UNIQUE INDEX IF NOT EXISTS settings_account_key_unique
+      ON settings (COALESCE(account_id, 0), key)
+    `);
+
+    // ===========================================
+    // TRADING MODE (trades)
+    // ===========================================
+    logger.info('Adding trade trading_mode column...');
+    await addColumnSafe('trades', 'trading_mode', (table) => {
+      table.string('trading_mode', 10); // paper, live, sim - mode the trade was placed in
+      table.index('trading_mode');
+    });
+
+    // ===========================================
+    // TRADING HALTS (circuit breaker / kill switch)
+    // ===========================================
+    logger.info('Creating trading_halts table...');
+    await db.schema.createTableIfNotExists('trading_halts', (table) => {
+      table.increments('id').primary();
+      table.integer('account_id').references('id').inTable('accounts').onDelete('CASCADE');
+      table.boolean('is_global').defaultTo(false); // halts every account
+      table.enum('source', ['circuit_breaker', 'manual']).notNullable();
+      table.text('reason');
+      table.decimal('day_pnl', 14, 2); // P&L that tripped the breaker
+      table.boolean('flattened').defaultTo(false);
+      table.integer('halted_by').references('id').inTable('users').onDelete('SET NULL');
+      table.integer('resumed_by').references('id').inTable('users').onDelete('SET NULL');
+      table.timestamp('halted_at').defaultTo(db.fn.now());
+      table.timestamp('resumed_at'); // null while the halt is in effect
+
+      table.index('account_id');
+      table.index('resumed_at');
+    });
+
+    // Liquidation orders close a trade at market (kill switch, manual close)
+    logger.info('Adding liquidation order purpose and phase exit type...');
+    await setEnumValues('orders', 'purpose', [
+      'entry', 'phase_tp', 'phase_sl', 'remaining_sl', 'liquidation'
+    ]);
+    await setEnumValues('trade_phases', 'exit_type', ['take_profit', 'stop_loss', 'liquidation']);
+
+    // ===========================================
+    // ENTRY ORDER EXPIRY (orders)
+    // ===========================================
+    logger.info('Adding order expires_at column...');
+    await addColumnSafe('orders', 'expires_at', (table) => {
+      table.timestamp('expires_at'); // entry orders: cancel if still unfilled by then
+    });
+
+    // ===========================================
+    // PARTIAL ENTRY FILLS (trades)
+    // ===========================================
+    logger.info('Adding partial entry fill columns...');
+    await addColumnSafe('trades', 'entry_filled_qty', (table) => {
+      table.integer('entry_filled_qty').defaultTo(0); // entry shares filled so far
+    });
+    await addColumnSafe('trades', 'entry_first_fill_at', (table) => {
+      table.timestamp('entry_first_fill_at');
+    });
+
+    // ===========================================
+    // PARTIAL PHASE EXITS (trade_phases)
+    // ===========================================
+    logger.info('Adding phase exit fill columns...');
+    await addColumnSafe('trade_phases', 'filled_qty', (table) => {
+      table.integer('filled_qty').defaultTo(0); // phase shares sold so far
+    });
+    await addColumnSafe('trade_phases', 'fills', (table) => {
+      table.jsonb('fills'); // { brokerOrderId: { qty, avg_price } }, cumulative per order
+    });
+
+    // ===========================================
+    // SCALE-IN ENTRIES (orders, trades, templates)
+    // ===========================================
+    logger.info('Adding scale-in entry columns...');
+    await addColumnSafe('orders', 'tranche', (table) => {
+      table.integer('tranche'); // entry orders: 1-based tranche number
+    });
+    await addColumnSafe('trades', 'entry_fills', (table) => {
+      table.jsonb('entry_fills'); // { brokerOrderId: { qty, avg_price } }, cumulative per entry order
+    });
+    await addColumnSafe('templates', 'entry_tranches', (table) => {
+      table.jsonb('entry_tranches'); // [{ pct, offset_pct }], null = single entry
+    });
+
+    // ===========================================
+    // FRACTIONAL SHARES (trades, orders, trade_phases)
+    // ===========================================
+    logger.info('Allowing fractional share quantities...');
+    for (const [tableName, columns] of [
+      ['trades', ['total_shares', 'remaining_shares', 'entry_filled_qty']],
+      ['orders', ['qty', 'filled_qty']],
+      ['trade_phases', ['shares_to_sell', 'filled_qty']]
+    ]) {
+      for (const columnName of columns) {
+        await setQuantityColumn(tableName, columnName);
+      }
+    }
+    // Fractional trades split their phases exactly, not in whole shares
+    await addColumnSafe('trades', 'fractional', (table) => {
+      table.boolean('fractional').defaultTo(false);
+    });
+
+    // Entries that expire (or are cancelled) before any share fills
+    logger.info('Adding expired trade status...');
+    await setEnumValues('trades', 'status', [
+      'pending', 'active', 'completed', 'cancelled', 'error', 'expired'
+    ]);
+
+    // Manual sells of part of a trade (POST /api/trades/:id/sell)
+    logger.info('Adding manual exit order purpose and phase exit type...');
+    await setEnumValues('orders', 'purpose', [
+      'entry', 'phase_tp', 'phase_sl', 'remaining_sl', 'liquidation', 'manual_exit'
+    ]);
+    await setEnumValues('trade_phases', 'exit_type', ['take_profit', 'stop_loss', 'liquidation', 'manual']);
+
+    // Trades created from positions opened outside the platform
+    logger.info('Adding trade adopted flag...');
+    await addColumnSafe('trades', 'adopted', (table) => {
+      table.boolean('adopted').defaultTo(false);
+    });
+
+    // ===========================================
+    // RECONCILIATION ISSUES (share discrepancies for manual review)
+    // ===========================================
+    logger.info('Creating reconciliation_issues table...');
+    await db.schema.createTableIfNotExists('reconciliation_issues', (table) => {
+      table.increments('id').primary();
+      table.integer('trade_id').references('id').inTable('trades').onDelete('CASCADE');
+      table.string('issue_type', 50).notNullable(); // share_discrepancy
+      table.decimal('expected_shares', 18, 9); // remaining_shares in the db
+      table.decimal('actual_shares', 18, 9); // position at the broker
+      table.decimal('discrepancy', 18, 9);
+      table.enum('status', ['pending_review', 'resolved', 'dismissed']).defaultTo('pending_review');
+      table.string('resolution', 50); // action taken, see TradeReconciliationService
+      table.text('resolution_notes');
+      table.integer('resolved_by').references('id').inTable('users').onDelete('SET NULL');
+      table.timestamp('resolved_at');
+      table.timestamp('created_at').defaultTo(db.fn.now());
+      table.timestamp('updated_at').defaultTo(db.fn.now());
+
+      table.index('trade_id');
+      table.index('status');
+    });
+
+    // ===========================================
+    // ORPHANED ORDERS (audit log of the orphan order sweeper)
+    // ===========================================
+    logger.info('Creating orphaned_orders table...');
+    await db.schema.createTableIfNotExists('orphaned_orders', (table) => {
+      table.increments('id').primary();
+      table.integer('account_id').references('id').inTable('accounts').onDelete('CASCADE');
+      table.string('broker_order_id', 100).notNullable();
+      table.string('client_order_id', 100);
+      table.string('symbol', 10);
+      table.string('side', 10);
+      table.decimal('qty', 18, 9);
+      table.string('broker_status', 30);
+      table.integer('trade_id').references('id').inTable('trades').onDelete('SET NULL');
+      table.string('reason', 30); // unknown_order, trade_closed, order_closed_in_db
+      table.enum('action', ['reported', 'cancelled', 'cancel_failed']).notNullable();
+      table.text('error');
+      table.timestamp('created_at').defaultTo(db.fn.now());
+
+      table.index('account_id');
+      table.index('broker_order_id');
+    });
+
+    // ===========================================
+    // PHASE TRANSITIONS (resumable steps, see src/utils/phaseTransitions.js)
+    // ===========================================
+    logger.info('Creating phase_transitions table...');
+    await db.schema.createTableIfNotExists('phase_transitions', (table) => {
+      table.increments('id').primary();
+      table.integer('trade_id').references('id').inTable('trades').onDelete('CASCADE');
+      table.integer('from_phase').notNullable();
+      table.integer('to_phase'); // null when the trade completes
+      table.enum('state', ['cancel_exits', 'advance', 'place_orders', 'complete', 'done', 'aborted']).notNullable();
+      table.integer('attempts').defaultTo(0);
+      table.text('last_error');
+      table.timestamp('created_at').defaultTo(db.fn.now());
+      table.timestamp('updated_at').defaultTo(db.fn.now());
+      table.timestamp('completed_at');
+
+      table.index(['trade_id', 'state']);
+    });
+
+    // ===========================================
+    // BROKER INTENTS (broker calls recorded before they are made)
+    // ===========================================
+    logger.info('Creating broker_intents table...');
+    await db.schema.createTableIfNotExists('broker_intents', (table) => {
+      table.increments('id').primary();
+      table.integer('trade_id').references('id').inTable('trades').onDelete('CASCADE');
+      table.integer('transition_id').references('id').inTable('phase_transitions').onDelete('CASCADE');
+      table.string('action', 30).notNullable(); // cancel_order, place_phase_orders
+      table.jsonb('payload');
+      table.enum('status', ['pending', 'done', 'failed']).defaultTo('pending');
+      table.text('error');
+      table.timestamp('created_at').defaultTo(db.fn.now());
+      table.timestamp('executed_at');
+
+      table.index('transition_id');
+    });
+
+    // ===========================================
+    // EXIT FILLS (shares sold by exit orders, with their realized P&L)
+    // ===========================================
+    logger.info('Creating exit_fills table...');
+    await db.schema.createTableIfNotExists('exit_fills', (table) => {
+      table.increments('id').primary();
+      table.integer('trade_id').references('id').inTable('trades').onDelete('CASCADE');
+      table.integer('phase_id').references('id').inTable('trade_phases').onDelete('CASCADE');
+      table.string('broker_order_id', 100);
+      table.decimal('qty', 18, 9).notNullable(); // shares this update added
+      table.decimal('price', 14, 4).notNullable(); // their average price
+      table.decimal('pnl', 14, 2).notNullable();
+      table.timestamp('filled_at').defaultTo(db.fn.now());
+
+      table.index('trade_id');
+      table.index('filled_at');
+    });
+
+    // Dead jobs hold up their trade's later jobs until retried or discarded
+    await setEnumValues('order_update_jobs', 'status', ['pending', 'processing', 'completed', 'dead', 'discarded']);
+
     // ===========================================
     // INSERT DEFAULT DATA
     // ===========================================
@@ -309,6 +718,21 @@ async function migrate() {
       { key: 'starting_capital', value: '0', type: 'number', description: 'Starting capital (synced from Alpaca account balance)' },
       { key: 'trade_size_percent', value: '20', type: 'number', description: 'Default trade size as percentage of starting capital' },
       { key: 'max_concurrent_positions', value: '10', type: 'number', description: 'Maximum number of concurrent open positions' },
+      { key: 'max_symbol_exposure_pct', value: '50', type: 'number', description: 'Max open exposure in one symbol as % of equity (0 = off)' },
+      { key: 'max_sector_exposure_pct', value: '0', type: 'number', description: 'Max open exposure in one sector as % of equity (0 = off)' },
+      { key: 'symbol_sectors', value: '{}', type: 'json', description: 'Sector of each symbol for the sector exposure limit, e.g. {"AAPL": "Technology"}' },
+      { key: 'max_daily_loss', value: '0', type: 'number', description: 'Reject new trades once down this many dollars today (0 = off)' },
+      { key: 'max_trades_per_day', value: '0', type: 'number', description: 'Max trades opened per trading day (0 = off)' },
+      { key: 'pdt_max_daytrades', value: '3', type: 'number', description: 'Reject new trades at this daytrade_count while equity is under $25k (0 = off)' },
+      { key: 'min_share_price', value: '1', type: 'number', description: 'Minimum entry price per share (0 = off)' },
+      { key: 'min_avg_daily_volume', value: '0', type: 'number', description: 'Minimum 20-day average daily volume (0 = off)' },
+      { key: 'circuit_breaker_max_loss', value: '0', type: 'number', description: 'Halt trading once the day\'s realized + unrealized loss reaches this many dollars (0 = off)' },
+      { key: 'circuit_breaker_flatten', value: 'false', type: 'boolean', description: 'When the circuit breaker trips, cancel pending entries and close open trades at market' },
+      { key: 'partial_entry_mode', value: 'layer', type: 'string', description: 'Partially filled entries: layer (keep the entry working, resize phase orders as shares fill) or cancel_remainder (cancel the unfilled rest after partial_entry_timeout_sec)' },
+      { key: 'partial_entry_timeout_sec', value: '300', type: 'number', description: 'Seconds after the first partial fill before the unfilled remainder is cancelled (cancel_remainder mode)' },
+      { key: 'entry_expiry_sessions', value: '0', type: 'number', description: 'Cancel unfilled entries at the close of this many trading sessions (1 = today); 0 = no default expiry' },
+      { key: 'fractional_shares', value: 'false', type: 'boolean', description: 'Buy fractional shares of fractionable assets (long day entries only; exits fall back to whole shares)' },
+      { key: 'orphan_order_policy', value: 'report', type: 'string', description: 'Open RZE orders at the broker that no open trade accounts for: cancel, report (notify only) or off' },
       { key: 'trading_mode', value: 'paper', type: 'string', description: 'Current trading mode: paper or live' },
       { key: 'notifications_enabled', value: 'true', type: 'boolean', description: 'Whether notifications are enabled' },
       { key: 'slack_enabled', value: 'true', type: 'boolean', description: 'Whether Slack notifications are enabled' },
@@ -316,7 +740,7 @@ async function migrate() {
     ];
     
     for (const setting of defaultSettings) {
-      const exists = await db('settings').where('key', setting.key).first();
+      const exists = await db('settings').where({ key: setting.key, account_id: null }).first();
       if (!exists) {
         await db('settings').insert(setting);
       }
@@ -377,7 +801,7 @@ async function migrate() {
     ];
     
     for (const template of defaultTemplates) {
-      const exists = await db('templates').where('name', template.name).first();
+      const exists = await db('templates').where({ name: template.name, account_id: null }).first();
       if (!exists) {
         await db('templates').insert(template);
       }
@@ -0,0 +1,36 @@
+/**
+ * RZE Trading Platform - Account Middleware
+ *
+ * Picks the broker account a request acts on from the `X-Account-Id`
+ * header (or `accountId` query parameter): a linked account id, or
+ * 'default' for the environment-configured account (admins only).
+ * Without one, the user's first active account is used.
+ */
+
+const AccountService = require('../../services/AccountService');
+const logger = require('../../utils/logger');
+
+/**
+ * Resolve the account (use after requireAuth). Sets req.accountId,
+ * which is null for the default account.
+ */
+async function requireAccount(req, res, next) {
+  try {
+    const requestedId = req.headers['x-account-id'] || req.query.accountId || null;
+    const { accountId } = await AccountService.resolveForUser(req.user, requestedId);
+
+    req.accountId = accountId;
+    next();
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error resolving account:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+module.exports = {
+  requireAccount
+};
@@ -0,0 +1,74 @@
+/**
+ * RZE Trading Platform - Auth Middleware
+ *
+ * Authenticates requests with `Authorization: Bearer <token>`, where the
+ * token is a session JWT or an API token. Read-only API tokens may only
+ * make GET requests.
+ */
+
+const AuthService = require('../../services/AuthService');
+const logger = require('../../utils/logger');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Pull the bearer token out of the Authorization header
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [type, token] = header.split(' ');
+  return type && type.toLowerCase() === 'bearer' ? token : null;
+}
+
+/**
+ * Require a valid session or API token. Sets req.auth and req.user.
+ */
+async function requireAuth(req, res, next) {
+  try {
+    const auth = await AuthService.authenticate(getBearerToken(req));
+
+    if (auth.scope === 'read' && !READ_METHODS.includes(req.method)) {
+      return res.status(403).json({ error: 'This API token is read-only' });
+    }
+
+    req.auth = auth;
+    req.user = auth.user;
+    next();
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error authenticating request:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Require the authenticated user to have a role (use after requireAuth)
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user || req.user.role !== role) {
+      return res.status(403).json({ error: `Requires ${role} role` });
+    }
+    next();
+  };
+}
+
+/**
+ * Require a login session rather than an API token (use after requireAuth)
+ */
+function requireSession(req, res, next) {
+  if (!req.auth || req.auth.type !== 'session') {
+    return res.status(403).json({ error: 'Requires a login session' });
+  }
+  next();
+}
+
+module.exports = {
+  getBearerToken,
+  requireAuth,
+  requireRole,
+  requireSession
+};
@@ -6,7 +6,10 @@
 
 const express = require('express');
 const router = express.Router();
-const AlpacaService = require('../../services/AlpacaService');
+const BrokerService = require('../../services/BrokerService');
+const SettingsService = require('../../services/SettingsService');
+const TradingModeService = require('../../services/TradingModeService');
+const TradingHaltService = require('../../services/TradingHaltService');
 const database = require('../../config/database');
 const logger = require('../../utils/logger');
 
@@ -16,13 +19,11 @@ const logger = require('../../utils/logger');
  */
 router.get('/', async (req, res) => {
   try {
-    const account = await AlpacaService.getAccount();
+    const broker = await BrokerService.forAccount(req.accountId);
+    const account = await broker.getAccount();
     
     // Get settings for starting capital
-    const db = database.getDb();
-    const startingCapitalSetting = await db('settings')
-      .where('key', 'starting_capital')
-      .first();
+    const startingCapitalSetting = await SettingsService.getRow(req.accountId, 'starting_capital');
     
     const startingCapital = startingCapitalSetting 
       ? parseFloat(startingCapitalSetting.value) 
@@ -36,6 +37,8 @@ router.get('/', async (req, res) => {
     
     res.json({
       ...account,
+      account_id: req.accountId,
+      trading_halt: TradingHaltService.getHalt(req.accountId),
       starting_capital: startingCapital,
       total_pl: totalPL,
       total_pl_pct: totalPLPct,
@@ -55,7 +58,8 @@ router.get('/', async (req, res) => {
  */
 router.get('/positions', async (req, res) => {
   try {
-    const positions = await AlpacaService.getPositions();
+    const broker = await BrokerService.forAccount(req.accountId);
+    const positions = await broker.getPositions();
     res.json(positions);
   } catch (error) {
     logger.error('Error fetching positions:', error);
@@ -70,7 +74,8 @@ router.get('/positions', async (req, res) => {
 router.get('/position/:symbol', async (req, res) => {
   try {
     const { symbol } = req.params;
-    const position = await AlpacaService.getPosition(symbol.toUpperCase());
+    const broker = await BrokerService.forAccount(req.accountId);
+    const position = await broker.getPosition(symbol.toUpperCase());
     
     if (!position) {
       return res.status(404).json({ error: 'No position found for symbol' });
@@ -93,7 +98,7 @@ router.get('/stats', async (req, res) => {
     
     // Get completed trades
     const trades = await db('trades')
-      .where('status', 'completed')
+      .where({ status: 'completed', account_id: req.accountId })
       .select('*');
     
     const wins = trades.filter(t => parseFloat(t.realized_pnl) > 0);
@@ -117,7 +122,7 @@ router.get('/stats', async (req, res) => {
     
     // Get phase distribution
     const phaseDistribution = await db('trades')
-      .where('status', 'completed')
+      .where({ status: 'completed', account_id: req.accountId })
       .groupBy('exit_phase')
       .select('exit_phase')
       .count('* as count');
@@ -138,7 +143,8 @@ router.get('/stats', async (req, res) => {
  */
 router.get('/clock', async (req, res) => {
   try {
-    const clock = await AlpacaService.getClock();
+    const broker = await BrokerService.forAccount(req.accountId);
+    const clock = await broker.getClock();
     res.json(clock);
   } catch (error) {
     logger.error('Error fetching clock:', error);
@@ -146,6 +152,50 @@ router.get('/clock', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/account/mode
+ * Get the account's trading mode
+ */
+router.get('/mode', async (req, res) => {
+  try {
+    const mode = await TradingModeService.getMode(req.accountId);
+    res.json({ account_id: req.accountId, mode });
+  } catch (error) {
+    logger.error('Error fetching trading mode:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/account/mode
+ * Switch between paper and live trading without a restart.
+ * Refused while the account has open trades unless force is true.
+ */
+router.post('/mode', async (req, res) => {
+  try {
+    const { mode, force = false } = req.body;
+    
+    if (!['paper', 'live'].includes(mode)) {
+      return res.status(400).json({ error: 'Mode must be paper or live' });
+    }
+    
+    const result = await TradingModeService.switchMode({
+      accountId: req.accountId,
+      mode,
+      force: force === true
+    });
+    
+    res.json({ success: true, ...result });
+    
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    logger.error('Error switching trading mode:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * POST /api/account/starting-capital
  * Set starting capital
@@ -158,14 +208,7 @@ router.post('/starting-capital', async (req, res) => {
       return res.status(400).json({ error: 'Amount is required' });
     }
     
-    const db = database.getDb();
-    
-    await db('settings')
-      .where('key', 'starting_capital')
-      .update({ 
-        value: amount.toString(),
-        updated_at: db.fn.now()
-      });
+    await SettingsService.set(req.accountId, 'starting_capital', amount);
     
     res.json({ success: true, starting_capital: amount });
     
@@ -181,15 +224,10 @@ router.post('/starting-capital', async (req, res) => {
  */
 router.post('/sync-capital', async (req, res) => {
   try {
-    const account = await AlpacaService.getAccount();
-    const db = database.getDb();
+    const broker = await BrokerService.forAccount(req.accountId);
+    const account = await broker.getAccount();
     
-    await db('settings')
-      .where('key', 'starting_capital')
-      .update({ 
-        value: account.portfolio_value.toString(),
-        updated_at: db.fn.now()
-      });
+    await SettingsService.set(req.accountId, 'starting_capital', account.portfolio_value);
     
     res.json({ 
       success: true, 
@@ -0,0 +1,184 @@
+/**
+ * RZE Trading Platform - Accounts Routes
+ *
+ * API endpoints for linking broker accounts. Linking, changing and
+ * unlinking an account (its broker credentials) needs a login session;
+ * API tokens can only list accounts.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const AccountService = require('../../services/AccountService');
+const BrokerService = require('../../services/BrokerService');
+const TradeMonitor = require('../../services/TradeMonitor');
+const WebSocketManager = require('../../websocket/WebSocketManager');
+const { requireSession } = require('../middleware/auth');
+const logger = require('../../utils/logger');
+
+/**
+ * Load an account the current user owns into req.linkedAccount
+ */
+async function loadOwnAccount(req, res, next) {
+  try {
+    const account = await AccountService.getForUser(req.user.id, parseInt(req.params.id));
+
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    req.linkedAccount = account;
+    next();
+
+  } catch (error) {
+    logger.error('Error fetching account:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * GET /api/accounts
+ * List the current user's linked accounts
+ */
+router.get('/', async (req, res) => {
+  try {
+    const accounts = await AccountService.listForUser(req.user.id);
+
+    // Admins can also act on the environment-configured account
+    if (req.user.role === 'admin' && BrokerService.isDefaultAccountConfigured()) {
+      accounts.unshift({
+        id: 'default',
+        name: 'Default',
+        broker: BrokerService.mode === 'sim' ? 'sim' : 'alpaca',
+        mode: BrokerService.mode,
+        has_credentials: true,
+        is_active: true
+      });
+    }
+
+    res.json(accounts);
+
+  } catch (error) {
+    logger.error('Error fetching accounts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/accounts
+ * Link a broker account
+ */
+router.post('/',
+  requireSession,
+  [
+    body('name').notEmpty().withMessage('Account name is required'),
+    body('broker').optional().isIn(['alpaca', 'sim']).withMessage('Broker must be alpaca or sim'),
+    body('mode').optional().isIn(['paper', 'live']).withMessage('Mode must be paper or live'),
+    body('apiKey').optional().isString(),
+    body('secretKey').optional().isString(),
+    body('baseUrl').optional().isURL({ require_tld: false })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, broker, mode, apiKey, secretKey, baseUrl } = req.body;
+
+      const account = await AccountService.createAccount(req.user.id, {
+        name,
+        broker,
+        mode,
+        apiKey,
+        secretKey,
+        baseUrl
+      });
+
+      // Start listening for this account's order updates
+      await TradeMonitor.watchAccount(account.id);
+      WebSocketManager.addUserAccount(req.user.id, account.id);
+
+      res.status(201).json({ success: true, account });
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error linking account:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * PUT /api/accounts/:id
+ * Rename, enable/disable or rotate the credentials of an account
+ */
+router.put('/:id',
+  requireSession,
+  loadOwnAccount,
+  [
+    body('name').optional().notEmpty(),
+    body('is_active').optional().isBoolean(),
+    body('apiKey').optional().isString(),
+    body('secretKey').optional().isString(),
+    body('baseUrl').optional({ nullable: true }).isURL({ require_tld: false })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, is_active, apiKey, secretKey, baseUrl } = req.body;
+
+      const account = await AccountService.updateAccount(req.linkedAccount, {
+        name,
+        isActive: is_active,
+        apiKey,
+        secretKey,
+        baseUrl
+      });
+
+      // The trade stream is reopened with the new settings once they are saved
+      await TradeMonitor.unwatchAccount(account.id);
+      if (account.is_active) {
+        await TradeMonitor.watchAccount(account.id);
+      }
+
+      res.json({ success: true, account });
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error updating account:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * DELETE /api/accounts/:id
+ * Unlink an account
+ */
+router.delete('/:id', requireSession, loadOwnAccount, async (req, res) => {
+  try {
+    await AccountService.deleteAccount(req.linkedAccount);
+    await TradeMonitor.unwatchAccount(req.linkedAccount.id);
+
+    res.json({ success: true, message: 'Account unlinked' });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error unlinking account:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,190 @@
+/**
+ * RZE Trading Platform - Admin Routes
+ *
+ * API endpoints for operating the platform.
+ */
+
+const express = require('express');
+const router = express.Router();
+const database = require('../../config/database');
+const OrderUpdateQueue = require('../../services/OrderUpdateQueue');
+const TradingHaltService = require('../../services/TradingHaltService');
+const CircuitBreakerService = require('../../services/CircuitBreakerService');
+const logger = require('../../utils/logger');
+
+const JOB_STATUSES = ['pending', 'processing', 'completed', 'dead'];
+
+/**
+ * GET /api/admin/jobs
+ * Order update queue status and jobs (dead-letter list by default)
+ */
+router.get('/jobs', async (req, res) => {
+  try {
+    const db = database.getDb();
+    const { status = 'dead', tradeId, limit = 50, offset = 0 } = req.query;
+
+    if (!JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${JOB_STATUSES.join(', ')}` });
+    }
+
+    const statusCounts = await db('order_update_jobs')
+      .groupBy('status')
+      .select('status')
+      .count('* as count');
+
+    const counts = {};
+    JOB_STATUSES.forEach(s => { counts[s] = 0; });
+    statusCounts.forEach(c => { counts[c.status] = parseInt(c.count); });
+
+    let query = db('order_update_jobs').where('status', status);
+
+    if (tradeId) {
+      query = query.where('trade_id', parseInt(tradeId));
+    }
+
+    const jobs = await query
+      .orderBy('id', 'desc')
+      .limit(parseInt(limit))
+      .offset(parseInt(offset));
+
+    res.json({ counts, jobs });
+
+  } catch (error) {
+    logger.error('Error fetching jobs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/jobs/:id/retry
+ * Requeue a dead-lettered job
+ */
+router.post('/jobs/:id/retry', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const requeued = await OrderUpdateQueue.retry(parseInt(id));
+    if (!requeued) {
+      return res.status(404).json({ error: 'Dead job not found' });
+    }
+
+    logger.info(`Requeued order update job ${id}`);
+
+    res.json({ success: true, message: `Job ${id} requeued` });
+
+  } catch (error) {
+    logger.error('Error retrying job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/jobs/:id/discard
+ * Drop a dead-lettered job without processing it; the trade's later jobs
+ * run again
+ */
+router.post('/jobs/:id/discard', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const discarded = await OrderUpdateQueue.discard(parseInt(id));
+    if (!discarded) {
+      return res.status(404).json({ error: 'Dead job not found' });
+    }
+
+    logger.warn(`Discarded order update job ${id}`);
+
+    res.json({ success: true, message: `Job ${id} discarded` });
+
+  } catch (error) {
+    logger.error('Error discarding job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Scope of a halt/resume request: an account id, 'default' for the
+ * default account, or nothing for every account. Returns null if the
+ * account does not exist.
+ */
+async function resolveHaltScope(accountId) {
+  if (accountId === undefined || accountId === null || accountId === '') {
+    return { accountId: null, global: true };
+  }
+  if (accountId === 'default') {
+    return { accountId: null, global: false };
+  }
+
+  const db = database.getDb();
+  const account = await db('accounts').where('id', parseInt(accountId)).first();
+  return account ? { accountId: account.id, global: false } : null;
+}
+
+/**
+ * GET /api/admin/halts
+ * Trading halts in effect
+ */
+router.get('/halts', async (req, res) => {
+  try {
+    res.json({ halts: TradingHaltService.listActive() });
+  } catch (error) {
+    logger.error('Error fetching halts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/halt
+ * Halt new trades for one account (accountId) or every account.
+ * With flatten, pending entries are cancelled and open trades closed at market.
+ */
+router.post('/halt', async (req, res) => {
+  try {
+    const { accountId, reason, flatten = false } = req.body;
+
+    const scope = await resolveHaltScope(accountId);
+    if (!scope) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const result = await CircuitBreakerService.halt({
+      ...scope,
+      source: 'manual',
+      reason: reason || `Halted by ${req.user.email}`,
+      userId: req.user.id,
+      flatten: flatten === true
+    });
+
+    res.json({ success: true, ...result });
+
+  } catch (error) {
+    logger.error('Error halting trading:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/resume
+ * Lift the halt of one account (accountId) or the global halt
+ */
+router.post('/resume', async (req, res) => {
+  try {
+    const scope = await resolveHaltScope(req.body.accountId);
+    if (!scope) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const halt = await TradingHaltService.resume({ ...scope, userId: req.user.id });
+    if (!halt) {
+      return res.status(404).json({ error: 'Trading is not halted' });
+    }
+
+    res.json({ success: true, halt });
+
+  } catch (error) {
+    logger.error('Error resuming trading:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
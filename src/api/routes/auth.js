@@ -0,0 +1,199 @@
+/**
+ * RZE Trading Platform - Auth Routes
+ *
+ * API endpoints for users, sessions and API tokens.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const AuthService = require('../../services/AuthService');
+const { requireAuth, requireRole, requireSession } = require('../middleware/auth');
+const logger = require('../../utils/logger');
+
+const { TOKEN_SCOPES } = AuthService;
+
+/**
+ * The first user can register without authenticating (and becomes
+ * admin); after that only admins can create users
+ */
+async function requireAdminOnceUsersExist(req, res, next) {
+  try {
+    if (!(await AuthService.hasUsers())) {
+      req.isFirstUser = true;
+      return next();
+    }
+
+    requireAuth(req, res, () => requireRole('admin')(req, res, next));
+
+  } catch (error) {
+    logger.error('Error checking users:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * POST /api/auth/register
+ * Create a user
+ */
+router.post('/register',
+  [
+    body('email').isEmail().withMessage('A valid email is required'),
+    body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+    body('name').optional().isString(),
+    body('role').optional().isIn(['admin', 'user']).withMessage('Role must be admin or user')
+  ],
+  requireAdminOnceUsersExist,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { email, password, name, role } = req.body;
+
+      const user = await AuthService.createUser({
+        email,
+        password,
+        name,
+        role: req.isFirstUser ? 'admin' : (role || 'user')
+      });
+
+      res.status(201).json({ success: true, user });
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error registering user:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/login
+ * Log in and get a session token
+ */
+router.post('/login',
+  [
+    body('email').isEmail().withMessage('A valid email is required'),
+    body('password').notEmpty().withMessage('Password is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { email, password } = req.body;
+      const session = await AuthService.login(email, password);
+
+      res.json(session);
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error logging in:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/auth/me
+ * Current user and how they authenticated
+ */
+router.get('/me', requireAuth, (req, res) => {
+  res.json({
+    user: req.user,
+    auth: {
+      type: req.auth.type,
+      scope: req.auth.scope
+    }
+  });
+});
+
+/**
+ * GET /api/auth/tokens
+ * List the current user's API tokens
+ */
+router.get('/tokens', requireAuth, requireSession, async (req, res) => {
+  try {
+    const tokens = await AuthService.listApiTokens(req.user.id);
+    res.json(tokens);
+
+  } catch (error) {
+    logger.error('Error fetching API tokens:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/tokens
+ * Create an API token (the token is only shown in this response)
+ */
+router.post('/tokens',
+  requireAuth,
+  requireSession,
+  [
+    body('name').notEmpty().withMessage('Token name is required'),
+    body('scope').optional().isIn(TOKEN_SCOPES).withMessage(`Scope must be one of: ${TOKEN_SCOPES.join(', ')}`),
+    body('expiresAt').optional().isISO8601().withMessage('expiresAt must be an ISO 8601 date')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, scope = 'read', expiresAt } = req.body;
+
+      const { token, apiToken } = await AuthService.createApiToken(req.user.id, {
+        name,
+        scope,
+        expiresAt: expiresAt ? new Date(expiresAt) : null
+      });
+
+      res.status(201).json({
+        success: true,
+        token,
+        apiToken,
+        message: 'Store this token now - it will not be shown again'
+      });
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error creating API token:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * DELETE /api/auth/tokens/:id
+ * Revoke an API token
+ */
+router.delete('/tokens/:id', requireAuth, requireSession, async (req, res) => {
+  try {
+    const revoked = await AuthService.revokeApiToken(req.user.id, parseInt(req.params.id));
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'API token not found' });
+    }
+
+    res.json({ success: true, message: 'API token revoked' });
+
+  } catch (error) {
+    logger.error('Error revoking API token:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
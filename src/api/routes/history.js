@@ -7,6 +7,9 @@
 const express = require('express');
 const router = express.Router();
 const database = require('../../config/database');
+const { formatPhaseJourney } = require('../../utils/phases');
+const { parseQty, roundQty } = require('../../utils/quantity');
+const { summarizeTrades } = require('../../utils/tradeStats');
 const logger = require('../../utils/logger');
 
 
@@ -29,7 +32,7 @@ router.get('/', async (req, res) => {
       sortOrder = 'desc'
     } = req.query;
 
-    let query = db('trades');
+    let query = db('trades').where('account_id', req.accountId);
 
     // Trade status filter (optional)
     if (status) {
@@ -116,41 +119,7 @@ router.get('/', async (req, res) => {
         .select('*');
 
       // Format phase journey
-      const phaseJourney = phases.map(phase => {
-        const phasePnl = phase.phase_pnl ? parseFloat(phase.phase_pnl) : null;
-        const exitPrice = phase.exit_price ? parseFloat(phase.exit_price) : null;
-        
-        return {
-          phase: phase.phase_number,
-          status: phase.status, // pending, active, completed
-          
-          // Target prices
-          take_profit_price: parseFloat(phase.take_profit_price),
-          stop_loss_price: parseFloat(phase.stop_loss_price),
-          take_profit_pct: parseFloat(phase.take_profit_pct),
-          stop_loss_pct: parseFloat(phase.stop_loss_pct),
-          
-          // Execution details
-          shares_to_sell: phase.shares_to_sell,
-          exit_price: exitPrice,
-          exit_type: phase.exit_type, // take_profit, stop_loss, or null if pending
-          
-          // P&L for this phase
-          phase_pnl: phasePnl,
-          phase_pnl_pct: phasePnl && phase.shares_to_sell && trade.entry_price
-            ? ((phasePnl / (parseFloat(trade.entry_price) * phase.shares_to_sell)) * 100).toFixed(4)
-            : null,
-          
-          // Timestamps
-          started_at: phase.started_at,
-          completed_at: phase.completed_at,
-          
-          // Duration if completed
-          duration_minutes: phase.started_at && phase.completed_at
-            ? Math.round((new Date(phase.completed_at) - new Date(phase.started_at)) / 60000)
-            : null
-        };
-      });
+      const phaseJourney = phases.map(phase => formatPhaseJourney(phase, trade.entry_price));
 
       // Calculate trade summary
       const isCompleted = trade.status === 'completed';
@@ -167,6 +136,7 @@ router.get('/', async (req, res) => {
         trade_uuid: trade.trade_uuid,
         symbol: trade.symbol,
         company_name: trade.company_name,
+        side: trade.side, // long, short
 
         // Trade status
         trade_status: trade.status, // active, completed, cancelled
@@ -175,8 +145,8 @@ router.get('/', async (req, res) => {
         // Entry details
         entry_price: entryPrice,
         position_size: positionSize,
-        total_shares: trade.total_shares,
-        remaining_shares: trade.remaining_shares,
+        total_shares: parseQty(trade.total_shares),
+        remaining_shares: parseQty(trade.remaining_shares),
 
         // Exit details (for completed trades)
         exit_phase: trade.exit_phase,
@@ -219,7 +189,7 @@ router.get('/', async (req, res) => {
           completed_phases: phases.filter(p => p.status === 'completed').length,
           current_phase_details: currentPhase ? {
             phase: currentPhase.phase_number,
-            shares_to_sell: currentPhase.shares_to_sell,
+            shares_to_sell: parseQty(currentPhase.shares_to_sell),
             take_profit_price: parseFloat(currentPhase.take_profit_price),
             stop_loss_price: parseFloat(currentPhase.stop_loss_price),
             started_at: currentPhase.started_at
@@ -229,9 +199,9 @@ router.get('/', async (req, res) => {
           // Quick stats from journey
           phases_won: phases.filter(p => p.exit_type === 'take_profit').length,
           phases_stopped: phases.filter(p => p.exit_type === 'stop_loss').length,
-          total_shares_sold: phases
+          total_shares_sold: roundQty(phases
             .filter(p => p.status === 'completed')
-            .reduce((sum, p) => sum + p.shares_to_sell, 0)
+            .reduce((sum, p) => sum + parseQty(p.shares_to_sell), 0))
         }
       };
     }));
@@ -272,7 +242,7 @@ router.get('/summary', async (req, res) => {
     const db = database.getDb();
     const { startDate, endDate } = req.query;
     
-    let query = db('trades').where('status', 'completed');
+    let query = db('trades').where({ status: 'completed', account_id: req.accountId });
     
     if (startDate) {
       query = query.where('exit_time', '>=', startDate);
@@ -283,66 +253,7 @@ router.get('/summary', async (req, res) => {
     
     const trades = await query;
     
-    if (trades.length === 0) {
-      return res.json({
-        total_trades: 0,
-        wins: 0,
-        losses: 0,
-        win_rate: 0,
-        total_pnl: 0,
-        avg_pnl: 0,
-        avg_win: 0,
-        avg_loss: 0,
-        profit_factor: 0,
-        best_trade: null,
-        worst_trade: null,
-        avg_duration_minutes: 0
-      });
-    }
-    
-    const wins = trades.filter(t => parseFloat(t.realized_pnl) > 0);
-    const losses = trades.filter(t => parseFloat(t.realized_pnl) <= 0);
-    
-    const totalWinAmount = wins.reduce((sum, t) => sum + parseFloat(t.realized_pnl), 0);
-    const totalLossAmount = Math.abs(losses.reduce((sum, t) => sum + parseFloat(t.realized_pnl), 0));
-    const totalPnl = trades.reduce((sum, t) => sum + parseFloat(t.realized_pnl), 0);
-    
-    // Calculate durations
-    const durations = trades
-      .filter(t => t.entry_time && t.exit_time)
-      .map(t => (new Date(t.exit_time) - new Date(t.entry_time)) / 60000);
-    
-    const avgDuration = durations.length > 0
-      ? durations.reduce((a, b) => a + b, 0) / durations.length
-      : 0;
-    
-    // Find best and worst trades
-    const sortedByPnl = [...trades].sort((a, b) => 
-      parseFloat(b.realized_pnl) - parseFloat(a.realized_pnl)
-    );
-    
-    res.json({
-      total_trades: trades.length,
-      wins: wins.length,
-      losses: losses.length,
-      win_rate: (wins.length / trades.length) * 100,
-      total_pnl: totalPnl,
-      avg_pnl: totalPnl / trades.length,
-      avg_win: wins.length > 0 ? totalWinAmount / wins.length : 0,
-      avg_loss: losses.length > 0 ? -totalLossAmount / losses.length : 0,
-      profit_factor: totalLossAmount > 0 ? totalWinAmount / totalLossAmount : (totalWinAmount > 0 ? Infinity : 0),
-      best_trade: {
-        symbol: sortedByPnl[0].symbol,
-        pnl: parseFloat(sortedByPnl[0].realized_pnl),
-        date: sortedByPnl[0].exit_time
-      },
-      worst_trade: {
-        symbol: sortedByPnl[sortedByPnl.length - 1].symbol,
-        pnl: parseFloat(sortedByPnl[sortedByPnl.length - 1].realized_pnl),
-        date: sortedByPnl[sortedByPnl.length - 1].exit_time
-      },
-      avg_duration_minutes: Math.round(avgDuration)
-    });
+    res.json(summarizeTrades(trades));
     
   } catch (error) {
     logger.error('Error fetching summary:', error);
@@ -352,30 +263,42 @@ router.get('/summary', async (req, res) => {
 
 /**
  * GET /api/history/by-phase
- * Get statistics grouped by exit phase
+ * Get statistics grouped by exit phase and the trade's phase count
  */
 router.get('/by-phase', async (req, res) => {
   try {
     const db = database.getDb();
     
+    // Number of phases each trade was run with
+    const phaseCounts = db('trade_phases')
+      .select('trade_id')
+      .count('* as total_phases')
+      .groupBy('trade_id')
+      .as('phase_counts');
+    
     const phaseStats = await db('trades')
-      .where('status', 'completed')
-      .groupBy('exit_phase')
-      .select('exit_phase')
+      .leftJoin(phaseCounts, 'phase_counts.trade_id', 'trades.id')
+      .where('trades.status', 'completed')
+      .where('trades.account_id', req.accountId)
+      .groupBy('trades.exit_phase', 'phase_counts.total_phases')
+      .select('trades.exit_phase', 'phase_counts.total_phases')
       .count('* as count')
-      .sum('realized_pnl as total_pnl')
-      .avg('realized_pnl as avg_pnl');
+      .sum('trades.realized_pnl as total_pnl')
+      .avg('trades.realized_pnl as avg_pnl');
     
     // Format results
     const formatted = phaseStats.map(ps => ({
       phase: ps.exit_phase,
+      total_phases: ps.total_phases ? parseInt(ps.total_phases) : null,
       count: parseInt(ps.count),
       total_pnl: parseFloat(ps.total_pnl) || 0,
       avg_pnl: parseFloat(ps.avg_pnl) || 0
     }));
     
-    // Sort by phase
-    formatted.sort((a, b) => (a.phase || 0) - (b.phase || 0));
+    // Sort by phase count, then phase
+    formatted.sort((a, b) =>
+      (a.total_phases || 0) - (b.total_phases || 0) || (a.phase || 0) - (b.phase || 0)
+    );
     
     res.json(formatted);
     
@@ -395,7 +318,7 @@ router.get('/by-symbol', async (req, res) => {
     const { limit = 20 } = req.query;
     
     const symbolStats = await db('trades')
-      .where('status', 'completed')
+      .where({ status: 'completed', account_id: req.accountId })
       .groupBy('symbol')
       .select('symbol')
       .count('* as count')
@@ -405,7 +328,7 @@ router.get('/by-symbol', async (req, res) => {
     // Calculate win rate for each symbol
     const formattedStats = await Promise.all(symbolStats.map(async (ss) => {
       const wins = await db('trades')
-        .where({ status: 'completed', symbol: ss.symbol })
+        .where({ status: 'completed', symbol: ss.symbol, account_id: req.accountId })
         .where('realized_pnl', '>', 0)
         .count('* as count')
         .first();
@@ -445,7 +368,7 @@ router.get('/daily', async (req, res) => {
     startDate.setDate(startDate.getDate() - parseInt(days));
     
     const trades = await db('trades')
-      .where('status', 'completed')
+      .where({ status: 'completed', account_id: req.accountId })
       .where('exit_time', '>=', startDate.toISOString())
       .orderBy('exit_time', 'asc');
     
@@ -494,6 +417,14 @@ router.get('/events/:tradeId', async (req, res) => {
     const db = database.getDb();
     const { tradeId } = req.params;
 
+    const trade = await db('trades')
+      .where({ id: tradeId, account_id: req.accountId })
+      .first();
+
+    if (!trade) {
+      return res.status(404).json({ error: 'Trade not found' });
+    }
+
     const events = await db('order_events')
       .where('trade_id', tradeId)
       .orderBy('event_time', 'desc');
@@ -0,0 +1,178 @@
+/**
+ * RZE Trading Platform - Reconciliation Routes
+ *
+ * API endpoints for on-demand reconciliation reports, reviewing and
+ * resolving the share discrepancies the reconciliation service flags for
+ * manual review, and the orphaned broker order log.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const TradeReconciliationService = require('../../services/TradeReconciliationService');
+const OrphanOrderService = require('../../services/OrphanOrderService');
+const TradeMonitor = require('../../services/TradeMonitor');
+const logger = require('../../utils/logger');
+
+const ISSUE_STATUSES = ['pending_review', 'resolved', 'dismissed', 'all'];
+
+/**
+ * POST /api/reconciliation/run
+ * Diff open trades against the broker: share mismatches, missing phase
+ * orders, orphaned RZE orders and untracked positions. Dry run by default;
+ * ?dryRun=false applies the proposed fixes.
+ */
+router.post('/run', async (req, res) => {
+  try {
+    const { dryRun = 'true' } = req.query;
+
+    if (!['true', 'false'].includes(String(dryRun))) {
+      return res.status(400).json({ error: 'dryRun must be true or false' });
+    }
+
+    const result = await TradeReconciliationService.run({
+      accountId: req.accountId,
+      dryRun: dryRun !== 'false'
+    });
+
+    // Fixed trades changed
+    const tradeIds = new Set(result.applied.filter(a => a.ok && a.tradeId).map(a => a.tradeId));
+    for (const tradeId of tradeIds) {
+      await TradeMonitor.broadcastTradeUpdate(tradeId);
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    // Already reconciling (409)
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error running reconciliation report:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/reconciliation/issues
+ * Flagged issues (pending review by default; ?status=all for every issue)
+ */
+router.get('/issues', async (req, res) => {
+  try {
+    const { status = 'pending_review', tradeId, limit = 50, offset = 0 } = req.query;
+
+    if (!ISSUE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${ISSUE_STATUSES.join(', ')}` });
+    }
+
+    const { issues, total } = await TradeReconciliationService.listIssues({
+      accountId: req.accountId,
+      status: status === 'all' ? null : status,
+      tradeId: tradeId ? parseInt(tradeId) : null,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      issues,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: parseInt(offset) + issues.length < total
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching reconciliation issues:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/reconciliation/issues/:id/resolve
+ * Resolve an issue: accept_broker_qty, resync_remaining, replace_orders,
+ * close_trade or dismiss
+ */
+router.post('/issues/:id/resolve',
+  [
+    body('action').isIn(TradeReconciliationService.RESOLUTION_ACTIONS)
+      .withMessage(`Action must be one of: ${TradeReconciliationService.RESOLUTION_ACTIONS.join(', ')}`),
+    body('notes').optional().isString()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { action, notes } = req.body;
+
+      const result = await TradeReconciliationService.resolveIssue(parseInt(req.params.id), {
+        accountId: req.accountId,
+        action,
+        notes: notes || null,
+        userId: req.user.id
+      });
+
+      await TradeMonitor.broadcastTradeUpdate(result.tradeId);
+      res.json(result);
+
+    } catch (error) {
+      // Unknown issue (404), already resolved or trade not active (409)
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error resolving reconciliation issue:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/reconciliation/orphans
+ * Orphaned broker orders the sweeper found, with the action taken
+ */
+router.get('/orphans', async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+
+    const { orders, total } = await OrphanOrderService.list({
+      accountId: req.accountId,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      orders,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: parseInt(offset) + orders.length < total
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching orphaned orders:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/reconciliation/orphans/sweep
+ * Sweep the account now, under its orphan_order_policy
+ */
+router.post('/orphans/sweep', async (req, res) => {
+  try {
+    const orders = await OrphanOrderService.sweepAccount(req.accountId);
+    res.json({ orders });
+
+  } catch (error) {
+    logger.error('Error sweeping orphaned orders:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,38 +1,27 @@
 /**
  * RZE Trading Platform - Settings Routes
  * 
- * API endpoints for system settings.
+ * API endpoints for account settings.
  */
 
 const express = require('express');
 const router = express.Router();
-const database = require('../../config/database');
+const SettingsService = require('../../services/SettingsService');
 const NotificationService = require('../../services/NotificationService');
 const logger = require('../../utils/logger');
 
+// Settings that are changed through their own endpoint, not PUT
+const READ_ONLY_SETTINGS = {
+  trading_mode: 'Use POST /api/account/mode to switch trading mode'
+};
+
 /**
  * GET /api/settings
- * Get all settings
+ * Get all settings of the current account
  */
 router.get('/', async (req, res) => {
   try {
-    const db = database.getDb();
-    
-    const settings = await db('settings').select('*');
-    
-    // Convert to object format
-    const settingsObj = {};
-    settings.forEach(s => {
-      if (s.type === 'number') {
-        settingsObj[s.key] = parseFloat(s.value);
-      } else if (s.type === 'boolean') {
-        settingsObj[s.key] = s.value === 'true';
-      } else if (s.type === 'json') {
-        settingsObj[s.key] = JSON.parse(s.value);
-      } else {
-        settingsObj[s.key] = s.value;
-      }
-    });
+    const settingsObj = await SettingsService.getAll(req.accountId);
     
     res.json(settingsObj);
     
@@ -48,27 +37,17 @@ router.get('/', async (req, res) => {
  */
 router.get('/:key', async (req, res) => {
   try {
-    const db = database.getDb();
     const { key } = req.params;
     
-    const setting = await db('settings').where('key', key).first();
+    const setting = await SettingsService.getRow(req.accountId, key);
     
     if (!setting) {
       return res.status(404).json({ error: 'Setting not found' });
     }
     
-    let value = setting.value;
-    if (setting.type === 'number') {
-      value = parseFloat(value);
-    } else if (setting.type === 'boolean') {
-      value = value === 'true';
-    } else if (setting.type === 'json') {
-      value = JSON.parse(value);
-    }
-    
     res.json({
       key: setting.key,
-      value,
+      value: SettingsService.parseValue(setting),
       type: setting.type,
       description: setting.description
     });
@@ -85,7 +64,6 @@ router.get('/:key', async (req, res) => {
  */
 router.put('/:key', async (req, res) => {
   try {
-    const db = database.getDb();
     const { key } = req.params;
     const { value } = req.body;
     
@@ -93,28 +71,17 @@ router.put('/:key', async (req, res) => {
       return res.status(400).json({ error: 'Value is required' });
     }
     
-    const setting = await db('settings').where('key', key).first();
+    if (READ_ONLY_SETTINGS[key]) {
+      return res.status(400).json({ error: READ_ONLY_SETTINGS[key] });
+    }
+    
+    const setting = await SettingsService.set(req.accountId, key, value);
     
     if (!setting) {
       return res.status(404).json({ error: 'Setting not found' });
     }
     
-    // Convert value to string for storage
-    let stringValue;
-    if (setting.type === 'json') {
-      stringValue = JSON.stringify(value);
-    } else {
-      stringValue = String(value);
-    }
-    
-    await db('settings')
-      .where('key', key)
-      .update({ 
-        value: stringValue,
-        updated_at: db.fn.now()
-      });
-    
-    logger.info(`Updated setting: ${key} = ${stringValue}`);
+    logger.info(`Updated setting: ${key} = ${setting.value}`, { accountId: req.accountId });
     
     res.json({
       key,
@@ -135,33 +102,23 @@ router.put('/:key', async (req, res) => {
  */
 router.put('/', async (req, res) => {
   try {
-    const db = database.getDb();
     const updates = req.body;
     
     const results = [];
     
     for (const [key, value] of Object.entries(updates)) {
-      const setting = await db('settings').where('key', key).first();
+      if (READ_ONLY_SETTINGS[key]) {
+        results.push({ key, success: false, error: READ_ONLY_SETTINGS[key] });
+        continue;
+      }
+      
+      const setting = await SettingsService.set(req.accountId, key, value);
       
       if (!setting) {
         results.push({ key, success: false, error: 'Setting not found' });
         continue;
       }
       
-      let stringValue;
-      if (setting.type === 'json') {
-        stringValue = JSON.stringify(value);
-      } else {
-        stringValue = String(value);
-      }
-      
-      await db('settings')
-        .where('key', key)
-        .update({ 
-          value: stringValue,
-          updated_at: db.fn.now()
-        });
-      
       results.push({ key, success: true, value });
     }
     
@@ -183,7 +140,7 @@ router.post('/notifications/test', async (req, res) => {
   try {
     const { channel } = req.body;
     
-    const result = await NotificationService.sendTest(channel || 'both');
+    const result = await NotificationService.sendTest(channel || 'both', req.accountId);
     
     res.json(result);
     
@@ -4,12 +4,94 @@
  * API endpoints for managing trade templates.
  */
 
+const path = require('path');
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const database = require('../../config/database');
+const BacktestService = require('../../services/BacktestService');
+const { MAX_ENTRY_TRANCHES } = require('../../services/TradeExecutionService');
+const { parsePhases } = require('../../utils/phases');
+const { parseBars, loadBars } = require('../../utils/priceData');
 const logger = require('../../utils/logger');
 
+const BACKTEST_DATA_DIR = path.resolve(process.env.BACKTEST_DATA_DIR || 'data');
+
+const trailingStopValidators = [
+  body('phases.*.stop_type').optional().isIn(['fixed', 'trailing']).withMessage('Stop type must be fixed or trailing'),
+  body('phases.*.trail_pct').optional({ nullable: true }).isFloat({ gt: 0, lt: 100 }).withMessage('Trail percentage must be between 0 and 100'),
+  body('phases.*.trail_amount').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Trail amount must be positive')
+];
+
+const entryTrancheValidators = [
+  body('entry_tranches').optional({ nullable: true }).isArray({ min: 2, max: MAX_ENTRY_TRANCHES })
+    .withMessage(`Entry tranches must be a list of 2-${MAX_ENTRY_TRANCHES} entries`),
+  body('entry_tranches.*.pct').isFloat({ gt: 0, max: 100 }).withMessage('Tranche percentage must be 0-100'),
+  body('entry_tranches.*.offset_pct').optional({ nullable: true }).isFloat().withMessage('Tranche offset must be a number')
+];
+
+/**
+ * Entry tranches must add up to 100%, and every tranche after the first
+ * needs an offset from the entry price
+ */
+function validateEntryTranches(tranches) {
+  const totalPct = tranches.reduce((sum, t) => sum + t.pct, 0);
+  if (Math.abs(totalPct - 100) > 0.01) {
+    return `Tranche percentages must sum to 100% (currently ${totalPct}%)`;
+  }
+  for (const [idx, t] of tranches.entries()) {
+    if (idx > 0 && (t.offset_pct === undefined || t.offset_pct === null)) {
+      return `Tranche ${idx + 1}: offset_pct is required`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Keep only the tranche fields the engine reads (null = single entry)
+ */
+function formatEntryTranches(tranches) {
+  if (!tranches) return null;
+  return JSON.stringify(tranches.map((t, idx) => (
+    idx === 0 ? { pct: t.pct } : { pct: t.pct, offset_pct: t.offset_pct }
+  )));
+}
+
+/**
+ * Trailing phases need exactly one of trail_pct / trail_amount
+ */
+function validateTrailingStops(phases) {
+  for (const [idx, p] of phases.entries()) {
+    if (p.stop_type !== 'trailing') continue;
+    if (!p.trail_pct === !p.trail_amount) {
+      return `Phase ${idx + 1}: trailing stops need either trail_pct or trail_amount`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Number phases and keep only the fields the engine reads
+ */
+function formatPhases(phases) {
+  return phases.map((p, idx) => {
+    const phase = {
+      phase: idx + 1,
+      take_profit_pct: p.take_profit_pct,
+      stop_loss_pct: p.stop_loss_pct,
+      sell_pct: p.sell_pct
+    };
+
+    if (p.stop_type === 'trailing') {
+      phase.stop_type = 'trailing';
+      if (p.trail_pct) phase.trail_pct = p.trail_pct;
+      if (p.trail_amount) phase.trail_amount = p.trail_amount;
+    }
+
+    return phase;
+  });
+}
+
 /**
  * GET /api/templates
  * Get all templates
@@ -19,6 +101,7 @@ router.get('/', async (req, res) => {
     const db = database.getDb();
     
     const templates = await db('templates')
+      .where('account_id', req.accountId)
       .orderBy('is_default', 'desc')
       .orderBy('name');
     
@@ -44,7 +127,7 @@ router.get('/active', async (req, res) => {
     const db = database.getDb();
     
     const template = await db('templates')
-      .where('is_active', true)
+      .where({ is_active: true, account_id: req.accountId })
       .first();
     
     if (!template) {
@@ -71,7 +154,7 @@ router.get('/:id', async (req, res) => {
     const db = database.getDb();
     const { id } = req.params;
     
-    const template = await db('templates').where('id', id).first();
+    const template = await db('templates').where({ id, account_id: req.accountId }).first();
     
     if (!template) {
       return res.status(404).json({ error: 'Template not found' });
@@ -95,10 +178,12 @@ router.get('/:id', async (req, res) => {
 router.post('/',
   [
     body('name').notEmpty().withMessage('Name is required'),
-    body('phases').isArray({ min: 4, max: 4 }).withMessage('Must have exactly 4 phases'),
+    body('phases').isArray({ min: 1 }).withMessage('Must have at least 1 phase'),
     body('phases.*.take_profit_pct').isFloat().withMessage('Take profit percentage required'),
     body('phases.*.stop_loss_pct').isFloat().withMessage('Stop loss percentage required'),
-    body('phases.*.sell_pct').isFloat({ min: 0, max: 100 }).withMessage('Sell percentage must be 0-100')
+    body('phases.*.sell_pct').isFloat({ min: 0, max: 100 }).withMessage('Sell percentage must be 0-100'),
+    ...trailingStopValidators,
+    ...entryTrancheValidators
   ],
   async (req, res) => {
     try {
@@ -108,7 +193,7 @@ router.post('/',
       }
       
       const db = database.getDb();
-      const { name, description, phases, is_active } = req.body;
+      const { name, description, phases, is_active, entry_tranches } = req.body;
       
       // Validate phases sum to 100%
       const totalSellPct = phases.reduce((sum, p) => sum + p.sell_pct, 0);
@@ -118,28 +203,35 @@ router.post('/',
         });
       }
       
+      const trailError = validateTrailingStops(phases);
+      if (trailError) {
+        return res.status(400).json({ error: trailError });
+      }
+      
+      const trancheError = entry_tranches && validateEntryTranches(entry_tranches);
+      if (trancheError) {
+        return res.status(400).json({ error: trancheError });
+      }
+      
       // Add phase numbers if not present
-      const formattedPhases = phases.map((p, idx) => ({
-        phase: idx + 1,
-        take_profit_pct: p.take_profit_pct,
-        stop_loss_pct: p.stop_loss_pct,
-        sell_pct: p.sell_pct
-      }));
+      const formattedPhases = formatPhases(phases);
       
       // If setting as active, deactivate others
       if (is_active) {
-        await db('templates').update({ is_active: false });
+        await db('templates').where('account_id', req.accountId).update({ is_active: false });
       }
       
       const [id] = await db('templates').insert({
+        account_id: req.accountId,
         name,
         description: description || null,
         phases: JSON.stringify(formattedPhases),
+        entry_tranches: formatEntryTranches(entry_tranches),
         is_active: is_active || false,
         is_default: false
       }).returning('id');
       
-      const template = await db('templates').where('id', id).first();
+      const template = await db('templates').where({ id, account_id: req.accountId }).first();
       
       logger.info(`Created template: ${name}`);
       
@@ -161,7 +253,9 @@ router.post('/',
  */
 router.put('/:id',
   [
-    body('phases').optional().isArray({ min: 4, max: 4 })
+    body('phases').optional().isArray({ min: 1 }).withMessage('Must have at least 1 phase'),
+    ...trailingStopValidators,
+    ...entryTrancheValidators
   ],
   async (req, res) => {
     try {
@@ -172,9 +266,9 @@ router.put('/:id',
       
       const db = database.getDb();
       const { id } = req.params;
-      const { name, description, phases } = req.body;
+      const { name, description, phases, entry_tranches } = req.body;
       
-      const template = await db('templates').where('id', id).first();
+      const template = await db('templates').where({ id, account_id: req.accountId }).first();
       if (!template) {
         return res.status(404).json({ error: 'Template not found' });
       }
@@ -193,16 +287,24 @@ router.put('/:id',
           });
         }
         
-        const formattedPhases = phases.map((p, idx) => ({
-          phase: idx + 1,
-          take_profit_pct: p.take_profit_pct,
-          stop_loss_pct: p.stop_loss_pct,
-          sell_pct: p.sell_pct
-        }));
+        const trailError = validateTrailingStops(phases);
+        if (trailError) {
+          return res.status(400).json({ error: trailError });
+        }
+        
+        const formattedPhases = formatPhases(phases);
         
         updates.phases = JSON.stringify(formattedPhases);
       }
       
+      if (entry_tranches !== undefined) {
+        const trancheError = entry_tranches && validateEntryTranches(entry_tranches);
+        if (trancheError) {
+          return res.status(400).json({ error: trancheError });
+        }
+        updates.entry_tranches = formatEntryTranches(entry_tranches);
+      }
+      
       await db('templates').where('id', id).update(updates);
       
       const updatedTemplate = await db('templates').where('id', id).first();
@@ -230,13 +332,13 @@ router.post('/:id/activate', async (req, res) => {
     const db = database.getDb();
     const { id } = req.params;
     
-    const template = await db('templates').where('id', id).first();
+    const template = await db('templates').where({ id, account_id: req.accountId }).first();
     if (!template) {
       return res.status(404).json({ error: 'Template not found' });
     }
     
     // Deactivate all templates
-    await db('templates').update({ is_active: false });
+    await db('templates').where('account_id', req.accountId).update({ is_active: false });
     
     // Activate this one
     await db('templates').where('id', id).update({ 
@@ -266,7 +368,7 @@ router.delete('/:id', async (req, res) => {
     const db = database.getDb();
     const { id } = req.params;
     
-    const template = await db('templates').where('id', id).first();
+    const template = await db('templates').where({ id, account_id: req.accountId }).first();
     if (!template) {
       return res.status(404).json({ error: 'Template not found' });
     }
@@ -310,15 +412,19 @@ router.post('/:id/duplicate', async (req, res) => {
     const { id } = req.params;
     const { name } = req.body;
     
-    const template = await db('templates').where('id', id).first();
+    const template = await db('templates').where({ id, account_id: req.accountId }).first();
     if (!template) {
       return res.status(404).json({ error: 'Template not found' });
     }
     
     const [newId] = await db('templates').insert({
+      account_id: req.accountId,
       name: name || `${template.name} (Copy)`,
       description: template.description,
       phases: template.phases,
+      entry_tranches: template.entry_tranches && typeof template.entry_tranches !== 'string'
+        ? JSON.stringify(template.entry_tranches)
+        : template.entry_tranches,
       is_active: false,
       is_default: false
     }).returning('id');
@@ -338,4 +444,93 @@ router.post('/:id/duplicate', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/templates/:id/backtest
+ * Replay historical bars through a template's phases
+ *
+ * Price data is taken from one of:
+ * - bars: array of OHLCV bar objects
+ * - csv: CSV text with a header row
+ * - dataFile: CSV/JSON file name inside BACKTEST_DATA_DIR
+ */
+router.post('/:id/backtest',
+  [
+    body('symbol').notEmpty().withMessage('Symbol is required'),
+    body('bars').optional().isArray({ min: 1 }).withMessage('Bars must be a non-empty array'),
+    body('csv').optional().isString(),
+    body('dataFile').optional().isString(),
+    body('positionSize').optional().isFloat({ min: 1 }).withMessage('Position size must be positive'),
+    body('entry.type').optional().isIn(['market', 'limit']).withMessage('Entry type must be market or limit'),
+    body('entry.price').optional().isFloat({ min: 0.01 }).withMessage('Entry price must be positive'),
+    body('entry.reenter').optional().isBoolean(),
+    body('entry.max_trades').optional().isInt({ min: 1 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const db = database.getDb();
+      const { id } = req.params;
+      const { bars, csv, dataFile, entry, positionSize } = req.body;
+      const symbol = req.body.symbol.toUpperCase();
+
+      const template = await db('templates').where({ id, account_id: req.accountId }).first();
+      if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+
+      if (entry?.type === 'limit' && !entry.price) {
+        return res.status(400).json({ error: 'Limit entries require entry.price' });
+      }
+
+      // Load price data
+      let priceBars;
+      if (bars) {
+        priceBars = parseBars(JSON.stringify(bars), { format: 'json', symbol });
+      } else if (csv) {
+        priceBars = parseBars(csv, { format: 'csv', symbol });
+      } else if (dataFile) {
+        const filePath = path.resolve(BACKTEST_DATA_DIR, dataFile);
+        if (!filePath.startsWith(BACKTEST_DATA_DIR + path.sep)) {
+          return res.status(400).json({ error: 'Data file must be inside the backtest data directory' });
+        }
+        priceBars = loadBars(filePath, { symbol });
+      } else {
+        return res.status(400).json({ error: 'Provide bars, csv or dataFile' });
+      }
+
+      // Files may hold several symbols
+      priceBars = priceBars.filter(bar => !bar.symbol || bar.symbol === symbol);
+      if (priceBars.length === 0) {
+        return res.status(400).json({ error: `No price data for ${symbol}` });
+      }
+
+      const result = BacktestService.run({
+        phases: parsePhases(template.phases),
+        symbol,
+        bars: priceBars,
+        entry: entry || {},
+        positionSize: positionSize ? parseFloat(positionSize) : null
+      });
+
+      logger.info(`Backtested template ${template.name} on ${symbol}: ${result.trades.length} trades`);
+
+      res.json({
+        template: {
+          id: template.id,
+          name: template.name
+        },
+        ...result
+      });
+
+    } catch (error) {
+      logger.error('Error running backtest:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
 module.exports = router;
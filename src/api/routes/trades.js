@@ -8,8 +8,13 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const database = require('../../config/database');
-const AlpacaService = require('../../services/AlpacaService');
+const BrokerService = require('../../services/BrokerService');
 const TradeExecutionService = require('../../services/TradeExecutionService');
+const TradeMonitor = require('../../services/TradeMonitor');
+const SettingsService = require('../../services/SettingsService');
+const RiskService = require('../../services/RiskService');
+const { parsePhases, buildPhasePlan, calculatePnl, sideDirection } = require('../../utils/phases');
+const { parseQty, sharesForAmount } = require('../../utils/quantity');
 const logger = require('../../utils/logger');
 
 /**
@@ -22,6 +27,7 @@ router.get('/', async (req, res) => {
     const { status, limit = 50, offset = 0 } = req.query;
     
     let query = db('trades')
+      .where('account_id', req.accountId)
       .orderBy('created_at', 'desc')
       .limit(parseInt(limit))
       .offset(parseInt(offset));
@@ -65,9 +71,12 @@ router.get('/active', async (req, res) => {
     const db = database.getDb();
     
     const trades = await db('trades')
+      .where('account_id', req.accountId)
       .whereIn('status', ['pending', 'active'])
       .orderBy('entry_time', 'desc');
     
+    const broker = await BrokerService.forAccount(req.accountId);
+    
     // Get phases and current prices for each trade
     const tradesWithDetails = await Promise.all(trades.map(async (trade) => {
       const phases = await db('trade_phases')
@@ -80,10 +89,10 @@ router.get('/active', async (req, res) => {
       let unrealizedPnlPct = 0;
       
       try {
-        const latestTrade = await AlpacaService.getLatestTrade(trade.symbol);
+        const latestTrade = await broker.getLatestTrade(trade.symbol);
         currentPrice = latestTrade.price;
-        unrealizedPnl = (currentPrice - parseFloat(trade.entry_price)) * trade.remaining_shares;
-        unrealizedPnlPct = ((currentPrice - parseFloat(trade.entry_price)) / parseFloat(trade.entry_price)) * 100;
+        unrealizedPnl = calculatePnl(parseFloat(trade.entry_price), currentPrice, parseQty(trade.remaining_shares), trade.side);
+        unrealizedPnlPct = sideDirection(trade.side) * ((currentPrice - parseFloat(trade.entry_price)) / parseFloat(trade.entry_price)) * 100;
       } catch (e) {
         // Use entry price if we can't get current price
       }
@@ -97,12 +106,13 @@ router.get('/active', async (req, res) => {
         symbol: trade.symbol,
         company_name: trade.company_name,
         status: trade.status,
+        side: trade.side,
         entry_price: parseFloat(trade.entry_price),
         current_price: currentPrice,
-        total_shares: trade.total_shares,
-        remaining_shares: trade.remaining_shares,
+        total_shares: parseQty(trade.total_shares),
+        remaining_shares: parseQty(trade.remaining_shares),
         position_size: parseFloat(trade.position_size),
-        current_value: currentPrice * trade.remaining_shares,
+        current_value: currentPrice * parseQty(trade.remaining_shares),
         current_phase: trade.current_phase,
         unrealized_pnl: unrealizedPnl,
         unrealized_pnl_pct: unrealizedPnlPct,
@@ -114,7 +124,7 @@ router.get('/active', async (req, res) => {
           status: p.status,
           take_profit_price: parseFloat(p.take_profit_price),
           stop_loss_price: parseFloat(p.stop_loss_price),
-          shares_to_sell: p.shares_to_sell,
+          shares_to_sell: parseQty(p.shares_to_sell),
           phase_pnl: p.phase_pnl ? parseFloat(p.phase_pnl) : null
         }))
       };
@@ -137,7 +147,9 @@ router.get('/:id', async (req, res) => {
     const db = database.getDb();
     const { id } = req.params;
     
-    const trade = await db('trades').where('id', id).first();
+    const trade = await db('trades')
+      .where({ id, account_id: req.accountId })
+      .first();
     
     if (!trade) {
       return res.status(404).json({ error: 'Trade not found' });
@@ -179,9 +191,25 @@ router.get('/:id', async (req, res) => {
 router.post('/',
   [
     body('symbol').notEmpty().withMessage('Symbol is required'),
-    body('entryPrice').isFloat({ gt: 0 }).withMessage('Entry price must be a positive number'),
+    body('entryType').optional().isIn(TradeExecutionService.ENTRY_TYPES)
+      .withMessage(`Entry type must be one of: ${TradeExecutionService.ENTRY_TYPES.join(', ')}`),
+    body('entryPrice')
+      .if((value, { req }) => ['limit', 'stop_limit'].includes(req.body.entryType || 'limit') || value !== undefined)
+      .isFloat({ gt: 0 }).withMessage('Entry price must be a positive number'),
+    body('stopPrice')
+      .if((value, { req }) => ['stop', 'stop_limit'].includes(req.body.entryType) || value !== undefined)
+      .isFloat({ gt: 0 }).withMessage('Stop price must be a positive number'),
+    body('timeInForce').optional().isIn(['day', 'gtc']).withMessage('Time in force must be day or gtc'),
+    body('expiresAt').optional().if(value => value !== TradeExecutionService.SESSION_END)
+      .isISO8601().withMessage(`expiresAt must be an ISO 8601 date or '${TradeExecutionService.SESSION_END}'`),
     body('positionSize').optional().isFloat({ gt: 0 }),
-    body('templateId').optional().isInt()
+    body('templateId').optional().isInt(),
+    body('side').optional().isIn(['long', 'short']).withMessage('Side must be long or short'),
+    body('tranches').optional().isArray({ min: 2, max: TradeExecutionService.MAX_ENTRY_TRANCHES })
+      .withMessage(`Tranches must be a list of 2-${TradeExecutionService.MAX_ENTRY_TRANCHES} entries`),
+    body('tranches.*.pct').isFloat({ gt: 0, max: 100 }).withMessage('Tranche percentage must be 0-100'),
+    body('tranches.*.entryPrice').optional().isFloat({ gt: 0 }).withMessage('Tranche entry price must be a positive number'),
+    body('tranches.*.offsetPct').optional().isFloat().withMessage('Tranche offset must be a number')
   ],
   async (req, res) => {
     try {
@@ -190,43 +218,244 @@ router.post('/',
         return res.status(400).json({ errors: errors.array() });
       }
       
-      const { symbol, entryPrice, positionSize, templateId } = req.body;
+      const {
+        tranches,
+        symbol,
+        entryPrice,
+        positionSize,
+        templateId,
+        side = 'long',
+        entryType = 'limit',
+        stopPrice,
+        timeInForce,
+        expiresAt
+      } = req.body;
       
-      logger.trade('New trade request', { symbol, entryPrice, positionSize, templateId });
+      logger.trade('New trade request', { symbol, entryType, entryPrice, stopPrice, positionSize, templateId, side });
       
       const result = await TradeExecutionService.executeTrade({
         symbol,
-        entryPrice: parseFloat(entryPrice),
+        entryPrice: entryPrice ? parseFloat(entryPrice) : null,
         positionSize: positionSize ? parseFloat(positionSize) : null,
-        templateId: templateId ? parseInt(templateId) : null
+        templateId: templateId ? parseInt(templateId) : null,
+        side,
+        accountId: req.accountId,
+        entryType,
+        stopPrice: stopPrice ? parseFloat(stopPrice) : null,
+        timeInForce: timeInForce || null,
+        expiresAt: expiresAt || null,
+        tranches: tranches
+          ? tranches.map(t => ({
+            pct: parseFloat(t.pct),
+            entryPrice: t.entryPrice ? parseFloat(t.entryPrice) : null,
+            offsetPct: t.offsetPct !== undefined ? parseFloat(t.offsetPct) : null
+          }))
+          : null
       });
       
       res.status(201).json(result);
       
     } catch (error) {
+      // Invalid entry orders (400), risk rejections (422) and trading halts (423)
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, violations: error.violations });
+      }
       logger.error('Error executing trade:', error);
       res.status(500).json({ error: error.message });
     }
   }
 );
 
+/**
+ * POST /api/trades/adopt
+ * Manage an existing broker position (see GET /api/account/positions)
+ * with the phased exit strategy
+ */
+router.post('/adopt',
+  [
+    body('symbol').notEmpty().withMessage('Symbol is required'),
+    body('templateId').optional().isInt(),
+    body('qty').optional().isFloat({ gt: 0 }).withMessage('Quantity must be a positive number')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { symbol, templateId, qty } = req.body;
+
+      logger.trade('Adopt position request', { symbol, templateId, qty });
+
+      const result = await TradeExecutionService.adoptPosition({
+        symbol,
+        accountId: req.accountId,
+        templateId: templateId ? parseInt(templateId) : null,
+        qty: qty ? parseFloat(qty) : null
+      });
+
+      await TradeMonitor.broadcastTradeUpdate(result.tradeId);
+      res.status(201).json(result);
+
+    } catch (error) {
+      // No position (404), already managed or open orders (409), bad quantity (400)
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error adopting position:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
 /**
  * POST /api/trades/:id/cancel
- * Cancel an active trade
+ * Cancel a trade. With { liquidate: true } its remaining shares are sold
+ * at market and the trade is closed out with its realized P&L.
  */
-router.post('/:id/cancel', async (req, res) => {
+router.post('/:id/cancel', [
+  body('liquidate').optional().isBoolean().withMessage('liquidate must be true or false')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const db = database.getDb();
     const { id } = req.params;
     
-    const result = await TradeExecutionService.cancelTrade(parseInt(id));
+    const trade = await db('trades')
+      .where({ id: parseInt(id), account_id: req.accountId })
+      .first();
+    
+    if (!trade) {
+      return res.status(404).json({ error: 'Trade not found' });
+    }
+    
+    const liquidate = req.body.liquidate === true || req.body.liquidate === 'true';
+    const result = await TradeExecutionService.cancelTrade(parseInt(id), { liquidate });
     res.json(result);
     
   } catch (error) {
+    // Unknown trades (404), trades already closed or being closed (409)
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     logger.error('Error cancelling trade:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+/**
+ * Run a manual intervention on one of the account's trades and broadcast
+ * the updated trade
+ */
+async function intervene(req, res, action, run) {
+  try {
+    const db = database.getDb();
+    const tradeId = parseInt(req.params.id);
+
+    const trade = await db('trades')
+      .where({ id: tradeId, account_id: req.accountId })
+      .first();
+
+    if (!trade) {
+      return res.status(404).json({ error: 'Trade not found' });
+    }
+
+    const result = await run(tradeId);
+    await TradeMonitor.broadcastTradeUpdate(tradeId);
+    res.json(result);
+
+  } catch (error) {
+    // Trades that are not active or being closed (409), bad prices / quantities (400)
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error(`Error ${action}:`, error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * POST /api/trades/:id/close
+ * Close an active trade at market now
+ */
+router.post('/:id/close', (req, res) =>
+  intervene(req, res, 'closing trade', (tradeId) =>
+    TradeExecutionService.closeTrade(tradeId)
+  )
+);
+
+/**
+ * POST /api/trades/:id/skip-phase
+ * Skip the current phase; its unsold shares move to the next phase
+ */
+router.post('/:id/skip-phase', (req, res) =>
+  intervene(req, res, 'skipping phase', (tradeId) =>
+    TradeExecutionService.skipPhase(tradeId)
+  )
+);
+
+/**
+ * POST /api/trades/:id/breakeven
+ * Move the current phase's stop to the entry price
+ */
+router.post('/:id/breakeven', (req, res) =>
+  intervene(req, res, 'moving stop to breakeven', (tradeId) =>
+    TradeExecutionService.moveStopToBreakeven(tradeId)
+  )
+);
+
+/**
+ * PATCH /api/trades/:id/phase
+ * Edit the take profit and/or stop loss of the current phase
+ */
+router.patch('/:id/phase',
+  [
+    body('takeProfitPrice').optional().isFloat({ gt: 0 }).withMessage('Take profit must be a positive number'),
+    body('stopLossPrice').optional().isFloat({ gt: 0 }).withMessage('Stop loss must be a positive number'),
+    body().custom(value => value.takeProfitPrice !== undefined || value.stopLossPrice !== undefined)
+      .withMessage('takeProfitPrice or stopLossPrice is required')
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { takeProfitPrice, stopLossPrice } = req.body;
+    return intervene(req, res, 'updating phase prices', (tradeId) =>
+      TradeExecutionService.updatePhasePrices(tradeId, {
+        takeProfitPrice: takeProfitPrice !== undefined ? parseFloat(takeProfitPrice) : null,
+        stopLossPrice: stopLossPrice !== undefined ? parseFloat(stopLossPrice) : null
+      })
+    );
+  }
+);
+
+/**
+ * POST /api/trades/:id/sell
+ * Sell part of an active trade at market
+ */
+router.post('/:id/sell',
+  [
+    body('qty').isFloat({ gt: 0 }).withMessage('Quantity must be a positive number')
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    return intervene(req, res, 'selling shares', (tradeId) =>
+      TradeExecutionService.sellShares(tradeId, parseFloat(req.body.qty))
+    );
+  }
+);
+
 /**
  * GET /api/trades/:id/orders
  * Get orders for a trade
@@ -237,8 +466,11 @@ router.get('/:id/orders', async (req, res) => {
     const { id } = req.params;
     
     const orders = await db('orders')
-      .where('trade_id', id)
-      .orderBy('created_at', 'desc');
+      .join('trades', 'trades.id', 'orders.trade_id')
+      .where('orders.trade_id', id)
+      .where('trades.account_id', req.accountId)
+      .orderBy('orders.created_at', 'desc')
+      .select('orders.*');
     
     res.json(orders);
     
@@ -255,11 +487,12 @@ router.get('/:id/orders', async (req, res) => {
 router.get('/quote/:symbol', async (req, res) => {
   try {
     const { symbol } = req.params;
+    const broker = await BrokerService.forAccount(req.accountId);
     
     const [asset, quote, latestTrade] = await Promise.all([
-      AlpacaService.getAsset(symbol.toUpperCase()),
-      AlpacaService.getLatestQuote(symbol.toUpperCase()).catch(() => null),
-      AlpacaService.getLatestTrade(symbol.toUpperCase()).catch(() => null)
+      broker.getAsset(symbol.toUpperCase()),
+      broker.getLatestQuote(symbol.toUpperCase()).catch(() => null),
+      broker.getLatestTrade(symbol.toUpperCase()).catch(() => null)
     ]);
     
     res.json({
@@ -286,7 +519,8 @@ router.get('/quote/:symbol', async (req, res) => {
 router.post('/calculate',
   [
     body('symbol').notEmpty(),
-    body('entryPrice').isFloat({ gt: 0 })
+    body('entryPrice').isFloat({ gt: 0 }),
+    body('side').optional().isIn(['long', 'short'])
   ],
   async (req, res) => {
     try {
@@ -295,16 +529,13 @@ router.post('/calculate',
         return res.status(400).json({ errors: errors.array() });
       }
       
-      const { symbol, entryPrice, positionSize: customPositionSize, templateId } = req.body;
+      const { symbol, entryPrice, positionSize: customPositionSize, templateId, side = 'long' } = req.body;
       const db = database.getDb();
       
       // Get account and settings
-      const account = await AlpacaService.getAccount();
-      const settings = await db('settings').select('*');
-      const settingsMap = {};
-      settings.forEach(s => {
-        settingsMap[s.key] = s.type === 'number' ? parseFloat(s.value) : s.value;
-      });
+      const broker = await BrokerService.forAccount(req.accountId);
+      const account = await broker.getAccount();
+      const settingsMap = await SettingsService.getAll(req.accountId);
       
       const startingCapital = settingsMap.starting_capital || account.portfolio_value;
       const tradeSizePercent = settingsMap.trade_size_percent || 20;
@@ -313,33 +544,40 @@ router.post('/calculate',
       // Get template
       let template;
       if (templateId) {
-        template = await db('templates').where('id', templateId).first();
+        template = await db('templates').where({ id: templateId, account_id: req.accountId }).first();
       } else {
-        template = await db('templates').where('is_active', true).first();
+        template = await db('templates').where({ is_active: true, account_id: req.accountId }).first();
       }
       
-      const phases = template ? (typeof template.phases === 'string' ? JSON.parse(template.phases) : template.phases) : [];
+      const phases = template ? parsePhases(template.phases) : [];
       
-      // Calculate shares
+      // Calculate shares (fractional for fractionable long entries when enabled)
       const price = parseFloat(entryPrice);
-      const totalShares = Math.floor(positionSize / price);
+      let fractional = false;
+      if (settingsMap.fractional_shares === true && side !== 'short') {
+        const asset = await broker.getAsset(symbol.toUpperCase());
+        fractional = !!(asset && asset.fractionable);
+      }
+      const totalShares = sharesForAmount(positionSize, price, fractional);
       const actualPositionSize = totalShares * price;
       
       // Calculate phase details
-      let sharesAllocated = 0;
-      const phaseDetails = phases.map((phase, idx) => {
-        const sharesToSell = idx === phases.length - 1
-          ? totalShares - sharesAllocated
-          : Math.floor(totalShares * (phase.sell_pct / 100));
-        sharesAllocated += sharesToSell;
-        
-        return {
-          phase: phase.phase,
-          take_profit_price: price * (1 + phase.take_profit_pct / 100),
-          stop_loss_price: price * (1 + phase.stop_loss_pct / 100),
-          shares_to_sell: sharesToSell,
-          sell_pct: phase.sell_pct
-        };
+      const phaseDetails = buildPhasePlan(phases, totalShares, price, side, fractional).map(phase => ({
+        phase: phase.phase_number,
+        take_profit_price: phase.take_profit_price,
+        stop_loss_price: phase.stop_loss_price,
+        shares_to_sell: phase.shares_to_sell,
+        sell_pct: phase.sell_pct
+      }));
+      
+      // Pre-trade risk rules, reported without rejecting
+      const risk = await RiskService.evaluate({
+        accountId: req.accountId,
+        symbol,
+        entryPrice: price,
+        positionSize: actualPositionSize,
+        account,
+        settings: settingsMap
       });
       
       // Calculate max risk and max reward
@@ -348,9 +586,11 @@ router.post('/calculate',
       
       res.json({
         symbol: symbol.toUpperCase(),
+        side,
         entry_price: price,
         position_size: actualPositionSize,
         total_shares: totalShares,
+        fractional,
         starting_capital: startingCapital,
         trade_size_percent: tradeSizePercent,
         buying_power: account.buying_power,
@@ -363,7 +603,8 @@ router.post('/calculate',
         max_risk_pct: maxRisk,
         max_reward_pct: maxReward,
         max_risk_amount: actualPositionSize * (Math.abs(maxRisk) / 100),
-        max_reward_amount: actualPositionSize * (maxReward / 100)
+        max_reward_amount: actualPositionSize * (maxReward / 100),
+        risk
       });
       
     } catch (error) {
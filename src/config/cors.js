@@ -0,0 +1,21 @@
+/**
+ * Origins allowed to call the API and open Socket.io connections.
+ * Set CORS_ORIGINS to a comma-separated list to override the defaults.
+ */
+
+const DEFAULT_ORIGINS = [
+  'https://rze.co',
+  'https://backend.rze.co',
+  'http://localhost:3000'
+];
+
+function getAllowedOrigins() {
+  if (!process.env.CORS_ORIGINS) return DEFAULT_ORIGINS;
+
+  return process.env.CORS_ORIGINS
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+}
+
+module.exports = { getAllowedOrigins };
@@ -16,9 +16,12 @@ const rateLimit = require("express-rate-limit");
 
 const logger = require("./utils/logger");
 const database = require("./config/database");
-const AlpacaService = require("./services/AlpacaService");
+const { getAllowedOrigins } = require("./config/cors");
+const BrokerService = require("./services/BrokerService");
 const TradeMonitor = require("./services/TradeMonitor");
 const TradeReconciliationService = require("./services/TradeReconciliationService");
+const OrderUpdateQueue = require("./services/OrderUpdateQueue");
+const TradingHaltService = require("./services/TradingHaltService");
 
 const WebSocketManager = require("./websocket/WebSocketManager");
 const NotificationService = require("./services/NotificationService");
@@ -29,6 +32,12 @@ const tradeRoutes = require("./api/routes/trades");
 const templateRoutes = require("./api/routes/templates");
 const settingsRoutes = require("./api/routes/settings");
 const historyRoutes = require("./api/routes/history");
+const adminRoutes = require("./api/routes/admin");
+const authRoutes = require("./api/routes/auth");
+const accountsRoutes = require("./api/routes/accounts");
+const reconciliationRoutes = require("./api/routes/reconciliation");
+const { requireAuth, requireRole } = require("./api/middleware/auth");
+const { requireAccount } = require("./api/middleware/account");
 
 const app = express();
 const server = http.createServer(app);
@@ -45,10 +54,16 @@ app.use(
 );
 
 // CORS configuration
+const allowedOrigins = getAllowedOrigins();
 app.use(
   cors({
     origin: (origin, callback) => {
-      callback(null, true); // allow all origins
+      // Requests without an Origin header (curl, server-to-server) are
+      // not subject to CORS; they still need to authenticate
+      if (!origin || allowedOrigins.includes(origin)) {
+        return callback(null, true);
+      }
+      callback(null, false);
     },
     credentials: true,
   })
@@ -79,16 +94,25 @@ app.use((req, res, next) => {
 // API ROUTES
 // ===========================================
 
-app.use("/api/account", accountRoutes);
-app.use("/api/trades", tradeRoutes);
-app.use("/api/templates", templateRoutes);
-app.use("/api/settings", settingsRoutes);
-app.use("/api/history", historyRoutes);
+// Login and registration handle their own authentication
+app.use("/api/auth", authRoutes);
+
+// Everything else requires a session or API token
+app.use("/api/accounts", requireAuth, accountsRoutes);
+app.use("/api/admin", requireAuth, requireRole("admin"), adminRoutes);
+
+// Account-scoped routes act on the account picked by X-Account-Id
+app.use("/api/account", requireAuth, requireAccount, accountRoutes);
+app.use("/api/trades", requireAuth, requireAccount, tradeRoutes);
+app.use("/api/templates", requireAuth, requireAccount, templateRoutes);
+app.use("/api/settings", requireAuth, requireAccount, settingsRoutes);
+app.use("/api/history", requireAuth, requireAccount, historyRoutes);
+app.use("/api/reconciliation", requireAuth, requireAccount, reconciliationRoutes);
 
 // Health check endpoint
 app.get("/api/health", async (req, res) => {
   try {
-    const alpacaStatus = await AlpacaService.getConnectionStatus();
+    const brokerStatus = await BrokerService.getConnectionStatus();
     const dbStatus = await database.checkConnection();
 
     res.json({
@@ -96,12 +120,12 @@ app.get("/api/health", async (req, res) => {
       timestamp: new Date().toISOString(),
       services: {
         database: dbStatus ? "connected" : "disconnected",
-        alpaca: alpacaStatus,
+        broker: brokerStatus,
         websocket: WebSocketManager.isConnected()
           ? "connected"
           : "disconnected",
       },
-      tradingMode: process.env.TRADING_MODE || "paper",
+      tradingMode: BrokerService.mode,
     });
   } catch (error) {
     res.status(500).json({
@@ -133,15 +157,20 @@ async function initializeServices() {
   try {
     logger.info("🚀 Starting RZE Trading Platform...");
 
+    if (!process.env.JWT_SECRET) {
+      throw new Error("JWT_SECRET must be set to sign login sessions");
+    }
+
     // 1. Connect to database
     logger.info("📦 Connecting to database...");
     await database.connect();
     logger.info("✅ Database connected");
 
-    // 2. Initialize Alpaca service
-    logger.info("📈 Initializing Alpaca service...");
-    await AlpacaService.initialize();
-    logger.info("✅ Alpaca service initialized");
+    // 2. Initialize the default account's broker (Alpaca, or the simulator
+    //    in sim mode); linked accounts connect on first use
+    logger.info("📈 Initializing broker service...");
+    await BrokerService.initialize();
+    logger.info("✅ Broker service initialized");
 
     // 3. Initialize WebSocket manager for real-time updates
     logger.info("🔌 Starting WebSocket manager...");
@@ -153,30 +182,41 @@ async function initializeServices() {
     await NotificationService.initialize();
     logger.info("✅ Notification service initialized");
 
-    // 5. Start trade monitor (watches for phase transitions)
+    // 5. Start the order update queue (processes fills)
+    logger.info("📥 Starting order update queue...");
+    await OrderUpdateQueue.start();
+    logger.info("✅ Order update queue started");
+
+    // 6. Load trading halts (kill switch state survives restarts)
+    await TradingHaltService.load();
+
+    // 7. Recover trades a crash left without protective orders
+    logger.info("🩺 Recovering interrupted trades...");
+    await TradeReconciliationService.recoverOnStartup();
+    logger.info("✅ Trade recovery completed");
+
+    // 8. Start trade monitor (watches for phase transitions)
     logger.info("👁️ Starting trade monitor...");
     await TradeMonitor.start();
     logger.info("✅ Trade monitor started");
 
-    //  // 6. Start trade Reconciliation Service (watches for missing trade events fill)
+    //  // 9. Start trade Reconciliation Service (watches for missing trade events fill)
     // logger.info("👁️ Starting trade reconciliation...");
     // await TradeReconciliationService.start();
     // logger.info("✅ Trade reconciliation started");
 
-    // 7. Start the server
+    // 10. Start the server
     const PORT = process.env.PORT || 3001;
     server.listen(PORT, () => {
       logger.info(`✅ Server running on port ${PORT}`);
-      logger.info(`📊 Trading Mode: ${process.env.TRADING_MODE || "paper"}`);
+      logger.info(`📊 Trading Mode: ${BrokerService.mode}`);
       logger.info("🎯 RZE Trading Platform is ready!");
 
       // Send startup notification
       NotificationService.send({
         type: "system",
         title: "RZE Trading Platform Started",
-        message: `Platform is now running in ${
-          process.env.TRADING_MODE || "paper"
-        } mode.`,
+        message: `Platform is now running in ${BrokerService.mode} mode.`,
       });
     });
   } catch (error) {
@@ -202,13 +242,17 @@ async function shutdown(signal) {
     await TradeMonitor.stop();
     logger.info("✅ Trade monitor stopped");
 
+    // Stop processing queued fills
+    await OrderUpdateQueue.stop();
+    logger.info("✅ Order update queue stopped");
+
     // Close WebSocket connections
     WebSocketManager.shutdown();
     logger.info("✅ WebSocket connections closed");
 
-    // Disconnect from Alpaca
-    await AlpacaService.disconnect();
-    logger.info("✅ Alpaca disconnected");
+    // Disconnect from broker
+    await BrokerService.disconnect();
+    logger.info("✅ Broker disconnected");
 
     // Close database connection
     await database.disconnect();
@@ -0,0 +1,241 @@
+/**
+ * RZE Trading Platform - Account Service
+ *
+ * Broker accounts linked by users. Each account has its own Alpaca
+ * credentials (encrypted at rest), trades, templates, settings and
+ * notifications.
+ *
+ * The default account (account_id null) is the one configured through the
+ * ALPACA_* environment variables; only admins can use it.
+ */
+
+const database = require("../config/database");
+const BrokerService = require("./BrokerService");
+const { encrypt } = require("../utils/encryption");
+const logger = require("../utils/logger");
+
+class AccountError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "AccountError";
+    this.status = status;
+  }
+}
+
+class AccountService {
+  /**
+   * Accounts linked by a user
+   */
+  async listForUser(userId) {
+    const db = database.getDb();
+
+    const accounts = await db("accounts")
+      .where("user_id", userId)
+      .orderBy("id");
+
+    return accounts.map((a) => this.toPublicAccount(a));
+  }
+
+  /**
+   * Active linked accounts of every user (one trade stream each)
+   */
+  async listActive() {
+    const db = database.getDb();
+    return db("accounts").where("is_active", true).orderBy("id");
+  }
+
+  /**
+   * An account the user owns, or null
+   */
+  async getForUser(userId, accountId) {
+    const db = database.getDb();
+    return db("accounts").where({ id: accountId, user_id: userId }).first();
+  }
+
+  /**
+   * Resolve the account a request acts on
+   *
+   * Returns { accountId } where accountId is null for the default account.
+   * Without an explicit account, users act on their first active account
+   * and admins without linked accounts on the default account.
+   *
+   * @param {Object} user - Authenticated user
+   * @param {string|number} requestedId - Requested account id, 'default' or empty
+   */
+  async resolveForUser(user, requestedId = null) {
+    if (requestedId === "default") {
+      if (user.role !== "admin") {
+        throw new AccountError("Only admins can use the default account", 403);
+      }
+      return { accountId: null };
+    }
+
+    if (requestedId) {
+      const account = await this.getForUser(user.id, parseInt(requestedId));
+      if (!account) {
+        throw new AccountError("Account not found", 404);
+      }
+      if (!account.is_active) {
+        throw new AccountError(`Account ${account.name} is disabled`, 403);
+      }
+      return { accountId: account.id };
+    }
+
+    const db = database.getDb();
+    const account = await db("accounts")
+      .where({ user_id: user.id, is_active: true })
+      .orderBy("id")
+      .first();
+
+    if (account) {
+      return { accountId: account.id };
+    }
+
+    if (user.role === "admin") {
+      return { accountId: null };
+    }
+
+    throw new AccountError("No broker account linked", 400);
+  }
+
+  /**
+   * Link a broker account. The credentials are checked against the broker
+   * before the account is saved.
+   *
+   * @param {number} userId
+   * @param {Object} params
+   * @param {string} params.name - Label for the account
+   * @param {string} params.broker - 'alpaca' or 'sim'
+   * @param {string} params.mode - 'paper' or 'live'
+   * @param {string} params.apiKey - Alpaca API key id
+   * @param {string} params.secretKey - Alpaca secret key
+   * @param {string} params.baseUrl - Optional Alpaca API base URL
+   */
+  async createAccount(
+    userId,
+    { name, broker = "alpaca", mode = "paper", apiKey, secretKey, baseUrl = null }
+  ) {
+    const db = database.getDb();
+
+    if (broker === "alpaca" && (!apiKey || !secretKey)) {
+      throw new AccountError("apiKey and secretKey are required for Alpaca accounts", 400);
+    }
+
+    const account = await db.transaction(async (trx) => {
+      const [created] = await trx("accounts")
+        .insert({
+          user_id: userId,
+          name,
+          broker,
+          mode,
+          api_key_encrypted: apiKey ? encrypt(apiKey) : null,
+          secret_key_encrypted: secretKey ? encrypt(secretKey) : null,
+          base_url: baseUrl,
+        })
+        .returning("*");
+
+      await this._copyDefaultTemplates(trx, created.id);
+
+      return created;
+    });
+
+    // Verify the credentials; drop the account if the broker rejects them
+    try {
+      await BrokerService.forAccount(account.id);
+    } catch (error) {
+      await BrokerService.removeAccount(account.id);
+      await db("accounts").where("id", account.id).delete();
+      throw new AccountError(`Could not connect to broker: ${error.message}`, 400);
+    }
+
+    logger.info(`Account linked: ${name}`, { userId, accountId: account.id, broker, mode });
+
+    return this.toPublicAccount(account);
+  }
+
+  /**
+   * Update an account's name, status or credentials
+   */
+  async updateAccount(account, { name, isActive, apiKey, secretKey, baseUrl }) {
+    const db = database.getDb();
+
+    const updates = { updated_at: db.fn.now() };
+    if (name !== undefined) updates.name = name;
+    if (isActive !== undefined) updates.is_active = isActive;
+    if (apiKey) updates.api_key_encrypted = encrypt(apiKey);
+    if (secretKey) updates.secret_key_encrypted = encrypt(secretKey);
+    if (baseUrl !== undefined) updates.base_url = baseUrl;
+
+    const [updated] = await db("accounts")
+      .where("id", account.id)
+      .update(updates)
+      .returning("*");
+
+    // Reconnect with the new settings on next use
+    await BrokerService.removeAccount(account.id);
+
+    return this.toPublicAccount(updated);
+  }
+
+  /**
+   * Unlink an account (its trades, templates and settings are deleted)
+   */
+  async deleteAccount(account) {
+    const db = database.getDb();
+
+    const openTrade = await db("trades")
+      .where("account_id", account.id)
+      .whereIn("status", ["pending", "active"])
+      .first();
+    if (openTrade) {
+      throw new AccountError("Account has open trades - close or cancel them first", 409);
+    }
+
+    await BrokerService.removeAccount(account.id);
+    await db("accounts").where("id", account.id).delete();
+
+    logger.info(`Account unlinked: ${account.name}`, { accountId: account.id });
+  }
+
+  /**
+   * Account fields safe to return from the API (never the credentials)
+   */
+  toPublicAccount(account) {
+    return {
+      id: account.id,
+      name: account.name,
+      broker: account.broker,
+      mode: account.mode,
+      base_url: account.base_url,
+      has_credentials: !!account.api_key_encrypted,
+      is_active: account.is_active,
+      created_at: account.created_at,
+      updated_at: account.updated_at,
+    };
+  }
+
+  /**
+   * Give a new account its own copy of the default templates (every
+   * template column but the ids and timestamps)
+   */
+  async _copyDefaultTemplates(trx, accountId) {
+    const templates = await trx("templates").whereNull("account_id");
+    if (templates.length === 0) return;
+
+    await trx("templates").insert(
+      templates.map((t) => ({
+        account_id: accountId,
+        name: t.name,
+        description: t.description,
+        is_active: t.is_active,
+        is_default: t.is_default,
+        phases: JSON.stringify(t.phases),
+        entry_tranches: t.entry_tranches ? JSON.stringify(t.entry_tranches) : null,
+      }))
+    );
+  }
+}
+
+// Export singleton instance
+module.exports = new AccountService();
+module.exports.AccountError = AccountError;
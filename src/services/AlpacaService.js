@@ -6,12 +6,21 @@
  */
 
 const Alpaca = require("@alpacahq/alpaca-trade-api");
+const Broker = require("./brokers/Broker");
 const logger = require("../utils/logger");
 
-class AlpacaService {
-  constructor() {
+class AlpacaService extends Broker {
+  /**
+   * @param {Object} options
+   * @param {string} options.mode - 'paper' or 'live' (default: TRADING_MODE)
+   * @param {Object} options.credentials - { keyId, secretKey, baseUrl } of a
+   *   linked account; the ALPACA_* environment variables are used when omitted
+   */
+  constructor({ mode = null, credentials = null } = {}) {
+    super();
     this.client = null;
-    this.mode = null;
+    this.mode = mode;
+    this.credentials = credentials;
     this.account = null;
     this.isInitialized = false;
   }
@@ -21,31 +30,9 @@ class AlpacaService {
    */
   async initialize() {
     try {
-      this.mode = process.env.TRADING_MODE || "paper";
-
-      const config = {
-        keyId:
-          this.mode === "live"
-            ? process.env.ALPACA_LIVE_API_KEY
-            : process.env.ALPACA_PAPER_API_KEY,
-        secretKey:
-          this.mode === "live"
-            ? process.env.ALPACA_LIVE_SECRET_KEY
-            : process.env.ALPACA_PAPER_SECRET_KEY,
-        baseUrl:
-          this.mode === "live"
-            ? process.env.ALPACA_LIVE_BASE_URL
-            : process.env.ALPACA_PAPER_BASE_URL,
-        paper: this.mode === "paper",
-      };
+      this.mode = this.mode || process.env.TRADING_MODE || "paper";
 
-      if (!config.keyId || !config.secretKey) {
-        throw new Error(
-          `Alpaca API credentials not configured for ${this.mode} mode`
-        );
-      }
-
-      this.client = new Alpaca(config);
+      this.client = new Alpaca(this._getClientConfig());
 
       // Verify connection by fetching account
       this.account = await this.client.getAccount();
@@ -136,18 +123,7 @@ class AlpacaService {
   async getPositions() {
     try {
       const positions = await this.client.getPositions();
-      return positions.map((p) => ({
-        symbol: p.symbol,
-        qty: parseInt(p.qty),
-        side: p.side,
-        market_value: parseFloat(p.market_value),
-        cost_basis: parseFloat(p.cost_basis),
-        unrealized_pl: parseFloat(p.unrealized_pl),
-        unrealized_plpc: parseFloat(p.unrealized_plpc),
-        current_price: parseFloat(p.current_price),
-        avg_entry_price: parseFloat(p.avg_entry_price),
-        change_today: parseFloat(p.change_today),
-      }));
+      return positions.map((p) => this._formatPosition(p));
     } catch (error) {
       logger.error("Error fetching positions:", error);
       throw error;
@@ -160,17 +136,7 @@ class AlpacaService {
   async getPosition(symbol) {
     try {
       const position = await this.client.getPosition(symbol);
-      return {
-        symbol: position.symbol,
-        qty: parseInt(position.qty),
-        side: position.side,
-        market_value: parseFloat(position.market_value),
-        cost_basis: parseFloat(position.cost_basis),
-        unrealized_pl: parseFloat(position.unrealized_pl),
-        unrealized_plpc: parseFloat(position.unrealized_plpc),
-        current_price: parseFloat(position.current_price),
-        avg_entry_price: parseFloat(position.avg_entry_price),
-      };
+      return this._formatPosition(position);
     } catch (error) {
       if (error.statusCode === 404) {
         return null; // No position
@@ -264,6 +230,36 @@ class AlpacaService {
     }
   }
 
+  /**
+   * Get daily bars for the last `days` sessions
+   */
+  async getDailyBars(symbol, days = 20) {
+    try {
+      // Calendar days back, enough to cover weekends and holidays
+      const start = new Date(Date.now() - (days * 2 + 10) * 24 * 60 * 60 * 1000);
+
+      const bars = [];
+      for await (const bar of this.client.getBarsV2(symbol, {
+        start: start.toISOString(),
+        timeframe: this.client.newTimeframe(1, this.client.timeframeUnit.DAY),
+      })) {
+        bars.push({
+          timestamp: bar.Timestamp,
+          open: parseFloat(bar.OpenPrice),
+          high: parseFloat(bar.HighPrice),
+          low: parseFloat(bar.LowPrice),
+          close: parseFloat(bar.ClosePrice),
+          volume: parseInt(bar.Volume),
+        });
+      }
+
+      return bars.slice(-days);
+    } catch (error) {
+      logger.error(`Error fetching daily bars for ${symbol}:`, error);
+      throw error;
+    }
+  }
+
   // ===========================================
   // ORDER METHODS
   // ===========================================
@@ -301,6 +297,39 @@ class AlpacaService {
     }
   }
 
+  /**
+   * Place a market sell order (to close a position at once)
+   */
+  async placeMarketSellOrder(symbol, qty, clientOrderId = null) {
+    try {
+      const orderParams = {
+        symbol: symbol,
+        qty: qty,
+        side: "sell",
+        type: "market",
+        time_in_force: "day",
+        extended_hours: false,
+      };
+
+      if (clientOrderId) {
+        orderParams.client_order_id = clientOrderId;
+      }
+
+      logger.order("Placing market sell order", orderParams);
+      const order = await this.client.createOrder(orderParams);
+      logger.order("Market sell order placed", {
+        orderId: order.id,
+        symbol,
+        qty,
+      });
+
+      return this._formatOrder(order);
+    } catch (error) {
+      logger.error("Error placing market sell order:", error);
+      throw error;
+    }
+  }
+
   /**
    * Place a limit buy order (for entry)
    */
@@ -426,6 +455,96 @@ class AlpacaService {
     }
   }
 
+  /**
+   * Place an OCO (One-Cancels-Other) buy order
+   * Buy-to-cover phased exits of short trades
+   */
+  async placeOCOBuyOrder(
+    symbol,
+    qty,
+    takeProfitPrice,
+    stopLossPrice,
+    clientOrderId = null
+  ) {
+    try {
+      const tp = Number(takeProfitPrice);
+      const sl = Number(stopLossPrice);
+
+      if (Number.isNaN(tp) || Number.isNaN(sl)) {
+        throw new Error("Invalid takeProfitPrice or stopLossPrice");
+      }
+      const orderParams = {
+        symbol: symbol,
+        qty: qty,
+        side: "buy",
+        type: "limit",
+        time_in_force: "gtc",
+        order_class: "oco",
+        extended_hours: false,
+        take_profit: {
+          limit_price: tp.toFixed(2),
+        },
+        stop_loss: {
+          stop_price: sl.toFixed(2),
+        },
+      };
+
+      if (clientOrderId) {
+        orderParams.client_order_id = clientOrderId;
+      }
+
+      logger.order("Placing OCO buy order", orderParams);
+      const order = await this.client.createOrder(orderParams);
+      logger.order("OCO buy order placed", {
+        orderId: order.id,
+        symbol,
+        qty,
+        tp,
+        sl,
+      });
+
+      return this._formatOrder(order);
+    } catch (error) {
+      logger.error("Error placing OCO buy order:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Place a stop loss buy order (buy-to-cover)
+   */
+  async placeStopLossBuyOrder(symbol, qty, stopPrice, clientOrderId = null) {
+    try {
+      const orderParams = {
+        symbol: symbol,
+        qty: qty,
+        side: "buy",
+        type: "stop",
+        time_in_force: "gtc",
+        stop_price: Number(stopPrice).toFixed(2),
+        extended_hours: false,
+      };
+
+      if (clientOrderId) {
+        orderParams.client_order_id = clientOrderId;
+      }
+
+      logger.order("Placing stop loss buy order", orderParams);
+      const order = await this.client.createOrder(orderParams);
+      logger.order("Stop loss buy order placed", {
+        orderId: order.id,
+        symbol,
+        qty,
+        stopPrice,
+      });
+
+      return this._formatOrder(order);
+    } catch (error) {
+      logger.error("Error placing stop loss buy order:", error);
+      throw error;
+    }
+  }
+
   /**
    * Place a limit sell order
    */
@@ -461,6 +580,56 @@ class AlpacaService {
     }
   }
 
+  /**
+   * Place a simple order of any type (market, limit, stop, stop_limit)
+   */
+  async placeOrder({
+    symbol,
+    qty,
+    side,
+    type,
+    timeInForce = "gtc",
+    limitPrice = null,
+    stopPrice = null,
+    clientOrderId = null,
+  }) {
+    try {
+      const orderParams = {
+        symbol: symbol,
+        qty: qty,
+        side: side,
+        type: type,
+        time_in_force: timeInForce,
+        extended_hours: false,
+      };
+
+      if (limitPrice !== null) {
+        orderParams.limit_price = Number(limitPrice).toFixed(2);
+      }
+      if (stopPrice !== null) {
+        orderParams.stop_price = Number(stopPrice).toFixed(2);
+      }
+      if (clientOrderId) {
+        orderParams.client_order_id = clientOrderId;
+      }
+
+      logger.order(`Placing ${type} ${side} order`, orderParams);
+      const order = await this.client.createOrder(orderParams);
+      logger.order(`${type} ${side} order placed`, {
+        orderId: order.id,
+        symbol,
+        qty,
+        limitPrice,
+        stopPrice,
+      });
+
+      return this._formatOrder(order);
+    } catch (error) {
+      logger.error(`Error placing ${type} ${side} order:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Get order by ID
    */
@@ -617,42 +786,58 @@ class AlpacaService {
     return this.client.data_ws;
   }
 
+  /**
+   * Create a dedicated client for the trade_updates stream
+   *
+   * TradeMonitor owns this connection so it can reconnect it
+   * independently of the REST client.
+   */
+  createTradeUpdatesStream() {
+    return new Alpaca(this._getClientConfig()).trade_ws;
+  }
+
   // ===========================================
   // HELPER METHODS
   // ===========================================
 
   /**
-   * Format order response
-   */
-  _formatOrder(order) {
-    return {
-      id: order.id,
-      client_order_id: order.client_order_id,
-      symbol: order.symbol,
-      side: order.side,
-      type: order.type,
-      order_class: order.order_class,
-      qty: parseInt(order.qty),
-      filled_qty: parseInt(order.filled_qty || 0),
-      limit_price: order.limit_price ? parseFloat(order.limit_price) : null,
-      stop_price: order.stop_price ? parseFloat(order.stop_price) : null,
-      filled_avg_price: order.filled_avg_price
-        ? parseFloat(order.filled_avg_price)
-        : null,
-      status: order.status,
-      time_in_force: order.time_in_force,
-      extended_hours: order.extended_hours,
-      created_at: order.created_at,
-      updated_at: order.updated_at,
-      submitted_at: order.submitted_at,
-      filled_at: order.filled_at,
-      expired_at: order.expired_at,
-      cancelled_at: order.cancelled_at,
-      failed_at: order.failed_at,
-      legs: order.legs ? order.legs.map((leg) => this._formatOrder(leg)) : null,
+   * Build the Alpaca client config for the current mode
+   */
+  _getClientConfig() {
+    const mode = this.mode || process.env.TRADING_MODE || "paper";
+
+    if (this.credentials) {
+      return {
+        keyId: this.credentials.keyId,
+        secretKey: this.credentials.secretKey,
+        baseUrl: this.credentials.baseUrl || undefined,
+        paper: mode === "paper",
+      };
+    }
+
+    const config = {
+      keyId:
+        mode === "live"
+          ? process.env.ALPACA_LIVE_API_KEY
+          : process.env.ALPACA_PAPER_API_KEY,
+      secretKey:
+        mode === "live"
+          ? process.env.ALPACA_LIVE_SECRET_KEY
+          : process.env.ALPACA_PAPER_SECRET_KEY,
+      baseUrl:
+        mode === "live"
+          ? process.env.ALPACA_LIVE_BASE_URL
+          : process.env.ALPACA_PAPER_BASE_URL,
+      paper: mode === "paper",
     };
+
+    if (!config.keyId || !config.secretKey) {
+      throw new Error(`Alpaca API credentials not configured for ${mode} mode`);
+    }
+
+    return config;
   }
 }
 
-// Export singleton instance
-module.exports = new AlpacaService();
+// Export the class - BrokerService creates one instance per account
+module.exports = AlpacaService;
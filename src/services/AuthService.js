@@ -0,0 +1,315 @@
+/**
+ * RZE Trading Platform - Auth Service
+ *
+ * User accounts, sessions and API tokens.
+ *
+ * - Passwords are hashed with scrypt and a per-user salt
+ * - Logging in issues a JWT session signed with JWT_SECRET
+ * - API tokens are random strings shown once at creation; only their
+ *   SHA-256 hash is stored. A token's scope is 'read' (GET requests
+ *   only) or 'trade' (everything its user can do)
+ */
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+const jwt = require("jsonwebtoken");
+const database = require("../config/database");
+const logger = require("../utils/logger");
+
+const scrypt = promisify(crypto.scrypt);
+
+const API_TOKEN_PREFIX = "rze_";
+const TOKEN_SCOPES = ["read", "trade"];
+const SCRYPT_KEY_LENGTH = 64;
+
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = "AuthError";
+    this.status = status;
+  }
+}
+
+class AuthService {
+  constructor() {
+    this.jwtExpiresIn = process.env.JWT_EXPIRES_IN || "12h";
+  }
+
+  /**
+   * Secret used to sign sessions
+   */
+  _getJwtSecret() {
+    const secret = process.env.JWT_SECRET;
+    if (!secret) {
+      throw new Error("JWT_SECRET is not configured");
+    }
+    return secret;
+  }
+
+  // ===========================================
+  // PASSWORDS
+  // ===========================================
+
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString("hex");
+    const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+    return `scrypt$${salt}$${hash.toString("hex")}`;
+  }
+
+  async verifyPassword(password, passwordHash) {
+    const [algorithm, salt, hash] = (passwordHash || "").split("$");
+    if (algorithm !== "scrypt" || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, "hex");
+    const actual = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  // ===========================================
+  // USERS
+  // ===========================================
+
+  /**
+   * Whether any user exists yet (the first user registers without auth)
+   */
+  async hasUsers() {
+    const db = database.getDb();
+    const { count } = await db("users").count("* as count").first();
+    return parseInt(count) > 0;
+  }
+
+  /**
+   * Create a user
+   *
+   * @param {Object} params
+   * @param {string} params.email
+   * @param {string} params.password
+   * @param {string} params.name
+   * @param {string} params.role - 'admin' or 'user'
+   */
+  async createUser({ email, password, name = null, role = "user" }) {
+    const db = database.getDb();
+    const normalizedEmail = email.trim().toLowerCase();
+
+    const existing = await db("users").where("email", normalizedEmail).first();
+    if (existing) {
+      throw new AuthError("A user with this email already exists", 409);
+    }
+
+    const [user] = await db("users")
+      .insert({
+        email: normalizedEmail,
+        password_hash: await this.hashPassword(password),
+        name,
+        role,
+      })
+      .returning("*");
+
+    logger.info(`User created: ${user.email}`, { userId: user.id, role });
+
+    return this.toPublicUser(user);
+  }
+
+  /**
+   * Check credentials and issue a session token
+   */
+  async login(email, password) {
+    const db = database.getDb();
+
+    const user = await db("users")
+      .where("email", email.trim().toLowerCase())
+      .first();
+
+    if (
+      !user ||
+      !user.is_active ||
+      !(await this.verifyPassword(password, user.password_hash))
+    ) {
+      throw new AuthError("Invalid email or password");
+    }
+
+    await db("users")
+      .where("id", user.id)
+      .update({ last_login_at: db.fn.now() });
+
+    const token = jwt.sign(
+      { sub: user.id, email: user.email, role: user.role },
+      this._getJwtSecret(),
+      { expiresIn: this.jwtExpiresIn }
+    );
+
+    logger.info(`User logged in: ${user.email}`, { userId: user.id });
+
+    return { token, expiresIn: this.jwtExpiresIn, user: this.toPublicUser(user) };
+  }
+
+  /**
+   * User fields safe to return from the API
+   */
+  toPublicUser(user) {
+    return {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      is_active: user.is_active,
+      last_login_at: user.last_login_at,
+      created_at: user.created_at,
+    };
+  }
+
+  // ===========================================
+  // API TOKENS
+  // ===========================================
+
+  _hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+  }
+
+  /**
+   * Create an API token. The plaintext token is only returned here.
+   *
+   * @param {number} userId
+   * @param {Object} params
+   * @param {string} params.name - Label for the token
+   * @param {string} params.scope - 'read' or 'trade'
+   * @param {Date} params.expiresAt - Optional expiry
+   */
+  async createApiToken(userId, { name, scope = "read", expiresAt = null }) {
+    if (!TOKEN_SCOPES.includes(scope)) {
+      throw new AuthError(`Scope must be one of: ${TOKEN_SCOPES.join(", ")}`, 400);
+    }
+
+    const db = database.getDb();
+    const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString("hex");
+
+    const [record] = await db("api_tokens")
+      .insert({
+        user_id: userId,
+        name,
+        token_hash: this._hashToken(token),
+        token_prefix: token.slice(0, API_TOKEN_PREFIX.length + 8),
+        scope,
+        expires_at: expiresAt,
+      })
+      .returning("*");
+
+    logger.info(`API token created: ${name}`, { userId, scope });
+
+    return { token, apiToken: this.toPublicToken(record) };
+  }
+
+  async listApiTokens(userId) {
+    const db = database.getDb();
+
+    const tokens = await db("api_tokens")
+      .where("user_id", userId)
+      .orderBy("created_at", "desc");
+
+    return tokens.map((t) => this.toPublicToken(t));
+  }
+
+  /**
+   * Revoke one of a user's tokens. Returns false if it does not exist.
+   */
+  async revokeApiToken(userId, tokenId) {
+    const db = database.getDb();
+
+    const updated = await db("api_tokens")
+      .where({ id: tokenId, user_id: userId })
+      .whereNull("revoked_at")
+      .update({ revoked_at: db.fn.now() });
+
+    return updated > 0;
+  }
+
+  toPublicToken(record) {
+    return {
+      id: record.id,
+      name: record.name,
+      token_prefix: record.token_prefix,
+      scope: record.scope,
+      expires_at: record.expires_at,
+      last_used_at: record.last_used_at,
+      revoked_at: record.revoked_at,
+      created_at: record.created_at,
+    };
+  }
+
+  // ===========================================
+  // AUTHENTICATION
+  // ===========================================
+
+  /**
+   * Resolve a bearer credential (session JWT or API token)
+   *
+   * Returns { user, type: 'session' | 'api_token', scope, tokenId }.
+   * Throws AuthError if the credential is missing or invalid.
+   */
+  async authenticate(credential) {
+    if (!credential) {
+      throw new AuthError("Authentication required");
+    }
+
+    if (credential.startsWith(API_TOKEN_PREFIX)) {
+      return this._authenticateApiToken(credential);
+    }
+
+    return this._authenticateSession(credential);
+  }
+
+  async _authenticateSession(token) {
+    let claims;
+    try {
+      claims = jwt.verify(token, this._getJwtSecret());
+    } catch (error) {
+      throw new AuthError(
+        error.name === "TokenExpiredError" ? "Session expired" : "Invalid token"
+      );
+    }
+
+    const user = await this._getActiveUser(claims.sub);
+
+    return { user, type: "session", scope: "trade", tokenId: null };
+  }
+
+  async _authenticateApiToken(token) {
+    const db = database.getDb();
+
+    const record = await db("api_tokens")
+      .where("token_hash", this._hashToken(token))
+      .first();
+
+    if (!record || record.revoked_at) {
+      throw new AuthError("Invalid API token");
+    }
+
+    if (record.expires_at && new Date(record.expires_at) <= new Date()) {
+      throw new AuthError("API token expired");
+    }
+
+    const user = await this._getActiveUser(record.user_id);
+
+    await db("api_tokens")
+      .where("id", record.id)
+      .update({ last_used_at: db.fn.now() });
+
+    return { user, type: "api_token", scope: record.scope, tokenId: record.id };
+  }
+
+  async _getActiveUser(userId) {
+    const db = database.getDb();
+
+    const user = await db("users").where("id", userId).first();
+    if (!user || !user.is_active) {
+      throw new AuthError("User not found or disabled");
+    }
+
+    return this.toPublicUser(user);
+  }
+}
+
+// Export singleton instance
+module.exports = new AuthService();
+module.exports.AuthError = AuthError;
+module.exports.TOKEN_SCOPES = TOKEN_SCOPES;
@@ -0,0 +1,316 @@
+/**
+ * RZE Trading Platform - Backtest Service
+ *
+ * Replays historical OHLCV bars through a template's phases using the
+ * same rules as the live engine:
+ * - entry fills, then phase prices are recalculated from the fill price
+ * - each phase sells its shares at take profit, then the next phase starts
+ * - a stop loss hit closes the remaining position and ends the trade
+ * - trailing phases ratchet their stop up from the highest price seen
+ *
+ * Bars are expanded into ticks (see utils/priceData.barToTicks). Take
+ * profits fill at their limit price, stops at the tick that triggered them,
+ * matching the simulated broker.
+ */
+
+const { barToTicks } = require("../utils/priceData");
+const {
+  buildPhasePlan,
+  calculatePhasePrices,
+  calculateTrailingStop,
+  isTrailingPhase,
+  calculatePnl,
+  formatPhaseJourney,
+} = require("../utils/phases");
+const { summarizeTrades } = require("../utils/tradeStats");
+const logger = require("../utils/logger");
+
+const DEFAULT_POSITION_SIZE = 10000;
+
+class BacktestService {
+  /**
+   * Run a backtest
+   *
+   * @param {Object} params
+   * @param {Array} params.phases - Template phases
+   * @param {string} params.symbol - Stock symbol
+   * @param {Array} params.bars - OHLCV bars, oldest first
+   * @param {Object} params.entry - Entry rules
+   * @param {string} params.entry.type - 'market' (first tick) or 'limit' (at entry.price)
+   * @param {number} params.entry.price - Limit price for 'limit' entries
+   * @param {boolean} params.entry.reenter - Enter again after each trade closes
+   * @param {number} params.entry.max_trades - Stop after this many trades
+   * @param {number} params.positionSize - Position size in dollars
+   */
+  run({ phases, symbol, bars, entry = {}, positionSize = null }) {
+    const entryType = entry.type || "market";
+    const maxTrades = entry.reenter ? entry.max_trades || Infinity : 1;
+    const size = positionSize || DEFAULT_POSITION_SIZE;
+
+    if (entryType === "limit" && !(entry.price > 0)) {
+      throw new Error("Limit entries require a positive entry price");
+    }
+
+    const trades = [];
+    let trade = null;
+    let lastTick = null;
+
+    for (const bar of bars) {
+      for (const tick of barToTicks({ ...bar, symbol })) {
+        lastTick = tick;
+
+        if (!trade) {
+          if (trades.length >= maxTrades) break;
+
+          const fillPrice = this._matchEntry(entryType, entry.price, tick.price);
+          if (fillPrice !== null) {
+            trade = this._openTrade({
+              tradeNumber: trades.length + 1,
+              symbol,
+              phases,
+              fillPrice,
+              positionSize: size,
+              tick,
+            });
+            if (!trade) break;
+          }
+          continue;
+        }
+
+        if (this._processTick(trade, tick)) {
+          trades.push(trade);
+          trade = null;
+        }
+      }
+    }
+
+    // Close anything still open at the last price seen
+    if (trade && lastTick) {
+      this._closeRemaining(trade, lastTick, "end_of_data");
+      this._completeTrade(trade, "end_of_data", lastTick);
+      trades.push(trade);
+    }
+
+    logger.info("Backtest completed", {
+      symbol,
+      bars: bars.length,
+      trades: trades.length,
+    });
+
+    const results = trades.map((t) => this._formatTrade(t));
+
+    return {
+      symbol,
+      bars: bars.length,
+      start: bars.length > 0 ? bars[0].timestamp : null,
+      end: bars.length > 0 ? bars[bars.length - 1].timestamp : null,
+      trades: results,
+      summary: summarizeTrades(results),
+    };
+  }
+
+  /**
+   * Price the entry fills at, or null if it does not fill on this tick
+   */
+  _matchEntry(entryType, limitPrice, price) {
+    if (entryType === "market") return price;
+    return price <= limitPrice ? limitPrice : null;
+  }
+
+  /**
+   * Open a trade on an entry fill
+   */
+  _openTrade({ tradeNumber, symbol, phases, fillPrice, positionSize, tick }) {
+    const totalShares = Math.floor(positionSize / fillPrice);
+    if (totalShares < 1) return null;
+
+    // Phase prices are based on the fill, as in handleEntryFill
+    const phaseRows = buildPhasePlan(phases, totalShares, fillPrice).map(
+      (phase) => ({
+        ...phase,
+        status: "pending",
+        exit_price: null,
+        exit_type: null,
+        phase_pnl: null,
+        started_at: null,
+        completed_at: null,
+        high_water_price: null,
+      })
+    );
+
+    const trade = {
+      trade_number: tradeNumber,
+      symbol,
+      entry_price: fillPrice,
+      total_shares: totalShares,
+      remaining_shares: totalShares,
+      position_size: positionSize,
+      current_phase: 1,
+      entry_time: tick.timestamp,
+      exit_time: null,
+      exit_reason: null,
+      exit_phase: null,
+      realized_pnl: 0,
+      realized_pnl_pct: 0,
+      phases: phaseRows,
+    };
+
+    this._startPhase(trade, 1, tick);
+    return trade;
+  }
+
+  /**
+   * Activate a phase
+   */
+  _startPhase(trade, phaseNumber, tick) {
+    const phase = this._getPhase(trade, phaseNumber);
+    phase.status = "active";
+    phase.started_at = tick.timestamp;
+    Object.assign(phase, calculatePhasePrices(trade.entry_price, phase));
+    trade.current_phase = phaseNumber;
+  }
+
+  /**
+   * Apply a tick to an open trade. Returns true when the trade closed.
+   */
+  _processTick(trade, tick) {
+    const phase = this._getPhase(trade, trade.current_phase);
+
+    if (isTrailingPhase(phase)) {
+      this._ratchetStop(phase, tick.price);
+    }
+
+    if (tick.price <= phase.stop_loss_price) {
+      // Stop loss - close remaining position
+      this._closeRemaining(trade, tick, "stop_loss");
+      this._completeTrade(trade, "stopped_out", tick);
+      return true;
+    }
+
+    if (tick.price >= phase.take_profit_price) {
+      const fillPrice = phase.take_profit_price;
+
+      phase.status = "completed";
+      phase.exit_price = fillPrice;
+      phase.exit_type = "take_profit";
+      phase.phase_pnl = calculatePnl(
+        trade.entry_price,
+        fillPrice,
+        phase.shares_to_sell
+      );
+      phase.completed_at = tick.timestamp;
+      trade.remaining_shares -= phase.shares_to_sell;
+
+      const isLastPhase = phase.phase_number >= trade.phases.length;
+      if (isLastPhase || trade.remaining_shares <= 0) {
+        this._completeTrade(trade, `phase_${phase.phase_number}_complete`, tick);
+        return true;
+      }
+
+      this._startPhase(trade, phase.phase_number + 1, tick);
+    }
+
+    return false;
+  }
+
+  /**
+   * Raise a trailing phase's stop, as TrailingStopService does live
+   */
+  _ratchetStop(phase, price) {
+    if (phase.high_water_price !== null && price <= phase.high_water_price) {
+      return;
+    }
+
+    phase.high_water_price = price;
+    const newStop =
+      Math.round(calculateTrailingStop(price, phase) * 100) / 100;
+    if (newStop > phase.stop_loss_price) {
+      phase.stop_loss_price = newStop;
+    }
+  }
+
+  /**
+   * Sell all remaining shares at the tick price against the current phase
+   */
+  _closeRemaining(trade, tick, exitType) {
+    const phase = this._getPhase(trade, trade.current_phase);
+
+    phase.status = "completed";
+    phase.exit_price = tick.price;
+    phase.exit_type = exitType;
+    phase.phase_pnl = calculatePnl(
+      trade.entry_price,
+      tick.price,
+      trade.remaining_shares
+    );
+    phase.completed_at = tick.timestamp;
+    trade.remaining_shares = 0;
+  }
+
+  /**
+   * Complete a trade and calculate final P&L, as in completeTrade
+   */
+  _completeTrade(trade, exitReason, tick) {
+    const realized = trade.phases.filter((p) => p.phase_pnl !== null);
+    const totalPnl = realized.reduce((sum, p) => sum + p.phase_pnl, 0);
+    const lastCompletedPhase = trade.phases
+      .filter((p) => p.status === "completed")
+      .sort((a, b) => b.phase_number - a.phase_number)[0];
+
+    trade.realized_pnl = totalPnl;
+    trade.realized_pnl_pct = (totalPnl / trade.position_size) * 100;
+    trade.exit_reason = exitReason;
+    trade.exit_phase = lastCompletedPhase?.phase_number || 1;
+    trade.exit_time = tick.timestamp;
+  }
+
+  /**
+   * Shape a trade like a trade history entry with its phase journey
+   */
+  _formatTrade(trade) {
+    const journey = trade.phases.map((phase) =>
+      formatPhaseJourney(phase, trade.entry_price)
+    );
+    const completedPhases = trade.phases.filter(
+      (p) => p.status === "completed"
+    );
+
+    return {
+      trade_number: trade.trade_number,
+      symbol: trade.symbol,
+      entry_price: trade.entry_price,
+      total_shares: trade.total_shares,
+      position_size: trade.position_size,
+      entry_time: trade.entry_time,
+      exit_time: trade.exit_time,
+      exit_reason: trade.exit_reason,
+      exit_phase: trade.exit_phase,
+      realized_pnl: trade.realized_pnl,
+      realized_pnl_pct: trade.realized_pnl_pct,
+      duration_minutes:
+        trade.entry_time && trade.exit_time
+          ? Math.round(
+              (new Date(trade.exit_time) - new Date(trade.entry_time)) / 60000
+            )
+          : null,
+      journey: {
+        total_phases: trade.phases.length,
+        completed_phases: completedPhases.length,
+        phases: journey,
+        phases_won: completedPhases.filter((p) => p.exit_type === "take_profit")
+          .length,
+        phases_stopped: completedPhases.filter(
+          (p) => p.exit_type === "stop_loss"
+        ).length,
+        total_shares_sold: trade.total_shares - trade.remaining_shares,
+      },
+    };
+  }
+
+  _getPhase(trade, phaseNumber) {
+    return trade.phases.find((p) => p.phase_number === phaseNumber);
+  }
+}
+
+// Export singleton instance
+module.exports = new BacktestService();
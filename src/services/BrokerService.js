@@ -0,0 +1,258 @@
+/**
+ * RZE Trading Platform - Broker Service
+ *
+ * Resolves the broker every other service trades through, one per
+ * account:
+ * - the default account (account_id null) uses the ALPACA_* environment
+ *   credentials and TRADING_MODE, as a single-account install always has
+ * - linked accounts use their own (encrypted) Alpaca credentials, or an
+ *   in-process SimulatedBroker for broker 'sim'
+ *
+ * TRADING_MODE 'sim' runs every account against the simulator so the
+ * whole platform can run offline. Otherwise TRADING_MODE is only the
+ * default account's mode at startup; TradingModeService switches it at
+ * runtime.
+ */
+
+const database = require("../config/database");
+const AlpacaService = require("./AlpacaService");
+const SimulatedBroker = require("./brokers/SimulatedBroker");
+const SettingsService = require("./SettingsService");
+const { decrypt } = require("../utils/encryption");
+const logger = require("../utils/logger");
+
+const DEFAULT_ACCOUNT_KEY = "default";
+
+class BrokerService {
+  constructor() {
+    this.mode = process.env.TRADING_MODE || "paper";
+    this.brokers = new Map(); // account id (or 'default') -> initialized broker
+    this.pending = new Map(); // account id -> initialization in progress
+    this.switching = new Set(); // account keys with a mode switch in progress
+  }
+
+  /**
+   * Initialize the default account's broker if it is configured
+   */
+  async initialize() {
+    // The setting reflects the mode the default account starts in
+    await SettingsService.set(null, "trading_mode", this.mode);
+
+    if (!this.isDefaultAccountConfigured()) {
+      logger.warn(
+        "No ALPACA_* credentials configured - only linked accounts can trade"
+      );
+      return null;
+    }
+
+    const broker = await this.forAccount(null);
+    return broker.getAccount();
+  }
+
+  /**
+   * Whether the default account can be used in a mode (sim mode or env
+   * credentials)
+   *
+   * @param {string} mode - 'paper' or 'live' (default: current mode)
+   */
+  isDefaultAccountConfigured(mode = this.mode) {
+    if (mode === "sim") return true;
+
+    return mode === "live"
+      ? !!(process.env.ALPACA_LIVE_API_KEY && process.env.ALPACA_LIVE_SECRET_KEY)
+      : !!(
+          process.env.ALPACA_PAPER_API_KEY &&
+          process.env.ALPACA_PAPER_SECRET_KEY
+        );
+  }
+
+  /**
+   * Get the initialized broker for an account
+   *
+   * @param {number|null} accountId - accounts.id, or null for the default account
+   */
+  async forAccount(accountId) {
+    const key = accountId || DEFAULT_ACCOUNT_KEY;
+
+    if (this.brokers.has(key)) {
+      return this.brokers.get(key);
+    }
+
+    // Concurrent callers share one initialization
+    if (!this.pending.has(key)) {
+      this.pending.set(
+        key,
+        this._createBroker(accountId)
+          .then((broker) => {
+            this.brokers.set(key, broker);
+            return broker;
+          })
+          .finally(() => this.pending.delete(key))
+      );
+    }
+
+    return this.pending.get(key);
+  }
+
+  /**
+   * Get the broker a trade is managed through. A trade placed in another
+   * mode than its account is in now (left open by a forced mode switch)
+   * has no orders or shares at that broker and is refused.
+   *
+   * @param {Object} trade - trades row (id, account_id, trading_mode)
+   */
+  async forTrade(trade) {
+    const broker = await this.forAccount(trade.account_id);
+
+    if (trade.trading_mode && trade.trading_mode !== broker.mode) {
+      const error = new Error(
+        `Trade ${trade.id} was placed in ${trade.trading_mode} mode but its account is in ${broker.mode} mode`
+      );
+      error.status = 409;
+      throw error;
+    }
+
+    return broker;
+  }
+
+  /**
+   * Current trading mode of an account ('paper', 'live' or 'sim')
+   */
+  async getMode(accountId) {
+    if (!accountId || this.mode === "sim") return this.mode;
+
+    const db = database.getDb();
+    const account = await db("accounts").where("id", accountId).first();
+    if (!account) {
+      throw new Error(`Account ${accountId} not found`);
+    }
+
+    return account.broker === "sim" ? "sim" : account.mode;
+  }
+
+  /**
+   * Change the default account's mode (used by TradingModeService, which
+   * reconnects the broker afterwards)
+   */
+  setDefaultMode(mode) {
+    this.mode = mode;
+  }
+
+  /**
+   * Whether an account's mode is being switched (no new trades meanwhile)
+   */
+  isSwitching(accountId) {
+    return this.switching.has(accountId || DEFAULT_ACCOUNT_KEY);
+  }
+
+  /**
+   * Flag or unflag an account as switching modes
+   */
+  setSwitching(accountId, switching) {
+    const key = accountId || DEFAULT_ACCOUNT_KEY;
+    if (switching) {
+      this.switching.add(key);
+    } else {
+      this.switching.delete(key);
+    }
+  }
+
+  /**
+   * Build and initialize the broker for an account
+   */
+  async _createBroker(accountId) {
+    if (!accountId) {
+      if (!this.isDefaultAccountConfigured()) {
+        throw new Error(
+          "No broker account linked - link an account or configure ALPACA_* credentials"
+        );
+      }
+
+      const broker =
+        this.mode === "sim"
+          ? new SimulatedBroker()
+          : new AlpacaService({ mode: this.mode });
+      await broker.initialize();
+      return broker;
+    }
+
+    const db = database.getDb();
+    const account = await db("accounts").where("id", accountId).first();
+
+    if (!account) {
+      throw new Error(`Account ${accountId} not found`);
+    }
+    if (!account.is_active) {
+      throw new Error(`Account ${account.name} is disabled`);
+    }
+
+    let broker;
+    if (this.mode === "sim" || account.broker === "sim") {
+      broker = new SimulatedBroker();
+    } else {
+      broker = new AlpacaService({
+        mode: account.mode,
+        credentials: {
+          keyId: decrypt(account.api_key_encrypted),
+          secretKey: decrypt(account.secret_key_encrypted),
+          baseUrl: account.base_url,
+        },
+      });
+    }
+
+    await broker.initialize();
+
+    logger.info(`Broker ready for account ${account.name}`, {
+      accountId: account.id,
+      broker: account.broker,
+      mode: account.mode,
+    });
+
+    return broker;
+  }
+
+  /**
+   * Drop an account's broker (after its credentials change or it is
+   * unlinked) so the next use reconnects
+   */
+  async removeAccount(accountId) {
+    const key = accountId || DEFAULT_ACCOUNT_KEY;
+    const broker = this.brokers.get(key);
+
+    if (broker) {
+      this.brokers.delete(key);
+      await broker.disconnect();
+    }
+  }
+
+  /**
+   * Any initialized broker, for account-independent data (market clock)
+   */
+  async getAnyBroker() {
+    if (this.brokers.size > 0) {
+      return this.brokers.values().next().value;
+    }
+    return this.forAccount(null);
+  }
+
+  /**
+   * Connection status of the default account
+   */
+  async getConnectionStatus() {
+    const broker = this.brokers.get(DEFAULT_ACCOUNT_KEY);
+    return broker ? broker.getConnectionStatus() : "disconnected";
+  }
+
+  /**
+   * Disconnect every account's broker
+   */
+  async disconnect() {
+    for (const broker of this.brokers.values()) {
+      await broker.disconnect();
+    }
+    this.brokers.clear();
+  }
+}
+
+// Export singleton instance
+module.exports = new BrokerService();
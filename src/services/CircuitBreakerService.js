@@ -0,0 +1,237 @@
+/**
+ * RZE Trading Platform - Circuit Breaker Service
+ *
+ * Daily loss kill switch. On every periodic sync each account's P&L for
+ * the day - realized phase exits plus the intraday unrealized P&L of open
+ * positions - is compared with its `circuit_breaker_max_loss` setting.
+ * Once the loss reaches the limit the account is halted (TradingHaltService)
+ * and, with `circuit_breaker_flatten`, its pending entries are cancelled and
+ * open trades closed at market.
+ *
+ * The breaker trips at most once per trading day: after an admin resumes
+ * trading it stays quiet until the next day.
+ */
+
+const database = require("../config/database");
+const AccountService = require("./AccountService");
+const BrokerService = require("./BrokerService");
+const SettingsService = require("./SettingsService");
+const TradeExecutionService = require("./TradeExecutionService");
+const TradingHaltService = require("./TradingHaltService");
+const logger = require("../utils/logger");
+
+const MARKET_TIMEZONE = "America/New_York";
+
+class CircuitBreakerService {
+  constructor() {
+    this.isChecking = false;
+  }
+
+  /**
+   * Check every account against its daily loss limit
+   */
+  async checkAll() {
+    if (this.isChecking) return;
+    this.isChecking = true;
+
+    try {
+      const accountIds = [];
+      if (BrokerService.isDefaultAccountConfigured()) {
+        accountIds.push(null);
+      }
+      for (const account of await AccountService.listActive()) {
+        accountIds.push(account.id);
+      }
+
+      for (const accountId of accountIds) {
+        try {
+          await this.checkAccount(accountId);
+        } catch (error) {
+          logger.error(
+            `Circuit breaker check failed for account ${accountId || "default"}:`,
+            error
+          );
+        }
+      }
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Check one account and trip the breaker if its loss limit is reached
+   *
+   * @param {number|null} accountId - null for the default account
+   */
+  async checkAccount(accountId) {
+    const settings = await SettingsService.getAll(accountId);
+    const maxLoss = settings.circuit_breaker_max_loss || 0;
+
+    if (maxLoss <= 0 || TradingHaltService.isHalted(accountId)) return;
+    if (await this._trippedToday(accountId)) return;
+
+    const pnl = await this.getDayPnl(accountId);
+    if (pnl.total > -maxLoss) return;
+
+    await this.halt({
+      accountId,
+      source: "circuit_breaker",
+      reason: `Daily loss limit reached: $${pnl.total.toFixed(2)} (realized $${pnl.realized.toFixed(
+        2
+      )}, unrealized $${pnl.unrealized.toFixed(2)}; limit -$${maxLoss})`,
+      dayPnl: pnl.total,
+      flatten: settings.circuit_breaker_flatten === true,
+    });
+  }
+
+  /**
+   * P&L of an account for the current trading day
+   *
+   * @returns {Object} { realized, unrealized, total }
+   */
+  async getDayPnl(accountId) {
+    const db = database.getDb();
+    const today = this._today();
+
+    // Realized: every exit fill booked today - phase orders, partial
+    // fills, manual sells and liquidations alike
+    const { realized } = await db("exit_fills")
+      .join("trades", "trades.id", "exit_fills.trade_id")
+      .where("trades.account_id", accountId)
+      .whereRaw("(exit_fills.filled_at AT TIME ZONE ?)::date = ?", [
+        MARKET_TIMEZONE,
+        today,
+      ])
+      .sum("exit_fills.pnl as realized")
+      .first();
+
+    // Unrealized: today's move of the positions our open trades hold
+    const activeTrades = await db("trades")
+      .where({ account_id: accountId, status: "active" })
+      .select("symbol");
+    const symbols = new Set(activeTrades.map((t) => t.symbol));
+
+    let unrealized = 0;
+    if (symbols.size > 0) {
+      const broker = await BrokerService.forAccount(accountId);
+      const positions = await broker.getPositions();
+      unrealized = positions
+        .filter((p) => symbols.has(p.symbol))
+        .reduce((sum, p) => sum + (p.unrealized_intraday_pl || 0), 0);
+    }
+
+    const realizedPnl = parseFloat(realized) || 0;
+
+    return {
+      realized: realizedPnl,
+      unrealized,
+      total: realizedPnl + unrealized,
+    };
+  }
+
+  /**
+   * Halt trading and optionally close out open trades
+   *
+   * @param {Object} params - TradingHaltService.halt params, plus
+   * @param {boolean} params.flatten - Cancel pending entries and close
+   *   active trades at market
+   * @returns {Object} { halt, flatten } - flatten results when requested
+   */
+  async halt({ flatten = false, ...params }) {
+    const halt = await TradingHaltService.halt(params);
+
+    let flattenResult = null;
+    if (flatten) {
+      flattenResult = await this.flatten({
+        accountId: params.accountId,
+        global: params.global,
+        exitReason:
+          params.source === "circuit_breaker" ? "circuit_breaker" : "kill_switch",
+      });
+      await TradingHaltService.markFlattened(halt);
+    }
+
+    return { halt, flatten: flattenResult };
+  }
+
+  /**
+   * Cancel pending entries and liquidate active trades
+   *
+   * Trades left open in another mode by a forced mode switch are not at
+   * the account's broker and are skipped.
+   *
+   * @returns {Object} { cancelled: [ids], liquidated: [ids], skipped: [ids],
+   *   failed: [{ tradeId, error }] }
+   */
+  async flatten({ accountId = null, global = false, exitReason }) {
+    const db = database.getDb();
+
+    let query = db("trades").whereIn("status", ["pending", "active"]);
+    if (!global) {
+      query = query.where("account_id", accountId);
+    }
+    const trades = await query.select("id", "status", "symbol", "account_id", "trading_mode");
+
+    const result = { cancelled: [], liquidated: [], skipped: [], failed: [] };
+
+    for (const trade of trades) {
+      try {
+        const broker = await BrokerService.forAccount(trade.account_id);
+        if (trade.trading_mode && trade.trading_mode !== broker.mode) {
+          logger.warn(`Not flattening ${trade.trading_mode} trade ${trade.id} (${trade.symbol})`, {
+            accountMode: broker.mode,
+          });
+          result.skipped.push(trade.id);
+          continue;
+        }
+
+        if (trade.status === "pending") {
+          await TradeExecutionService.cancelTrade(trade.id);
+          result.cancelled.push(trade.id);
+        } else {
+          await TradeExecutionService.liquidateTrade(trade.id, exitReason);
+          result.liquidated.push(trade.id);
+        }
+      } catch (error) {
+        logger.error(`Failed to flatten trade ${trade.id} (${trade.symbol}):`, error);
+        result.failed.push({ tradeId: trade.id, error: error.message });
+      }
+    }
+
+    logger.warn("Positions flattened", {
+      accountId,
+      global,
+      cancelled: result.cancelled.length,
+      liquidated: result.liquidated.length,
+      skipped: result.skipped.length,
+      failed: result.failed.length,
+    });
+
+    return result;
+  }
+
+  /**
+   * Whether the breaker already tripped for this account today
+   */
+  async _trippedToday(accountId) {
+    const db = database.getDb();
+    const halt = await db("trading_halts")
+      .where({ account_id: accountId, source: "circuit_breaker" })
+      .whereRaw("(halted_at AT TIME ZONE ?)::date = ?", [
+        MARKET_TIMEZONE,
+        this._today(),
+      ])
+      .first();
+    return !!halt;
+  }
+
+  /**
+   * Current US/Eastern trading date (YYYY-MM-DD)
+   */
+  _today() {
+    return new Date().toLocaleDateString("en-CA", { timeZone: MARKET_TIMEZONE });
+  }
+}
+
+// Export singleton instance
+module.exports = new CircuitBreakerService();
@@ -74,17 +74,26 @@ class NotificationService {
    * @param {string} params.title - Notification title
    * @param {string} params.message - Notification message
    * @param {number} params.tradeId - Optional trade ID
+   * @param {number} params.accountId - Account the notification belongs to (default: the trade's account)
    * @param {string} params.channel - 'slack', 'email', 'both' (default: from settings)
    */
-  async send({ type, title, message, tradeId = null, channel = null }) {
+  async send({ type, title, message, tradeId = null, accountId, channel = null }) {
     try {
       const db = database.getDb();
       
       // Determine channel
       const effectiveChannel = channel || 'slack';
       
+      // Determine account
+      let effectiveAccountId = accountId === undefined ? null : accountId;
+      if (accountId === undefined && tradeId) {
+        const trade = await db('trades').where('id', tradeId).select('account_id').first();
+        effectiveAccountId = trade ? trade.account_id : null;
+      }
+      
       // Record notification
       const [{ id: notificationId }] = await db('notifications').insert({
+        account_id: effectiveAccountId,
         trade_id: tradeId,
         type,
         title,
@@ -110,7 +119,7 @@ class NotificationService {
       // Send via Email
       if ((effectiveChannel === 'email' || effectiveChannel === 'both') && this.emailTransporter) {
         try {
-          await this.sendEmail(type, title, message, tradeId);
+          await this.sendEmail(type, title, message, tradeId, effectiveAccountId);
           sent = true;
         } catch (error) {
           logger.error('Email notification failed:', error);
@@ -217,10 +226,10 @@ class NotificationService {
   /**
    * Send Email notification
    */
-  async sendEmail(type, title, message, tradeId) {
+  async sendEmail(type, title, message, tradeId, accountId = null) {
     if (!this.emailTransporter) return;
 
-    const to = process.env.EMAIL_TO;
+    const to = (await this._getAccountOwnerEmail(accountId)) || process.env.EMAIL_TO;
     if (!to) {
       logger.warn('EMAIL_TO not configured');
       return;
@@ -273,14 +282,32 @@ class NotificationService {
     });
   }
 
+  /**
+   * Email of the user who linked an account (linked accounts email their
+   * owner instead of EMAIL_TO)
+   */
+  async _getAccountOwnerEmail(accountId) {
+    if (!accountId) return null;
+
+    const db = database.getDb();
+    const owner = await db('accounts')
+      .join('users', 'users.id', 'accounts.user_id')
+      .where('accounts.id', accountId)
+      .select('users.email')
+      .first();
+
+    return owner ? owner.email : null;
+  }
+
   /**
    * Send test notification
    */
-  async sendTest(channel = 'both') {
+  async sendTest(channel = 'both', accountId = null) {
     await this.send({
       type: 'system',
       title: '🧪 Test Notification',
       message: 'This is a test notification from RZE Trading Platform.\nIf you received this, notifications are working correctly!',
+      accountId,
       channel
     });
     
@@ -0,0 +1,403 @@
+/**
+ * RZE Trading Platform - Order Update Queue
+ *
+ * Postgres-backed queue (order_update_jobs) for order fill handling.
+ *
+ * The trade stream, the periodic order sync and the reconciliation
+ * service all enqueue fills here instead of calling the phase handlers
+ * directly. Each job carries an idempotency key per broker order / OCO
+ * leg id, so the same fill reported by several sources is processed
+ * exactly once.
+ *
+ * Jobs for one trade run strictly one at a time and in order; jobs for
+ * different trades run concurrently. Failed jobs are retried with
+ * exponential backoff and moved to the dead-letter list ('dead') once
+ * they run out of attempts; a dead job holds up its trade's later jobs.
+ */
+
+const database = require("../config/database");
+const NotificationService = require("./NotificationService");
+const logger = require("../utils/logger");
+const { parseQty } = require("../utils/quantity");
+
+class OrderUpdateQueue {
+  constructor() {
+    this.handlers = {};
+    this.isRunning = false;
+    this.isPolling = false;
+    this.pollTimer = null;
+    this.pollMs = parseInt(process.env.JOB_POLL_MS) || 1000;
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY) || 4;
+    this.maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS) || 5;
+    this.backoffMs = parseInt(process.env.JOB_BACKOFF_MS) || 2000;
+  }
+
+  /**
+   * Register the function that processes a job type
+   *
+   * @param {string} jobType - e.g. 'fill'
+   * @param {Function} handler - async (job) => void
+   */
+  registerHandler(jobType, handler) {
+    this.handlers[jobType] = handler;
+  }
+
+  /**
+   * Start polling for jobs
+   */
+  async start() {
+    if (this.isRunning) return;
+
+    const db = database.getDb();
+
+    // Jobs left 'processing' by a previous run never finished
+    const recovered = await db("order_update_jobs")
+      .where("status", "processing")
+      .update({ status: "pending", locked_at: null, updated_at: db.fn.now() });
+
+    if (recovered > 0) {
+      logger.warn(`Recovered ${recovered} interrupted order update jobs`);
+    }
+
+    this.isRunning = true;
+    this.pollTimer = setInterval(() => this.poll(), this.pollMs);
+
+    logger.info("Order update queue started", {
+      pollMs: this.pollMs,
+      concurrency: this.concurrency,
+    });
+  }
+
+  /**
+   * Stop polling (jobs in flight are allowed to finish)
+   */
+  async stop() {
+    this.isRunning = false;
+
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+
+    logger.info("Order update queue stopped");
+  }
+
+  /**
+   * Enqueue a job. Returns the new job, or null if a job with the same
+   * idempotency key already exists.
+   *
+   * @param {Object} params
+   * @param {string} params.idempotencyKey - Unique key for this event
+   * @param {string} params.jobType - Registered job type
+   * @param {string} params.source - Where the event was seen
+   * @param {number} params.tradeId - Trade the job belongs to
+   * @param {number} params.orderId - orders.id
+   * @param {string} params.brokerOrderId - Broker order or leg id
+   * @param {Object} params.payload - Data the handler needs
+   */
+  async enqueue({
+    idempotencyKey,
+    jobType,
+    source,
+    tradeId,
+    orderId = null,
+    brokerOrderId = null,
+    payload = {},
+  }) {
+    const db = database.getDb();
+
+    const [job] = await db("order_update_jobs")
+      .insert({
+        idempotency_key: idempotencyKey,
+        job_type: jobType,
+        source,
+        trade_id: tradeId,
+        order_id: orderId,
+        broker_order_id: brokerOrderId,
+        payload: JSON.stringify(payload),
+        max_attempts: this.maxAttempts,
+      })
+      .onConflict("idempotency_key")
+      .ignore()
+      .returning("*");
+
+    if (!job) {
+      logger.debug(`Duplicate order update ignored: ${idempotencyKey}`, {
+        source,
+      });
+      return null;
+    }
+
+    logger.info(`Order update job queued: ${idempotencyKey}`, {
+      jobId: job.id,
+      source,
+      tradeId,
+    });
+
+    // Pick it up right away rather than on the next tick
+    setImmediate(() => this.poll());
+
+    return job;
+  }
+
+  /**
+   * Enqueue a fill of a broker order or OCO leg
+   *
+   * @param {Object} dbOrder - orders row the fill belongs to
+   * @param {Object} brokerOrder - Filled broker order (or leg)
+   * @param {Object} options
+   * @param {string} options.source - 'stream', 'sync', 'reconciliation' or 'transition'
+   * @param {string} options.purpose - Overrides dbOrder.purpose (OCO stop legs)
+   */
+  async enqueueFill(dbOrder, brokerOrder, { source, purpose = null }) {
+    return this.enqueue({
+      idempotencyKey: `fill:${brokerOrder.id}`,
+      jobType: "fill",
+      source,
+      tradeId: dbOrder.trade_id,
+      orderId: dbOrder.id,
+      brokerOrderId: brokerOrder.id,
+      payload: {
+        purpose: purpose || dbOrder.purpose,
+        phase: dbOrder.phase,
+        fill_price: parseFloat(brokerOrder.filled_avg_price),
+        filled_qty: parseQty(brokerOrder.filled_qty),
+        filled_at: brokerOrder.filled_at || null,
+      },
+    });
+  }
+
+  /**
+   * Enqueue a partial fill of an entry or phase exit order, or the end of
+   * an entry or manual exit order that did not fill completely (cancelled,
+   * expired or rejected). Each new cumulative filled quantity is its own
+   * job.
+   *
+   * @param {Object} dbOrder - orders row the fill belongs to
+   * @param {Object} brokerOrder - Broker order (or leg)
+   * @param {Object} options
+   * @param {string} options.source - 'stream' or 'sync'
+   * @param {boolean} options.final - The order is done
+   */
+  async enqueuePartialFill(dbOrder, brokerOrder, { source, final = false }) {
+    const filledQty = parseQty(brokerOrder.filled_qty);
+    const closedKey = dbOrder.purpose === "entry" ? "entry_closed" : "exit_closed";
+
+    return this.enqueue({
+      idempotencyKey: final
+        ? `${closedKey}:${brokerOrder.id}`
+        : `partial_fill:${brokerOrder.id}:${filledQty}`,
+      jobType: "fill",
+      source,
+      tradeId: dbOrder.trade_id,
+      orderId: dbOrder.id,
+      brokerOrderId: brokerOrder.id,
+      payload: {
+        purpose: dbOrder.purpose,
+        phase: dbOrder.phase,
+        fill_price: parseFloat(brokerOrder.filled_avg_price),
+        filled_qty: filledQty,
+        partial: true,
+        final,
+        ...(final ? { status: brokerOrder.status } : {}),
+      },
+    });
+  }
+
+  /**
+   * Claim and run ready jobs
+   */
+  async poll() {
+    if (!this.isRunning || this.isPolling) return;
+    this.isPolling = true;
+
+    try {
+      const jobs = await this._claimJobs();
+      if (jobs.length === 0) return;
+
+      await Promise.all(jobs.map((job) => this._runJob(job)));
+
+      // More may be ready behind the ones just finished
+      setImmediate(() => this.poll());
+    } catch (error) {
+      logger.error("Error polling order update jobs:", error);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Claim ready jobs, at most one per trade and `concurrency` in total.
+   * A trade's jobs run in id order: a job waits while an earlier job of
+   * its trade is processing, waiting to retry or dead - a dead job holds
+   * up its trade until it is retried or discarded.
+   */
+  async _claimJobs() {
+    const db = database.getDb();
+
+    const result = await db.raw(
+      `
+      UPDATE order_update_jobs
+      SET status = 'processing', locked_at = now(), attempts = attempts + 1, updated_at = now()
+      WHERE id IN (
+        SELECT j.id
+        FROM order_update_jobs j
+        WHERE j.status = 'pending'
+          AND j.run_at <= now()
+          AND NOT EXISTS (
+            SELECT 1 FROM order_update_jobs earlier
+            WHERE earlier.trade_id IS NOT DISTINCT FROM j.trade_id
+              AND earlier.id < j.id
+              AND earlier.status IN ('pending', 'processing', 'dead')
+          )
+        ORDER BY j.id
+        LIMIT ?
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+      `,
+      [this.concurrency]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Run a claimed job and record the outcome
+   */
+  async _runJob(job) {
+    const db = database.getDb();
+    const handler = this.handlers[job.job_type];
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type ${job.job_type}`);
+      }
+
+      const payload =
+        typeof job.payload === "string" ? JSON.parse(job.payload) : job.payload;
+
+      await handler({ ...job, payload });
+
+      await db("order_update_jobs").where("id", job.id).update({
+        status: "completed",
+        last_error: null,
+        completed_at: db.fn.now(),
+        updated_at: db.fn.now(),
+      });
+    } catch (error) {
+      await this._failJob(job, error);
+    }
+  }
+
+  /**
+   * Schedule a retry with exponential backoff, or dead-letter the job
+   */
+  async _failJob(job, error) {
+    const db = database.getDb();
+
+    if (job.attempts < job.max_attempts) {
+      const delayMs = this.backoffMs * Math.pow(2, job.attempts - 1);
+
+      logger.warn(
+        `Order update job ${job.id} failed (attempt ${job.attempts}/${job.max_attempts}), retrying in ${delayMs}ms`,
+        { error: error.message }
+      );
+
+      await db("order_update_jobs")
+        .where("id", job.id)
+        .update({
+          status: "pending",
+          last_error: error.message,
+          locked_at: null,
+          run_at: new Date(Date.now() + delayMs),
+          updated_at: db.fn.now(),
+        });
+      return;
+    }
+
+    logger.error(`Order update job ${job.id} moved to dead-letter list`, {
+      idempotencyKey: job.idempotency_key,
+      error: error.message,
+    });
+
+    await db("order_update_jobs").where("id", job.id).update({
+      status: "dead",
+      last_error: error.message,
+      locked_at: null,
+      updated_at: db.fn.now(),
+    });
+
+    await NotificationService.send({
+      type: "error",
+      title: "🚨 Order Update Failed",
+      message: `Job ${job.idempotency_key} failed ${job.attempts} times and needs review: ${error.message}\nLater updates of trade ${job.trade_id} wait until it is retried or discarded`,
+      tradeId: job.trade_id,
+    });
+  }
+
+  /**
+   * Put a dead job back in the queue
+   */
+  async retry(jobId) {
+    const db = database.getDb();
+
+    const updated = await db("order_update_jobs")
+      .where({ id: jobId, status: "dead" })
+      .update({
+        status: "pending",
+        attempts: 0,
+        run_at: db.fn.now(),
+        updated_at: db.fn.now(),
+      });
+
+    if (updated > 0) {
+      setImmediate(() => this.poll());
+    }
+
+    return updated > 0;
+  }
+
+  /**
+   * Give up on a dead job, letting its trade's later jobs run
+   */
+  async discard(jobId) {
+    const db = database.getDb();
+
+    const updated = await db("order_update_jobs")
+      .where({ id: jobId, status: "dead" })
+      .update({ status: "discarded", updated_at: db.fn.now() });
+
+    if (updated > 0) {
+      setImmediate(() => this.poll());
+    }
+
+    return updated > 0;
+  }
+
+  /**
+   * Wait until the given trades have no pending or processing jobs left
+   *
+   * @returns {boolean} false if jobs were still queued at the timeout
+   */
+  async waitForTrades(tradeIds, timeoutMs = 30000) {
+    const db = database.getDb();
+    const deadline = Date.now() + timeoutMs;
+
+    while (true) {
+      const { count } = await db("order_update_jobs")
+        .whereIn("trade_id", tradeIds)
+        .whereIn("status", ["pending", "processing"])
+        .count("* as count")
+        .first();
+
+      if (parseInt(count) === 0) return true;
+      if (Date.now() >= deadline) return false;
+
+      await new Promise((resolve) => setTimeout(resolve, this.pollMs));
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new OrderUpdateQueue();
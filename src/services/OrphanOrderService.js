@@ -0,0 +1,169 @@
+/**
+ * RZE Trading Platform - Orphan Order Service
+ *
+ * Sweeps the broker for open RZE orders (client_order_id `RZE-...`) that
+ * no open order of a pending or active trade accounts for - e.g. a stop
+ * left working after its trade completed. Broker orders are matched
+ * against the orders table by alpaca_order_id and client_order_id
+ * (TradeReconciliationService.findOrphanedOrders).
+ *
+ * What happens to an orphan follows the account's `orphan_order_policy`:
+ * 'cancel' cancels it, 'report' only notifies and 'off' skips the sweep.
+ * Every orphan found is recorded in orphaned_orders with the action taken.
+ */
+
+const database = require("../config/database");
+const AccountService = require("./AccountService");
+const BrokerService = require("./BrokerService");
+const NotificationService = require("./NotificationService");
+const SettingsService = require("./SettingsService");
+const TradeReconciliationService = require("./TradeReconciliationService");
+const logger = require("../utils/logger");
+const { parseQty } = require("../utils/quantity");
+
+const ORPHAN_POLICIES = ["cancel", "report", "off"];
+
+// An order placed moments ago may not be recorded in the orders table yet
+const ORPHAN_GRACE_MS = 2 * 60 * 1000;
+
+class OrphanOrderService {
+  constructor() {
+    this.isSweeping = false;
+  }
+
+  /**
+   * Sweep every account
+   */
+  async sweepAll() {
+    if (this.isSweeping) return;
+    this.isSweeping = true;
+
+    try {
+      const accountIds = [];
+      if (BrokerService.isDefaultAccountConfigured()) {
+        accountIds.push(null);
+      }
+      for (const account of await AccountService.listActive()) {
+        accountIds.push(account.id);
+      }
+
+      for (const accountId of accountIds) {
+        try {
+          await this.sweepAccount(accountId);
+        } catch (error) {
+          logger.error(`Orphan order sweep failed for account ${accountId || "default"}:`, error);
+        }
+      }
+    } finally {
+      this.isSweeping = false;
+    }
+  }
+
+  /**
+   * Find the account's orphaned orders and cancel or report them under
+   * its orphan_order_policy. An orphan is reported once; a failed
+   * cancellation is retried on the next sweep.
+   *
+   * @param {number|null} accountId - null for the default account
+   * @returns {Array} orphaned_orders rows recorded by this sweep
+   */
+  async sweepAccount(accountId) {
+    const db = database.getDb();
+    const settings = await SettingsService.getAll(accountId);
+    const policy = ORPHAN_POLICIES.includes(settings.orphan_order_policy)
+      ? settings.orphan_order_policy
+      : "report";
+
+    if (policy === "off") return [];
+
+    const broker = await BrokerService.forAccount(accountId);
+    const cutoff = Date.now() - ORPHAN_GRACE_MS;
+    const openOrders = (await TradeReconciliationService.getOpenOrders(broker, accountId)).filter(
+      (o) => new Date(o.submitted_at || o.created_at).getTime() <= cutoff
+    );
+
+    const orphans = await TradeReconciliationService.findOrphanedOrders(accountId, { openOrders });
+    const recorded = [];
+
+    for (const orphan of orphans) {
+      const previous = await db("orphaned_orders")
+        .where({ account_id: accountId, broker_order_id: orphan.brokerOrderId })
+        .orderBy("id", "desc")
+        .first();
+      if (previous && (policy === "report" || previous.action === "cancelled")) continue;
+
+      let action = "reported";
+      let error = null;
+      if (policy === "cancel") {
+        try {
+          await broker.cancelOrder(orphan.brokerOrderId);
+          action = "cancelled";
+        } catch (cancelError) {
+          logger.error(`Failed to cancel orphaned order ${orphan.brokerOrderId}:`, cancelError);
+          action = "cancel_failed";
+          error = cancelError.message;
+        }
+      }
+
+      const [row] = await db("orphaned_orders")
+        .insert({
+          account_id: accountId,
+          broker_order_id: orphan.brokerOrderId,
+          client_order_id: orphan.clientOrderId,
+          symbol: orphan.symbol,
+          side: orphan.side,
+          qty: orphan.qty,
+          broker_status: orphan.status,
+          trade_id: orphan.tradeId,
+          reason: orphan.reason,
+          action,
+          error,
+        })
+        .returning("*");
+      recorded.push(row);
+    }
+
+    if (recorded.length > 0) {
+      logger.warn("Orphaned broker orders found", {
+        accountId,
+        policy,
+        orders: recorded.map((r) => `${r.client_order_id} (${r.action})`),
+      });
+
+      await NotificationService.send({
+        type: recorded.some((r) => r.action !== "cancelled") ? "error" : "system",
+        title: `🧹 Orphaned Orders: ${recorded.length}`,
+        message: recorded
+          .map(
+            (r) =>
+              `${r.symbol} ${r.side} ${parseQty(r.qty)} - ${r.client_order_id} (${r.reason}): ${r.action}` +
+              (r.error ? ` - ${r.error}` : "")
+          )
+          .join("\n"),
+        accountId,
+      });
+    }
+
+    return recorded.map((r) => ({ ...r, qty: parseQty(r.qty) }));
+  }
+
+  /**
+   * The account's orphan audit log, newest first
+   */
+  async list({ accountId = null, limit = 50, offset = 0 }) {
+    const db = database.getDb();
+
+    const query = db("orphaned_orders").where("account_id", accountId);
+
+    const { count } = await query.clone().count("* as count").first();
+    const orders = await query.orderBy("created_at", "desc").limit(limit).offset(offset);
+
+    return {
+      orders: orders.map((o) => ({ ...o, qty: parseQty(o.qty) })),
+      total: parseInt(count),
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new OrphanOrderService();
@@ -0,0 +1,272 @@
+/**
+ * RZE Trading Platform - Risk Service
+ *
+ * Pre-trade risk rules, evaluated before every entry. Limits are account
+ * settings; a limit of 0 turns its rule off.
+ *
+ * - max_concurrent_positions: pending + active trades
+ * - max_symbol_exposure_pct: open exposure in one symbol, % of equity
+ * - max_sector_exposure_pct: open exposure in one sector, % of equity
+ *   (sectors come from the `symbol_sectors` setting, { SYMBOL: sector })
+ * - max_daily_loss: today's P&L (equity - last_equity) in dollars
+ * - max_trades_per_day: trades opened today (US/Eastern trading day)
+ * - pdt_max_daytrades: daytrade_count while equity is under the $25k
+ *   pattern day trader minimum
+ * - min_share_price / min_avg_daily_volume: price and liquidity floors
+ */
+
+const database = require("../config/database");
+const BrokerService = require("./BrokerService");
+const SettingsService = require("./SettingsService");
+const logger = require("../utils/logger");
+
+const PDT_MIN_EQUITY = 25000;
+const VOLUME_LOOKBACK_DAYS = 20;
+const MARKET_TIMEZONE = "America/New_York";
+
+class RiskRejectionError extends Error {
+  constructor(violations) {
+    super(
+      `Trade rejected by risk rules: ${violations
+        .map((v) => v.message)
+        .join("; ")}`
+    );
+    this.name = "RiskRejectionError";
+    this.status = 422;
+    this.violations = violations;
+  }
+}
+
+class RiskService {
+  /**
+   * Evaluate the risk rules for a new entry
+   *
+   * @param {Object} params
+   * @param {number|null} params.accountId - null for the default account
+   * @param {string} params.symbol - Stock symbol
+   * @param {number} params.entryPrice - Entry price per share
+   * @param {number} params.positionSize - Position size in dollars
+   * @param {Object} params.account - Broker account (fetched when omitted)
+   * @param {Object} params.settings - Account settings (fetched when omitted)
+   * @returns {Object} { approved, violations: [{ rule, message, limit, actual }], warnings }
+   */
+  async evaluate({
+    accountId = null,
+    symbol,
+    entryPrice,
+    positionSize,
+    account = null,
+    settings = null,
+  }) {
+    const broker = await BrokerService.forAccount(accountId);
+    account = account || (await broker.getAccount());
+    settings = settings || (await SettingsService.getAll(accountId));
+    symbol = symbol.toUpperCase();
+
+    const openTrades = await this._getOpenTrades(accountId);
+    const violations = [];
+    const warnings = [];
+
+    const reject = (rule, message, limit, actual) =>
+      violations.push({ rule, message, limit, actual });
+
+    // Max concurrent positions
+    const maxPositions = settings.max_concurrent_positions || 0;
+    if (maxPositions > 0 && openTrades.length >= maxPositions) {
+      reject(
+        "max_concurrent_positions",
+        `${openTrades.length} open positions (max ${maxPositions})`,
+        maxPositions,
+        openTrades.length
+      );
+    }
+
+    // Exposure per symbol and per sector, as % of equity
+    const equity = account.equity;
+    const exposurePct = (trades) =>
+      equity > 0
+        ? ((this._exposure(trades) + positionSize) / equity) * 100
+        : Infinity;
+
+    const maxSymbolPct = settings.max_symbol_exposure_pct || 0;
+    if (maxSymbolPct > 0) {
+      const symbolPct = exposurePct(openTrades.filter((t) => t.symbol === symbol));
+      if (symbolPct > maxSymbolPct) {
+        reject(
+          "max_symbol_exposure_pct",
+          `${symbol} exposure would be ${symbolPct.toFixed(1)}% of equity (max ${maxSymbolPct}%)`,
+          maxSymbolPct,
+          round(symbolPct)
+        );
+      }
+    }
+
+    const maxSectorPct = settings.max_sector_exposure_pct || 0;
+    if (maxSectorPct > 0) {
+      const sectors = settings.symbol_sectors || {};
+      const sector = sectors[symbol];
+
+      if (!sector) {
+        warnings.push(`No sector configured for ${symbol} - sector limit not checked`);
+      } else {
+        const sectorPct = exposurePct(
+          openTrades.filter((t) => sectors[t.symbol] === sector)
+        );
+        if (sectorPct > maxSectorPct) {
+          reject(
+            "max_sector_exposure_pct",
+            `${sector} exposure would be ${sectorPct.toFixed(1)}% of equity (max ${maxSectorPct}%)`,
+            maxSectorPct,
+            round(sectorPct)
+          );
+        }
+      }
+    }
+
+    // Max daily loss
+    const maxDailyLoss = settings.max_daily_loss || 0;
+    const dayPnl = account.equity - account.last_equity;
+    if (maxDailyLoss > 0 && dayPnl <= -maxDailyLoss) {
+      reject(
+        "max_daily_loss",
+        `Down $${Math.abs(dayPnl).toFixed(2)} today (max loss $${maxDailyLoss})`,
+        maxDailyLoss,
+        round(dayPnl)
+      );
+    }
+
+    // Max trades per day
+    const maxTradesPerDay = settings.max_trades_per_day || 0;
+    if (maxTradesPerDay > 0) {
+      const tradesToday = await this._countTradesToday(accountId);
+      if (tradesToday >= maxTradesPerDay) {
+        reject(
+          "max_trades_per_day",
+          `${tradesToday} trades opened today (max ${maxTradesPerDay})`,
+          maxTradesPerDay,
+          tradesToday
+        );
+      }
+    }
+
+    // Pattern day trader limit
+    const pdtMax = settings.pdt_max_daytrades || 0;
+    if (
+      pdtMax > 0 &&
+      equity < PDT_MIN_EQUITY &&
+      account.daytrade_count >= pdtMax
+    ) {
+      reject(
+        "pdt_max_daytrades",
+        `${account.daytrade_count} day trades in 5 days with equity under $${PDT_MIN_EQUITY} (max ${pdtMax})`,
+        pdtMax,
+        account.daytrade_count
+      );
+    }
+
+    // Price and liquidity floors
+    const minPrice = settings.min_share_price || 0;
+    if (minPrice > 0 && entryPrice < minPrice) {
+      reject(
+        "min_share_price",
+        `Entry price $${entryPrice} is below $${minPrice}`,
+        minPrice,
+        entryPrice
+      );
+    }
+
+    const minVolume = settings.min_avg_daily_volume || 0;
+    if (minVolume > 0) {
+      const avgVolume = await this._getAverageDailyVolume(broker, symbol);
+
+      if (avgVolume === null) {
+        warnings.push(`No daily volume for ${symbol} - liquidity not checked`);
+      } else if (avgVolume < minVolume) {
+        reject(
+          "min_avg_daily_volume",
+          `${symbol} trades ${Math.round(avgVolume)} shares/day on average (min ${minVolume})`,
+          minVolume,
+          Math.round(avgVolume)
+        );
+      }
+    }
+
+    if (violations.length > 0) {
+      logger.warn(`Risk check failed for ${symbol}`, {
+        accountId,
+        rules: violations.map((v) => v.rule),
+      });
+    }
+
+    return { approved: violations.length === 0, violations, warnings };
+  }
+
+  /**
+   * Evaluate and throw a RiskRejectionError if any rule is violated
+   */
+  async assertAllowed(params) {
+    const result = await this.evaluate(params);
+    if (!result.approved) {
+      throw new RiskRejectionError(result.violations);
+    }
+    return result;
+  }
+
+  /**
+   * Pending and active trades of an account
+   */
+  async _getOpenTrades(accountId) {
+    const db = database.getDb();
+    return db("trades")
+      .where("account_id", accountId)
+      .whereIn("status", ["pending", "active"])
+      .select("id", "symbol", "entry_price", "remaining_shares");
+  }
+
+  /**
+   * Dollar exposure of open trades (remaining shares at entry price)
+   */
+  _exposure(trades) {
+    return trades.reduce(
+      (sum, t) => sum + parseFloat(t.remaining_shares) * parseFloat(t.entry_price),
+      0
+    );
+  }
+
+  /**
+   * Trades opened during the current US/Eastern trading day
+   */
+  async _countTradesToday(accountId) {
+    const db = database.getDb();
+    const today = new Date().toLocaleDateString("en-CA", {
+      timeZone: MARKET_TIMEZONE,
+    });
+
+    const { count } = await db("trades")
+      .where("account_id", accountId)
+      .whereNot("status", "error")
+      .whereRaw("(created_at AT TIME ZONE ?)::date = ?", [MARKET_TIMEZONE, today])
+      .count("* as count")
+      .first();
+
+    return parseInt(count);
+  }
+
+  /**
+   * Average daily volume over the lookback, or null without data
+   */
+  async _getAverageDailyVolume(broker, symbol) {
+    const bars = await broker.getDailyBars(symbol, VOLUME_LOOKBACK_DAYS);
+    if (bars.length === 0) return null;
+
+    return bars.reduce((sum, bar) => sum + bar.volume, 0) / bars.length;
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Export singleton instance
+module.exports = new RiskService();
+module.exports.RiskRejectionError = RiskRejectionError;
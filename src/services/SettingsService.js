@@ -0,0 +1,109 @@
+/**
+ * RZE Trading Platform - Settings Service
+ *
+ * Typed key/value settings, per account. Settings rows of the default
+ * account (account_id null) are also the defaults of every linked
+ * account; a linked account gets its own row the first time it changes
+ * a setting.
+ */
+
+const database = require("../config/database");
+
+class SettingsService {
+  /**
+   * Settings rows for an account, with defaults filled in
+   *
+   * @param {number|null} accountId - null for the default account
+   */
+  async getRows(accountId) {
+    const db = database.getDb();
+
+    const defaults = await db("settings").whereNull("account_id");
+    if (!accountId) return defaults;
+
+    const overrides = await db("settings").where("account_id", accountId);
+    const overrideMap = new Map(overrides.map((row) => [row.key, row]));
+
+    return defaults.map((row) => overrideMap.get(row.key) || row);
+  }
+
+  /**
+   * All settings for an account as a { key: value } object
+   */
+  async getAll(accountId) {
+    const rows = await this.getRows(accountId);
+
+    const settings = {};
+    for (const row of rows) {
+      settings[row.key] = this.parseValue(row);
+    }
+    return settings;
+  }
+
+  /**
+   * One settings row for an account, or null if the key does not exist
+   */
+  async getRow(accountId, key) {
+    const db = database.getDb();
+
+    if (accountId) {
+      const override = await db("settings")
+        .where({ account_id: accountId, key })
+        .first();
+      if (override) return override;
+    }
+
+    return db("settings").whereNull("account_id").where("key", key).first();
+  }
+
+  /**
+   * Set a setting for an account. Returns the updated row, or null if
+   * the key does not exist.
+   */
+  async set(accountId, key, value) {
+    const db = database.getDb();
+
+    const setting = await this.getRow(accountId, key);
+    if (!setting) return null;
+
+    const stringValue =
+      setting.type === "json" ? JSON.stringify(value) : String(value);
+
+    // Linked accounts write their own row instead of changing the default
+    if (accountId && !setting.account_id) {
+      const [created] = await db("settings")
+        .insert({
+          account_id: accountId,
+          key,
+          value: stringValue,
+          type: setting.type,
+          description: setting.description,
+        })
+        .returning("*");
+      return created;
+    }
+
+    const [updated] = await db("settings")
+      .where("id", setting.id)
+      .update({ value: stringValue, updated_at: db.fn.now() })
+      .returning("*");
+    return updated;
+  }
+
+  /**
+   * Convert a stored value to its type
+   */
+  parseValue(row) {
+    if (row.type === "number") {
+      return parseFloat(row.value);
+    } else if (row.type === "boolean") {
+      return row.value === "true";
+    } else if (row.type === "json") {
+      return JSON.parse(row.value);
+    }
+    return row.value;
+  }
+}
+
+// Export singleton instance
+module.exports = new SettingsService();
@@ -7,25 +7,146 @@
 
 const { v4: uuidv4 } = require("uuid");
 const database = require("../config/database");
-const AlpacaService = require("./AlpacaService");
+const BrokerService = require("./BrokerService");
 const NotificationService = require("./NotificationService");
+const SettingsService = require("./SettingsService");
+const RiskService = require("./RiskService");
+const TradingHaltService = require("./TradingHaltService");
+const TrailingStopService = require("./TrailingStopService");
+const OrderUpdateQueue = require("./OrderUpdateQueue");
+const {
+  parsePhases,
+  buildPhasePlan,
+  calculatePhasePrices,
+  calculatePnl,
+  exitOrderSide,
+  sideDirection,
+  allocatePhaseShares,
+  reallocatePhaseShares,
+} = require("../utils/phases");
+const {
+  parseQty,
+  roundQty,
+  sharesForAmount,
+  wholeShares,
+} = require("../utils/quantity");
+const {
+  TERMINAL_TRANSITION_STATES,
+  nextTransitionState,
+} = require("../utils/phaseTransitions");
 const logger = require("../utils/logger");
 
+const ENTRY_TYPES = ["market", "limit", "stop", "stop_limit"];
+const TIME_IN_FORCE = ["day", "gtc"];
+const MAX_ENTRY_TRANCHES = 5;
+const DONE_ORDER_STATUSES = ["filled", "canceled", "cancelled", "expired", "rejected"];
+const OPEN_ORDER_STATUSES = ["new", "accepted", "pending_new", "partially_filled"];
+const SESSION_END = "session_end";
+const LIQUIDATION_WAIT_MS = parseInt(process.env.LIQUIDATION_WAIT_MS) || 30000;
+const LIQUIDATION_POLL_MS = 500;
+const MARKET_TIMEZONE = "America/New_York";
+
+class TradeExecutionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "TradeExecutionError";
+    this.status = status;
+  }
+}
+
+/**
+ * Human-readable entry order, e.g. "Stop-limit $101.00 / $101.50"
+ */
+function describeEntry({ type, limitPrice, stopPrice }) {
+  switch (type) {
+    case "market":
+      return "Market";
+    case "stop":
+      return `Stop $${Number(stopPrice).toFixed(2)}`;
+    case "stop_limit":
+      return `Stop-limit $${Number(stopPrice).toFixed(2)} / $${Number(limitPrice).toFixed(2)}`;
+    default:
+      return `Limit $${Number(limitPrice).toFixed(2)}`;
+  }
+}
+
+/**
+ * Extra scale-in tranches for a notification, e.g. " + 50 @ $98.00"
+ */
+function describeTranches(tranches) {
+  return tranches
+    .slice(1)
+    .map((t) => ` + ${t.shares} @ $${t.limitPrice.toFixed(2)}`)
+    .join("");
+}
+
+/**
+ * A template's entry tranches ({ pct, offset_pct }) as trade tranches
+ */
+function templateTranches(template) {
+  const tranches =
+    typeof template.entry_tranches === "string"
+      ? JSON.parse(template.entry_tranches)
+      : template.entry_tranches;
+  if (!tranches || tranches.length === 0) return null;
+
+  return tranches.map((t) => ({ pct: t.pct, offsetPct: t.offset_pct }));
+}
+
+/**
+ * US/Eastern trading date (YYYY-MM-DD) of a moment
+ */
+function marketDate(date) {
+  return date.toLocaleDateString("en-CA", { timeZone: MARKET_TIMEZONE });
+}
+
+/**
+ * A US/Eastern wall-clock time (calendar "YYYY-MM-DD" and "HH:MM") as a Date
+ */
+function marketTime(date, time) {
+  const asUtc = new Date(`${date}T${time}:00Z`);
+  const inMarket = new Date(asUtc.toLocaleString("en-US", { timeZone: MARKET_TIMEZONE }));
+  const inUtc = new Date(asUtc.toLocaleString("en-US", { timeZone: "UTC" }));
+  return new Date(asUtc.getTime() + (inUtc - inMarket));
+}
+
 class TradeExecutionService {
+  constructor() {
+    // Phase transitions being run, so they are not resumed twice at once
+    this.runningTransitions = new Set();
+  }
+
   /**
    * Execute a new trade with phased exit strategy
    *
    * @param {Object} params - Trade parameters
    * @param {string} params.symbol - Stock symbol (e.g., 'AAPL')
-   * @param {number} params.entryPrice - Entry price per share
+   * @param {number} params.entryPrice - Limit price (limit, stop_limit), or the
+   *   price to size market/stop entries at (default: last trade / stop price)
    * @param {number} params.positionSize - Total position size in dollars (optional, uses default)
    * @param {number} params.templateId - Template ID to use (optional, uses active template)
+   * @param {string} params.side - 'long' (default) or 'short'
+   * @param {number} params.accountId - Account to trade in (null: default account)
+   * @param {string} params.entryType - 'market', 'limit' (default), 'stop' or 'stop_limit'
+   * @param {number} params.stopPrice - Breakout trigger of stop and stop_limit entries
+   * @param {string} params.timeInForce - 'day' or 'gtc' (default: day for market, else gtc)
+   * @param {Date|string} params.expiresAt - Cancel the entry if unfilled by then,
+   *   or 'session_end' (default: the `entry_expiry_sessions` setting)
+   * @param {Array} params.tranches - Scale-in entry, [{ pct, entryPrice, offsetPct }]
+   *   (default: the template's entry_tranches, else a single entry)
    */
   async executeTrade({
     symbol,
-    entryPrice,
+    entryPrice = null,
     positionSize = null,
     templateId = null,
+    side = "long",
+    accountId = null,
+    entryType = "limit",
+    stopPrice = null,
+    timeInForce = null,
+    expiresAt = null,
+    tranches = null,
   }) {
     const db = database.getDb();
     const tradeUuid = uuidv4();
@@ -33,21 +154,49 @@ class TradeExecutionService {
     logger.trade("Starting new trade execution", {
       symbol,
       entryPrice,
+      entryType,
+      stopPrice,
+      side,
+      accountId,
       tradeUuid,
     });
 
     try {
+      // Kill switch (throws TradingHaltError)
+      TradingHaltService.assertNotHalted(accountId);
+
+      if (BrokerService.isSwitching(accountId)) {
+        throw new Error("Trading mode is being switched - try again shortly");
+      }
+
+      const broker = await BrokerService.forAccount(accountId);
+
       // 1. Validate the symbol
-      const asset = await AlpacaService.getAsset(symbol.toUpperCase());
+      const asset = await broker.getAsset(symbol.toUpperCase());
       if (!asset.tradable) {
         throw new Error(`${symbol} is not tradable`);
       }
+      if (side === "short" && !(asset.shortable && asset.easy_to_borrow)) {
+        throw new Error(`${symbol} is not shortable (hard to borrow)`);
+      }
+
+      // Entry order parameters; entryPrice becomes the sizing price
+      const entry = await this._resolveEntryOrder(broker, {
+        symbol: symbol.toUpperCase(),
+        side,
+        entryType,
+        entryPrice,
+        stopPrice,
+        timeInForce,
+      });
+      entryPrice = entry.sizingPrice;
 
       // 2. Get account info
-      const account = await AlpacaService.getAccount();
+      const account = await broker.getAccount();
 
       // 3. Get settings
-      const settings = await this._getSettings();
+      const settings = await SettingsService.getAll(accountId);
+      entry.expiresAt = await this._resolveEntryExpiry(broker, expiresAt, settings);
 
       // 4. Calculate position size
       const startingCapital =
@@ -56,10 +205,24 @@ class TradeExecutionService {
       const calculatedPositionSize =
         positionSize || startingCapital * (tradeSizePercent / 100);
 
-      // 5. Calculate number of shares
-      const totalShares = Math.floor(calculatedPositionSize / entryPrice);
-      if (totalShares < 1) {
-        throw new Error("Position size too small for even 1 share");
+      // 5. Calculate number of shares - fractional for fractionable long
+      // entries when enabled, which Alpaca only takes as day orders
+      const fractional =
+        settings.fractional_shares === true &&
+        asset.fractionable &&
+        side !== "short" &&
+        broker.supportsFractional({ type: entry.type, timeInForce: timeInForce || "day" });
+      if (fractional) {
+        entry.timeInForce = "day";
+      }
+
+      const totalShares = sharesForAmount(calculatedPositionSize, entryPrice, fractional);
+      if (fractional ? totalShares <= 0 : totalShares < 1) {
+        throw new Error(
+          fractional
+            ? "Position size too small for any shares"
+            : "Position size too small for even 1 share"
+        );
       }
 
       // 6. Check buying power
@@ -71,22 +234,42 @@ class TradeExecutionService {
         );
       }
 
-      // 7. Get template
-      const template = await this._getTemplate(templateId);
+      // 7. Pre-trade risk rules (throws RiskRejectionError)
+      await RiskService.assertAllowed({
+        accountId,
+        symbol,
+        entryPrice,
+        positionSize: calculatedPositionSize,
+        account,
+        settings,
+      });
+
+      // 8. Get template
+      const template = await this._getTemplate(templateId, accountId);
       if (!template) {
         throw new Error("No trading template found");
       }
 
-      // 8. Create trade record
+      // 9. Split the entry into tranches (request, else template)
+      const tranchePlan = this._resolveTranches(
+        tranches || templateTranches(template),
+        { totalShares, sizingPrice: entryPrice, side }
+      );
+
+      // 10. Create trade record
       const [{ id: tradeId }] = await db("trades")
         .insert({
           trade_uuid: tradeUuid,
+          account_id: accountId,
+          trading_mode: broker.mode,
           symbol: symbol.toUpperCase(),
           company_name: asset.name,
           entry_price: entryPrice,
           total_shares: totalShares,
           position_size: calculatedPositionSize,
           remaining_shares: totalShares,
+          side,
+          fractional,
           current_phase: 0, // Will be set to 1 after entry fills
           status: "pending",
           template_id: template.id,
@@ -96,102 +279,127 @@ class TradeExecutionService {
 
       logger.trade("Trade record created", { tradeId, tradeUuid });
 
-      // 9. Create phase records
-      const phases =
-        typeof template.phases === "string"
-          ? JSON.parse(template.phases)
-          : template.phases;
-
-      let sharesAllocated = 0;
-      for (const phase of phases) {
-        const sharesToSell =
-          phase.phase === 4
-            ? totalShares - sharesAllocated // Last phase gets remaining shares
-            : Math.floor(totalShares * (phase.sell_pct / 100));
-
-        sharesAllocated += sharesToSell;
-
-        const tpPrice = entryPrice * (1 + phase.take_profit_pct / 100);
-        const slPrice = entryPrice * (1 + phase.stop_loss_pct / 100);
+      // 11. Create phase records
+      const phases = parsePhases(template.phases);
 
+      // Last phase gets remaining shares
+      for (const phase of buildPhasePlan(
+        phases,
+        totalShares,
+        entryPrice,
+        side,
+        fractional
+      )) {
         await db("trade_phases").insert({
           trade_id: tradeId,
-          phase_number: phase.phase,
           status: "pending",
-          take_profit_pct: phase.take_profit_pct,
-          stop_loss_pct: phase.stop_loss_pct,
-          sell_pct: phase.sell_pct,
-          take_profit_price: tpPrice,
-          stop_loss_price: slPrice,
-          shares_to_sell: sharesToSell,
+          ...phase,
         });
       }
 
       logger.trade("Phase records created", { tradeId, phases: phases.length });
 
-      // 10. Place entry order (limit buy at entry price)
-      const clientOrderId = `RZE-ENTRY-${tradeUuid.substring(0, 8)}`;
-      let entryOrder = null;
+      // 12. Place entry orders (buy, or sell short): the requested order
+      // type for the first tranche, limit orders for the rest
+      const entrySide = side === "short" ? "sell" : "buy";
+      const entryOrders = [];
+
+      for (const tranche of tranchePlan) {
+        const isFirst = tranche.tranche === 1;
+        const clientOrderId = isFirst
+          ? `RZE-ENTRY-${tradeUuid.substring(0, 8)}`
+          : `RZE-ENTRY-${tradeUuid.substring(0, 8)}-T${tranche.tranche}`;
+        const order = isFirst
+          ? entry
+          : { type: "limit", limitPrice: tranche.limitPrice, stopPrice: null };
+        let entryOrder = null;
 
-      try {
-        entryOrder = await AlpacaService.placeLimitBuyOrder(
-          symbol.toUpperCase(),
-          totalShares,
-          Number(entryPrice),
-          clientOrderId
-        );
+        try {
+          entryOrder = await broker.placeOrder({
+            symbol: symbol.toUpperCase(),
+            qty: tranche.shares,
+            side: entrySide,
+            type: order.type,
+            timeInForce: entry.timeInForce,
+            limitPrice: order.limitPrice,
+            stopPrice: order.stopPrice,
+            clientOrderId,
+          });
+
+          logger.trade("Entry order placed successfully", {
+            orderId: entryOrder.id,
+            tranche: tranche.tranche,
+            status: entryOrder.status,
+            submittedAt: entryOrder.submitted_at,
+          });
+        } catch (err) {
+          console.log(err);
+          logger.error("Error placing entry order", {
+            tranche: tranche.tranche,
+            message: err?.response?.data?.message || err.message,
+            raw: err?.response?.data || err,
+          });
+
+          // Don't leave earlier tranches working for a failed trade
+          for (const placed of entryOrders) {
+            await broker.cancelOrder(placed.id).catch(() => {});
+            await db("orders")
+              .where("alpaca_order_id", placed.id)
+              .update({ status: "cancelled" });
+          }
+
+          throw new Error(
+            err?.response?.data?.message || "Failed to place entry order"
+          );
+        }
+
+        entryOrders.push(entryOrder);
 
-        logger.trade("Entry order placed successfully", {
-          orderId: entryOrder.id,
+        await db("orders").insert({
+          trade_id: tradeId,
+          alpaca_order_id: entryOrder.id,
+          client_order_id: clientOrderId,
+          symbol: symbol.toUpperCase(),
+          side: entrySide,
+          order_type: order.type,
+          order_class: "simple",
+          qty: tranche.shares,
+          limit_price: order.limitPrice,
+          stop_price: order.stopPrice,
+          time_in_force: entry.timeInForce,
+          expires_at: entry.expiresAt,
+          extended_hours: false,
+          phase: 0,
+          tranche: tranche.tranche,
+          purpose: "entry",
           status: entryOrder.status,
-          submittedAt: entryOrder.submitted_at,
+          alpaca_response: JSON.stringify(entryOrder),
         });
-      } catch (err) {
-        console.log(err);
-        logger.error("Error placing Alpaca order", {
-          message: err?.response?.data?.message || err.message,
-          raw: err?.response?.data || err,
-        });
-
-        throw new Error(
-          err?.response?.data?.message || "Failed to place entry order"
-        );
       }
+      const entryOrder = entryOrders[0];
 
-      // 11. Record entry order
-      await db("orders").insert({
-        trade_id: tradeId,
-        alpaca_order_id: entryOrder.id,
-        client_order_id: clientOrderId,
-        symbol: symbol.toUpperCase(),
-        side: "buy",
-        order_type: "limit",
-        order_class: "simple",
-        qty: totalShares,
-        limit_price: entryPrice,
-        time_in_force: "gtc",
-        extended_hours: false,
-        phase: 0,
-        purpose: "entry",
-        status: entryOrder.status,
-        alpaca_response: JSON.stringify(entryOrder),
-      });
-
-      // 12. Log event
+      // 13. Log event
       await this._logOrderEvent(null, tradeId, "entry_order_placed", {
+        tranches: tranchePlan,
         orderId: entryOrder.id,
         symbol,
+        side,
+        entryType: entry.type,
         shares: totalShares,
         price: entryPrice,
+        limitPrice: entry.limitPrice,
+        stopPrice: entry.stopPrice,
+        timeInForce: entry.timeInForce,
+        expiresAt: entry.expiresAt,
       });
 
-      // 13. Send notification
+      // 14. Send notification
       await NotificationService.send({
         type: "trade",
-        title: `📈 New Trade: ${symbol}`,
-        message: `Entry order placed for ${totalShares} shares at $${entryPrice.toFixed(
-          2
-        )}\nPosition Size: $${calculatedPositionSize.toFixed(2)}\nTemplate: ${
+        title: `${side === "short" ? "📉 New Short" : "📈 New Trade"}: ${symbol}`,
+        message: `${describeEntry(entry)} entry order placed for ${
+          tranchePlan[0].shares
+        } shares${describeTranches(tranchePlan)}\nPosition Size: $${calculatedPositionSize.toFixed(2)}\nTemplate: ${
           template.name
         }`,
         tradeId: tradeId,
@@ -210,8 +418,15 @@ class TradeExecutionService {
         tradeId,
         tradeUuid,
         symbol: symbol.toUpperCase(),
+        side,
         shares: totalShares,
         entryPrice,
+        entryType: entry.type,
+        stopPrice: entry.stopPrice,
+        timeInForce: entry.timeInForce,
+        expiresAt: entry.expiresAt,
+        tranches: tranchePlan,
+        fractional,
         positionSize: calculatedPositionSize,
         template: template.name,
         entryOrderId: entryOrder.id,
@@ -231,9 +446,157 @@ class TradeExecutionService {
   }
 
   /**
-   * Handle entry order fill - initiates Phase 1
+   * Adopt a broker position opened outside the platform: its average
+   * entry price and quantity become a filled entry, phases come from the
+   * template and Phase 1 orders are placed as on an entry fill.
+   *
+   * Not subject to halts or risk rules - the shares are already held.
+   *
+   * @param {Object} params
+   * @param {string} params.symbol - Symbol of the position
+   * @param {number} params.accountId - Account holding it (null: default account)
+   * @param {number} params.templateId - Template ID (optional, uses active template)
+   * @param {number} params.qty - Shares to manage (default: the whole position)
+   */
+  async adoptPosition({ symbol, accountId = null, templateId = null, qty = null }) {
+    const db = database.getDb();
+    const tradeUuid = uuidv4();
+    symbol = symbol.toUpperCase();
+
+    logger.trade("Adopting position", { symbol, accountId, templateId, qty, tradeUuid });
+
+    const broker = await BrokerService.forAccount(accountId);
+    const position = await broker.getPosition(symbol);
+    if (!position) {
+      throw new TradeExecutionError(`No ${symbol} position to adopt`, 404);
+    }
+
+    const managed = await db("trades")
+      .where({ account_id: accountId, symbol })
+      .whereIn("status", ["pending", "active"])
+      .first();
+    if (managed) {
+      throw new TradeExecutionError(`${symbol} is already managed by trade ${managed.id}`, 409);
+    }
+
+    // Working orders would hold the shares the phase orders need
+    const openOrders = await broker.getOrders("open", 500, [symbol]);
+    if (openOrders.length > 0) {
+      throw new TradeExecutionError(
+        `${symbol} has ${openOrders.length} open order(s) at the broker - cancel them first`,
+        409
+      );
+    }
+
+    const heldQty = Math.abs(parseQty(position.qty));
+    const shares = qty ? roundQty(qty) : heldQty;
+    if (shares <= 0 || shares > heldQty) {
+      throw new TradeExecutionError(`Quantity must be between 0 and ${heldQty} shares`);
+    }
+
+    const template = await this._getTemplate(templateId, accountId);
+    if (!template) {
+      throw new TradeExecutionError("No trading template found", 404);
+    }
+
+    const side = position.side === "short" ? "short" : "long";
+    const entryPrice = parseFloat(position.avg_entry_price);
+    const fractional = !Number.isInteger(shares);
+
+    try {
+      const asset = await broker.getAsset(symbol);
+
+      const [{ id: tradeId }] = await db("trades")
+        .insert({
+          trade_uuid: tradeUuid,
+          account_id: accountId,
+          trading_mode: broker.mode,
+          symbol,
+          company_name: asset.name,
+          entry_price: entryPrice,
+          total_shares: shares,
+          position_size: shares * entryPrice,
+          remaining_shares: shares,
+          side,
+          fractional,
+          current_phase: 0,
+          status: "pending",
+          adopted: true,
+          template_id: template.id,
+          template_snapshot: JSON.stringify(template),
+        })
+        .returning("id");
+
+      for (const phase of buildPhasePlan(
+        parsePhases(template.phases),
+        shares,
+        entryPrice,
+        side,
+        fractional
+      )) {
+        await db("trade_phases").insert({
+          trade_id: tradeId,
+          status: "pending",
+          ...phase,
+        });
+      }
+
+      // The position is the (fully filled) entry
+      const trade = await db("trades").where("id", tradeId).first();
+      await this._applyEntryFill(trade, entryPrice, shares, {
+        final: true,
+        fills: { adopted: { qty: shares, avg_price: entryPrice } },
+      });
+
+      await this._logOrderEvent(null, tradeId, "position_adopted", {
+        symbol,
+        side,
+        shares,
+        heldQty,
+        entryPrice,
+        template: template.name,
+      });
+
+      await NotificationService.send({
+        type: "trade",
+        title: `📥 Position Adopted: ${symbol}`,
+        message: `${shares} shares ${side} at $${entryPrice.toFixed(2)}
+Template: ${
+          template.name
+        }
+Phase 1 orders placed`,
+        tradeId,
+      });
+
+      return {
+        success: true,
+        tradeId,
+        tradeUuid,
+        symbol,
+        side,
+        shares,
+        entryPrice,
+        template: template.name,
+      };
+    } catch (error) {
+      logger.error("Position adoption failed:", error);
+
+      await db("trades").where("trade_uuid", tradeUuid).update({ status: "error" });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Handle entry order fill - initiates Phase 1. For scale-in trades this
+   * is one tranche; the trade is re-sized around all shares filled so far.
+   *
+   * @param {number} tradeId
+   * @param {number} fillPrice - Average fill price of the order
+   * @param {number} filledQty - Filled quantity of the order
+   * @param {string} brokerOrderId - Filled entry order
    */
-  async handleEntryFill(tradeId, fillPrice, filledQty) {
+  async handleEntryFill(tradeId, fillPrice, filledQty, brokerOrderId = null) {
     const db = database.getDb();
 
     logger.phase("Entry filled, initiating Phase 1", {
@@ -249,45 +612,39 @@ class TradeExecutionService {
         throw new Error(`Trade ${tradeId} not found`);
       }
 
-      // Update trade with actual fill price
-      await db("trades").where("id", tradeId).update({
-        entry_price: fillPrice,
-        status: "active",
-        current_phase: 1,
-        updated_at: db.fn.now(),
+      const wasActive = trade.status === "active";
+      const entry = await this._processEntryFill(trade, brokerOrderId, fillPrice, filledQty, {
+        orderDone: true,
       });
-
-      // Recalculate phase prices based on actual fill price
-      const phases = await db("trade_phases")
-        .where("trade_id", tradeId)
-        .orderBy("phase_number");
-
-      for (const phase of phases) {
-        const tpPrice = fillPrice * (1 + phase.take_profit_pct / 100);
-        const slPrice = fillPrice * (1 + phase.stop_loss_pct / 100);
-
-        await db("trade_phases").where("id", phase.id).update({
-          take_profit_price: tpPrice,
-          stop_loss_price: slPrice,
-        });
-      }
-
-      // Place Phase 1 orders
-      await this.placePhaseOrders(tradeId, 1);
+      if (!entry) return;
 
       // Log event
       await this._logOrderEvent(null, tradeId, "entry_filled", {
         fillPrice,
         filledQty,
+        avgEntryPrice: entry.avgPrice,
+        entryFilledQty: entry.filledQty,
+        plannedPrice: parseFloat(trade.entry_price),
       });
 
       // Notify
+      let message;
+      if (!entry.final) {
+        message = `Tranche filled: ${filledQty} shares at $${fillPrice.toFixed(2)}\n${
+          entry.filledQty
+        }/${parseQty(trade.total_shares)} shares in, average $${entry.avgPrice.toFixed(2)}\nPhase orders resized`;
+      } else if (wasActive) {
+        message = `All ${entry.filledQty} shares filled, average $${entry.avgPrice.toFixed(
+          2
+        )}\nPhase orders resized`;
+      } else {
+        message = `${filledQty} shares filled at $${fillPrice.toFixed(2)}\nPhase 1 orders placed`;
+      }
+
       await NotificationService.send({
         type: "trade",
         title: `✅ Entry Filled: ${trade.symbol}`,
-        message: `${filledQty} shares filled at $${fillPrice.toFixed(
-          2
-        )}\nPhase 1 orders placed`,
+        message,
         tradeId,
       });
     } catch (error) {
@@ -297,425 +654,2361 @@ class TradeExecutionService {
   }
 
   /**
-   * Place orders for a specific phase
+   * Handle a partial entry fill. The filled shares are protected right
+   * away: phases are resized to the filled quantity and the current
+   * phase's orders re-placed. With `orderDone` (entry order cancelled or
+   * expired after filling some shares) and no other tranche working, the
+   * trade is resized for good.
+   *
+   * @param {number} tradeId
+   * @param {number} avgFillPrice - Average price of the order's shares filled so far
+   * @param {number} filledQty - Cumulative filled quantity of the order
+   * @param {Object} options
+   * @param {boolean} options.orderDone - No more shares of this order will fill
+   * @param {string} options.brokerOrderId - Entry order
    */
-  async placePhaseOrders(tradeId, phaseNumber) {
+  async handleEntryPartialFill(
+    tradeId,
+    avgFillPrice,
+    filledQty,
+    { orderDone = false, brokerOrderId = null } = {}
+  ) {
     const db = database.getDb();
 
-    logger.phase("Placing phase orders", { tradeId, phaseNumber });
+    logger.phase("Entry partially filled", {
+      tradeId,
+      avgFillPrice,
+      filledQty,
+      orderDone,
+    });
 
     try {
       const trade = await db("trades").where("id", tradeId).first();
-      const phase = await db("trade_phases")
-        .where({ trade_id: tradeId, phase_number: phaseNumber })
-        .first();
-
-      if (!trade || !phase) {
-        throw new Error(
-          `Trade or phase not found: ${tradeId}, phase ${phaseNumber}`
-        );
+      if (!trade) {
+        throw new Error(`Trade ${tradeId} not found`);
       }
 
-      // Update phase status
-      await db("trade_phases").where("id", phase.id).update({
-        status: "active",
-        started_at: db.fn.now(),
+      const isFirstFill = trade.status === "pending";
+      const entry = await this._processEntryFill(trade, brokerOrderId, avgFillPrice, filledQty, {
+        orderDone,
       });
+      if (!entry) return;
 
-      const tradeUuidShort = trade.trade_uuid.substring(0, 8);
-
-      // Place OCO order for this phase's shares (TP + SL)
-      const ocoClientOrderId = `RZE-P${phaseNumber}-OCO-${tradeUuidShort}`;
-      const ocoOrder = await AlpacaService.placeOCOSellOrder(
-        trade.symbol,
-        phase.shares_to_sell,
-        phase.take_profit_price,
-        phase.stop_loss_price,
-        ocoClientOrderId
+      await this._logOrderEvent(
+        null,
+        tradeId,
+        entry.final ? "entry_closed_partial" : "entry_partial_fill",
+        {
+          avgFillPrice,
+          filledQty,
+          avgEntryPrice: entry.avgPrice,
+          entryFilledQty: entry.filledQty,
+          orderedQty: parseQty(trade.total_shares),
+        }
       );
 
-      // Record OCO order
-      await db("orders").insert({
-        trade_id: tradeId,
-        alpaca_order_id: ocoOrder.id,
-        client_order_id: ocoClientOrderId,
-        symbol: trade.symbol,
-        side: "sell",
-        order_type: "limit",
-        order_class: "oco",
-        qty: phase.shares_to_sell,
-        limit_price: phase.take_profit_price,
-        stop_price: phase.stop_loss_price,
-        time_in_force: "gtc",
-        extended_hours: false,
-        phase: phaseNumber,
-        purpose: "phase_tp",
-        status: ocoOrder.status,
-        alpaca_response: JSON.stringify(ocoOrder),
-      });
-
-      // If Phase 1, also place stop loss for remaining shares
-      if (phaseNumber === 1) {
-        const remainingShares = trade.total_shares - phase.shares_to_sell;
-        if (remainingShares > 0) {
-          const slClientOrderId = `RZE-P${phaseNumber}-SL-${tradeUuidShort}`;
-          const slOrder = await AlpacaService.placeStopLossSellOrder(
-            trade.symbol,
-            remainingShares,
-            phase.stop_loss_price,
-            slClientOrderId
-          );
-
-          await db("orders").insert({
-            trade_id: tradeId,
-            alpaca_order_id: slOrder.id,
-            client_order_id: slClientOrderId,
-            symbol: trade.symbol,
-            side: "sell",
-            order_type: "stop",
-            order_class: "simple",
-            qty: remainingShares,
-            stop_price: phase.stop_loss_price,
-            time_in_force: "gtc",
-            extended_hours: false,
-            phase: phaseNumber,
-            purpose: "remaining_sl",
-            status: slOrder.status,
-            alpaca_response: JSON.stringify(slOrder),
-          });
-        }
+      if (entry.final) {
+        await NotificationService.send({
+          type: "trade",
+          title: `✂️ Entry Closed: ${trade.symbol}`,
+          message: `Entry ended with ${entry.filledQty}/${parseQty(
+            trade.total_shares
+          )} shares filled at $${entry.avgPrice.toFixed(2)}\nTrade continues with ${
+            entry.filledQty
+          } shares`,
+          tradeId,
+        });
+      } else if (isFirstFill) {
+        await NotificationService.send({
+          type: "trade",
+          title: `⏳ Partial Entry: ${trade.symbol}`,
+          message: `${filledQty}/${parseQty(trade.total_shares)} shares filled at $${avgFillPrice.toFixed(
+            2
+          )}\nFilled shares are protected; phase orders grow as the rest fills`,
+          tradeId,
+        });
       }
-
-      // Log event
-      await this._logOrderEvent(null, tradeId, "phase_orders_placed", {
-        phase: phaseNumber,
-        shares: phase.shares_to_sell,
-        takeProfitPrice: phase.take_profit_price,
-        stopLossPrice: phase.stop_loss_price,
-      });
-
-      logger.phase("Phase orders placed", {
-        tradeId,
-        phaseNumber,
-        shares: phase.shares_to_sell,
-        tp: phase.take_profit_price,
-        sl: phase.stop_loss_price,
-      });
     } catch (error) {
-      logger.error("Error placing phase orders:", error);
+      logger.error("Error handling partial entry fill:", error);
       throw error;
     }
   }
 
   /**
-   * Handle phase take profit hit - advance to next phase
+   * Book an entry order's cumulative fill and re-size the trade.
+   *
+   * Fills are kept per entry order (trades.entry_fills), so a trade can
+   * have several tranches and repeated or late updates only count new
+   * shares. The entry price becomes the volume-weighted average of all
+   * fills. The entry is final once the order is done and no other
+   * tranche is still working.
+   *
+   * @returns {Object|null} { filledQty, avgPrice, final } - null when
+   *   there was nothing to do
    */
-  async handlePhaseTakeProfitHit(tradeId, phaseNumber, fillPrice) {
+  async _processEntryFill(trade, brokerOrderId, avgFillPrice, cumulativeQty, { orderDone }) {
     const db = database.getDb();
 
-    logger.phase("Take profit hit", { tradeId, phaseNumber, fillPrice });
+    // Closed, or being closed, while the entry was working
+    if (
+      !["pending", "active"].includes(trade.status) ||
+      (trade.status === "active" && trade.exit_reason)
+    ) {
+      logger.warn(`Ignoring entry fill for trade ${trade.id} (${trade.status})`, {
+        cumulativeQty,
+        exitReason: trade.exit_reason,
+      });
+      return null;
+    }
 
-    try {
-      const trade = await db("trades").where("id", tradeId).first();
-      const currentPhase = await db("trade_phases")
-        .where({ trade_id: tradeId, phase_number: phaseNumber })
-        .first();
+    const fills =
+      (typeof trade.entry_fills === "string"
+        ? JSON.parse(trade.entry_fills)
+        : trade.entry_fills) || {};
+    const key = brokerOrderId || "entry";
+    const newQty = roundQty(cumulativeQty - ((fills[key] && fills[key].qty) || 0));
 
-      // Calculate phase P&L
-      const phasePnl =
-        (fillPrice - trade.entry_price) * currentPhase.shares_to_sell;
+    if (newQty > 0) {
+      fills[key] = { qty: cumulativeQty, avg_price: avgFillPrice };
+    }
 
-      // Update current phase as completed
-      await db("trade_phases").where("id", currentPhase.id).update({
-        status: "completed",
-        exit_price: fillPrice,
-        exit_type: "take_profit",
-        phase_pnl: phasePnl,
-        completed_at: db.fn.now(),
-      });
+    const orderFills = Object.values(fills);
+    const filledQty = roundQty(orderFills.reduce((sum, f) => sum + f.qty, 0));
+    const avgPrice =
+      filledQty > 0
+        ? orderFills.reduce((sum, f) => sum + f.qty * f.avg_price, 0) / filledQty
+        : avgFillPrice;
+
+    let final = false;
+    if (orderDone) {
+      const working = await db("orders")
+        .where({ trade_id: trade.id, purpose: "entry" })
+        .whereNot("alpaca_order_id", brokerOrderId)
+        .whereNotIn("status", DONE_ORDER_STATUSES)
+        .first();
+      final = !working;
+    }
 
-      // Update remaining shares
-      const newRemainingShares =
-        trade.remaining_shares - currentPhase.shares_to_sell;
+    // Updates can arrive late or twice (stream and sync)
+    if (newQty <= 0 && !final) {
+      logger.debug(`Stale entry fill for trade ${trade.id} ignored`, {
+        cumulativeQty,
+        filledQty,
+      });
+      return null;
+    }
+    if (filledQty === 0) {
+      // Nothing ever filled: the trade is over before it started
+      if (final && trade.status === "pending") {
+        await this._closeUnfilledEntry(trade, brokerOrderId);
+      }
+      return null;
+    }
+
+    if (newQty > 0) {
+      await this._applyEntryFill(trade, avgPrice, filledQty, { final, fills });
+    } else {
+      // Nothing new filled; the orders already cover these shares
+      if (filledQty !== parseQty(trade.total_shares)) {
+        await db("trades")
+          .where("id", trade.id)
+          .update({
+            total_shares: filledQty,
+            position_size: filledQty * avgPrice,
+            updated_at: db.fn.now(),
+          });
+      }
+    }
+
+    return { filledQty, avgPrice, final };
+  }
+
+  /**
+   * Size the trade to the shares filled so far and (re)place the current
+   * phase's orders around them.
+   *
+   * Shares sold by completed phases are subtracted; the rest is split
+   * over the open phases by sell_pct and every open phase is re-priced
+   * from the average entry (market and stop entries fill away from the
+   * price they were sized at, and tranches fill at different prices).
+   */
+  async _applyEntryFill(trade, avgFillPrice, filledQty, { final, fills }) {
+    const db = database.getDb();
+    const isFirstFill = trade.status === "pending";
+    const currentPhase = isFirstFill ? 1 : trade.current_phase;
+
+    const phases = await db("trade_phases")
+      .where("trade_id", trade.id)
+      .orderBy("phase_number");
+    const openPhases = phases.filter((p) => p.status !== "completed");
+    const soldShares = phases.reduce(
+      (sum, p) => sum + parseQty(p.status === "completed" ? p.shares_to_sell : p.filled_qty),
+      0
+    );
+    const heldShares = roundQty(filledQty - soldShares);
+
+    await db("trades")
+      .where("id", trade.id)
+      .update({
+        entry_price: avgFillPrice,
+        status: "active",
+        current_phase: currentPhase,
+        remaining_shares: heldShares,
+        ...(final && filledQty !== parseQty(trade.total_shares)
+          ? { total_shares: filledQty, position_size: filledQty * avgFillPrice }
+          : {}),
+        entry_first_fill_at: trade.entry_first_fill_at || db.fn.now(),
+        updated_at: db.fn.now(),
+      });
+
+    // A phase keeps the shares it already sold on top of its new split
+    const shares = reallocatePhaseShares(openPhases, heldShares, trade.fractional);
+    for (const [idx, phase] of openPhases.entries()) {
+      await db("trade_phases")
+        .where("id", phase.id)
+        .update({
+          shares_to_sell: roundQty(shares[idx] + parseQty(phase.filled_qty)),
+          ...calculatePhasePrices(avgFillPrice, phase, trade.side),
+        });
+    }
+
+    // Sell orders hold shares at the broker, so the old ones go first
+    if (!isFirstFill) {
+      await this._cancelPhaseOrders(trade, currentPhase);
+    }
+    await this.placePhaseOrders(trade.id, currentPhase);
+
+    // Recorded last so a failed re-placement is retried in full
+    await db("trades")
+      .where("id", trade.id)
+      .update({ entry_fills: JSON.stringify(fills), entry_filled_qty: filledQty });
+  }
+
+  /**
+   * Cancel the open exit orders of a phase
+   */
+  async _cancelPhaseOrders(trade, phaseNumber) {
+    const db = database.getDb();
+
+    const orders = await db("orders")
+      .where({ trade_id: trade.id, phase: phaseNumber })
+      .whereIn("purpose", ["phase_tp", "phase_sl", "remaining_sl"])
+      .whereNotIn("status", ["filled", "cancelled", "canceled", "rejected", "expired"]);
+
+    const broker = await BrokerService.forTrade(trade);
+    for (const order of orders) {
+      try {
+        await broker.cancelOrder(order.alpaca_order_id);
+      } catch (error) {
+        // Fine if it is already closed at the broker (or never got there);
+        // a fill is left for the fill handling to book
+        const brokerOrder = await broker.getOrder(order.alpaca_order_id).catch(() => null);
+        if (brokerOrder && OPEN_ORDER_STATUSES.includes(brokerOrder.status)) throw error;
+        if (brokerOrder && brokerOrder.status === "filled") continue;
+      }
+      await db("orders")
+        .where("id", order.id)
+        .update({ status: "cancelled", updated_at: db.fn.now() });
+    }
+  }
+
+  /**
+   * Cancel a trade's open exit orders - one phase's, or all of them - and
+   * wait up to LIQUIDATION_WAIT_MS for the broker to report each one done.
+   * Orders are recorded with their broker status, and shares they sold
+   * before closing are booked on their phase, so the returned trade's
+   * remaining_shares is what is actually left to sell.
+   *
+   * @param {Object} trade
+   * @param {Object} options - { phaseNumber } (all phases when omitted)
+   * @returns {Object} The trade as it stands after the cancellations
+   */
+  async _cancelExitOrdersConfirmed(trade, { phaseNumber = null } = {}) {
+    const db = database.getDb();
+
+    const query = db("orders")
+      .where("trade_id", trade.id)
+      .whereIn("purpose", ["phase_tp", "phase_sl", "remaining_sl", "manual_exit"])
+      .whereNotIn("status", DONE_ORDER_STATUSES);
+    if (phaseNumber !== null) {
+      query.where("phase", phaseNumber);
+    }
+    const orders = await query;
+    if (orders.length === 0) return trade;
+
+    const broker = await BrokerService.forTrade(trade);
+    for (const order of orders) {
+      try {
+        await broker.cancelOrder(order.alpaca_order_id);
+      } catch (error) {
+        // Fine if it is already closed at the broker; the wait below checks
+        const brokerOrder = await broker.getOrder(order.alpaca_order_id).catch(() => null);
+        if (brokerOrder && OPEN_ORDER_STATUSES.includes(brokerOrder.status)) throw error;
+      }
+    }
+
+    const deadline = Date.now() + LIQUIDATION_WAIT_MS;
+    for (const order of orders) {
+      let brokerOrder = await broker.getOrder(order.alpaca_order_id);
+      while (!DONE_ORDER_STATUSES.includes(brokerOrder.status) && Date.now() < deadline) {
+        await new Promise((resolve) => setTimeout(resolve, LIQUIDATION_POLL_MS));
+        brokerOrder = await broker.getOrder(order.alpaca_order_id);
+      }
+      if (!DONE_ORDER_STATUSES.includes(brokerOrder.status)) {
+        throw new TradeExecutionError(
+          `Order ${order.client_order_id} of trade ${trade.id} is still ${brokerOrder.status} at the broker`,
+          409
+        );
+      }
+
+      await db("orders").where("id", order.id).update({
+        status: brokerOrder.status,
+        filled_qty: parseQty(brokerOrder.filled_qty),
+        alpaca_response: JSON.stringify(brokerOrder),
+        updated_at: db.fn.now(),
+      });
+
+      // An OCO's stop leg fills under its own id, as the fill handling books it
+      for (const filled of [brokerOrder, ...(brokerOrder.legs || [])]) {
+        if (!(parseQty(filled.filled_qty) > 0)) continue;
+
+        const current = await db("trades").where("id", trade.id).first();
+        const phase = await db("trade_phases")
+          .where({ trade_id: trade.id, phase_number: order.phase })
+          .first();
+        const fill = await this._recordPhaseExitFill(
+          current,
+          phase,
+          filled.id,
+          parseFloat(filled.filled_avg_price),
+          filled.filled_qty
+        );
+        if (fill.soldQty > 0) {
+          logger.warn(`Order ${order.client_order_id} sold ${fill.soldQty} shares before it closed`, {
+            tradeId: trade.id,
+            remainingShares: fill.remainingShares,
+          });
+        }
+      }
+    }
+
+    return db("trades").where("id", trade.id).first();
+  }
+
+  /**
+   * Cancel the unfilled remainder of entries that have been partially
+   * filled for longer than `partial_entry_timeout_sec`, for accounts with
+   * `partial_entry_mode` = 'cancel_remainder'. The trade is resized when
+   * the cancellation comes back from the broker.
+   */
+  async cancelStaleEntryRemainders() {
+    const db = database.getDb();
+
+    const orders = await db("orders")
+      .join("trades", "trades.id", "orders.trade_id")
+      .where({
+        "orders.purpose": "entry",
+        "orders.status": "partially_filled",
+        "trades.status": "active",
+      })
+      .whereNotNull("trades.entry_first_fill_at")
+      .select(
+        "orders.*",
+        "trades.account_id",
+        "trades.trading_mode",
+        "trades.entry_first_fill_at"
+      );
+
+    const settingsByAccount = new Map();
+
+    for (const order of orders) {
+      try {
+        if (!settingsByAccount.has(order.account_id)) {
+          settingsByAccount.set(
+            order.account_id,
+            await SettingsService.getAll(order.account_id)
+          );
+        }
+        const settings = settingsByAccount.get(order.account_id);
+
+        if (settings.partial_entry_mode !== "cancel_remainder") continue;
+
+        const timeoutMs = (settings.partial_entry_timeout_sec || 0) * 1000;
+        const partialFor = Date.now() - new Date(order.entry_first_fill_at).getTime();
+        if (partialFor < timeoutMs) continue;
+
+        const broker = await BrokerService.forAccount(order.account_id);
+        // Entries placed before a forced mode switch are not at this broker
+        if (order.trading_mode && order.trading_mode !== broker.mode) continue;
+        await broker.cancelOrder(order.alpaca_order_id);
+        await db("orders")
+          .where("id", order.id)
+          .update({ status: "pending_cancel", updated_at: db.fn.now() });
+
+        await this._logOrderEvent(order.id, order.trade_id, "entry_remainder_cancelled", {
+          filledQty: parseQty(order.filled_qty),
+          qty: parseQty(order.qty),
+          partialForSec: Math.round(partialFor / 1000),
+        });
+
+        logger.trade("Cancelled unfilled entry remainder", {
+          tradeId: order.trade_id,
+          filledQty: parseQty(order.filled_qty),
+          qty: parseQty(order.qty),
+        });
+      } catch (error) {
+        logger.error(`Failed to cancel entry remainder for trade ${order.trade_id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Cancel entry orders still working past their expires_at. The trade
+   * expires (or shrinks to its filled shares) when the cancellation comes
+   * back from the broker, like any other closed entry.
+   */
+  async expireStaleEntries() {
+    const db = database.getDb();
+
+    const orders = await db("orders")
+      .join("trades", "trades.id", "orders.trade_id")
+      .where("orders.purpose", "entry")
+      .whereIn("trades.status", ["pending", "active"])
+      .whereNotIn("orders.status", [...DONE_ORDER_STATUSES, "pending_cancel"])
+      .whereNotNull("orders.expires_at")
+      .where("orders.expires_at", "<=", db.fn.now())
+      .select("orders.*", "trades.account_id", "trades.trading_mode");
+
+    for (const order of orders) {
+      try {
+        const broker = await BrokerService.forAccount(order.account_id);
+        // Entries placed before a forced mode switch are not at this broker
+        if (order.trading_mode && order.trading_mode !== broker.mode) continue;
+        await broker.cancelOrder(order.alpaca_order_id);
+        await db("orders")
+          .where("id", order.id)
+          .update({ status: "pending_cancel", updated_at: db.fn.now() });
+
+        await this._logOrderEvent(order.id, order.trade_id, "entry_expiry_cancelled", {
+          expiresAt: order.expires_at,
+          filledQty: parseQty(order.filled_qty),
+          qty: parseQty(order.qty),
+        });
+
+        logger.trade("Cancelled expired entry order", {
+          tradeId: order.trade_id,
+          orderId: order.alpaca_order_id,
+          expiresAt: order.expires_at,
+        });
+      } catch (error) {
+        logger.error(`Failed to cancel expired entry for trade ${order.trade_id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Close a pending trade whose entry ended without a single fill. It no
+   * longer counts toward max_concurrent_positions.
+   */
+  async _closeUnfilledEntry(trade, brokerOrderId) {
+    const db = database.getDb();
+
+    const order = await db("orders")
+      .where({ trade_id: trade.id, alpaca_order_id: brokerOrderId })
+      .first();
+    const expired =
+      !!order &&
+      (order.status === "expired" ||
+        (order.expires_at && new Date(order.expires_at) <= new Date()));
+    const eventType = expired ? "entry_expired" : "entry_cancelled";
+
+    await db("trades")
+      .where("id", trade.id)
+      .update({
+        status: expired ? "expired" : "cancelled",
+        exit_reason: eventType,
+        exit_time: db.fn.now(),
+        updated_at: db.fn.now(),
+      });
+
+    await this._logOrderEvent(order ? order.id : null, trade.id, eventType, {
+      orderId: brokerOrderId,
+      expiresAt: order ? order.expires_at : null,
+    });
+
+    await NotificationService.send({
+      type: "trade",
+      title: `${expired ? "⌛ Entry Expired" : "❌ Entry Cancelled"}: ${trade.symbol}`,
+      message: expired
+        ? "Entry order expired unfilled - trade closed"
+        : "Entry order was cancelled at the broker unfilled - trade closed",
+      tradeId: trade.id,
+    });
+
+    logger.trade("Unfilled entry closed", {
+      tradeId: trade.id,
+      symbol: trade.symbol,
+      reason: eventType,
+    });
+  }
+
+  /**
+   * Place orders for a specific phase
+   */
+  async placePhaseOrders(tradeId, phaseNumber) {
+    const db = database.getDb();
+
+    logger.phase("Placing phase orders", { tradeId, phaseNumber });
+
+    try {
+      const trade = await db("trades").where("id", tradeId).first();
+      const phase = await db("trade_phases")
+        .where({ trade_id: tradeId, phase_number: phaseNumber })
+        .first();
+
+      if (!trade || !phase) {
+        throw new Error(
+          `Trade or phase not found: ${tradeId}, phase ${phaseNumber}`
+        );
+      }
+
+      // Update phase status (kept when orders are re-placed)
+      await db("trade_phases").where("id", phase.id).update({
+        status: "active",
+        started_at: phase.started_at || db.fn.now(),
+      });
+
+      const broker = await BrokerService.forTrade(trade);
+      const tradeUuidShort = trade.trade_uuid.substring(0, 8);
+      const isShort = trade.side === "short";
+      const exitSide = exitOrderSide(trade.side);
+
+      // Client order ids must be unique; re-placed orders get a suffix
+      const { count: placedBefore } = await db("orders")
+        .where({ trade_id: tradeId, phase: phaseNumber })
+        .whereIn("purpose", ["phase_tp", "remaining_sl"])
+        .count("* as count")
+        .first();
+      const idSuffix = parseInt(placedBefore) > 0 ? `-R${placedBefore}` : "";
+
+      // Place OCO order for this phase's shares (TP + SL),
+      // buy-to-cover for short trades. A small partial entry fill can
+      // leave a phase with no shares; the stop below still covers them.
+      // Shares the phase already sold are left out, and OCO orders only
+      // take whole shares: a fraction is sold at market once the take
+      // profit fills (_sellPhaseFraction).
+      const phaseQty = roundQty(parseQty(phase.shares_to_sell) - parseQty(phase.filled_qty));
+      const ocoQty = wholeShares(phaseQty);
+      if (ocoQty > 0) {
+        const ocoClientOrderId = `RZE-P${phaseNumber}-OCO-${tradeUuidShort}${idSuffix}`;
+        const ocoOrder = isShort
+          ? await broker.placeOCOBuyOrder(
+              trade.symbol,
+              ocoQty,
+              phase.take_profit_price,
+              phase.stop_loss_price,
+              ocoClientOrderId
+            )
+          : await broker.placeOCOSellOrder(
+              trade.symbol,
+              ocoQty,
+              phase.take_profit_price,
+              phase.stop_loss_price,
+              ocoClientOrderId
+            );
+
+        // Record OCO order
+        await db("orders").insert({
+          trade_id: tradeId,
+          alpaca_order_id: ocoOrder.id,
+          client_order_id: ocoClientOrderId,
+          symbol: trade.symbol,
+          side: exitSide,
+          order_type: "limit",
+          order_class: "oco",
+          qty: ocoQty,
+          limit_price: phase.take_profit_price,
+          stop_price: phase.stop_loss_price,
+          time_in_force: "gtc",
+          extended_hours: false,
+          phase: phaseNumber,
+          purpose: "phase_tp",
+          status: ocoOrder.status,
+          alpaca_response: JSON.stringify(ocoOrder),
+        });
+      }
+
+      // If Phase 1, also place stop loss for remaining shares
+      if (phaseNumber === 1) {
+        // GTC stops take whole shares too
+        const remainingShares = wholeShares(parseQty(trade.remaining_shares) - phaseQty);
+        if (remainingShares > 0) {
+          const slClientOrderId = `RZE-P${phaseNumber}-SL-${tradeUuidShort}${idSuffix}`;
+          const slOrder = isShort
+            ? await broker.placeStopLossBuyOrder(
+                trade.symbol,
+                remainingShares,
+                phase.stop_loss_price,
+                slClientOrderId
+              )
+            : await broker.placeStopLossSellOrder(
+                trade.symbol,
+                remainingShares,
+                phase.stop_loss_price,
+                slClientOrderId
+              );
+
+          await db("orders").insert({
+            trade_id: tradeId,
+            alpaca_order_id: slOrder.id,
+            client_order_id: slClientOrderId,
+            symbol: trade.symbol,
+            side: exitSide,
+            order_type: "stop",
+            order_class: "simple",
+            qty: remainingShares,
+            stop_price: phase.stop_loss_price,
+            time_in_force: "gtc",
+            extended_hours: false,
+            phase: phaseNumber,
+            purpose: "remaining_sl",
+            status: slOrder.status,
+            alpaca_response: JSON.stringify(slOrder),
+          });
+        }
+      }
+
+      // Log event
+      await this._logOrderEvent(null, tradeId, "phase_orders_placed", {
+        phase: phaseNumber,
+        shares: parseQty(phase.shares_to_sell),
+        takeProfitPrice: phase.take_profit_price,
+        stopLossPrice: phase.stop_loss_price,
+      });
+
+      logger.phase("Phase orders placed", {
+        tradeId,
+        phaseNumber,
+        shares: parseQty(phase.shares_to_sell),
+        tp: phase.take_profit_price,
+        sl: phase.stop_loss_price,
+      });
+    } catch (error) {
+      logger.error("Error placing phase orders:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle phase take profit hit - advance to next phase once every
+   * share of the phase is sold. Booking the fill, completing the phase
+   * and starting its phase transition commit together; the transition's
+   * steps then run one by one (_runPhaseTransition). A retried job
+   * resumes a transition that failed part way.
+   *
+   * @param {number} tradeId
+   * @param {number} phaseNumber
+   * @param {number} fillPrice - Average fill price of the order
+   * @param {number} filledQty - Cumulative filled quantity of the order
+   * @param {string} brokerOrderId - Filled broker order (or OCO leg)
+   */
+  async handlePhaseTakeProfitHit(tradeId, phaseNumber, fillPrice, filledQty, brokerOrderId) {
+    const db = database.getDb();
+
+    logger.phase("Take profit hit", { tradeId, phaseNumber, fillPrice, filledQty });
+
+    try {
+      const trade = await db("trades").where("id", tradeId).first();
+      const currentPhase = await db("trade_phases")
+        .where({ trade_id: tradeId, phase_number: phaseNumber })
+        .first();
+
+      if (currentPhase.status === "completed") {
+        const unfinished = await db("phase_transitions")
+          .where({ trade_id: tradeId, from_phase: phaseNumber })
+          .whereNotIn("state", TERMINAL_TRANSITION_STATES)
+          .first();
+        if (unfinished) {
+          await this._runPhaseTransition(unfinished);
+          return;
+        }
+        logger.warn(`Phase ${phaseNumber} of trade ${tradeId} already completed`);
+        return;
+      }
+      if (currentPhase.status === "skipped") {
+        // Filled while the skip was cancelling it: book the shares only
+        logger.warn(`Take profit of skipped phase ${phaseNumber} of trade ${tradeId} filled`);
+        await this._recordPhaseExitFill(trade, currentPhase, brokerOrderId, fillPrice, filledQty);
+        return;
+      }
+
+      const { fill, unsold, transition } = await database.transaction(async (trx) => {
+        const fill = await this._recordPhaseExitFill(
+          trade,
+          currentPhase,
+          brokerOrderId,
+          fillPrice,
+          filledQty ||
+            roundQty(parseQty(currentPhase.shares_to_sell) - parseQty(currentPhase.filled_qty)),
+          trx
+        );
+
+        const unsold = roundQty(parseQty(currentPhase.shares_to_sell) - fill.filledQty);
+        if (unsold > 0) {
+          return { fill, unsold, transition: null };
+        }
+
+        return {
+          fill,
+          unsold,
+          transition: await this._beginPhaseTransition(trx, trade, currentPhase, fill),
+        };
+      });
+
+      if (!transition) {
+        if (unsold < 1) {
+          // The fraction the whole-share OCO could not carry
+          await this._sellPhaseFraction(trade, currentPhase, unsold);
+        } else {
+          logger.warn(`Phase ${phaseNumber} of trade ${tradeId} not fully sold yet`, {
+            filledQty: fill.filledQty,
+            sharesToSell: parseQty(currentPhase.shares_to_sell),
+          });
+        }
+        return;
+      }
+
+      await this._runPhaseTransition(transition);
+    } catch (error) {
+      logger.error("Error handling phase take profit:", error);
+      throw error;
+    }
+  }
+
+  // ===========================================
+  // PHASE TRANSITIONS
+  // ===========================================
+
+  /**
+   * Complete a fully sold phase and record its transition, in the
+   * caller's transaction
+   */
+  async _beginPhaseTransition(trx, trade, phase, fill) {
+    const db = database.getDb();
+
+    const { count: totalPhases } = await trx("trade_phases")
+      .where("trade_id", trade.id)
+      .count("* as count")
+      .first();
+    const lastPhase = phase.phase_number >= parseInt(totalPhases) || fill.remainingShares <= 0;
+
+    await trx("trade_phases").where("id", phase.id).update({
+      status: "completed",
+      exit_type: "take_profit",
+      completed_at: db.fn.now(),
+    });
+
+    const [transition] = await trx("phase_transitions")
+      .insert({
+        trade_id: trade.id,
+        from_phase: phase.phase_number,
+        to_phase: lastPhase ? null : phase.phase_number + 1,
+        state: "cancel_exits",
+      })
+      .returning("*");
+
+    await this._logOrderEvent(
+      null,
+      trade.id,
+      "phase_tp_hit",
+      {
+        phase: phase.phase_number,
+        fillPrice: fill.exitPrice,
+        phasePnl: fill.phasePnl,
+        remainingShares: fill.remainingShares,
+        transitionId: transition.id,
+      },
+      trx
+    );
+
+    return transition;
+  }
+
+  /**
+   * Run a phase transition's remaining steps (see utils/phaseTransitions).
+   * A step that fails leaves the transition at that step, with the error,
+   * for the fill job's retry or resumePhaseTransitions to pick up.
+   *
+   * @returns {Object} The phase_transitions row as it was left
+   */
+  async _runPhaseTransition(transition) {
+    const db = database.getDb();
+
+    // Resumed from elsewhere (fill job, periodic sync) right now
+    if (this.runningTransitions.has(transition.id)) return transition;
+    this.runningTransitions.add(transition.id);
+
+    try {
+      while (!TERMINAL_TRANSITION_STATES.includes(transition.state)) {
+        try {
+          await this._runTransitionStep(transition);
+        } catch (error) {
+          await db("phase_transitions")
+            .where("id", transition.id)
+            .update({
+              attempts: transition.attempts + 1,
+              last_error: error.message,
+              updated_at: db.fn.now(),
+            });
+          throw error;
+        }
+        transition = await db("phase_transitions").where("id", transition.id).first();
+      }
+      return transition;
+    } finally {
+      this.runningTransitions.delete(transition.id);
+    }
+  }
+
+  /**
+   * Run the step of the transition's current state and move it to the next
+   * state. Broker calls are recorded as intents before they are made.
+   */
+  async _runTransitionStep(transition) {
+    const db = database.getDb();
+    const trade = await db("trades").where("id", transition.trade_id).first();
+    const next = nextTransitionState(transition);
+
+    // Closed out (stop, liquidation, manual close) since the phase completed
+    if (transition.state !== "complete" && (trade.status !== "active" || trade.exit_reason)) {
+      await this._setTransitionState(db, transition, "aborted");
+      return;
+    }
+
+    switch (transition.state) {
+      case "cancel_exits": {
+        const orders = await db("orders")
+          .where({ trade_id: trade.id, phase: transition.from_phase, purpose: "remaining_sl" })
+          .whereNotIn("status", DONE_ORDER_STATUSES);
+
+        const broker = await BrokerService.forTrade(trade);
+        const filled = [];
+        for (const order of orders) {
+          await this._executeIntent(
+            transition,
+            "cancel_order",
+            { orderId: order.id, brokerOrderId: order.alpaca_order_id },
+            async () => {
+              try {
+                await broker.cancelOrder(order.alpaca_order_id);
+                return { status: "cancelled" };
+              } catch (error) {
+                // Fine if it is already closed at the broker (or never got there)
+                const brokerOrder = await broker.getOrder(order.alpaca_order_id).catch(() => null);
+                if (brokerOrder && OPEN_ORDER_STATUSES.includes(brokerOrder.status)) throw error;
+                return brokerOrder || { status: "cancelled" };
+              }
+            },
+            async (trx, brokerOrder) => {
+              await trx("orders")
+                .where("id", order.id)
+                .update({ status: brokerOrder.status, updated_at: db.fn.now() });
+              if (brokerOrder.status === "filled") {
+                filled.push({ order, brokerOrder });
+              }
+            }
+          );
+        }
+
+        // The stop sold the remaining shares first: its fill stops the trade out
+        if (filled.length > 0) {
+          for (const { order, brokerOrder } of filled) {
+            await OrderUpdateQueue.enqueueFill(order, brokerOrder, { source: "transition" });
+          }
+          await this._setTransitionState(db, transition, "aborted");
+          return;
+        }
+
+        await this._setTransitionState(db, transition, next);
+        return;
+      }
+
+      case "advance":
+        await database.transaction(async (trx) => {
+          await trx("trades")
+            .where("id", trade.id)
+            .update({ current_phase: transition.to_phase, updated_at: db.fn.now() });
+          await this._setTransitionState(trx, transition, next);
+        });
+        return;
+
+      case "place_orders": {
+        // An earlier attempt may have placed part of the orders
+        const attempted = await db("broker_intents")
+          .where({ transition_id: transition.id, action: "place_phase_orders" })
+          .first();
+        if (attempted) {
+          await this._cancelPhaseOrders(trade, transition.to_phase);
+        }
+
+        await this._executeIntent(
+          transition,
+          "place_phase_orders",
+          { phase: transition.to_phase },
+          () => this.placePhaseOrders(trade.id, transition.to_phase),
+          (trx) => this._setTransitionState(trx, transition, next)
+        );
+
+        const completed = await db("trade_phases")
+          .where({ trade_id: trade.id, phase_number: transition.from_phase })
+          .first();
+        await NotificationService.send({
+          type: "phase",
+          title: `🎯 Phase ${transition.from_phase} Complete: ${trade.symbol}`,
+          message: `Take profit hit at $${parseFloat(completed.exit_price).toFixed(
+            2
+          )}\nP&L: $${parseFloat(completed.phase_pnl).toFixed(2)}\nAdvancing to Phase ${
+            transition.to_phase
+          }`,
+          tradeId: trade.id,
+        });
+        return;
+      }
+
+      case "complete":
+        // Already completed if the step ran before a crash
+        if (trade.status === "active") {
+          await this.completeTrade(trade.id, `phase_${transition.from_phase}_complete`);
+        }
+        await this._setTransitionState(db, transition, next);
+        return;
+    }
+  }
+
+  async _setTransitionState(trx, transition, state) {
+    const db = database.getDb();
+
+    await trx("phase_transitions")
+      .where("id", transition.id)
+      .update({
+        state,
+        last_error: null,
+        updated_at: db.fn.now(),
+        completed_at: TERMINAL_TRANSITION_STATES.includes(state) ? db.fn.now() : null,
+      });
+  }
+
+  /**
+   * Record a broker call as an intent, make it, then mark the intent done
+   * together with the db writes that depend on it (`record`, given the
+   * transaction and the call's result)
+   */
+  async _executeIntent(transition, action, payload, execute, record = null) {
+    const db = database.getDb();
+
+    const [intent] = await db("broker_intents")
+      .insert({
+        trade_id: transition.trade_id,
+        transition_id: transition.id,
+        action,
+        payload: JSON.stringify(payload),
+      })
+      .returning("*");
+
+    let result;
+    try {
+      result = await execute();
+    } catch (error) {
+      await db("broker_intents")
+        .where("id", intent.id)
+        .update({ status: "failed", error: error.message, executed_at: db.fn.now() });
+      throw error;
+    }
+
+    await database.transaction(async (trx) => {
+      if (record) await record(trx, result);
+      await trx("broker_intents")
+        .where("id", intent.id)
+        .update({ status: "done", executed_at: db.fn.now() });
+    });
+  }
+
+  /**
+   * Resume phase transitions a crash or a failed broker call left
+   * unfinished
+   *
+   * @param {number|null} tradeId - Only this trade's transitions
+   * @returns {Array} [{ transitionId, tradeId, state, error }]
+   */
+  async resumePhaseTransitions(tradeId = null) {
+    const db = database.getDb();
+
+    let query = db("phase_transitions")
+      .whereNotIn("state", TERMINAL_TRANSITION_STATES)
+      .orderBy("id");
+    if (tradeId) {
+      query = query.where("trade_id", tradeId);
+    }
+
+    const results = [];
+    for (const transition of await query) {
+      try {
+        const finished = await this._runPhaseTransition(transition);
+        results.push({ transitionId: transition.id, tradeId: transition.trade_id, state: finished.state });
+      } catch (error) {
+        logger.error(`Failed to resume phase transition ${transition.id}:`, error);
+        results.push({
+          transitionId: transition.id,
+          tradeId: transition.trade_id,
+          state: transition.state,
+          error: error.message,
+        });
+      }
+    }
+
+    if (results.length > 0) {
+      logger.phase("Phase transitions resumed", { results });
+    }
+
+    return results;
+  }
+
+  /**
+   * Handle a partial fill of a phase exit order: book the shares sold so
+   * far. The phase stays open until all of its shares are sold.
+   *
+   * @param {number} tradeId
+   * @param {number} phaseNumber
+   * @param {number} avgFillPrice - Average fill price of the order so far
+   * @param {number} filledQty - Cumulative filled quantity of the order
+   * @param {string} brokerOrderId - Broker order (or OCO leg)
+   */
+  async handlePhaseExitPartialFill(tradeId, phaseNumber, avgFillPrice, filledQty, brokerOrderId) {
+    const db = database.getDb();
+
+    logger.phase("Phase exit partially filled", {
+      tradeId,
+      phaseNumber,
+      avgFillPrice,
+      filledQty,
+    });
+
+    try {
+      const trade = await db("trades").where("id", tradeId).first();
+      const phase = await db("trade_phases")
+        .where({ trade_id: tradeId, phase_number: phaseNumber })
+        .first();
+
+      if (!trade || !phase || phase.status === "completed") return;
+
+      const fill = await this._recordPhaseExitFill(
+        trade,
+        phase,
+        brokerOrderId,
+        avgFillPrice,
+        filledQty
+      );
+      if (fill.soldQty === 0) return;
+
+      await this._logOrderEvent(null, tradeId, "phase_partial_fill", {
+        phase: phaseNumber,
+        soldQty: fill.soldQty,
+        phaseFilledQty: fill.filledQty,
+        sharesToSell: parseQty(phase.shares_to_sell),
+        avgExitPrice: fill.exitPrice,
+        remainingShares: fill.remainingShares,
+      });
+    } catch (error) {
+      logger.error("Error handling partial phase exit:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Book a phase exit order's cumulative fill. Fills are kept per broker
+   * order, so repeated or late updates only count the new shares; the
+   * phase's exit price is the weighted average over all of its orders.
+   * The new shares are also written to exit_fills with their P&L, which
+   * the circuit breaker sums per day.
+   *
+   * @returns {Object} { soldQty, filledQty, exitPrice, phasePnl, remainingShares }
+   */
+  async _recordPhaseExitFill(trade, phase, brokerOrderId, avgFillPrice, cumulativeQty, trx = null) {
+    const db = trx || database.getDb();
+    cumulativeQty = parseQty(cumulativeQty);
+
+    const fills =
+      (typeof phase.fills === "string" ? JSON.parse(phase.fills) : phase.fills) || {};
+    const key = brokerOrderId || "unknown";
+    const previous = fills[key] || { qty: 0, avg_price: 0 };
+    const soldQty = Math.max(roundQty(cumulativeQty - previous.qty), 0);
+
+    if (soldQty > 0) {
+      fills[key] = { qty: cumulativeQty, avg_price: avgFillPrice };
+    }
+
+    const orderFills = Object.values(fills);
+    const filledQty = roundQty(orderFills.reduce((sum, f) => sum + f.qty, 0));
+    const exitPrice =
+      filledQty > 0
+        ? orderFills.reduce((sum, f) => sum + f.qty * f.avg_price, 0) / filledQty
+        : null;
+    const phasePnl =
+      filledQty > 0
+        ? calculatePnl(parseFloat(trade.entry_price), exitPrice, filledQty, trade.side)
+        : null;
+    const remainingShares = roundQty(parseQty(trade.remaining_shares) - soldQty);
+
+    if (soldQty > 0) {
+      await db("trade_phases").where("id", phase.id).update({
+        fills: JSON.stringify(fills),
+        filled_qty: filledQty,
+        exit_price: exitPrice,
+        phase_pnl: phasePnl,
+      });
+
+      await db("trades").where("id", trade.id).update({
+        remaining_shares: remainingShares,
+        updated_at: db.fn.now(),
+      });
+
+      // Price of just the new shares, from the order's running average
+      const soldPrice =
+        (cumulativeQty * avgFillPrice - previous.qty * previous.avg_price) / soldQty;
+      await db("exit_fills").insert({
+        trade_id: trade.id,
+        phase_id: phase.id,
+        broker_order_id: brokerOrderId,
+        qty: soldQty,
+        price: soldPrice,
+        pnl: calculatePnl(parseFloat(trade.entry_price), soldPrice, soldQty, trade.side),
+      });
+    }
+
+    return { soldQty, filledQty, exitPrice, phasePnl, remainingShares };
+  }
+
+  /**
+   * Handle phase stop loss hit - close remaining position
+   */
+  async handlePhaseStopLossHit(tradeId, phaseNumber, fillPrice, filledQty, brokerOrderId) {
+    const db = database.getDb();
+
+    logger.phase("Stop loss hit", {
+      tradeId,
+      phaseNumber,
+      fillPrice,
+      filledQty,
+    });
+
+    try {
+      const trade = await db("trades").where("id", tradeId).first();
+
+      // Cancel all remaining orders for this trade
+      const openOrders = await db("orders")
+        .where({ trade_id: tradeId })
+        .whereNotIn("status", ["filled", "cancelled"]);
+
+      const broker = await BrokerService.forTrade(trade);
+      for (const order of openOrders) {
+        try {
+          await broker.cancelOrder(order.alpaca_order_id);
+        } catch (e) {
+          // Order might already be cancelled
+        }
+        await db("orders")
+          .where("id", order.id)
+          .update({ status: "cancelled" });
+      }
+
+      // Update phase (together with any take profit fills it had)
+      const phase = await db("trade_phases")
+        .where({ trade_id: tradeId, phase_number: phaseNumber })
+        .first();
+      const fill = await this._recordPhaseExitFill(
+        trade,
+        phase,
+        brokerOrderId,
+        fillPrice,
+        filledQty
+      );
+      await db("trade_phases").where("id", phase.id).update({
+        status: "completed",
+        exit_type: "stop_loss",
+        completed_at: db.fn.now(),
+      });
+
+      // Stops take whole shares: sell a leftover fraction at market, the
+      // liquidation fill completes the trade
+      if (fill.remainingShares > 0 && fill.remainingShares < 1) {
+        await this.liquidateTrade(tradeId, "stopped_out");
+      } else {
+        await this.completeTrade(tradeId, "stopped_out");
+      }
+
+      // Log event
+      await this._logOrderEvent(null, tradeId, "phase_sl_hit", {
+        phase: phaseNumber,
+        fillPrice,
+        filledQty,
+      });
+    } catch (error) {
+      logger.error("Error handling phase stop loss:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Complete a trade and calculate final P&L
+   */
+  async completeTrade(tradeId, exitReason) {
+    const db = database.getDb();
+
+    logger.trade("Completing trade", { tradeId, exitReason });
+
+    try {
+      const trade = await db("trades").where("id", tradeId).first();
+      const phases = await db("trade_phases")
+        .where("trade_id", tradeId)
+        .whereNotNull("phase_pnl");
+
+      // Calculate total realized P&L
+      const totalPnl = phases.reduce(
+        (sum, p) => sum + parseFloat(p.phase_pnl || 0),
+        0
+      );
+      const pnlPct = (totalPnl / trade.position_size) * 100;
+
+      // Find the exit phase
+      const lastCompletedPhase = phases
+        .filter((p) => p.status === "completed")
+        .sort((a, b) => b.phase_number - a.phase_number)[0];
+
+      // Update trade as completed
+      await db("trades")
+        .where("id", tradeId)
+        .update({
+          status: "completed",
+          realized_pnl: totalPnl,
+          realized_pnl_pct: pnlPct,
+          exit_reason: exitReason,
+          exit_phase: lastCompletedPhase?.phase_number || 1,
+          exit_time: db.fn.now(),
+          updated_at: db.fn.now(),
+        });
+
+      // Log event
+      await this._logOrderEvent(null, tradeId, "trade_completed", {
+        exitReason,
+        totalPnl,
+        pnlPct,
+        exitPhase: lastCompletedPhase?.phase_number,
+      });
+
+      // Send notification
+      const emoji = totalPnl >= 0 ? "💰" : "📉";
+      await NotificationService.send({
+        type: "trade",
+        title: `${emoji} Trade Completed: ${trade.symbol}`,
+        message: `Exit Reason: ${exitReason}\nExit Phase: ${
+          lastCompletedPhase?.phase_number || 1
+        }\nP&L: $${totalPnl.toFixed(2)} (${pnlPct.toFixed(2)}%)`,
+        tradeId,
+      });
+
+      logger.trade("Trade completed", {
+        tradeId,
+        symbol: trade.symbol,
+        pnl: totalPnl,
+        pnlPct,
+        exitReason,
+      });
+    } catch (error) {
+      logger.error("Error completing trade:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a trade
+   *
+   * With `liquidate`, a trade holding shares is closed out instead: its
+   * orders are cancelled, the remaining shares sold at market and the
+   * trade completed with exit_reason 'cancelled' and its realized P&L
+   * (phases already closed included). Waits up to LIQUIDATION_WAIT_MS for
+   * the fill. Without it the shares are left in the account.
+   *
+   * @param {number} tradeId
+   * @param {Object} options - { liquidate }
+   */
+  async cancelTrade(tradeId, { liquidate = false } = {}) {
+    const db = database.getDb();
+
+    logger.trade("Cancelling trade", { tradeId, liquidate });
+
+    try {
+      const trade = await db("trades").where("id", tradeId).first();
+      if (!trade) {
+        throw new TradeExecutionError(`Trade ${tradeId} not found`, 404);
+      }
+
+      if (["completed", "cancelled", "expired"].includes(trade.status)) {
+        throw new TradeExecutionError(`Trade ${tradeId} is already ${trade.status}`, 409);
+      }
+
+      const openShares =
+        trade.status === "active" ? parseQty(trade.remaining_shares) : 0;
+      if (liquidate && openShares > 0) {
+        return await this._cancelWithLiquidation(trade);
+      }
+      if (openShares > 0) {
+        logger.warn(`Trade ${tradeId} cancelled with ${openShares} shares left unmanaged`, {
+          symbol: trade.symbol,
+        });
+      }
+
+      // Cancel all orders
+      const orders = await db("orders")
+        .where({ trade_id: tradeId })
+        .whereNotIn("status", ["filled", "cancelled"]);
+
+      const broker = await BrokerService.forTrade(trade);
+      for (const order of orders) {
+        try {
+          await broker.cancelOrder(order.alpaca_order_id);
+        } catch (e) {
+          logger.warn(
+            `Failed to cancel order ${order.alpaca_order_id}:`,
+            e.message
+          );
+        }
+        await db("orders")
+          .where("id", order.id)
+          .update({ status: "cancelled" });
+      }
+
+      // Update trade
       await db("trades").where("id", tradeId).update({
-        remaining_shares: newRemainingShares,
+        status: "cancelled",
+        exit_reason: "manual",
+        exit_time: db.fn.now(),
         updated_at: db.fn.now(),
       });
 
-      // Cancel old stop loss for remaining shares
-      const oldSlOrders = await db("orders").where({
+      // Notify
+      await NotificationService.send({
+        type: "trade",
+        title: `❌ Trade Cancelled: ${trade.symbol}`,
+        message: `Trade manually cancelled${
+          openShares > 0 ? `\n${openShares} shares left in the account` : ""
+        }`,
+        tradeId,
+      });
+
+      return { success: true, unmanagedShares: openShares };
+    } catch (error) {
+      logger.error("Error cancelling trade:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a trade by selling its remaining shares at market, then wait
+   * for the fill to complete it
+   */
+  async _cancelWithLiquidation(trade) {
+    const db = database.getDb();
+
+    const { order } = await this.liquidateTrade(trade.id, "cancelled");
+
+    const deadline = Date.now() + LIQUIDATION_WAIT_MS;
+    let closed = await db("trades").where("id", trade.id).first();
+    while (closed.status !== "completed" && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, LIQUIDATION_POLL_MS));
+      closed = await db("trades").where("id", trade.id).first();
+    }
+
+    if (closed.status !== "completed") {
+      logger.warn(`Liquidation of cancelled trade ${trade.id} not filled yet`, {
+        orderId: order && order.id,
+      });
+      return { success: true, liquidated: false, pending: true, order };
+    }
+
+    return {
+      success: true,
+      liquidated: true,
+      order,
+      exitReason: closed.exit_reason,
+      realizedPnl: parseFloat(closed.realized_pnl),
+      realizedPnlPct: parseFloat(closed.realized_pnl_pct),
+    };
+  }
+
+  /**
+   * Close an active trade at market: cancel its exit orders, wait for the
+   * broker to confirm them closed and submit a market order for the shares
+   * still held. The trade completes when the
+   * liquidation order fills (handleLiquidationFill).
+   *
+   * @param {number} tradeId
+   * @param {string} exitReason - Recorded as the trade's exit_reason
+   */
+  async liquidateTrade(tradeId, exitReason = "liquidated") {
+    const db = database.getDb();
+
+    logger.trade("Liquidating trade", { tradeId, exitReason });
+
+    try {
+      const trade = await db("trades").where("id", tradeId).first();
+      if (!trade) {
+        throw new TradeExecutionError(`Trade ${tradeId} not found`, 404);
+      }
+      if (trade.status !== "active") {
+        throw new TradeExecutionError(
+          `Only active trades can be liquidated (trade is ${trade.status})`,
+          409
+        );
+      }
+
+      const existing = await db("orders")
+        .where({ trade_id: tradeId, purpose: "liquidation" })
+        .whereNotIn("status", ["canceled", "cancelled", "rejected", "expired"])
+        .first();
+      if (existing) {
+        throw new TradeExecutionError(`Trade ${tradeId} is already being liquidated`, 409);
+      }
+
+      // Exit orders hold the shares at the broker; release them first and
+      // sell only what they did not sell while closing
+      const current = await this._cancelExitOrdersConfirmed(trade);
+      const broker = await BrokerService.forTrade(trade);
+
+      const qty = parseQty(current.remaining_shares);
+      if (qty <= 0) {
+        await this.completeTrade(tradeId, exitReason);
+        return { success: true, order: null };
+      }
+
+      const orderSide = exitOrderSide(trade.side);
+      const clientOrderId = `RZE-LIQ-${trade.trade_uuid.substring(0, 8)}-${Date.now()}`;
+      let order;
+      try {
+        order =
+          orderSide === "sell"
+            ? await broker.placeMarketSellOrder(trade.symbol, qty, clientOrderId)
+            : await broker.placeMarketBuyOrder(trade.symbol, qty, clientOrderId);
+      } catch (error) {
+        // Not submitted: the trade keeps its protection
+        await this._restorePhaseOrders(tradeId);
+        throw error;
+      }
+
+      await db("orders").insert({
         trade_id: tradeId,
+        alpaca_order_id: order.id,
+        client_order_id: clientOrderId,
+        symbol: trade.symbol,
+        side: orderSide,
+        order_type: "market",
+        order_class: "simple",
+        qty,
+        time_in_force: "day",
+        extended_hours: false,
+        phase: trade.current_phase,
+        purpose: "liquidation",
+        status: order.status,
+        alpaca_response: JSON.stringify(order),
+      });
+
+      // Kept until the fill completes the trade
+      await db("trades").where("id", tradeId).update({
+        exit_reason: exitReason,
+        updated_at: db.fn.now(),
+      });
+
+      await this._logOrderEvent(null, tradeId, "liquidation_submitted", {
+        orderId: order.id,
+        qty,
+        exitReason,
+      });
+
+      return { success: true, order };
+    } catch (error) {
+      logger.error("Error liquidating trade:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle a liquidation order fill - close out the trade
+   */
+  async handleLiquidationFill(tradeId, phaseNumber, fillPrice, filledQty, brokerOrderId) {
+    const db = database.getDb();
+
+    logger.phase("Liquidation filled", {
+      tradeId,
+      phaseNumber,
+      fillPrice,
+      filledQty,
+    });
+
+    try {
+      const trade = await db("trades").where("id", tradeId).first();
+      const phase = await db("trade_phases")
+        .where({ trade_id: tradeId, phase_number: phaseNumber })
+        .first();
+
+      // Booked with the phase's earlier fills (a stopped-out phase keeps
+      // its exit type when only a fraction was left to sell)
+      await this._recordPhaseExitFill(
+        trade,
+        phase,
+        brokerOrderId,
+        fillPrice,
+        filledQty || parseQty(trade.remaining_shares)
+      );
+      await db("trade_phases").where("id", phase.id).update({
+        status: "completed",
+        exit_type: phase.exit_type || "liquidation",
+        completed_at: phase.completed_at || db.fn.now(),
+      });
+
+      await db("trades").where("id", tradeId).update({
+        remaining_shares: 0,
+        updated_at: db.fn.now(),
+      });
+
+      await this.completeTrade(tradeId, trade.exit_reason || "liquidated");
+
+      await this._logOrderEvent(null, tradeId, "liquidation_filled", {
         phase: phaseNumber,
-        purpose: "remaining_sl",
+        fillPrice,
+        filledQty,
       });
+    } catch (error) {
+      logger.error("Error handling liquidation fill:", error);
+      throw error;
+    }
+  }
 
-      for (const order of oldSlOrders) {
-        if (order.status !== "cancelled" && order.status !== "filled") {
-          await AlpacaService.cancelOrder(order.alpaca_order_id);
-          await db("orders")
-            .where("id", order.id)
-            .update({ status: "cancelled" });
-        }
+  /**
+   * Sell the fraction of a share left in a phase at market. OCO orders
+   * only take whole shares, so a fractional phase's take profit leaves it
+   * behind; the market order's fill completes the phase.
+   */
+  async _sellPhaseFraction(trade, phase, qty) {
+    const db = database.getDb();
+
+    const working = await db("orders")
+      .where({ trade_id: trade.id, phase: phase.phase_number, purpose: "phase_tp" })
+      .whereNotIn("status", DONE_ORDER_STATUSES)
+      .first();
+    if (working) return;
+
+    const broker = await BrokerService.forTrade(trade);
+    const orderSide = exitOrderSide(trade.side);
+    const clientOrderId = `RZE-P${phase.phase_number}-FRAC-${trade.trade_uuid.substring(0, 8)}`;
+    const order =
+      orderSide === "sell"
+        ? await broker.placeMarketSellOrder(trade.symbol, qty, clientOrderId)
+        : await broker.placeMarketBuyOrder(trade.symbol, qty, clientOrderId);
+
+    await db("orders").insert({
+      trade_id: trade.id,
+      alpaca_order_id: order.id,
+      client_order_id: clientOrderId,
+      symbol: trade.symbol,
+      side: orderSide,
+      order_type: "market",
+      order_class: "simple",
+      qty,
+      time_in_force: "day",
+      extended_hours: false,
+      phase: phase.phase_number,
+      purpose: "phase_tp",
+      status: order.status,
+      alpaca_response: JSON.stringify(order),
+    });
+
+    await this._logOrderEvent(null, trade.id, "phase_fraction_submitted", {
+      phase: phase.phase_number,
+      orderId: order.id,
+      qty,
+    });
+  }
+
+  // ===========================================
+  // MANUAL INTERVENTION
+  // ===========================================
+
+  /**
+   * Close an active trade at market now
+   */
+  async closeTrade(tradeId) {
+    await this._getActiveTrade(tradeId);
+    return this.liquidateTrade(tradeId, "manual_close");
+  }
+
+  /**
+   * Skip the current phase: cancel its orders and carry its unsold shares
+   * into the next phase, whose orders are placed right away
+   */
+  async skipPhase(tradeId) {
+    const db = database.getDb();
+    const trade = await this._getActiveTrade(tradeId);
+
+    const phaseNumber = trade.current_phase;
+    const nextPhase = await db("trade_phases")
+      .where({ trade_id: tradeId, phase_number: phaseNumber + 1 })
+      .first();
+    if (!nextPhase) {
+      throw new TradeExecutionError(`Phase ${phaseNumber} is the last phase`, 409);
+    }
+
+    // The next phase's orders need the shares the current ones hold, so
+    // those must be closed at the broker first. Shares they sold in the
+    // meantime are booked; the phase is then left to its fill handling.
+    const current = await this._cancelExitOrdersConfirmed(trade, { phaseNumber });
+    const left = parseQty(current.remaining_shares);
+    if (left < parseQty(trade.remaining_shares)) {
+      if (left > 0) {
+        await this.placePhaseOrders(tradeId, phaseNumber);
       }
+      throw new TradeExecutionError(
+        `Phase ${phaseNumber} of trade ${tradeId} sold shares while its orders were cancelled; not skipped`,
+        409
+      );
+    }
 
-      // Check if this was the last phase
-      if (phaseNumber >= 4 || newRemainingShares <= 0) {
-        await this.completeTrade(tradeId, "phase_4_complete");
-      } else {
-        // Advance to next phase
-        const nextPhase = phaseNumber + 1;
-        await db("trades")
-          .where("id", tradeId)
-          .update({ current_phase: nextPhase });
+    const phase = await db("trade_phases")
+      .where({ trade_id: tradeId, phase_number: phaseNumber })
+      .first();
+    const soldQty = parseQty(phase.filled_qty);
+    const carriedQty = roundQty(parseQty(phase.shares_to_sell) - soldQty);
 
-        await this.placePhaseOrders(tradeId, nextPhase);
+    await db("trade_phases").where("id", phase.id).update({
+      status: "skipped",
+      shares_to_sell: soldQty,
+      completed_at: db.fn.now(),
+    });
+    await db("trade_phases")
+      .where("id", nextPhase.id)
+      .update({ shares_to_sell: roundQty(parseQty(nextPhase.shares_to_sell) + carriedQty) });
+    await db("trades").where("id", tradeId).update({
+      current_phase: nextPhase.phase_number,
+      updated_at: db.fn.now(),
+    });
 
-        // Notify
-        await NotificationService.send({
-          type: "phase",
-          title: `🎯 Phase ${phaseNumber} Complete: ${trade.symbol}`,
-          message: `Take profit hit at $${fillPrice.toFixed(
-            2
-          )}\nP&L: $${phasePnl.toFixed(2)}\nAdvancing to Phase ${nextPhase}`,
-          tradeId,
+    await this.placePhaseOrders(tradeId, nextPhase.phase_number);
+
+    await this._logOrderEvent(null, tradeId, "phase_skipped", {
+      phase: phaseNumber,
+      nextPhase: nextPhase.phase_number,
+      carriedShares: carriedQty,
+    });
+
+    logger.phase("Phase skipped", { tradeId, phaseNumber, carriedQty });
+
+    return { success: true, skippedPhase: phaseNumber, currentPhase: nextPhase.phase_number };
+  }
+
+  /**
+   * Move the current phase's stop to the entry price
+   */
+  async moveStopToBreakeven(tradeId) {
+    const trade = await this._getActiveTrade(tradeId);
+    const entryPrice = Math.round(parseFloat(trade.entry_price) * 100) / 100;
+    return this.updatePhasePrices(tradeId, { stopLossPrice: entryPrice });
+  }
+
+  /**
+   * Change the take profit and/or stop of the current phase. Its open
+   * orders are replaced at the broker (the OCO and its stop leg, and the
+   * remaining-shares stop).
+   *
+   * @param {number} tradeId
+   * @param {Object} prices - { takeProfitPrice, stopLossPrice }, either may be omitted
+   */
+  async updatePhasePrices(tradeId, { takeProfitPrice = null, stopLossPrice = null }) {
+    const db = database.getDb();
+    const trade = await this._getActiveTrade(tradeId);
+
+    const phase = await db("trade_phases")
+      .where({ trade_id: tradeId, phase_number: trade.current_phase })
+      .first();
+
+    const previous = {
+      takeProfitPrice: parseFloat(phase.take_profit_price),
+      stopLossPrice: parseFloat(phase.stop_loss_price),
+    };
+    const tp = takeProfitPrice ?? previous.takeProfitPrice;
+    const sl = stopLossPrice ?? previous.stopLossPrice;
+
+    if (sideDirection(trade.side) * (tp - sl) <= 0) {
+      throw new TradeExecutionError(
+        `Take profit must be ${trade.side === "short" ? "below" : "above"} the stop loss`
+      );
+    }
+
+    const broker = await BrokerService.forTrade(trade);
+    const replaced = [];
+
+    if (tp !== previous.takeProfitPrice) {
+      const ocoOrders = await db("orders")
+        .where({ trade_id: tradeId, phase: phase.phase_number, purpose: "phase_tp" })
+        .whereIn("status", OPEN_ORDER_STATUSES);
+
+      // The OCO's take profit is its parent order
+      for (const order of ocoOrders) {
+        const newOrder = await broker.replaceOrder(order.alpaca_order_id, {
+          limit_price: tp.toFixed(2),
         });
+        await db("orders").where("id", order.id).update({
+          alpaca_order_id: newOrder.id,
+          limit_price: tp,
+          status: newOrder.status,
+          alpaca_response: JSON.stringify(newOrder),
+          updated_at: db.fn.now(),
+        });
+        replaced.push({
+          orderId: order.id,
+          purpose: order.purpose,
+          oldBrokerOrderId: order.alpaca_order_id,
+          newBrokerOrderId: newOrder.id,
+        });
+      }
+    }
+
+    if (sl !== previous.stopLossPrice) {
+      replaced.push(
+        ...(await TrailingStopService.replaceStopOrders(
+          { ...phase, account_id: trade.account_id },
+          sl
+        ))
+      );
+    }
+
+    await db("trade_phases").where("id", phase.id).update({
+      take_profit_price: tp,
+      stop_loss_price: sl,
+    });
+
+    await this._logOrderEvent(null, tradeId, "phase_prices_updated", {
+      phase: phase.phase_number,
+      previous,
+      takeProfitPrice: tp,
+      stopLossPrice: sl,
+      orders: replaced,
+    });
+
+    logger.phase("Phase prices updated", {
+      tradeId,
+      phaseNumber: phase.phase_number,
+      tp,
+      sl,
+    });
+
+    return {
+      success: true,
+      phase: phase.phase_number,
+      takeProfitPrice: tp,
+      stopLossPrice: sl,
+      orders: replaced,
+    };
+  }
+
+  /**
+   * Sell part of an active trade at market. The current phase's orders
+   * hold the shares at the broker, so they are cancelled first and the
+   * sell waits for the broker to confirm it; the fill
+   * (handleManualExitFill) spreads what is left over the open phases and
+   * re-places the current phase's orders.
+   */
+  async sellShares(tradeId, qty) {
+    const db = database.getDb();
+    const trade = await this._getActiveTrade(tradeId);
+
+    qty = roundQty(qty);
+    const remaining = parseQty(trade.remaining_shares);
+    if (!(qty > 0) || qty > remaining) {
+      throw new TradeExecutionError(`Quantity must be between 0 and ${remaining} shares`);
+    }
+    if (qty === remaining) {
+      return this.closeTrade(tradeId);
+    }
+
+    const working = await db("orders")
+      .where({ trade_id: tradeId, purpose: "manual_exit" })
+      .whereNotIn("status", DONE_ORDER_STATUSES)
+      .first();
+    if (working) {
+      throw new TradeExecutionError(`Trade ${tradeId} already has a manual sell working`, 409);
+    }
+
+    // The shares are only free once the broker has closed the orders, and
+    // an order may sell some of them first
+    const current = await this._cancelExitOrdersConfirmed(trade, {
+      phaseNumber: trade.current_phase,
+    });
+    const left = parseQty(current.remaining_shares);
+    if (qty > left) {
+      if (left > 0) {
+        await this.placePhaseOrders(tradeId, trade.current_phase);
       }
+      throw new TradeExecutionError(
+        `Trade ${tradeId} has ${left} shares left after its phase orders closed`,
+        409
+      );
+    }
 
-      // Log event
-      await this._logOrderEvent(null, tradeId, "phase_tp_hit", {
-        phase: phaseNumber,
-        fillPrice,
-        phasePnl,
-        remainingShares: newRemainingShares,
-      });
+    const broker = await BrokerService.forTrade(trade);
+    const orderSide = exitOrderSide(trade.side);
+    const clientOrderId = `RZE-MAN-${trade.trade_uuid.substring(0, 8)}-${Date.now()}`;
+    let order;
+    try {
+      order =
+        orderSide === "sell"
+          ? await broker.placeMarketSellOrder(trade.symbol, qty, clientOrderId)
+          : await broker.placeMarketBuyOrder(trade.symbol, qty, clientOrderId);
     } catch (error) {
-      logger.error("Error handling phase take profit:", error);
+      // Rejected: the shares keep their phase orders
+      await this._restorePhaseOrders(tradeId);
       throw error;
     }
+
+    await db("orders").insert({
+      trade_id: tradeId,
+      alpaca_order_id: order.id,
+      client_order_id: clientOrderId,
+      symbol: trade.symbol,
+      side: orderSide,
+      order_type: "market",
+      order_class: "simple",
+      qty,
+      time_in_force: "day",
+      extended_hours: false,
+      phase: trade.current_phase,
+      purpose: "manual_exit",
+      status: order.status,
+      alpaca_response: JSON.stringify(order),
+    });
+
+    await this._logOrderEvent(null, tradeId, "manual_exit_submitted", {
+      orderId: order.id,
+      qty,
+    });
+
+    return { success: true, order };
   }
 
   /**
-   * Handle phase stop loss hit - close remaining position
+   * Handle a manual sell fill: book it on the current phase, spread the
+   * remaining shares over the open phases by sell_pct and re-place the
+   * current phase's orders
    */
-  async handlePhaseStopLossHit(tradeId, phaseNumber, fillPrice, filledQty) {
+  async handleManualExitFill(tradeId, phaseNumber, fillPrice, filledQty, brokerOrderId) {
     const db = database.getDb();
 
-    logger.phase("Stop loss hit", {
-      tradeId,
-      phaseNumber,
-      fillPrice,
-      filledQty,
-    });
+    logger.phase("Manual sell filled", { tradeId, phaseNumber, fillPrice, filledQty });
 
     try {
       const trade = await db("trades").where("id", tradeId).first();
+      if (trade.status !== "active") return;
 
-      // Cancel all remaining orders for this trade
-      const openOrders = await db("orders")
-        .where({ trade_id: tradeId })
-        .whereNotIn("status", ["filled", "cancelled"]);
+      const phases = await db("trade_phases")
+        .where("trade_id", tradeId)
+        .orderBy("phase_number");
+      const phase = phases.find((p) => p.phase_number === trade.current_phase);
 
-      for (const order of openOrders) {
-        try {
-          await AlpacaService.cancelOrder(order.alpaca_order_id);
-        } catch (e) {
-          // Order might already be cancelled
-        }
-        await db("orders")
-          .where("id", order.id)
-          .update({ status: "cancelled" });
+      const fill = await this._recordPhaseExitFill(
+        trade,
+        phase,
+        brokerOrderId,
+        fillPrice,
+        filledQty
+      );
+
+      if (fill.remainingShares <= 0) {
+        await db("trade_phases").where("id", phase.id).update({
+          status: "completed",
+          exit_type: "manual",
+          completed_at: db.fn.now(),
+        });
+        await this.completeTrade(tradeId, "manual_close");
+        return;
       }
 
-      // Update phase
-      const phasePnl = (fillPrice - trade.entry_price) * filledQty;
-      await db("trade_phases")
-        .where({ trade_id: tradeId, phase_number: phaseNumber })
-        .update({
+      const openPhases = phases.filter(
+        (p) => p.phase_number >= phase.phase_number && p.status !== "completed"
+      );
+      const shares = reallocatePhaseShares(openPhases, fill.remainingShares, trade.fractional);
+
+      for (const [idx, openPhase] of openPhases.entries()) {
+        const soldQty =
+          openPhase.id === phase.id ? fill.filledQty : parseQty(openPhase.filled_qty);
+        await db("trade_phases")
+          .where("id", openPhase.id)
+          .update({ shares_to_sell: roundQty(shares[idx] + soldQty) });
+      }
+
+      // A phase left with nothing to sell is done with what it sold
+      let nextPhase = phase;
+      if (shares[0] === 0) {
+        await db("trade_phases").where("id", phase.id).update({
           status: "completed",
-          exit_price: fillPrice,
-          exit_type: "stop_loss",
-          phase_pnl: phasePnl,
+          exit_type: "manual",
           completed_at: db.fn.now(),
         });
+        // The last phase always keeps the remainder
+        nextPhase = openPhases.find((p, idx) => idx > 0 && shares[idx] > 0);
+        await db("trades")
+          .where("id", tradeId)
+          .update({ current_phase: nextPhase.phase_number, updated_at: db.fn.now() });
+      }
 
-      // Complete the trade
-      await this.completeTrade(tradeId, "stopped_out");
+      await this.placePhaseOrders(tradeId, nextPhase.phase_number);
 
-      // Log event
-      await this._logOrderEvent(null, tradeId, "phase_sl_hit", {
-        phase: phaseNumber,
+      await this._logOrderEvent(null, tradeId, "manual_exit_filled", {
+        phase: phase.phase_number,
         fillPrice,
-        filledQty,
+        soldQty: fill.soldQty,
+        remainingShares: fill.remainingShares,
+        currentPhase: nextPhase.phase_number,
       });
     } catch (error) {
-      logger.error("Error handling phase stop loss:", error);
+      logger.error("Error handling manual sell fill:", error);
       throw error;
     }
   }
 
   /**
-   * Complete a trade and calculate final P&L
+   * Handle a manual sell or liquidation that closed without filling
+   * completely (cancelled, expired or rejected). Its phase orders were
+   * cancelled before it was submitted: shares it did sell are booked like
+   * a manual sell, which re-places them, otherwise the phase's orders are
+   * put back. A liquidation also clears the trade's exit_reason so it can
+   * be managed (or closed) again; one whose phase has nothing left to
+   * place orders for is flagged for a manual close.
+   *
+   * @param {number} tradeId
+   * @param {Object} order - { purpose, phaseNumber, avgFillPrice, filledQty, brokerOrderId, status }
    */
-  async completeTrade(tradeId, exitReason) {
+  async handleExitOrderClosed(
+    tradeId,
+    { purpose, phaseNumber, avgFillPrice, filledQty, brokerOrderId, status }
+  ) {
     const db = database.getDb();
 
-    logger.trade("Completing trade", { tradeId, exitReason });
+    logger.phase("Exit order closed", { tradeId, purpose, status, filledQty });
 
     try {
       const trade = await db("trades").where("id", tradeId).first();
-      const phases = await db("trade_phases")
+      if (!trade || trade.status !== "active") return;
+
+      // A newer sell or liquidation owns the shares now
+      const working = await db("orders")
         .where("trade_id", tradeId)
-        .whereNotNull("phase_pnl");
+        .whereIn("purpose", ["manual_exit", "liquidation"])
+        .whereNot("alpaca_order_id", brokerOrderId)
+        .whereNotIn("status", DONE_ORDER_STATUSES)
+        .first();
+      if (working) {
+        logger.warn("Exit order closed while another is working, leaving it", {
+          tradeId,
+          brokerOrderId,
+          working: working.alpaca_order_id,
+        });
+        return;
+      }
 
-      // Calculate total realized P&L
-      const totalPnl = phases.reduce(
-        (sum, p) => sum + parseFloat(p.phase_pnl || 0),
-        0
-      );
-      const pnlPct = (totalPnl / trade.position_size) * 100;
+      const phase = await db("trade_phases")
+        .where({ trade_id: tradeId, phase_number: trade.current_phase })
+        .first();
+      const restorable = phase && !["completed", "skipped"].includes(phase.status);
 
-      // Find the exit phase
-      const lastCompletedPhase = phases
-        .filter((p) => p.status === "completed")
-        .sort((a, b) => b.phase_number - a.phase_number)[0];
+      if (filledQty > 0 && restorable) {
+        await this.handleManualExitFill(
+          tradeId,
+          phaseNumber,
+          avgFillPrice,
+          filledQty,
+          brokerOrderId
+        );
+      } else if (filledQty > 0) {
+        const fill = await this._recordPhaseExitFill(
+          trade,
+          phase,
+          brokerOrderId,
+          avgFillPrice,
+          filledQty
+        );
+        if (fill.remainingShares <= 0) {
+          await this.completeTrade(tradeId, trade.exit_reason || "manual_close");
+          return;
+        }
+      } else if (restorable) {
+        await this._restorePhaseOrders(tradeId);
+      }
 
-      // Update trade as completed
-      await db("trades")
-        .where("id", tradeId)
-        .update({
-          status: "completed",
-          realized_pnl: totalPnl,
-          realized_pnl_pct: pnlPct,
-          exit_reason: exitReason,
-          exit_phase: lastCompletedPhase?.phase_number || 1,
-          exit_time: db.fn.now(),
+      if (purpose === "liquidation") {
+        await db("trades").where({ id: tradeId, status: "active" }).update({
+          exit_reason: null,
           updated_at: db.fn.now(),
         });
+      }
 
-      // Log event
-      await this._logOrderEvent(null, tradeId, "trade_completed", {
-        exitReason,
-        totalPnl,
-        pnlPct,
-        exitPhase: lastCompletedPhase?.phase_number,
+      await this._logOrderEvent(null, tradeId, `${purpose}_closed`, {
+        orderId: brokerOrderId,
+        status,
+        filledQty,
+        restored: Boolean(restorable),
       });
 
-      // Send notification
-      const emoji = totalPnl >= 0 ? "💰" : "📉";
+      const label = purpose === "liquidation" ? "liquidation" : "manual sell";
       await NotificationService.send({
-        type: "trade",
-        title: `${emoji} Trade Completed: ${trade.symbol}`,
-        message: `Exit Reason: ${exitReason}\nExit Phase: ${
-          lastCompletedPhase?.phase_number || 1
-        }\nP&L: $${totalPnl.toFixed(2)} (${pnlPct.toFixed(2)}%)`,
-        tradeId,
-      });
-
-      logger.trade("Trade completed", {
+        type: "error",
+        title: `⚠️ Sell Order ${status}: ${trade.symbol}`,
+        message: restorable
+          ? `The ${label} ended ${status} with ${filledQty} shares filled\nThe phase orders are back in place`
+          : `The ${label} ended ${status} with ${filledQty} shares filled\nNo orders protect the remaining shares - close the trade manually`,
         tradeId,
-        symbol: trade.symbol,
-        pnl: totalPnl,
-        pnlPct,
-        exitReason,
       });
     } catch (error) {
-      logger.error("Error completing trade:", error);
+      logger.error("Error handling closed exit order:", error);
       throw error;
     }
   }
 
   /**
-   * Cancel an active trade
+   * Place the current phase's orders again unless some are still open or
+   * the phase is already done
    */
-  async cancelTrade(tradeId) {
+  async _restorePhaseOrders(tradeId) {
     const db = database.getDb();
+    const trade = await db("trades").where("id", tradeId).first();
+    const phase = await db("trade_phases")
+      .where({ trade_id: tradeId, phase_number: trade.current_phase })
+      .first();
+    if (!phase || ["completed", "skipped"].includes(phase.status)) return;
+
+    const working = await db("orders")
+      .where({ trade_id: tradeId, phase: trade.current_phase })
+      .whereIn("purpose", ["phase_tp", "phase_sl", "remaining_sl"])
+      .whereNotIn("status", DONE_ORDER_STATUSES)
+      .first();
+    if (working || parseQty(trade.remaining_shares) <= 0) return;
+
+    await this.placePhaseOrders(tradeId, trade.current_phase);
+  }
 
-    logger.trade("Cancelling trade", { tradeId });
+  /**
+   * Cancel and re-place the current phase's orders (e.g. when they are
+   * missing at the broker). A current phase that is already completed or
+   * skipped - the trade was interrupted before moving on - is advanced
+   * past instead.
+   */
+  async replacePhaseOrders(tradeId) {
+    const db = database.getDb();
+    const trade = await this._getActiveTrade(tradeId);
 
-    try {
-      const trade = await db("trades").where("id", tradeId).first();
-      if (!trade) {
-        throw new Error(`Trade ${tradeId} not found`);
-      }
+    const phases = await db("trade_phases").where("trade_id", tradeId).orderBy("phase_number");
+    const current = phases.find((p) => p.phase_number === trade.current_phase);
+
+    // New orders need the shares the old ones hold: wait for the broker to
+    // close them, booking anything they sold first
+    const after = await this._cancelExitOrdersConfirmed(trade, {
+      phaseNumber: trade.current_phase,
+    });
 
-      if (trade.status === "completed" || trade.status === "cancelled") {
-        throw new Error(`Trade ${tradeId} is already ${trade.status}`);
+    if (current && ["completed", "skipped"].includes(current.status)) {
+      const next = phases.find(
+        (p) => p.phase_number > trade.current_phase && !["completed", "skipped"].includes(p.status)
+      );
+      if (!next || parseQty(after.remaining_shares) <= 0) {
+        await this.completeTrade(tradeId, `phase_${trade.current_phase}_complete`);
+        return;
       }
 
-      // Cancel all orders
-      const orders = await db("orders")
-        .where({ trade_id: tradeId })
-        .whereNotIn("status", ["filled", "cancelled"]);
+      await db("trades")
+        .where("id", tradeId)
+        .update({ current_phase: next.phase_number, updated_at: db.fn.now() });
+      await this.placePhaseOrders(tradeId, next.phase_number);
 
-      for (const order of orders) {
-        try {
-          await AlpacaService.cancelOrder(order.alpaca_order_id);
-        } catch (e) {
-          logger.warn(
-            `Failed to cancel order ${order.alpaca_order_id}:`,
-            e.message
-          );
-        }
-        await db("orders")
-          .where("id", order.id)
-          .update({ status: "cancelled" });
+      await this._logOrderEvent(null, tradeId, "phase_orders_replaced", {
+        phase: next.phase_number,
+        advancedFrom: trade.current_phase,
+      });
+      return;
+    }
+
+    // Sold out while cancelling: the stop's fill completes the trade
+    if (parseQty(after.remaining_shares) > 0) {
+      await this.placePhaseOrders(tradeId, trade.current_phase);
+    }
+
+    await this._logOrderEvent(null, tradeId, "phase_orders_replaced", {
+      phase: trade.current_phase,
+    });
+  }
+
+  /**
+   * Set the shares an active trade holds (reconciliation), re-split them
+   * over the open phases by sell_pct and re-place the current phase's
+   * orders. A trade left with no shares is completed.
+   *
+   * The open exit orders are closed at the broker first. remainingShares
+   * was measured before that, so shares those orders sold meanwhile are
+   * taken off it.
+   */
+  async resizeRemainingShares(tradeId, remainingShares, exitReason = "reconciled") {
+    const db = database.getDb();
+    const trade = await this._getActiveTrade(tradeId);
+    const previous = parseQty(trade.remaining_shares);
+
+    const current = await this._cancelExitOrdersConfirmed(trade);
+    const soldMeanwhile = roundQty(previous - parseQty(current.remaining_shares));
+    remainingShares = roundQty(Math.max(remainingShares - soldMeanwhile, 0));
+
+    if (remainingShares <= 0) {
+      await db("trades")
+        .where("id", tradeId)
+        .update({ remaining_shares: 0, updated_at: db.fn.now() });
+      await this.completeTrade(tradeId, exitReason);
+    } else {
+      const openPhases = (
+        await db("trade_phases").where("trade_id", tradeId).orderBy("phase_number")
+      ).filter(
+        (p) => p.phase_number >= trade.current_phase && !["completed", "skipped"].includes(p.status)
+      );
+      const shares = reallocatePhaseShares(openPhases, remainingShares, trade.fractional);
+
+      for (const [idx, phase] of openPhases.entries()) {
+        await db("trade_phases")
+          .where("id", phase.id)
+          .update({ shares_to_sell: roundQty(shares[idx] + parseQty(phase.filled_qty)) });
       }
+      await db("trades")
+        .where("id", tradeId)
+        .update({ remaining_shares: remainingShares, updated_at: db.fn.now() });
 
-      // Update trade
-      await db("trades").where("id", tradeId).update({
-        status: "cancelled",
-        exit_reason: "manual",
-        exit_time: db.fn.now(),
-        updated_at: db.fn.now(),
-      });
+      await this.placePhaseOrders(tradeId, trade.current_phase);
+    }
 
-      // Notify
-      await NotificationService.send({
-        type: "trade",
-        title: `❌ Trade Cancelled: ${trade.symbol}`,
-        message: `Trade manually cancelled`,
-        tradeId,
-      });
+    await this._logOrderEvent(null, tradeId, "remaining_shares_resized", {
+      previous,
+      soldMeanwhile,
+      remainingShares,
+    });
+  }
 
-      return { success: true };
-    } catch (error) {
-      logger.error("Error cancelling trade:", error);
-      throw error;
+  /**
+   * An active trade of which nothing is being closed out yet
+   */
+  async _getActiveTrade(tradeId) {
+    const db = database.getDb();
+    const trade = await db("trades").where("id", tradeId).first();
+
+    if (!trade) {
+      throw new TradeExecutionError(`Trade ${tradeId} not found`, 404);
     }
+    if (trade.status !== "active") {
+      throw new TradeExecutionError(`Trade ${tradeId} is ${trade.status}, not active`, 409);
+    }
+    if (trade.exit_reason) {
+      throw new TradeExecutionError(`Trade ${tradeId} is being closed (${trade.exit_reason})`, 409);
+    }
+
+    return trade;
   }
 
   // ===========================================
   // HELPER METHODS
   // ===========================================
 
-  async _getSettings() {
-    const db = database.getDb();
-    const rows = await db("settings").select("*");
-    const settings = {};
-    for (const row of rows) {
-      if (row.type === "number") {
-        settings[row.key] = parseFloat(row.value);
-      } else if (row.type === "boolean") {
-        settings[row.key] = row.value === "true";
-      } else if (row.type === "json") {
-        settings[row.key] = JSON.parse(row.value);
-      } else {
-        settings[row.key] = row.value;
+  /**
+   * Validate the entry order of a new trade
+   *
+   * Stop entries are breakouts: a long triggers above the current price,
+   * a short below it. Market and stop entries are sized at entryPrice if
+   * given, else at the last trade / stop price.
+   *
+   * @returns {Object} { type, limitPrice, stopPrice, timeInForce, sizingPrice }
+   */
+  async _resolveEntryOrder(
+    broker,
+    { symbol, side, entryType, entryPrice, stopPrice, timeInForce }
+  ) {
+    if (!ENTRY_TYPES.includes(entryType)) {
+      throw new TradeExecutionError(
+        `Entry type must be one of: ${ENTRY_TYPES.join(", ")}`
+      );
+    }
+
+    const usesLimit = entryType === "limit" || entryType === "stop_limit";
+    const usesStop = entryType === "stop" || entryType === "stop_limit";
+
+    if (usesLimit && !entryPrice) {
+      throw new TradeExecutionError(`entryPrice is required for ${entryType} entries`);
+    }
+    if (usesStop && !stopPrice) {
+      throw new TradeExecutionError(`stopPrice is required for ${entryType} entries`);
+    }
+
+    if (usesStop) {
+      const { price: lastPrice } = await broker.getLatestTrade(symbol);
+      const isLong = side !== "short";
+
+      if (isLong ? stopPrice <= lastPrice : stopPrice >= lastPrice) {
+        throw new TradeExecutionError(
+          `Stop price $${stopPrice} must be ${isLong ? "above" : "below"} the last price $${lastPrice} for a ${side} breakout`
+        );
+      }
+      if (
+        entryType === "stop_limit" &&
+        (isLong ? entryPrice < stopPrice : entryPrice > stopPrice)
+      ) {
+        throw new TradeExecutionError(
+          `Limit price must be ${isLong ? "at or above" : "at or below"} the stop price for a ${side} stop-limit entry`
+        );
+      }
+    }
+
+    const tif = timeInForce || (entryType === "market" ? "day" : "gtc");
+    if (!TIME_IN_FORCE.includes(tif)) {
+      throw new TradeExecutionError("timeInForce must be day or gtc");
+    }
+
+    let sizingPrice = entryPrice;
+    if (!sizingPrice) {
+      sizingPrice =
+        entryType === "stop"
+          ? stopPrice
+          : (await broker.getLatestTrade(symbol)).price;
+    }
+
+    return {
+      type: entryType,
+      limitPrice: usesLimit ? entryPrice : null,
+      stopPrice: usesStop ? stopPrice : null,
+      timeInForce: tif,
+      sizingPrice,
+    };
+  }
+
+  /**
+   * When an unfilled entry is cancelled: an explicit date, 'session_end'
+   * (the close of the current session, or the next one while the market
+   * is closed), else the close of the `entry_expiry_sessions`-th trading
+   * session from today. null = the entry works until cancelled.
+   */
+  async _resolveEntryExpiry(broker, expiresAt, settings) {
+    if (expiresAt === SESSION_END) {
+      const clock = await broker.getClock();
+      return new Date(clock.next_close);
+    }
+
+    if (expiresAt) {
+      const expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+        throw new TradeExecutionError(`expiresAt must be a future date or '${SESSION_END}'`);
       }
+      return expiry;
     }
-    return settings;
+
+    const sessions = settings.entry_expiry_sessions || 0;
+    if (sessions <= 0) return null;
+
+    // Weekends and holidays are skipped: look well past the Nth weekday
+    const now = new Date();
+    const until = new Date(now);
+    until.setUTCDate(until.getUTCDate() + sessions * 2 + 7);
+
+    const closes = (await broker.getCalendar(marketDate(now), marketDate(until)))
+      .map((day) => marketTime(day.date, day.close))
+      .filter((close) => close > now);
+    if (closes.length < sessions) {
+      throw new Error(`Market calendar has no session ${sessions} to expire the entry at`);
+    }
+
+    return closes[sessions - 1];
+  }
+
+  /**
+   * Split an entry into tranches by pct. Tranche 1 is the entry order
+   * itself; later tranches are limit orders at their entryPrice, or
+   * offsetPct from the sizing price (negative = pullback, as with
+   * template percentages).
+   *
+   * @returns {Array} [{ tranche, pct, shares, limitPrice }] (limitPrice is
+   *   null for the first tranche)
+   */
+  _resolveTranches(tranches, { totalShares, sizingPrice, side }) {
+    if (!tranches || tranches.length === 0) {
+      return [{ tranche: 1, pct: 100, shares: totalShares, limitPrice: null }];
+    }
+
+    if (tranches.length > MAX_ENTRY_TRANCHES) {
+      throw new TradeExecutionError(
+        `At most ${MAX_ENTRY_TRANCHES} entry tranches are allowed`
+      );
+    }
+
+    const totalPct = tranches.reduce((sum, t) => sum + t.pct, 0);
+    if (Math.abs(totalPct - 100) > 0.01) {
+      throw new TradeExecutionError(
+        `Tranche percentages must sum to 100% (currently ${totalPct}%)`
+      );
+    }
+
+    const shares = allocatePhaseShares(
+      tranches.map((t) => ({ sell_pct: t.pct })),
+      totalShares
+    );
+
+    return tranches.map((t, idx) => {
+      if (shares[idx] < 1) {
+        throw new TradeExecutionError(
+          `Tranche ${idx + 1} is too small for even 1 share`
+        );
+      }
+      if (idx === 0) {
+        return { tranche: 1, pct: t.pct, shares: shares[idx], limitPrice: null };
+      }
+
+      let price = t.entryPrice;
+      if (!price && t.offsetPct !== undefined && t.offsetPct !== null) {
+        price = sizingPrice * (1 + (sideDirection(side) * t.offsetPct) / 100);
+      }
+      if (!price) {
+        throw new TradeExecutionError(
+          `Tranche ${idx + 1} needs an entryPrice or offsetPct`
+        );
+      }
+
+      return {
+        tranche: idx + 1,
+        pct: t.pct,
+        shares: shares[idx],
+        limitPrice: Math.round(price * 100) / 100,
+      };
+    });
   }
 
-  async _getTemplate(templateId) {
+  async _getTemplate(templateId, accountId) {
     const db = database.getDb();
     if (templateId) {
-      return db("templates").where("id", templateId).first();
+      return db("templates")
+        .where({ id: templateId, account_id: accountId })
+        .first();
     }
-    return db("templates").where("is_active", true).first();
+    return db("templates")
+      .where({ is_active: true, account_id: accountId })
+      .first();
   }
 
-  async _logOrderEvent(orderId, tradeId, eventType, eventData) {
-    const db = database.getDb();
+  async _logOrderEvent(orderId, tradeId, eventType, eventData, trx = null) {
+    const db = trx || database.getDb();
     await db("order_events").insert({
       order_id: orderId,
       trade_id: tradeId,
@@ -727,3 +3020,7 @@ class TradeExecutionService {
 }
 
 module.exports = new TradeExecutionService();
+module.exports.TradeExecutionError = TradeExecutionError;
+module.exports.ENTRY_TYPES = ENTRY_TYPES;
+module.exports.MAX_ENTRY_TRANCHES = MAX_ENTRY_TRANCHES;
+module.exports.SESSION_END = SESSION_END;
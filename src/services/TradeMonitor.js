@@ -3,23 +3,42 @@
  *
  * This service monitors active trades using Alpaca WebSocket
  * and handles order fill events to trigger phase transitions.
+ * Every account (the default account and each linked account) has its
+ * own trade_updates stream.
  */
 
-const Alpaca = require("@alpacahq/alpaca-trade-api");
 const database = require("../config/database");
+const BrokerService = require("./BrokerService");
+const AccountService = require("./AccountService");
 const TradeExecutionService = require("./TradeExecutionService");
 const NotificationService = require("./NotificationService");
 const WebSocketManager = require("../websocket/WebSocketManager");
 const logger = require("../utils/logger");
+const { parseQty } = require("../utils/quantity");
 const TradeReconciliationService = require("./TradeReconciliationService");
+const OrderUpdateQueue = require("./OrderUpdateQueue");
+const TrailingStopService = require("./TrailingStopService");
+const CircuitBreakerService = require("./CircuitBreakerService");
+const OrphanOrderService = require("./OrphanOrderService");
+
+const DEFAULT_ACCOUNT_KEY = "default";
+
+// Orders whose partial fills the engine acts on
+const PARTIAL_FILL_PURPOSES = ["entry", "phase_tp"];
+
+// Exit orders submitted after the phase orders were cancelled; if one
+// closes unfilled the phase orders must be put back
+const UNPROTECTED_EXIT_PURPOSES = ["manual_exit", "liquidation"];
 
 class TradeMonitor {
   constructor() {
-    this.alpacaWs = null;
+    this.streams = new Map(); // account id (or 'default') -> { stream, reconnectAttempts }
     this.isRunning = false;
-    this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 10;
     this.reconnectDelay = 5000;
+
+    // Fills are processed from the order update queue, not inline
+    OrderUpdateQueue.registerHandler("fill", (job) => this.processFillJob(job));
   }
 
   /**
@@ -34,14 +53,32 @@ class TradeMonitor {
     logger.info("Starting trade monitor...");
 
     try {
-      await this.connectWebSocket();
       this.isRunning = true;
 
+      if (BrokerService.isDefaultAccountConfigured()) {
+        await this.watchAccount(null);
+      }
+
+      for (const account of await AccountService.listActive()) {
+        try {
+          await this.watchAccount(account.id);
+        } catch (error) {
+          // One broken account must not stop the others
+          logger.error(
+            `Failed to open trade stream for account ${account.name}:`,
+            error
+          );
+        }
+      }
+
       // Also start periodic sync as backup
       this.startPeriodicSync();
 
-      logger.info("Trade monitor started successfully");
+      logger.info("Trade monitor started successfully", {
+        streams: this.streams.size,
+      });
     } catch (error) {
+      this.isRunning = false;
       logger.error("Failed to start trade monitor:", error);
       throw error;
     }
@@ -55,10 +92,10 @@ class TradeMonitor {
 
     this.isRunning = false;
 
-    if (this.alpacaWs) {
-      this.alpacaWs.disconnect();
-      this.alpacaWs = null;
+    for (const { stream } of this.streams.values()) {
+      stream.disconnect();
     }
+    this.streams.clear();
 
     if (this.syncInterval) {
       clearInterval(this.syncInterval);
@@ -69,47 +106,70 @@ class TradeMonitor {
   }
 
   /**
-   * Connect to Alpaca WebSocket for trade updates
+   * Open the trade updates stream of an account
+   *
+   * @param {number|null} accountId - null for the default account
    */
-  async connectWebSocket() {
-    const mode = process.env.TRADING_MODE || "paper";
-
-    const config = {
-      keyId:
-        mode === "live"
-          ? process.env.ALPACA_LIVE_API_KEY
-          : process.env.ALPACA_PAPER_API_KEY,
-      secretKey:
-        mode === "live"
-          ? process.env.ALPACA_LIVE_SECRET_KEY
-          : process.env.ALPACA_PAPER_SECRET_KEY,
-      paper: mode === "paper",
-    };
-
-    this.alpacaWs = new Alpaca(config);
+  async watchAccount(accountId) {
+    if (!this.isRunning) return;
+
+    const key = accountId || DEFAULT_ACCOUNT_KEY;
+    if (this.streams.has(key)) return;
+
+    this.streams.set(key, { stream: null, reconnectAttempts: 0 });
+    await this.connectWebSocket(accountId);
+  }
+
+  /**
+   * Close the trade updates stream of an account
+   */
+  async unwatchAccount(accountId) {
+    const key = accountId || DEFAULT_ACCOUNT_KEY;
+    const entry = this.streams.get(key);
+    if (!entry) return;
+
+    // Removed first so the disconnect does not trigger a reconnect
+    this.streams.delete(key);
+    if (entry.stream) {
+      entry.stream.disconnect();
+    }
+
+    logger.info(`Stopped trade updates stream for account ${key}`);
+  }
+
+  /**
+   * Connect to an account's trade updates stream
+   */
+  async connectWebSocket(accountId) {
+    const key = accountId || DEFAULT_ACCOUNT_KEY;
+    const entry = this.streams.get(key);
+    if (!entry) return;
+
+    const broker = await BrokerService.forAccount(accountId);
 
     // Subscribe to trade updates
-    const tradeUpdates = this.alpacaWs.trade_ws;
+    const tradeUpdates = broker.createTradeUpdatesStream();
+    entry.stream = tradeUpdates;
 
     tradeUpdates.onConnect(() => {
-      logger.info("Connected to Alpaca trade updates WebSocket");
-      this.reconnectAttempts = 0;
+      logger.info(`Connected to broker trade updates stream (account ${key})`);
+      entry.reconnectAttempts = 0;
 
       // Subscribe to trade updates
       tradeUpdates.subscribe(["trade_updates"]);
     });
 
     tradeUpdates.onDisconnect(() => {
-      logger.warn("Disconnected from Alpaca trade updates WebSocket");
-      this.handleDisconnect();
+      logger.warn(`Disconnected from broker trade updates stream (account ${key})`);
+      this.handleDisconnect(accountId, tradeUpdates);
     });
 
     tradeUpdates.onError((error) => {
-      logger.error("Alpaca WebSocket error:", error);
+      logger.error(`Trade updates stream error (account ${key}):`, error);
     });
 
     tradeUpdates.onOrderUpdate((update) => {
-      this.handleOrderUpdate(update);
+      this.handleOrderUpdate(update, accountId);
     });
 
     // Connect
@@ -119,27 +179,35 @@ class TradeMonitor {
   /**
    * Handle WebSocket disconnection
    */
-  async handleDisconnect() {
+  async handleDisconnect(accountId, stream) {
     if (!this.isRunning) return;
 
-    this.reconnectAttempts++;
+    // Ignore streams that were closed on purpose or already replaced
+    const key = accountId || DEFAULT_ACCOUNT_KEY;
+    const entry = this.streams.get(key);
+    if (!entry || entry.stream !== stream) return;
+
+    entry.reconnectAttempts++;
 
-    if (this.reconnectAttempts <= this.maxReconnectAttempts) {
+    if (entry.reconnectAttempts <= this.maxReconnectAttempts) {
       logger.info(
-        `Attempting to reconnect (${this.reconnectAttempts}/${this.maxReconnectAttempts})...`
+        `Attempting to reconnect account ${key} (${entry.reconnectAttempts}/${this.maxReconnectAttempts})...`
       );
 
       setTimeout(() => {
-        this.connectWebSocket();
-      }, this.reconnectDelay * this.reconnectAttempts);
+        this.connectWebSocket(accountId).catch((error) =>
+          logger.error(`Reconnect failed for account ${key}:`, error)
+        );
+      }, this.reconnectDelay * entry.reconnectAttempts);
     } else {
-      logger.error("Max reconnection attempts reached");
+      logger.error(`Max reconnection attempts reached for account ${key}`);
 
       await NotificationService.send({
         type: "error",
         title: "🚨 WebSocket Connection Lost",
         message:
           "Failed to reconnect to Alpaca after multiple attempts. Please check the system.",
+        accountId,
       });
     }
   }
@@ -147,7 +215,7 @@ class TradeMonitor {
   /**
    * Handle order update events from Alpaca
    */
-  async handleOrderUpdate(update) {
+  async handleOrderUpdate(update, accountId = null) {
     const db = database.getDb();
 
     logger.alpaca("Order update received", update);
@@ -159,10 +227,16 @@ class TradeMonitor {
 
       console.log("Trade Order[handleOrderUpdate] ", order);
 
-      // Find our order record
-      const dbOrder = await db("orders")
+      // Find our order record - or the OCO whose stop leg this is
+      let dbOrder = await db("orders")
         .where("alpaca_order_id", orderId)
         .first();
+      let purpose = dbOrder ? dbOrder.purpose : null;
+
+      if (!dbOrder) {
+        dbOrder = await this._findOrderByLegId(orderId);
+        purpose = "phase_sl";
+      }
 
       if (!dbOrder) {
         logger.debug(
@@ -171,18 +245,22 @@ class TradeMonitor {
         return;
       }
 
-      // Update order status
-      await db("orders")
-        .where("id", dbOrder.id)
-        .update({
-          status: order.status,
-          filled_qty: parseInt(order.filled_qty) || 0,
-          filled_avg_price: order.filled_avg_price
-            ? parseFloat(order.filled_avg_price)
-            : null,
-          filled_at: order.filled_at || null,
-          updated_at: db.fn.now(),
-        });
+      // Update order status. Only while the row still points at this
+      // broker order: a replaced stop (TrailingStopService) moves the row
+      // to the new order, and the old order's events must not overwrite it.
+      if (event !== "replaced") {
+        await db("orders")
+          .where({ id: dbOrder.id, alpaca_order_id: orderId })
+          .update({
+            status: order.status,
+            filled_qty: parseQty(order.filled_qty),
+            filled_avg_price: order.filled_avg_price
+              ? parseFloat(order.filled_avg_price)
+              : null,
+            filled_at: order.filled_at || null,
+            updated_at: db.fn.now(),
+          });
+      }
 
       // Log the event
       await db("order_events").insert({
@@ -196,7 +274,7 @@ class TradeMonitor {
       });
 
       // Broadcast to frontend
-      WebSocketManager.broadcast("order_update", {
+      WebSocketManager.broadcastToAccount(accountId, "order_update", {
         tradeId: dbOrder.trade_id,
         orderId: dbOrder.id,
         event,
@@ -204,8 +282,8 @@ class TradeMonitor {
           symbol: order.symbol,
           side: order.side,
           status: order.status,
-          filledQty: parseInt(order.filled_qty) || 0,
-          qty: parseInt(order.qty),
+          filledQty: parseQty(order.filled_qty),
+          qty: parseQty(order.qty),
           filledAvgPrice: order.filled_avg_price
             ? parseFloat(order.filled_avg_price)
             : null,
@@ -215,24 +293,35 @@ class TradeMonitor {
       // Handle specific events
       switch (event) {
         case "fill":
-          await this.handleOrderFill(dbOrder, order);
+          await OrderUpdateQueue.enqueueFill(dbOrder, order, {
+            source: "stream",
+            purpose,
+          });
           break;
 
         case "partial_fill":
           logger.info(`Partial fill: ${order.filled_qty}/${order.qty} shares`);
+          if (PARTIAL_FILL_PURPOSES.includes(purpose)) {
+            await OrderUpdateQueue.enqueuePartialFill(dbOrder, order, {
+              source: "stream",
+            });
+          }
           break;
 
         case "canceled":
           logger.info(`Order cancelled: ${orderId}`);
+          await this.handleOrderClosed(dbOrder, order, "stream");
           break;
 
         case "rejected":
           logger.error(`Order rejected: ${orderId}`, order);
           await this.handleOrderRejection(dbOrder, order);
+          await this.handleOrderClosed(dbOrder, order, "stream");
           break;
 
         case "expired":
           logger.warn(`Order expired: ${orderId}`);
+          await this.handleOrderClosed(dbOrder, order, "stream");
           break;
       }
     } catch (error) {
@@ -241,53 +330,148 @@ class TradeMonitor {
   }
 
   /**
-   * Handle a filled order
+   * The OCO order a stop leg belongs to. Legs are kept in alpaca_response,
+   * including a ratcheted stop's replacement leg.
+   */
+  async _findOrderByLegId(legId) {
+    const db = database.getDb();
+    return db("orders")
+      .where("order_class", "oco")
+      .whereRaw("alpaca_response->'legs' @> ?::jsonb", [
+        JSON.stringify([{ id: legId }]),
+      ])
+      .first();
+  }
+
+  /**
+   * Process a queued fill (see OrderUpdateQueue)
    */
-  async handleOrderFill(dbOrder, alpacaOrder) {
-    const fillPrice = parseFloat(alpacaOrder.filled_avg_price);
-    const filledQty = parseInt(alpacaOrder.filled_qty);
+  async processFillJob(job) {
+    const tradeId = job.trade_id;
+    const {
+      purpose,
+      phase,
+      fill_price: fillPrice,
+      filled_qty: filledQty,
+    } = job.payload;
 
     logger.order("Order filled", {
-      orderId: dbOrder.id,
-      purpose: dbOrder.purpose,
-      phase: dbOrder.phase,
+      jobId: job.id,
+      orderId: job.order_id,
+      source: job.source,
+      purpose,
+      phase,
       fillPrice,
       filledQty,
     });
 
-    switch (dbOrder.purpose) {
+    switch (purpose) {
       case "entry":
-        // Entry order filled - initiate Phase 1
-        await TradeExecutionService.handleEntryFill(
-          dbOrder.trade_id,
-          fillPrice,
-          filledQty
-        );
+        if (job.payload.partial) {
+          // Part of the entry filled - protect the shares filled so far
+          await TradeExecutionService.handleEntryPartialFill(
+            tradeId,
+            fillPrice,
+            filledQty,
+            { orderDone: job.payload.final, brokerOrderId: job.broker_order_id }
+          );
+        } else {
+          // Entry order (or tranche) filled - initiate Phase 1
+          await TradeExecutionService.handleEntryFill(
+            tradeId,
+            fillPrice,
+            filledQty,
+            job.broker_order_id
+          );
+        }
         break;
 
       case "phase_tp":
-        // Take profit hit for a phase
-        await TradeExecutionService.handlePhaseTakeProfitHit(
-          dbOrder.trade_id,
-          dbOrder.phase,
-          fillPrice
-        );
+        if (job.payload.partial) {
+          // Part of the phase sold - book it, keep the phase open
+          await TradeExecutionService.handlePhaseExitPartialFill(
+            tradeId,
+            phase,
+            fillPrice,
+            filledQty,
+            job.broker_order_id
+          );
+        } else {
+          // Take profit hit for a phase
+          await TradeExecutionService.handlePhaseTakeProfitHit(
+            tradeId,
+            phase,
+            fillPrice,
+            filledQty,
+            job.broker_order_id
+          );
+        }
         break;
 
       case "phase_sl":
       case "remaining_sl":
         // Stop loss hit
         await TradeExecutionService.handlePhaseStopLossHit(
-          dbOrder.trade_id,
-          dbOrder.phase,
+          tradeId,
+          phase,
           fillPrice,
-          filledQty
+          filledQty,
+          job.broker_order_id
         );
         break;
+
+      case "liquidation":
+      case "manual_exit":
+        if (job.payload.final) {
+          // Closed without filling - the phase orders go back
+          await TradeExecutionService.handleExitOrderClosed(tradeId, {
+            purpose,
+            phaseNumber: phase,
+            avgFillPrice: fillPrice,
+            filledQty,
+            brokerOrderId: job.broker_order_id,
+            status: job.payload.status,
+          });
+        } else if (purpose === "liquidation") {
+          // Trade closed at market (kill switch or manual close)
+          await TradeExecutionService.handleLiquidationFill(
+            tradeId,
+            phase,
+            fillPrice,
+            filledQty,
+            job.broker_order_id
+          );
+        } else {
+          // Part of the position sold by hand
+          await TradeExecutionService.handleManualExitFill(
+            tradeId,
+            phase,
+            fillPrice,
+            filledQty,
+            job.broker_order_id
+          );
+        }
+        break;
     }
 
     // Broadcast trade update
-    await this.broadcastTradeUpdate(dbOrder.trade_id);
+    await this.broadcastTradeUpdate(tradeId);
+  }
+
+  /**
+   * An entry order (or tranche) that ends cancelled or expired leaves a
+   * smaller trade once no other tranche is working; queue the resize.
+   * A manual sell or liquidation that ends cancelled, expired or rejected
+   * leaves the trade without phase orders; queue putting them back.
+   */
+  async handleOrderClosed(dbOrder, brokerOrder, source) {
+    const entryClosed = dbOrder.purpose === "entry" && brokerOrder.status !== "rejected";
+    if (!entryClosed && !UNPROTECTED_EXIT_PURPOSES.includes(dbOrder.purpose)) return;
+
+    await OrderUpdateQueue.enqueuePartialFill(dbOrder, brokerOrder, {
+      source,
+      final: true,
+    });
   }
 
   /**
@@ -333,15 +517,16 @@ class TradeMonitor {
       .where("trade_id", tradeId)
       .orderBy("phase_number");
 
-    WebSocketManager.broadcast("trade_update", {
+    WebSocketManager.broadcastToAccount(trade.account_id, "trade_update", {
       trade: {
         id: trade.id,
         symbol: trade.symbol,
+        side: trade.side,
         status: trade.status,
         currentPhase: trade.current_phase,
         entryPrice: parseFloat(trade.entry_price),
-        totalShares: trade.total_shares,
-        remainingShares: trade.remaining_shares,
+        totalShares: parseQty(trade.total_shares),
+        remainingShares: parseQty(trade.remaining_shares),
         realizedPnl: trade.realized_pnl ? parseFloat(trade.realized_pnl) : null,
         realizedPnlPct: trade.realized_pnl_pct
           ? parseFloat(trade.realized_pnl_pct)
@@ -352,7 +537,7 @@ class TradeMonitor {
         status: p.status,
         takeProfitPrice: parseFloat(p.take_profit_price),
         stopLossPrice: parseFloat(p.stop_loss_price),
-        sharesToSell: p.shares_to_sell,
+        sharesToSell: parseQty(p.shares_to_sell),
         phasePnl: p.phase_pnl ? parseFloat(p.phase_pnl) : null,
       })),
     });
@@ -360,21 +545,8 @@ class TradeMonitor {
 
   async logMarketStatus() {
     try {
-      const mode = process.env.TRADING_MODE || "paper";
-
-      const alpaca = new Alpaca({
-        keyId:
-          mode === "live"
-            ? process.env.ALPACA_LIVE_API_KEY
-            : process.env.ALPACA_PAPER_API_KEY,
-        secretKey:
-          mode === "live"
-            ? process.env.ALPACA_LIVE_SECRET_KEY
-            : process.env.ALPACA_PAPER_SECRET_KEY,
-        paper: mode === "paper",
-      });
-
-      const clock = await alpaca.getClock();
+      const broker = await BrokerService.getAnyBroker();
+      const clock = await broker.getClock();
 
       logger.info("⏰ Market Status Check (Periodic Sync)", {
         marketOpen: clock.is_open,
@@ -385,7 +557,7 @@ class TradeMonitor {
 
       return clock;
     } catch (error) {
-      logger.error("❌ Failed to fetch Alpaca market clock", {
+      logger.error("❌ Failed to fetch market clock", {
         message: error.message,
         stack: error.stack,
       });
@@ -403,14 +575,20 @@ class TradeMonitor {
       // 👀 Log market open/close status
       const marketClock = await this.logMarketStatus();
 
-      if (marketClock && marketClock.marketOpen === false) {
+      if (marketClock && marketClock.is_open === false) {
         logger.warn("📉 Market is CLOSED — orders may not fill");
       } else {
         logger.info("📈 Market is OPEN");
       }
       try {
         await this.syncOrders();
+        await TradeExecutionService.resumePhaseTransitions();
+        await TrailingStopService.updateTrailingStops();
         await TradeReconciliationService.reconcileAllTrades();
+        await TradeExecutionService.cancelStaleEntryRemainders();
+        await TradeExecutionService.expireStaleEntries();
+        await CircuitBreakerService.checkAll();
+        await OrphanOrderService.sweepAll();
       } catch (error) {
         logger.error("Periodic sync error:", error);
       }
@@ -418,37 +596,74 @@ class TradeMonitor {
   }
 
   /**
-   * Sync orders with Alpaca (backup to WebSocket)
+   * Sync orders with Alpaca (backup to WebSocket), account by account
    */
   async syncOrders() {
     const db = database.getDb();
-    const AlpacaService = require("./AlpacaService");
 
     // Get open orders from database
     const dbOrders = await db("orders")
-      .whereIn("status", [
+      .join("trades", "trades.id", "orders.trade_id")
+      .whereIn("orders.status", [
         "new",
         "accepted",
         "pending_new",
         "partially_filled",
+        "pending_cancel",
         "filled",
       ])
-      .select("*");
+      .select("orders.*", "trades.account_id", "trades.trading_mode");
 
     if (dbOrders.length === 0) return;
 
     console.log(dbOrders.length, "dbOrdersCount");
 
+    const ordersByAccount = new Map();
+    for (const dbOrder of dbOrders) {
+      const accountOrders = ordersByAccount.get(dbOrder.account_id) || [];
+      accountOrders.push(dbOrder);
+      ordersByAccount.set(dbOrder.account_id, accountOrders);
+    }
+
+    for (const [accountId, accountOrders] of ordersByAccount) {
+      try {
+        await this.syncAccountOrders(accountId, accountOrders);
+      } catch (error) {
+        logger.error(`Order sync failed for account ${accountId || DEFAULT_ACCOUNT_KEY}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Sync one account's open orders
+   */
+  async syncAccountOrders(accountId, dbOrders) {
+    const db = database.getDb();
+
     // Get orders from Alpaca
-    const alpacaOrders = await AlpacaService.getOrders("all", 500);
+    const broker = await BrokerService.forAccount(accountId);
+    const alpacaOrders = await broker.getOrders("all", 500);
     const alpacaOrderMap = new Map(alpacaOrders.map((o) => [o.id, o]));
     console.log(alpacaOrders?.length, "alpacaOrdersCount");
     // console.log(alpacaOrderMap, "alpacaOrderMap");
     // Check each DB order
     for (const dbOrder of dbOrders) {
+      // Trades placed in the account's other mode live at another broker
+      if (dbOrder.trading_mode && dbOrder.trading_mode !== broker.mode) continue;
+
       const alpacaOrder = alpacaOrderMap.get(dbOrder.alpaca_order_id);
 
-      if (alpacaOrder && alpacaOrder.status !== dbOrder.status) {
+      // A partially filled order keeps its status while more shares fill
+      const fillProgressed =
+        alpacaOrder &&
+        PARTIAL_FILL_PURPOSES.includes(dbOrder.purpose) &&
+        alpacaOrder.status === "partially_filled" &&
+        parseQty(alpacaOrder.filled_qty) > parseQty(dbOrder.filled_qty);
+
+      if (
+        alpacaOrder &&
+        (alpacaOrder.status !== dbOrder.status || fillProgressed)
+      ) {
         logger.info(
           `Sync: Order ${dbOrder.id} status changed from ${dbOrder.status} to ${alpacaOrder.status}`
         );
@@ -466,7 +681,18 @@ class TradeMonitor {
         //   await this.handleOrderFill(dbOrder, alpacaOrder);
         // }
         if (alpacaOrder.status === "filled" && dbOrder.status !== "filled") {
-          await this.handleOrderFill(dbOrder, alpacaOrder);
+          await OrderUpdateQueue.enqueueFill(dbOrder, alpacaOrder, {
+            source: "sync",
+          });
+        }
+
+        if (fillProgressed) {
+          await OrderUpdateQueue.enqueuePartialFill(dbOrder, alpacaOrder, {
+            source: "sync",
+          });
+        }
+        if (["canceled", "expired", "rejected"].includes(alpacaOrder.status)) {
+          await this.handleOrderClosed(dbOrder, alpacaOrder, "sync");
         }
 
         // 🆕 Handle canceled phase_tp orders - auto re-place them
@@ -6,8 +6,42 @@
  */
 
 const database = require("../config/database");
-const TradeExecutionService = require("./TradeExecutionService");
+const BrokerService = require("./BrokerService");
+const OrderUpdateQueue = require("./OrderUpdateQueue");
 const NotificationService = require("./NotificationService");
+const TradeExecutionService = require("./TradeExecutionService");
+const { exitOrderSide } = require("../utils/phases");
+const { parseQty, roundQty, wholeShares } = require("../utils/quantity");
+
+// How a flagged issue can be resolved
+const RESOLUTION_ACTIONS = [
+  "accept_broker_qty", // remaining_shares := broker position
+  "resync_remaining", // remaining_shares := entry fills - phase exits
+  "replace_orders", // re-place the current phase's orders
+  "close_trade", // sell the broker position at market
+  "dismiss", // no change
+];
+
+const CLOSED_ORDER_STATUSES = ["filled", "canceled", "cancelled", "expired", "rejected"];
+const RECOVERY_WAIT_MS = parseInt(process.env.RECOVERY_WAIT_MS) || 30000;
+// Most open orders the broker returns in one request
+const OPEN_ORDERS_LIMIT = 500;
+
+/**
+ * The part of the broker position a share mismatch's trade accounts for:
+ * the position less what the symbol's other trades hold
+ */
+function tradeBrokerShares(mismatch) {
+  return roundQty(mismatch.actualShares - (mismatch.expectedShares - mismatch.tradeShares));
+}
+
+class ReconciliationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ReconciliationError";
+    this.status = status;
+  }
+}
 
 class TradeReconciliationService {
   constructor() {
@@ -83,7 +117,6 @@ class TradeReconciliationService {
 
     try {
       const db = database.getDb();
-      const AlpacaService = require("./AlpacaService");
 
       const activeTrades = await db("trades")
         .where("status", "active")
@@ -94,11 +127,28 @@ class TradeReconciliationService {
         return;
       }
 
-      const positions = await AlpacaService.getPositions();
-      const positionMap = new Map(positions.map(p => [p.symbol, p]));
-
+      // Positions are per account
+      const tradesByAccount = new Map();
       for (const trade of activeTrades) {
-        await this.reconcileTrade(trade, positionMap);
+        const accountTrades = tradesByAccount.get(trade.account_id) || [];
+        accountTrades.push(trade);
+        tradesByAccount.set(trade.account_id, accountTrades);
+      }
+
+      for (const [accountId, accountTrades] of tradesByAccount) {
+        try {
+          const broker = await BrokerService.forAccount(accountId);
+          const positions = await broker.getPositions();
+          const positionMap = new Map(positions.map(p => [p.symbol, p]));
+
+          for (const trade of accountTrades) {
+            // Positions of the account's other mode are not visible here
+            if (trade.trading_mode && trade.trading_mode !== broker.mode) continue;
+            await this.reconcileTrade(trade, positionMap);
+          }
+        } catch (error) {
+          console.error(`❌ Reconciliation failed for account ${accountId || "default"}:`, error);
+        }
       }
 
       console.log("✅ Trade reconciliation cycle completed");
@@ -110,9 +160,10 @@ class TradeReconciliationService {
   async reconcileTrade(trade, positionMap) {
     console.log(`🔍 Reconciling ${trade.symbol} (Trade ${trade.id})`);
 
-    const dbRemainingShares = parseInt(trade.remaining_shares);
+    const dbRemainingShares = parseQty(trade.remaining_shares);
     const actualPosition = positionMap.get(trade.symbol);
-    const actualShares = actualPosition ? parseInt(actualPosition.qty) : 0;
+    // Short positions report a negative qty
+    const actualShares = actualPosition ? Math.abs(parseQty(actualPosition.qty)) : 0;
 
     if (dbRemainingShares === actualShares) {
       console.log(`✔ ${trade.symbol} shares match (${actualShares})`);
@@ -132,7 +183,6 @@ class TradeReconciliationService {
 
   async findMissedEvents(trade, expectedShares, actualShares) {
     const db = database.getDb();
-    const AlpacaService = require("./AlpacaService");
 
     try {
       console.log(`🔎 Scanning missed events for ${trade.symbol}`);
@@ -142,7 +192,8 @@ class TradeReconciliationService {
         .select("*");
 
       // Get ALL orders from Alpaca (including filled OCO legs)
-      const alpacaOrders = await AlpacaService.getOrders("all", 500);
+      const broker = await BrokerService.forTrade(trade);
+      const alpacaOrders = await broker.getOrders("all", 500);
       
       const tradeOrderIds = dbOrders.map(o => o.alpaca_order_id);
 
@@ -241,7 +292,7 @@ class TradeReconciliationService {
         const potentialLegs = alpacaOrders.filter(o => 
           o.symbol === trade.symbol &&
           o.order_class === "oco" &&
-          o.side === "sell" &&
+          o.side === exitOrderSide(trade.side) &&
           o.status === "filled" &&
           // NOT the parent order itself
           o.id !== ocoOrder.alpaca_order_id
@@ -364,44 +415,18 @@ class TradeReconciliationService {
     }
   }
 
+  /**
+   * Queue a missed fill. The idempotency key is the broker order / leg id,
+   * so a fill the stream or order sync already queued is not processed twice.
+   */
   async handleMissedFillEvent(dbOrder, alpacaOrder) {
-    const fillPrice = parseFloat(alpacaOrder.filled_avg_price);
-    const filledQty = parseInt(alpacaOrder.filled_qty);
-
     console.log(
-      `⚙️ Handling fill | Trade ${dbOrder.trade_id} | Phase ${dbOrder.phase} | Purpose ${dbOrder.purpose}`
+      `⚙️ Queueing fill | Trade ${dbOrder.trade_id} | Phase ${dbOrder.phase} | Purpose ${dbOrder.purpose}`
     );
 
-    switch (dbOrder.purpose) {
-      case "entry":
-        await TradeExecutionService.handleEntryFill(
-          dbOrder.trade_id,
-          fillPrice,
-          filledQty
-        );
-        break;
-
-      case "phase_tp":
-        await TradeExecutionService.handlePhaseTakeProfitHit(
-          dbOrder.trade_id,
-          dbOrder.phase,
-          fillPrice
-        );
-        break;
-
-      case "phase_sl":
-      case "remaining_sl":
-        await TradeExecutionService.handlePhaseStopLossHit(
-          dbOrder.trade_id,
-          dbOrder.phase,
-          fillPrice,
-          filledQty
-        );
-        break;
-
-      default:
-        console.warn(`⚠️ Unknown order purpose: ${dbOrder.purpose}`);
-    }
+    await OrderUpdateQueue.enqueueFill(dbOrder, alpacaOrder, {
+      source: "reconciliation",
+    });
   }
 
   async flagForManualReview(trade, expectedShares, actualShares) {
@@ -409,16 +434,659 @@ class TradeReconciliationService {
 
     console.error(`🚨 Manual review required for ${trade.symbol}`);
 
+    // One open issue per trade, kept current while it waits for review
+    const open = await db("reconciliation_issues")
+      .where({ trade_id: trade.id, issue_type: "share_discrepancy", status: "pending_review" })
+      .first();
+    if (open) {
+      await db("reconciliation_issues").where("id", open.id).update({
+        expected_shares: expectedShares,
+        actual_shares: actualShares,
+        discrepancy: roundQty(expectedShares - actualShares),
+        updated_at: db.fn.now(),
+      });
+      return;
+    }
+
+    await NotificationService.send({
+      type: "error",
+      title: `🚨 Reconciliation Issue: ${trade.symbol}`,
+      message: `Trade ${trade.id} expects ${expectedShares} shares, the broker holds ${actualShares}\nReview it under /api/reconciliation/issues`,
+      tradeId: trade.id,
+    });
+
     await db("reconciliation_issues").insert({
       trade_id: trade.id,
       issue_type: "share_discrepancy",
       expected_shares: expectedShares,
       actual_shares: actualShares,
-      discrepancy: expectedShares - actualShares,
+      discrepancy: roundQty(expectedShares - actualShares),
       status: "pending_review",
       created_at: db.fn.now(),
     });
   }
+
+  /* ===========================
+   * ISSUE REVIEW
+   * =========================== */
+
+  /**
+   * Flagged issues of an account's trades, newest first
+   */
+  async listIssues({ accountId = null, status = "pending_review", tradeId = null, limit = 50, offset = 0 }) {
+    const db = database.getDb();
+
+    let query = db("reconciliation_issues")
+      .join("trades", "trades.id", "reconciliation_issues.trade_id")
+      .where("trades.account_id", accountId);
+    if (status) {
+      query = query.where("reconciliation_issues.status", status);
+    }
+    if (tradeId) {
+      query = query.where("reconciliation_issues.trade_id", tradeId);
+    }
+
+    const { count } = await query.clone().count("* as count").first();
+    const issues = await query
+      .orderBy("reconciliation_issues.created_at", "desc")
+      .limit(limit)
+      .offset(offset)
+      .select(
+        "reconciliation_issues.*",
+        "trades.symbol",
+        "trades.status as trade_status",
+        "trades.remaining_shares"
+      );
+
+    return {
+      issues: issues.map((issue) => ({
+        ...issue,
+        expected_shares: parseQty(issue.expected_shares),
+        actual_shares: parseQty(issue.actual_shares),
+        discrepancy: parseQty(issue.discrepancy),
+        remaining_shares: parseQty(issue.remaining_shares),
+      })),
+      total: parseInt(count),
+    };
+  }
+
+  /**
+   * Resolve a flagged issue with one of RESOLUTION_ACTIONS. The action and
+   * the trade's shares before and after are audited in order_events.
+   *
+   * @param {number} issueId
+   * @param {Object} params
+   * @param {number|null} params.accountId - Account the trade must belong to
+   * @param {string} params.action - One of RESOLUTION_ACTIONS
+   * @param {string} params.notes - Reviewer's notes
+   * @param {number} params.userId - Reviewer
+   */
+  async resolveIssue(issueId, { accountId = null, action, notes = null, userId = null }) {
+    const db = database.getDb();
+
+    if (!RESOLUTION_ACTIONS.includes(action)) {
+      throw new ReconciliationError(`Action must be one of: ${RESOLUTION_ACTIONS.join(", ")}`);
+    }
+
+    const issue = await db("reconciliation_issues")
+      .join("trades", "trades.id", "reconciliation_issues.trade_id")
+      .where("reconciliation_issues.id", issueId)
+      .where("trades.account_id", accountId)
+      .select("reconciliation_issues.*")
+      .first();
+    if (!issue) {
+      throw new ReconciliationError("Issue not found", 404);
+    }
+    if (issue.status !== "pending_review") {
+      throw new ReconciliationError(`Issue ${issueId} is already ${issue.status}`, 409);
+    }
+
+    const trade = await db("trades").where("id", issue.trade_id).first();
+    if (action !== "dismiss" && trade.status !== "active") {
+      throw new ReconciliationError(
+        `Trade ${trade.id} is ${trade.status} - only dismissing is possible`,
+        409
+      );
+    }
+
+    const before = parseQty(trade.remaining_shares);
+    const result = await this._applyResolution(trade, action);
+
+    await db("reconciliation_issues")
+      .where("id", issue.id)
+      .update({
+        status: action === "dismiss" ? "dismissed" : "resolved",
+        resolution: action,
+        resolution_notes: notes,
+        resolved_by: userId,
+        resolved_at: db.fn.now(),
+        updated_at: db.fn.now(),
+      });
+
+    const after = await db("trades").where("id", trade.id).first();
+
+    await db("order_events").insert({
+      trade_id: trade.id,
+      event_type: "reconciliation_resolved",
+      event_data: JSON.stringify({
+        issueId: issue.id,
+        action,
+        notes,
+        userId,
+        remainingSharesBefore: before,
+        remainingSharesAfter: parseQty(after.remaining_shares),
+        ...result,
+      }),
+      description: `Reconciliation issue ${issue.id} resolved (${action}): ${trade.symbol} ${before} -> ${parseQty(
+        after.remaining_shares
+      )} shares`,
+    });
+
+    console.log(`✅ Reconciliation issue ${issue.id} resolved (${action})`);
+
+    return {
+      issueId: issue.id,
+      action,
+      tradeId: trade.id,
+      tradeStatus: after.status,
+      remainingShares: parseQty(after.remaining_shares),
+      ...result,
+    };
+  }
+
+  async _applyResolution(trade, action) {
+    const db = database.getDb();
+
+    switch (action) {
+      case "accept_broker_qty": {
+        const brokerShares = await this._brokerShares(trade);
+        await TradeExecutionService.resizeRemainingShares(trade.id, brokerShares);
+        return { brokerShares };
+      }
+
+      case "resync_remaining": {
+        const phases = await db("trade_phases").where("trade_id", trade.id);
+        const entryShares = parseQty(trade.entry_filled_qty) || parseQty(trade.total_shares);
+        const soldShares = phases.reduce(
+          (sum, p) =>
+            sum +
+            parseQty(["completed", "skipped"].includes(p.status) ? p.shares_to_sell : p.filled_qty),
+          0
+        );
+        const ledgerShares = roundQty(entryShares - soldShares);
+        await TradeExecutionService.resizeRemainingShares(trade.id, ledgerShares);
+        return { ledgerShares };
+      }
+
+      case "replace_orders":
+        await TradeExecutionService.replacePhaseOrders(trade.id);
+        return {};
+
+      case "close_trade": {
+        // Sell what the broker actually holds
+        const brokerShares = await this._brokerShares(trade);
+        await db("trades")
+          .where("id", trade.id)
+          .update({ remaining_shares: brokerShares, updated_at: db.fn.now() });
+        const { order } = await TradeExecutionService.liquidateTrade(trade.id, "reconciliation");
+        return { brokerShares, liquidationOrderId: order ? order.id : null };
+      }
+
+      default:
+        return {};
+    }
+  }
+
+  /* ===========================
+   * REPORT (DRY RUN / APPLY)
+   * =========================== */
+
+  /**
+   * Compare an account's open trades with the broker and, unless it is a
+   * dry run, apply the proposed fixes
+   *
+   * @param {Object} params
+   * @param {number|null} params.accountId
+   * @param {boolean} params.dryRun - Only report (default)
+   * @returns {Object} The report, plus `applied` - the outcome of each fix
+   */
+  async run({ accountId = null, dryRun = true }) {
+    if (dryRun) {
+      const report = await this.buildReport(accountId);
+      return { dryRun: true, ...report, applied: [] };
+    }
+
+    if (this.isReconciling) {
+      throw new ReconciliationError("Reconciliation already in progress", 409);
+    }
+
+    this.isReconciling = true;
+    try {
+      const report = await this.buildReport(accountId);
+      const applied = await this.applyReport(report);
+      return { dryRun: false, ...report, applied };
+    } finally {
+      this.isReconciling = false;
+    }
+  }
+
+  /**
+   * Diff an account's pending and active trades against the broker's
+   * positions and open orders. Nothing is changed.
+   *
+   * @returns {Object} { accountId, generatedAt, openOrdersTruncated,
+   *   shareMismatches, missingOrders, orphanedOrders, untrackedPositions } -
+   *   each entry carries its proposed `fix` (null when it needs a manual
+   *   decision)
+   */
+  async buildReport(accountId = null) {
+    const db = database.getDb();
+    const broker = await BrokerService.forAccount(accountId);
+    const [positions, openOrders] = await Promise.all([
+      broker.getPositions(),
+      this.getOpenOrders(broker, accountId),
+    ]);
+    // Orders past the limit were not seen, so "missing" ones may exist
+    const openOrdersTruncated = openOrders.length >= OPEN_ORDERS_LIMIT;
+
+    // Positions of the account's other mode are not visible here
+    const trades = await db("trades")
+      .where("account_id", accountId)
+      .whereIn("status", ["pending", "active"])
+      .where((q) => q.whereNull("trading_mode").orWhere("trading_mode", broker.mode));
+    const tradeIds = trades.map((t) => t.id);
+    const dbOrders = tradeIds.length ? await db("orders").whereIn("trade_id", tradeIds) : [];
+    const phases = tradeIds.length ? await db("trade_phases").whereIn("trade_id", tradeIds) : [];
+
+    const positionMap = new Map(positions.map((p) => [p.symbol, p]));
+    const openOrderIds = new Set(openOrders.map((o) => o.id));
+
+    // Trades in the same symbol share one broker position
+    const activeTrades = trades.filter((t) => t.status === "active");
+    const expectedBySymbol = new Map();
+    for (const trade of activeTrades) {
+      expectedBySymbol.set(
+        trade.symbol,
+        roundQty((expectedBySymbol.get(trade.symbol) || 0) + parseQty(trade.remaining_shares))
+      );
+    }
+
+    const shareMismatches = [];
+    const missingOrders = [];
+
+    for (const trade of activeTrades) {
+      const tradeOrders = dbOrders.filter((o) => o.trade_id === trade.id);
+      const working = (purpose, phaseNumber = null) =>
+        tradeOrders.some(
+          (o) =>
+            o.purpose === purpose &&
+            (phaseNumber === null || o.phase === phaseNumber) &&
+            openOrderIds.has(o.alpaca_order_id)
+        );
+
+      const tradeShares = parseQty(trade.remaining_shares);
+      const expectedShares = expectedBySymbol.get(trade.symbol);
+      const position = positionMap.get(trade.symbol);
+      const actualShares = position ? Math.abs(parseQty(position.qty)) : 0;
+      const mismatch = expectedShares !== actualShares;
+
+      // One entry per trade of the symbol: any of them may have missed fills
+      if (mismatch) {
+        shareMismatches.push({
+          tradeId: trade.id,
+          symbol: trade.symbol,
+          tradeShares,
+          expectedShares,
+          actualShares,
+          discrepancy: roundQty(expectedShares - actualShares),
+          // Missed fills are replayed; anything else is flagged for review
+          fix: "replay_missed_fills",
+        });
+      }
+
+      // A trade being closed out has no phase orders on purpose
+      if (trade.exit_reason || working("liquidation") || working("manual_exit")) continue;
+
+      const phase = phases.find(
+        (p) => p.trade_id === trade.id && p.phase_number === trade.current_phase
+      );
+      if (!phase) continue;
+
+      // The orders placePhaseOrders would have placed
+      const phaseQty = roundQty(parseQty(phase.shares_to_sell) - parseQty(phase.filled_qty));
+      const missing = [];
+      if (wholeShares(phaseQty) > 0 && !working("phase_tp", phase.phase_number)) {
+        missing.push("phase_tp");
+      }
+      if (
+        phase.phase_number === 1 &&
+        wholeShares(tradeShares - phaseQty) > 0 &&
+        !working("remaining_sl", phase.phase_number)
+      ) {
+        missing.push("remaining_sl");
+      }
+
+      if (missing.length > 0 || phase.status !== "active") {
+        missingOrders.push({
+          tradeId: trade.id,
+          symbol: trade.symbol,
+          phase: phase.phase_number,
+          phaseStatus: phase.status,
+          missing,
+          // Orders sized off a wrong share count would be wrong too
+          fix: mismatch || openOrdersTruncated ? null : "replace_orders",
+        });
+      }
+    }
+
+    const orphanedOrders = await this.findOrphanedOrders(accountId, { openOrders, dbOrders });
+
+    const trackedSymbols = new Set(trades.map((t) => t.symbol));
+    const untrackedPositions = positions
+      .filter((p) => !trackedSymbols.has(p.symbol))
+      .map((p) => ({
+        symbol: p.symbol,
+        side: p.side,
+        qty: Math.abs(parseQty(p.qty)),
+        avgEntryPrice: p.avg_entry_price,
+        // Adopt it (POST /api/trades/adopt) or leave it unmanaged
+        fix: null,
+      }));
+
+    return {
+      accountId,
+      generatedAt: new Date().toISOString(),
+      openOrdersTruncated,
+      shareMismatches,
+      missingOrders,
+      orphanedOrders,
+      untrackedPositions,
+    };
+  }
+
+  /**
+   * The account's open orders at the broker, newest first. The broker
+   * returns at most OPEN_ORDERS_LIMIT; older ones are left out, with a
+   * warning.
+   */
+  async getOpenOrders(broker, accountId = null) {
+    const openOrders = await broker.getOrders("open", OPEN_ORDERS_LIMIT);
+
+    if (openOrders.length >= OPEN_ORDERS_LIMIT) {
+      console.warn(
+        `⚠️ Account ${accountId || "default"} has ${OPEN_ORDERS_LIMIT}+ open orders - older ones were not checked`
+      );
+    }
+
+    return openOrders;
+  }
+
+  /**
+   * Open RZE orders at the broker that no open order of a pending or
+   * active trade accounts for
+   *
+   * @param {number|null} accountId
+   * @param {Object} options - Broker open orders and the open trades'
+   *   order rows when the caller has already fetched them
+   * @returns {Array} [{ brokerOrderId, clientOrderId, symbol, side, qty, status,
+   *   tradeId, reason, fix }]
+   */
+  async findOrphanedOrders(accountId = null, { openOrders = null, dbOrders = null } = {}) {
+    const db = database.getDb();
+
+    if (!openOrders) {
+      const broker = await BrokerService.forAccount(accountId);
+      openOrders = await this.getOpenOrders(broker, accountId);
+    }
+    if (!dbOrders) {
+      dbOrders = await db("orders")
+        .join("trades", "trades.id", "orders.trade_id")
+        .where("trades.account_id", accountId)
+        .whereIn("trades.status", ["pending", "active"])
+        .select("orders.*");
+    }
+
+    const tracked = new Set(
+      dbOrders.filter((o) => !CLOSED_ORDER_STATUSES.includes(o.status)).map((o) => o.alpaca_order_id)
+    );
+    // OCO legs listed on their own carry broker-generated client ids
+    const candidates = openOrders.filter(
+      (o) => o.client_order_id && o.client_order_id.startsWith("RZE-") && !tracked.has(o.id)
+    );
+    if (candidates.length === 0) return [];
+
+    const rows = await db("orders")
+      .leftJoin("trades", "trades.id", "orders.trade_id")
+      .where((q) =>
+        q
+          .whereIn("orders.alpaca_order_id", candidates.map((o) => o.id))
+          .orWhereIn("orders.client_order_id", candidates.map((o) => o.client_order_id))
+      )
+      .select("orders.*", "trades.status as trade_status");
+
+    return candidates.map((order) => {
+      const row = rows.find(
+        (r) => r.alpaca_order_id === order.id || r.client_order_id === order.client_order_id
+      );
+
+      let reason = "unknown_order";
+      if (row && !["pending", "active"].includes(row.trade_status)) {
+        reason = "trade_closed";
+      } else if (row) {
+        reason = "order_closed_in_db";
+      }
+
+      return {
+        brokerOrderId: order.id,
+        clientOrderId: order.client_order_id,
+        symbol: order.symbol,
+        side: order.side,
+        qty: order.qty,
+        status: order.status,
+        tradeId: row ? row.trade_id : null,
+        reason,
+        fix: "cancel",
+      };
+    });
+  }
+
+  /**
+   * Apply the fixes a report proposes. Each fix is tried on its own and
+   * audited in order_events when it concerns a trade.
+   *
+   * @returns {Array} [{ type, fix, tradeId, brokerOrderId, ok, error }]
+   */
+  async applyReport(report) {
+    const db = database.getDb();
+    const applied = [];
+
+    const attempt = async (type, fix, target, apply) => {
+      const outcome = { type, fix, ...target, ok: true };
+      try {
+        await apply();
+      } catch (error) {
+        console.error(`❌ Reconciliation fix ${fix} failed`, target, error);
+        outcome.ok = false;
+        outcome.error = error.message;
+      }
+      applied.push(outcome);
+
+      if (target.tradeId) {
+        await db("order_events").insert({
+          trade_id: target.tradeId,
+          event_type: "reconciliation_fix",
+          event_data: JSON.stringify(outcome),
+          description: `Reconciliation fix ${fix} (${type}) ${outcome.ok ? "applied" : "failed"}`,
+        });
+      }
+    };
+
+    for (const mismatch of report.shareMismatches) {
+      if (!mismatch.fix) continue;
+      await attempt("share_mismatch", mismatch.fix, { tradeId: mismatch.tradeId }, async () => {
+        const trade = await db("trades").where("id", mismatch.tradeId).first();
+        await this.findMissedEvents(trade, mismatch.tradeShares, tradeBrokerShares(mismatch));
+      });
+    }
+
+    for (const missing of report.missingOrders) {
+      if (!missing.fix) continue;
+      await attempt("missing_orders", missing.fix, { tradeId: missing.tradeId }, () =>
+        TradeExecutionService.replacePhaseOrders(missing.tradeId)
+      );
+    }
+
+    if (report.orphanedOrders.length > 0) {
+      const broker = await BrokerService.forAccount(report.accountId);
+      for (const orphan of report.orphanedOrders) {
+        await attempt(
+          "orphaned_order",
+          orphan.fix,
+          { tradeId: orphan.tradeId, brokerOrderId: orphan.brokerOrderId },
+          () => broker.cancelOrder(orphan.brokerOrderId)
+        );
+      }
+    }
+
+    console.log(
+      `✅ Reconciliation fixes applied for account ${report.accountId || "default"}: ` +
+        `${applied.filter((a) => a.ok).length}/${applied.length} succeeded`
+    );
+
+    return applied;
+  }
+
+  /* ===========================
+   * STARTUP RECOVERY
+   * =========================== */
+
+  /**
+   * Bring back active trades a crash left without protective orders (e.g.
+   * between a phase fill and placing the next phase's orders). Unfinished
+   * phase transitions are resumed and fills missed while offline replayed
+   * first - their handling places the next phase's orders - then whatever
+   * is still missing is re-placed. Runs before the trade monitor starts;
+   * each account gets one notification.
+   *
+   * @returns {Array} Per trade: { accountId, tradeId, symbol, phase, missing,
+   *   replayedFills, action, error }
+   */
+  async recoverOnStartup() {
+    const db = database.getDb();
+    console.log("🩺 Recovering trades left mid-transition...");
+
+    await TradeExecutionService.resumePhaseTransitions();
+
+    const accounts = await db("trades").where("status", "active").distinct("account_id");
+    const recovered = [];
+
+    for (const { account_id: accountId } of accounts) {
+      try {
+        const trades = await this._recoverAccount(accountId);
+        if (trades.length > 0) {
+          await this._notifyRecovery(accountId, trades);
+        }
+        recovered.push(...trades);
+      } catch (error) {
+        console.error(`❌ Startup recovery failed for account ${accountId || "default"}:`, error);
+
+        await NotificationService.send({
+          type: "error",
+          title: "⚠️ Startup Recovery Failure",
+          message: error.message,
+          accountId,
+        });
+      }
+    }
+
+    console.log(`✅ Startup recovery completed: ${recovered.length} trade(s) needed recovery`);
+    return recovered;
+  }
+
+  async _recoverAccount(accountId) {
+    const db = database.getDb();
+
+    const report = await this.buildReport(accountId);
+    if (report.missingOrders.length === 0) return [];
+
+    const stranded = report.missingOrders.map((entry) => ({
+      accountId,
+      tradeId: entry.tradeId,
+      symbol: entry.symbol,
+      phase: entry.phase,
+      missing: entry.missing,
+      replayedFills: false,
+      action: null,
+      error: null,
+    }));
+    const tradeIds = stranded.map((t) => t.tradeId);
+
+    // Fills missed while offline
+    for (const mismatch of report.shareMismatches.filter((m) => tradeIds.includes(m.tradeId))) {
+      const trade = await db("trades").where("id", mismatch.tradeId).first();
+      await this.findMissedEvents(trade, mismatch.tradeShares, tradeBrokerShares(mismatch));
+      stranded.find((t) => t.tradeId === mismatch.tradeId).replayedFills = true;
+    }
+
+    // Replayed fills and jobs queued before the restart
+    if (!(await OrderUpdateQueue.waitForTrades(tradeIds, RECOVERY_WAIT_MS))) {
+      console.warn("⏳ Order updates still queued - recovering with what has been processed");
+    }
+
+    const after = await this.buildReport(accountId);
+    for (const entry of stranded) {
+      const still = after.missingOrders.find((m) => m.tradeId === entry.tradeId);
+
+      if (!still) {
+        entry.action = "fills_replayed";
+      } else if (!still.fix) {
+        // Shares still differ (findMissedEvents flagged it for review), or
+        // too many open orders to tell whether its orders exist
+        entry.action = "manual_review";
+      } else {
+        try {
+          await TradeExecutionService.replacePhaseOrders(entry.tradeId);
+          entry.action = "orders_replaced";
+        } catch (error) {
+          console.error(`❌ Could not re-place orders of trade ${entry.tradeId}`, error);
+          entry.action = "failed";
+          entry.error = error.message;
+        }
+      }
+    }
+
+    return stranded;
+  }
+
+  async _notifyRecovery(accountId, trades) {
+    const lines = trades.map(
+      (t) =>
+        `${t.symbol} (trade ${t.tradeId}, phase ${t.phase}): ${t.action}` +
+        (t.missing.length > 0 ? ` - was missing ${t.missing.join(", ")}` : "") +
+        (t.error ? ` - ${t.error}` : "")
+    );
+    const unresolved = trades.some((t) => ["manual_review", "failed"].includes(t.action));
+
+    await NotificationService.send({
+      type: unresolved ? "error" : "system",
+      title: unresolved ? "🚨 Startup Recovery: Action Required" : "🩺 Startup Recovery",
+      message: `${trades.length} active trade(s) had no live protective orders after the restart\n${lines.join(
+        "\n"
+      )}`,
+      accountId,
+    });
+  }
+
+  /**
+   * Shares of the trade's symbol the broker holds now
+   */
+  async _brokerShares(trade) {
+    const broker = await BrokerService.forTrade(trade);
+    const position = await broker.getPosition(trade.symbol);
+    return position ? Math.abs(parseQty(position.qty)) : 0;
+  }
 }
 
-module.exports = new TradeReconciliationService();
\ No newline at end of file
+module.exports = new TradeReconciliationService();
+module.exports.ReconciliationError = ReconciliationError;
+module.exports.RESOLUTION_ACTIONS = RESOLUTION_ACTIONS;
@@ -0,0 +1,221 @@
+/**
+ * RZE Trading Platform - Trading Halt Service
+ *
+ * Kill-switch state. While an account (or the whole platform) is halted no
+ * new trades are entered. Halts are stored in trading_halts so they survive
+ * restarts, and stay in effect until an admin resumes trading.
+ *
+ * Halts are raised by the daily loss circuit breaker (CircuitBreakerService)
+ * or manually through POST /api/admin/halt.
+ */
+
+const database = require("../config/database");
+const NotificationService = require("./NotificationService");
+const WebSocketManager = require("../websocket/WebSocketManager");
+const logger = require("../utils/logger");
+
+const GLOBAL_KEY = "global";
+const DEFAULT_ACCOUNT_KEY = "default";
+
+class TradingHaltError extends Error {
+  constructor(halt) {
+    super(`Trading is halted: ${halt.reason || halt.source}`);
+    this.name = "TradingHaltError";
+    this.status = 423;
+    this.halt = halt;
+  }
+}
+
+class TradingHaltService {
+  constructor() {
+    this.halts = new Map(); // 'global' or account key -> active trading_halts row
+  }
+
+  /**
+   * Load the halts in effect (called at startup)
+   */
+  async load() {
+    const db = database.getDb();
+    const active = await db("trading_halts").whereNull("resumed_at");
+
+    this.halts.clear();
+    for (const halt of active) {
+      this.halts.set(this._key(halt.account_id, halt.is_global), halt);
+    }
+
+    if (active.length > 0) {
+      logger.warn(`Trading is halted for ${active.length} scope(s)`, {
+        halts: active.map((h) => ({
+          account: this._key(h.account_id, h.is_global),
+          reason: h.reason,
+        })),
+      });
+    }
+  }
+
+  /**
+   * The halt that applies to an account (a global halt first), or null
+   *
+   * @param {number|null} accountId - null for the default account
+   */
+  getHalt(accountId) {
+    return (
+      this.halts.get(GLOBAL_KEY) || this.halts.get(this._key(accountId)) || null
+    );
+  }
+
+  /**
+   * Whether new trades are blocked for an account
+   */
+  isHalted(accountId) {
+    return this.getHalt(accountId) !== null;
+  }
+
+  /**
+   * Throw a TradingHaltError if the account is halted
+   */
+  assertNotHalted(accountId) {
+    const halt = this.getHalt(accountId);
+    if (halt) {
+      throw new TradingHaltError(halt);
+    }
+  }
+
+  /**
+   * Halts currently in effect
+   */
+  listActive() {
+    return [...this.halts.values()];
+  }
+
+  /**
+   * Halt trading for an account, or for every account
+   *
+   * Returns the halt in effect (the existing one if already halted).
+   *
+   * @param {Object} params
+   * @param {number|null} params.accountId - null for the default account
+   * @param {boolean} params.global - Halt every account
+   * @param {string} params.source - 'circuit_breaker' or 'manual'
+   * @param {string} params.reason - Shown to users and in notifications
+   * @param {number} params.dayPnl - P&L that tripped the breaker
+   * @param {number} params.userId - Admin who halted trading
+   */
+  async halt({
+    accountId = null,
+    global = false,
+    source,
+    reason,
+    dayPnl = null,
+    userId = null,
+  }) {
+    const db = database.getDb();
+    const key = this._key(accountId, global);
+
+    if (this.halts.has(key)) {
+      return this.halts.get(key);
+    }
+
+    const [halt] = await db("trading_halts")
+      .insert({
+        account_id: global ? null : accountId,
+        is_global: global,
+        source,
+        reason,
+        day_pnl: dayPnl,
+        halted_by: userId,
+      })
+      .returning("*");
+
+    this.halts.set(key, halt);
+
+    logger.error(`🛑 Trading halted (${key}): ${reason}`, {
+      haltId: halt.id,
+      source,
+      dayPnl,
+    });
+
+    await NotificationService.send({
+      type: "error",
+      title: "🛑 Trading Halted",
+      message: `${reason}\nNew trades are blocked until trading is resumed.`,
+      accountId: global ? null : accountId,
+    });
+
+    this._broadcast(halt, "trading_halted", {
+      haltId: halt.id,
+      global,
+      accountId: halt.account_id,
+      source,
+      reason,
+      dayPnl,
+    });
+
+    return halt;
+  }
+
+  /**
+   * Record that a halt's open trades were closed out
+   */
+  async markFlattened(halt) {
+    const db = database.getDb();
+    await db("trading_halts").where("id", halt.id).update({ flattened: true });
+    halt.flattened = true;
+  }
+
+  /**
+   * Resume trading for an account, or lift the global halt. Returns the
+   * resumed halt, or null if there was none.
+   */
+  async resume({ accountId = null, global = false, userId = null }) {
+    const db = database.getDb();
+    const key = this._key(accountId, global);
+    const halt = this.halts.get(key);
+
+    if (!halt) return null;
+
+    const [resumed] = await db("trading_halts")
+      .where("id", halt.id)
+      .update({ resumed_at: db.fn.now(), resumed_by: userId })
+      .returning("*");
+
+    this.halts.delete(key);
+
+    logger.info(`Trading resumed (${key})`, { haltId: halt.id, userId });
+
+    await NotificationService.send({
+      type: "system",
+      title: "▶️ Trading Resumed",
+      message: "New trades are allowed again.",
+      accountId: global ? null : accountId,
+    });
+
+    this._broadcast(halt, "trading_resumed", {
+      haltId: halt.id,
+      global,
+      accountId: halt.account_id,
+    });
+
+    return resumed;
+  }
+
+  /**
+   * Send a halt event to the clients that can see it
+   */
+  _broadcast(halt, event, data) {
+    if (halt.is_global) {
+      WebSocketManager.broadcast(event, data);
+    } else {
+      WebSocketManager.broadcastToAccount(halt.account_id, event, data);
+    }
+  }
+
+  _key(accountId, global = false) {
+    if (global) return GLOBAL_KEY;
+    return accountId ? String(accountId) : DEFAULT_ACCOUNT_KEY;
+  }
+}
+
+// Export singleton instance
+module.exports = new TradingHaltService();
+module.exports.TradingHaltError = TradingHaltError;
@@ -0,0 +1,211 @@
+/**
+ * RZE Trading Platform - Trading Mode Service
+ *
+ * Switches an account between paper and live trading at runtime:
+ * 1. refuses while the account has open trades (unless forced)
+ * 2. drains the monitor - closes the account's trade stream and waits for
+ *    its queued order updates to finish
+ * 3. reconnects the broker in the new mode (rolling back if the broker
+ *    rejects the credentials)
+ * 4. reopens the trade stream and records the mode in the `trading_mode`
+ *    setting
+ *
+ * The default account's mode lives in memory (TRADING_MODE again after a
+ * restart); linked accounts store it in accounts.mode.
+ */
+
+const database = require("../config/database");
+const BrokerService = require("./BrokerService");
+const SettingsService = require("./SettingsService");
+const TradeMonitor = require("./TradeMonitor");
+const NotificationService = require("./NotificationService");
+const logger = require("../utils/logger");
+
+const MODES = ["paper", "live"];
+
+class TradingModeError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = "TradingModeError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+class TradingModeService {
+  constructor() {
+    this.drainTimeoutMs = parseInt(process.env.MODE_SWITCH_DRAIN_MS) || 30000;
+    this.drainPollMs = 500;
+  }
+
+  /**
+   * Current mode of an account
+   *
+   * @param {number|null} accountId - null for the default account
+   */
+  async getMode(accountId) {
+    return BrokerService.getMode(accountId);
+  }
+
+  /**
+   * Switch an account to another trading mode
+   *
+   * @param {Object} params
+   * @param {number|null} params.accountId - null for the default account
+   * @param {string} params.mode - 'paper' or 'live'
+   * @param {boolean} params.force - Switch even with open trades (they are
+   *   left in the old mode, no longer monitored, and refused by anything
+   *   that would act on them through the new mode's broker)
+   * @returns {Object} { account_id, previous_mode, mode, open_trades }
+   */
+  async switchMode({ accountId = null, mode, force = false }) {
+    if (!MODES.includes(mode)) {
+      throw new TradingModeError("Mode must be paper or live");
+    }
+
+    const previousMode = await BrokerService.getMode(accountId);
+
+    if (previousMode === "sim") {
+      throw new TradingModeError("Simulated accounts cannot switch modes");
+    }
+    if (previousMode === mode) {
+      throw new TradingModeError(`Account is already in ${mode} mode`);
+    }
+    if (!accountId && !BrokerService.isDefaultAccountConfigured(mode)) {
+      throw new TradingModeError(
+        `No ALPACA_${mode.toUpperCase()}_* credentials configured`
+      );
+    }
+    if (BrokerService.isSwitching(accountId)) {
+      throw new TradingModeError("A mode switch is already in progress", 409);
+    }
+
+    const openTrades = await this._getOpenTrades(accountId);
+    if (openTrades.length > 0 && !force) {
+      throw new TradingModeError(
+        `Account has ${openTrades.length} open trade(s) - close them or pass force`,
+        409,
+        { open_trades: openTrades.map((t) => t.id) }
+      );
+    }
+
+    BrokerService.setSwitching(accountId, true);
+
+    try {
+      logger.info(`Switching trading mode: ${previousMode} -> ${mode}`, {
+        accountId,
+        force,
+        openTrades: openTrades.length,
+      });
+
+      await TradeMonitor.unwatchAccount(accountId);
+      await this._drainOrderUpdates(accountId);
+
+      try {
+        await this._applyMode(accountId, mode);
+      } catch (error) {
+        logger.error(`Failed to switch to ${mode} mode, rolling back:`, error);
+        await this._applyMode(accountId, previousMode).catch((rollbackError) =>
+          logger.error("Failed to restore previous trading mode:", rollbackError)
+        );
+        throw new TradingModeError(
+          `Could not connect in ${mode} mode: ${error.message}`
+        );
+      } finally {
+        await TradeMonitor.watchAccount(accountId).catch((error) =>
+          logger.error("Failed to reopen trade stream after mode switch:", error)
+        );
+      }
+
+      await SettingsService.set(accountId, "trading_mode", mode);
+    } finally {
+      BrokerService.setSwitching(accountId, false);
+    }
+
+    if (openTrades.length > 0) {
+      logger.warn(
+        `Trading mode switched with ${openTrades.length} open ${previousMode} trade(s)`,
+        { accountId, tradeIds: openTrades.map((t) => t.id) }
+      );
+    }
+
+    await NotificationService.send({
+      type: "system",
+      title: "🔀 Trading Mode Switched",
+      message:
+        `Trading mode switched from ${previousMode} to ${mode}.` +
+        (openTrades.length > 0
+          ? ` ${openTrades.length} open ${previousMode} trade(s) are no longer monitored or managed.`
+          : ""),
+      accountId,
+    });
+
+    return {
+      account_id: accountId,
+      previous_mode: previousMode,
+      mode,
+      open_trades: openTrades.map((t) => t.id),
+    };
+  }
+
+  /**
+   * Store the mode and reconnect the account's broker in it
+   */
+  async _applyMode(accountId, mode) {
+    if (accountId) {
+      const db = database.getDb();
+      await db("accounts")
+        .where("id", accountId)
+        .update({ mode, updated_at: db.fn.now() });
+    } else {
+      BrokerService.setDefaultMode(mode);
+    }
+
+    await BrokerService.removeAccount(accountId);
+    await BrokerService.forAccount(accountId);
+  }
+
+  /**
+   * Pending and active trades of an account
+   */
+  async _getOpenTrades(accountId) {
+    const db = database.getDb();
+    return db("trades")
+      .where("account_id", accountId)
+      .whereIn("status", ["pending", "active"])
+      .select("id", "symbol", "trading_mode");
+  }
+
+  /**
+   * Wait until the account has no queued or running order update jobs
+   */
+  async _drainOrderUpdates(accountId) {
+    const db = database.getDb();
+    const deadline = Date.now() + this.drainTimeoutMs;
+
+    while (true) {
+      const { count } = await db("order_update_jobs")
+        .join("trades", "trades.id", "order_update_jobs.trade_id")
+        .where("trades.account_id", accountId)
+        .whereIn("order_update_jobs.status", ["pending", "processing"])
+        .count("* as count")
+        .first();
+
+      if (parseInt(count) === 0) return;
+
+      if (Date.now() > deadline) {
+        await TradeMonitor.watchAccount(accountId);
+        throw new TradingModeError(
+          `Timed out waiting for ${count} order update(s) to finish`,
+          409
+        );
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, this.drainPollMs));
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new TradingModeService();
+module.exports.TradingModeError = TradingModeError;
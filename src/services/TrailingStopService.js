@@ -0,0 +1,235 @@
+/**
+ * RZE Trading Platform - Trailing Stop Service
+ *
+ * Ratchets the stop orders of phases configured with a trailing stop.
+ * On every check the latest trade price advances the phase's high-water
+ * mark (the lowest price for shorts); when the trailed stop moves past
+ * the current stop, the phase's stop orders (the OCO stop leg and the
+ * remaining-shares stop) are replaced at the new price. Stops only ever
+ * tighten.
+ */
+
+const database = require("../config/database");
+const BrokerService = require("./BrokerService");
+const {
+  calculateTrailingStop,
+  isTrailingPhase,
+  sideDirection,
+} = require("../utils/phases");
+const logger = require("../utils/logger");
+
+const OPEN_ORDER_STATUSES = ["new", "accepted", "pending_new", "partially_filled"];
+
+class TrailingStopService {
+  constructor() {
+    this.isUpdating = false;
+  }
+
+  /**
+   * Ratchet trailing stops for every active trade
+   */
+  async updateTrailingStops() {
+    if (this.isUpdating) return;
+    this.isUpdating = true;
+
+    try {
+      const db = database.getDb();
+
+      const rows = await db("trade_phases")
+        .join("trades", "trades.id", "trade_phases.trade_id")
+        .where("trades.status", "active")
+        .where("trade_phases.status", "active")
+        .where("trade_phases.stop_type", "trailing")
+        .select(
+          "trade_phases.*",
+          "trades.symbol",
+          "trades.side",
+          "trades.account_id",
+          "trades.trading_mode"
+        );
+
+      for (const phase of rows) {
+        try {
+          const broker = await BrokerService.forAccount(phase.account_id);
+          // Stop orders of the account's other mode cannot be replaced
+          if (phase.trading_mode && phase.trading_mode !== broker.mode) continue;
+
+          const { price } = await broker.getLatestTrade(phase.symbol);
+          await this.ratchetPhase(phase, price);
+        } catch (error) {
+          logger.error(
+            `Error updating trailing stop for trade ${phase.trade_id}:`,
+            error
+          );
+        }
+      }
+    } finally {
+      this.isUpdating = false;
+    }
+  }
+
+  /**
+   * Advance a phase's high-water mark and, if the trailed stop is tighter
+   * than the current stop, move its stop orders
+   *
+   * @param {Object} phase - trade_phases row joined with its trade's side and account
+   * @param {number} price - Latest trade price
+   */
+  async ratchetPhase(phase, price) {
+    if (!isTrailingPhase(phase)) return;
+
+    const db = database.getDb();
+    const direction = sideDirection(phase.side);
+
+    const previousHighWater = phase.high_water_price
+      ? parseFloat(phase.high_water_price)
+      : null;
+    if (
+      previousHighWater !== null &&
+      direction * (price - previousHighWater) <= 0
+    ) {
+      return;
+    }
+
+    const highWaterPrice = price;
+    const currentStop = parseFloat(phase.stop_loss_price);
+    const trailedStop = calculateTrailingStop(
+      highWaterPrice,
+      {
+        trail_pct: phase.trail_pct ? parseFloat(phase.trail_pct) : null,
+        trail_amount: phase.trail_amount
+          ? parseFloat(phase.trail_amount)
+          : null,
+      },
+      phase.side
+    );
+    const newStop = Math.round(trailedStop * 100) / 100;
+
+    // Only tighten the stop, by at least a cent
+    if (direction * (newStop - currentStop) < 0.01) {
+      await db("trade_phases")
+        .where("id", phase.id)
+        .update({ high_water_price: highWaterPrice });
+      return;
+    }
+
+    const replacedOrders = await this.replaceStopOrders(phase, newStop);
+
+    const history =
+      typeof phase.trail_history === "string"
+        ? JSON.parse(phase.trail_history)
+        : phase.trail_history || [];
+    history.push({
+      high_water_price: highWaterPrice,
+      stop_price: newStop,
+      previous_stop_price: currentStop,
+      at: new Date().toISOString(),
+    });
+
+    await db("trade_phases")
+      .where("id", phase.id)
+      .update({
+        high_water_price: highWaterPrice,
+        stop_loss_price: newStop,
+        trail_history: JSON.stringify(history),
+      });
+
+    await db("order_events").insert({
+      trade_id: phase.trade_id,
+      event_type: "trailing_stop_raised",
+      event_data: JSON.stringify({
+        phase: phase.phase_number,
+        highWaterPrice,
+        previousStopPrice: currentStop,
+        stopPrice: newStop,
+        orders: replacedOrders,
+      }),
+      description: `Phase ${phase.phase_number} trailing stop moved from ${currentStop.toFixed(
+        2
+      )} to ${newStop.toFixed(2)} (best price ${highWaterPrice.toFixed(2)})`,
+    });
+
+    logger.phase("Trailing stop raised", {
+      tradeId: phase.trade_id,
+      phaseNumber: phase.phase_number,
+      highWaterPrice,
+      from: currentStop,
+      to: newStop,
+    });
+  }
+
+  /**
+   * Replace the open stop orders of a phase at a new stop price (also
+   * used for manual stop changes)
+   *
+   * @param {Object} phase - trade_phases row with its trade's account_id
+   * @returns {Array} The old -> new broker order ids
+   */
+  async replaceStopOrders(phase, stopPrice) {
+    const db = database.getDb();
+    const broker = await BrokerService.forAccount(phase.account_id);
+    const replaced = [];
+
+    const orders = await db("orders")
+      .where({ trade_id: phase.trade_id, phase: phase.phase_number })
+      .whereIn("purpose", ["phase_tp", "remaining_sl"])
+      .whereIn("status", OPEN_ORDER_STATUSES);
+
+    for (const order of orders) {
+      let stopOrderId = order.alpaca_order_id;
+      let parent = null;
+
+      // The stop of an OCO is its leg; look it up so a previously
+      // replaced leg is found by its current id
+      if (order.order_class === "oco") {
+        parent = await broker.getOrder(order.alpaca_order_id);
+        const stopLeg = (parent.legs || []).find(
+          (leg) =>
+            leg.type === "stop" && OPEN_ORDER_STATUSES.includes(leg.status)
+        );
+        if (!stopLeg) continue;
+        stopOrderId = stopLeg.id;
+      }
+
+      // Recorded first: stream events for the old order may arrive before
+      // the row points at the new one (TradeMonitor.handleOrderUpdate)
+      await db("order_events").insert({
+        order_id: order.id,
+        trade_id: order.trade_id,
+        event_type: "stop_replace_requested",
+        event_data: JSON.stringify({ brokerOrderId: stopOrderId, stopPrice }),
+        description: `Stop ${stopOrderId} being replaced at $${stopPrice.toFixed(2)}`,
+      });
+
+      const newOrder = await broker.replaceOrder(stopOrderId, {
+        stop_price: stopPrice.toFixed(2),
+      });
+
+      const updates = { stop_price: stopPrice, updated_at: db.fn.now() };
+      if (order.order_class === "oco") {
+        // Fills of the new leg are matched through the parent's legs
+        updates.alpaca_response = JSON.stringify({
+          ...parent,
+          legs: parent.legs.map((leg) => (leg.id === stopOrderId ? newOrder : leg)),
+        });
+      } else {
+        updates.alpaca_order_id = newOrder.id;
+        updates.status = newOrder.status;
+        updates.alpaca_response = JSON.stringify(newOrder);
+      }
+      await db("orders").where("id", order.id).update(updates);
+
+      replaced.push({
+        orderId: order.id,
+        purpose: order.purpose,
+        oldBrokerOrderId: stopOrderId,
+        newBrokerOrderId: newOrder.id,
+      });
+    }
+
+    return replaced;
+  }
+}
+
+// Export singleton instance
+module.exports = new TrailingStopService();
@@ -0,0 +1,273 @@
+/**
+ * RZE Trading Platform - Broker Interface
+ *
+ * Base class for every broker implementation (Alpaca, simulated).
+ * Services talk to the active broker through BrokerService and only
+ * rely on the methods declared here. All order/position objects are
+ * returned in the normalized shape produced by the format helpers.
+ */
+
+class Broker {
+  // ===========================================
+  // LIFECYCLE
+  // ===========================================
+
+  /**
+   * Connect to the broker and load the account
+   */
+  async initialize() {
+    this._notImplemented("initialize");
+  }
+
+  /**
+   * Get connection status ('connected', 'disconnected' or 'error')
+   */
+  async getConnectionStatus() {
+    this._notImplemented("getConnectionStatus");
+  }
+
+  /**
+   * Disconnect from the broker
+   */
+  async disconnect() {
+    this._notImplemented("disconnect");
+  }
+
+  // ===========================================
+  // ACCOUNT METHODS
+  // ===========================================
+
+  async getAccount() {
+    this._notImplemented("getAccount");
+  }
+
+  async getPositions() {
+    this._notImplemented("getPositions");
+  }
+
+  /**
+   * Get position for specific symbol (null when flat)
+   */
+  async getPosition(symbol) {
+    this._notImplemented("getPosition");
+  }
+
+  // ===========================================
+  // ASSET / MARKET DATA METHODS
+  // ===========================================
+
+  async getAsset(symbol) {
+    this._notImplemented("getAsset");
+  }
+
+  async isOvernightTradable(symbol) {
+    this._notImplemented("isOvernightTradable");
+  }
+
+  async getLatestQuote(symbol) {
+    this._notImplemented("getLatestQuote");
+  }
+
+  async getLatestTrade(symbol) {
+    this._notImplemented("getLatestTrade");
+  }
+
+  /**
+   * Daily bars of the last `days` sessions, oldest first:
+   * [{ timestamp, open, high, low, close, volume }]
+   */
+  async getDailyBars(symbol, days = 20) {
+    this._notImplemented("getDailyBars");
+  }
+
+  // ===========================================
+  // ORDER METHODS
+  // ===========================================
+
+  async placeMarketBuyOrder(symbol, qty, clientOrderId = null) {
+    this._notImplemented("placeMarketBuyOrder");
+  }
+
+  async placeMarketSellOrder(symbol, qty, clientOrderId = null) {
+    this._notImplemented("placeMarketSellOrder");
+  }
+
+  async placeLimitBuyOrder(symbol, qty, limitPrice, clientOrderId = null) {
+    this._notImplemented("placeLimitBuyOrder");
+  }
+
+  async placeOCOSellOrder(
+    symbol,
+    qty,
+    takeProfitPrice,
+    stopLossPrice,
+    clientOrderId = null
+  ) {
+    this._notImplemented("placeOCOSellOrder");
+  }
+
+  async placeStopLossSellOrder(symbol, qty, stopPrice, clientOrderId = null) {
+    this._notImplemented("placeStopLossSellOrder");
+  }
+
+  async placeOCOBuyOrder(
+    symbol,
+    qty,
+    takeProfitPrice,
+    stopLossPrice,
+    clientOrderId = null
+  ) {
+    this._notImplemented("placeOCOBuyOrder");
+  }
+
+  async placeStopLossBuyOrder(symbol, qty, stopPrice, clientOrderId = null) {
+    this._notImplemented("placeStopLossBuyOrder");
+  }
+
+  async placeLimitSellOrder(symbol, qty, limitPrice, clientOrderId = null) {
+    this._notImplemented("placeLimitSellOrder");
+  }
+
+  /**
+   * Place a simple order of any type (entry orders)
+   *
+   * @param {Object} params
+   * @param {string} params.symbol
+   * @param {number} params.qty
+   * @param {string} params.side - 'buy' or 'sell'
+   * @param {string} params.type - 'market', 'limit', 'stop' or 'stop_limit'
+   * @param {string} params.timeInForce - 'day' or 'gtc'
+   * @param {number} params.limitPrice - limit and stop_limit orders
+   * @param {number} params.stopPrice - stop and stop_limit orders
+   * @param {string} params.clientOrderId
+   */
+  async placeOrder(params) {
+    this._notImplemented("placeOrder");
+  }
+
+  /**
+   * Whether an order can be for a fraction of a share. Alpaca only takes
+   * fractional quantities on simple day orders (no OCO, no GTC), and
+   * never for short sales - callers check the side.
+   *
+   * @param {Object} params
+   * @param {string} params.type - 'market', 'limit', 'stop' or 'stop_limit'
+   * @param {string} params.orderClass - 'simple' (default) or 'oco'
+   * @param {string} params.timeInForce - 'day' or 'gtc'
+   */
+  supportsFractional({ type, orderClass = "simple", timeInForce }) {
+    return (
+      orderClass === "simple" &&
+      timeInForce === "day" &&
+      ["market", "limit", "stop", "stop_limit"].includes(type)
+    );
+  }
+
+  async getOrder(orderId) {
+    this._notImplemented("getOrder");
+  }
+
+  async getOrders(status = "open", limit = 500, symbols = null) {
+    this._notImplemented("getOrders");
+  }
+
+  async cancelOrder(orderId) {
+    this._notImplemented("cancelOrder");
+  }
+
+  async cancelAllOrders(symbol = null) {
+    this._notImplemented("cancelAllOrders");
+  }
+
+  async replaceOrder(orderId, updates) {
+    this._notImplemented("replaceOrder");
+  }
+
+  // ===========================================
+  // MARKET METHODS
+  // ===========================================
+
+  async getClock() {
+    this._notImplemented("getClock");
+  }
+
+  async getCalendar(start, end) {
+    this._notImplemented("getCalendar");
+  }
+
+  // ===========================================
+  // STREAMING METHODS
+  // ===========================================
+
+  /**
+   * Create a new trade_updates stream.
+   *
+   * The returned object must expose the Alpaca stream client API used by
+   * TradeMonitor: onConnect, onDisconnect, onError, onOrderUpdate,
+   * subscribe, connect and disconnect.
+   */
+  createTradeUpdatesStream() {
+    this._notImplemented("createTradeUpdatesStream");
+  }
+
+  // ===========================================
+  // HELPER METHODS
+  // ===========================================
+
+  _notImplemented(method) {
+    throw new Error(`${this.constructor.name} does not implement ${method}()`);
+  }
+
+  /**
+   * Format order response
+   */
+  _formatOrder(order) {
+    return {
+      id: order.id,
+      client_order_id: order.client_order_id,
+      symbol: order.symbol,
+      side: order.side,
+      type: order.type,
+      order_class: order.order_class,
+      qty: parseFloat(order.qty),
+      filled_qty: parseFloat(order.filled_qty || 0),
+      limit_price: order.limit_price ? parseFloat(order.limit_price) : null,
+      stop_price: order.stop_price ? parseFloat(order.stop_price) : null,
+      filled_avg_price: order.filled_avg_price
+        ? parseFloat(order.filled_avg_price)
+        : null,
+      status: order.status,
+      time_in_force: order.time_in_force,
+      extended_hours: order.extended_hours,
+      created_at: order.created_at,
+      updated_at: order.updated_at,
+      submitted_at: order.submitted_at,
+      filled_at: order.filled_at,
+      expired_at: order.expired_at,
+      cancelled_at: order.cancelled_at,
+      failed_at: order.failed_at,
+      legs: order.legs ? order.legs.map((leg) => this._formatOrder(leg)) : null,
+    };
+  }
+
+  /**
+   * Format position response
+   */
+  _formatPosition(position) {
+    return {
+      symbol: position.symbol,
+      qty: parseFloat(position.qty),
+      side: position.side,
+      market_value: parseFloat(position.market_value),
+      cost_basis: parseFloat(position.cost_basis),
+      unrealized_pl: parseFloat(position.unrealized_pl),
+      unrealized_plpc: parseFloat(position.unrealized_plpc),
+      unrealized_intraday_pl: parseFloat(position.unrealized_intraday_pl),
+      current_price: parseFloat(position.current_price),
+      avg_entry_price: parseFloat(position.avg_entry_price),
+      change_today: parseFloat(position.change_today),
+    };
+  }
+}
+
+module.exports = Broker;
@@ -0,0 +1,1117 @@
+/**
+ * RZE Trading Platform - Simulated Broker
+ *
+ * In-process broker used when TRADING_MODE=sim and for linked accounts
+ * with broker 'sim' (one instance per account). Keeps an in-memory
+ * account, matches market/limit/stop/OCO orders against a replayable
+ * price feed and emits Alpaca-shaped trade_updates events, so the
+ * phased-exit engine can run end to end without Alpaca credentials.
+ *
+ * State lives in memory only and is reset on every restart.
+ */
+
+const EventEmitter = require("events");
+const { v4: uuidv4 } = require("uuid");
+const Broker = require("./Broker");
+const { loadBars, barToTicks } = require("../../utils/priceData");
+const logger = require("../../utils/logger");
+
+const OPEN_STATUSES = ["pending_new", "new", "accepted", "partially_filled"];
+
+/**
+ * Trade updates stream exposing the same API as Alpaca's trade_ws client
+ */
+class SimulatedTradeStream extends EventEmitter {
+  constructor(broker) {
+    super();
+    this.broker = broker;
+    this.connected = false;
+    this.subscribed = false;
+  }
+
+  onConnect(fn) {
+    this.on("connect", fn);
+  }
+
+  onDisconnect(fn) {
+    this.on("disconnect", fn);
+  }
+
+  onError(fn) {
+    this.on("error", fn);
+  }
+
+  onOrderUpdate(fn) {
+    this.on("order_update", fn);
+  }
+
+  subscribe(keys) {
+    this.subscribed = keys.includes("trade_updates");
+  }
+
+  connect() {
+    this.connected = true;
+    this.broker.streams.add(this);
+    setImmediate(() => this.emit("connect"));
+  }
+
+  disconnect() {
+    if (!this.connected) return;
+
+    this.connected = false;
+    this.subscribed = false;
+    this.broker.streams.delete(this);
+    this.emit("disconnect");
+  }
+
+  push(update) {
+    if (this.connected && this.subscribed) {
+      this.emit("order_update", update);
+    }
+  }
+}
+
+class SimulatedBroker extends Broker {
+  constructor() {
+    super();
+    this.mode = "sim";
+    this.isInitialized = false;
+
+    // Account state
+    this.cash = 0;
+    this.lastEquity = 0;
+    this.positions = new Map(); // symbol -> { qty, avg_entry_price }
+    this.orders = new Map(); // order id -> raw Alpaca-shaped order
+    this.legParents = new Map(); // OCO leg id -> parent order id
+
+    // Market state
+    this.prices = new Map(); // symbol -> { price, open, timestamp }
+    this.feed = [];
+    this.feedIndex = 0;
+    this.replayTimer = null;
+    this.tickMs = 1000;
+    this.fillDelayMs = 500;
+
+    this.streams = new Set();
+  }
+
+  /**
+   * Initialize the simulated account and start the price feed replay
+   */
+  async initialize() {
+    this.cash = parseFloat(process.env.SIM_STARTING_CASH) || 100000;
+    this.lastEquity = this.cash;
+    this.tickMs = parseInt(process.env.SIM_TICK_MS) || 1000;
+    this.fillDelayMs = parseInt(process.env.SIM_FILL_DELAY_MS) || 500;
+
+    if (process.env.SIM_PRICE_FEED) {
+      this.loadPriceFeed(process.env.SIM_PRICE_FEED);
+      this.startReplay();
+    }
+
+    this.isInitialized = true;
+
+    logger.info("Simulated broker initialized");
+    logger.info(`Starting Cash: $${this.cash.toLocaleString()}`);
+
+    return this.getAccount();
+  }
+
+  /**
+   * Get connection status
+   */
+  async getConnectionStatus() {
+    return this.isInitialized ? "connected" : "disconnected";
+  }
+
+  /**
+   * Stop the replay and close all trade update streams
+   */
+  async disconnect() {
+    this.stopReplay();
+
+    for (const stream of [...this.streams]) {
+      stream.disconnect();
+    }
+
+    this.isInitialized = false;
+    logger.info("Simulated broker disconnected");
+  }
+
+  // ===========================================
+  // PRICE FEED
+  // ===========================================
+
+  /**
+   * Load a CSV/JSON file of bars as the replay feed
+   */
+  loadPriceFeed(filePath) {
+    const bars = loadBars(filePath, {
+      symbol: process.env.SIM_FEED_SYMBOL || null,
+    });
+
+    this.feed = bars
+      .filter((bar) => bar.symbol)
+      .flatMap((bar) => barToTicks(bar));
+    this.feedIndex = 0;
+
+    logger.info(
+      `Loaded simulated price feed: ${this.feed.length} ticks from ${filePath}`
+    );
+  }
+
+  /**
+   * Replay one feed tick every SIM_TICK_MS
+   */
+  startReplay() {
+    this.stopReplay();
+    this.replayTimer = setInterval(() => this._replayNextTick(), this.tickMs);
+  }
+
+  stopReplay() {
+    if (this.replayTimer) {
+      clearInterval(this.replayTimer);
+      this.replayTimer = null;
+    }
+  }
+
+  /**
+   * Set the last trade price for a symbol and match resting orders
+   */
+  setPrice(symbol, price) {
+    const key = symbol.toUpperCase();
+    const previous = this.prices.get(key);
+
+    this.prices.set(key, {
+      price: Number(price),
+      open: previous ? previous.open : Number(price),
+      timestamp: new Date().toISOString(),
+    });
+
+    this._matchOrders(key);
+  }
+
+  /**
+   * Reject a resting order the way the exchange would after acceptance
+   * (halts, short-sale restrictions, ...)
+   */
+  rejectOrder(orderId, reason = "rejected by exchange") {
+    const order = this.orders.get(orderId);
+
+    if (!order || !OPEN_STATUSES.includes(order.status)) {
+      throw this._error(422, `order ${orderId} is not open`);
+    }
+
+    const now = new Date().toISOString();
+    order.status = "rejected";
+    order.reject_reason = reason;
+    order.failed_at = now;
+    order.updated_at = now;
+    this._emitUpdate("rejected", order);
+
+    for (const leg of order.legs || []) {
+      this._cancel(leg);
+    }
+
+    return order;
+  }
+
+  _replayNextTick() {
+    if (this.feedIndex >= this.feed.length) {
+      if (process.env.SIM_FEED_LOOP === "true" && this.feed.length > 0) {
+        this.feedIndex = 0;
+      } else {
+        logger.info("Simulated price feed finished");
+        this.stopReplay();
+        return;
+      }
+    }
+
+    const tick = this.feed[this.feedIndex++];
+    this.setPrice(tick.symbol, tick.price);
+  }
+
+  // ===========================================
+  // ACCOUNT METHODS
+  // ===========================================
+
+  /**
+   * Get account information
+   */
+  async getAccount() {
+    let longMarketValue = 0;
+    let shortMarketValue = 0;
+
+    for (const [symbol, position] of this.positions) {
+      const value = position.qty * this._markPrice(symbol, position);
+      if (position.qty > 0) {
+        longMarketValue += value;
+      } else {
+        shortMarketValue += value;
+      }
+    }
+
+    const equity = this.cash + longMarketValue + shortMarketValue;
+
+    return {
+      id: "sim-account",
+      status: "ACTIVE",
+      currency: "USD",
+      cash: this.cash,
+      portfolio_value: equity,
+      buying_power: Math.max(this.cash, 0),
+      equity,
+      last_equity: this.lastEquity,
+      long_market_value: longMarketValue,
+      short_market_value: shortMarketValue,
+      initial_margin: 0,
+      maintenance_margin: 0,
+      daytrade_count: 0,
+      pattern_day_trader: false,
+      trading_blocked: false,
+      transfers_blocked: false,
+      account_blocked: false,
+      trade_suspended_by_user: false,
+      trading_mode: this.mode,
+    };
+  }
+
+  /**
+   * Get current positions
+   */
+  async getPositions() {
+    return [...this.positions.entries()].map(([symbol, position]) =>
+      this._positionSnapshot(symbol, position)
+    );
+  }
+
+  /**
+   * Get position for specific symbol
+   */
+  async getPosition(symbol) {
+    const key = symbol.toUpperCase();
+    const position = this.positions.get(key);
+    return position ? this._positionSnapshot(key, position) : null;
+  }
+
+  // ===========================================
+  // ASSET / MARKET DATA METHODS
+  // ===========================================
+
+  /**
+   * Get asset information (every symbol is tradable in the simulator)
+   */
+  async getAsset(symbol) {
+    const key = symbol.toUpperCase();
+    return {
+      id: `sim-${key}`,
+      symbol: key,
+      name: key,
+      exchange: "SIM",
+      asset_class: "us_equity",
+      tradable: true,
+      marginable: true,
+      shortable: true,
+      easy_to_borrow: true,
+      fractionable: true,
+      status: "active",
+    };
+  }
+
+  async isOvernightTradable(symbol) {
+    return true;
+  }
+
+  /**
+   * Get latest quote for a symbol (zero spread around the last price)
+   */
+  async getLatestQuote(symbol) {
+    const last = this._requirePrice(symbol);
+    return {
+      symbol: symbol,
+      bid_price: last.price,
+      ask_price: last.price,
+      bid_size: 100,
+      ask_size: 100,
+      timestamp: last.timestamp,
+    };
+  }
+
+  /**
+   * Get latest trade for a symbol
+   */
+  async getLatestTrade(symbol) {
+    const last = this._requirePrice(symbol);
+    return {
+      symbol: symbol,
+      price: last.price,
+      size: 100,
+      timestamp: last.timestamp,
+    };
+  }
+
+  /**
+   * Daily bars - the simulator replays ticks and keeps no daily history
+   */
+  async getDailyBars(symbol, days = 20) {
+    return [];
+  }
+
+  // ===========================================
+  // ORDER METHODS
+  // ===========================================
+
+  async placeMarketBuyOrder(symbol, qty, clientOrderId = null) {
+    return this._submitOrder({
+      symbol,
+      qty,
+      side: "buy",
+      type: "market",
+      time_in_force: "day",
+      client_order_id: clientOrderId,
+    });
+  }
+
+  async placeMarketSellOrder(symbol, qty, clientOrderId = null) {
+    return this._submitOrder({
+      symbol,
+      qty,
+      side: "sell",
+      type: "market",
+      time_in_force: "day",
+      client_order_id: clientOrderId,
+    });
+  }
+
+  async placeLimitBuyOrder(symbol, qty, limitPrice, clientOrderId = null) {
+    return this._submitOrder({
+      symbol,
+      qty,
+      side: "buy",
+      type: "limit",
+      time_in_force: "gtc",
+      limit_price: limitPrice,
+      client_order_id: clientOrderId,
+    });
+  }
+
+  async placeOCOSellOrder(
+    symbol,
+    qty,
+    takeProfitPrice,
+    stopLossPrice,
+    clientOrderId = null
+  ) {
+    const tp = Number(takeProfitPrice);
+    const sl = Number(stopLossPrice);
+
+    if (Number.isNaN(tp) || Number.isNaN(sl)) {
+      throw new Error("Invalid takeProfitPrice or stopLossPrice");
+    }
+
+    return this._submitOrder({
+      symbol,
+      qty,
+      side: "sell",
+      type: "limit",
+      time_in_force: "gtc",
+      order_class: "oco",
+      limit_price: tp,
+      stop_loss: { stop_price: sl },
+      client_order_id: clientOrderId,
+    });
+  }
+
+  async placeStopLossSellOrder(symbol, qty, stopPrice, clientOrderId = null) {
+    return this._submitOrder({
+      symbol,
+      qty,
+      side: "sell",
+      type: "stop",
+      time_in_force: "gtc",
+      stop_price: stopPrice,
+      client_order_id: clientOrderId,
+    });
+  }
+
+  async placeOCOBuyOrder(
+    symbol,
+    qty,
+    takeProfitPrice,
+    stopLossPrice,
+    clientOrderId = null
+  ) {
+    const tp = Number(takeProfitPrice);
+    const sl = Number(stopLossPrice);
+
+    if (Number.isNaN(tp) || Number.isNaN(sl)) {
+      throw new Error("Invalid takeProfitPrice or stopLossPrice");
+    }
+
+    return this._submitOrder({
+      symbol,
+      qty,
+      side: "buy",
+      type: "limit",
+      time_in_force: "gtc",
+      order_class: "oco",
+      limit_price: tp,
+      stop_loss: { stop_price: sl },
+      client_order_id: clientOrderId,
+    });
+  }
+
+  async placeStopLossBuyOrder(symbol, qty, stopPrice, clientOrderId = null) {
+    return this._submitOrder({
+      symbol,
+      qty,
+      side: "buy",
+      type: "stop",
+      time_in_force: "gtc",
+      stop_price: stopPrice,
+      client_order_id: clientOrderId,
+    });
+  }
+
+  async placeLimitSellOrder(symbol, qty, limitPrice, clientOrderId = null) {
+    return this._submitOrder({
+      symbol,
+      qty,
+      side: "sell",
+      type: "limit",
+      time_in_force: "gtc",
+      limit_price: limitPrice,
+      client_order_id: clientOrderId,
+    });
+  }
+
+  async placeOrder({
+    symbol,
+    qty,
+    side,
+    type,
+    timeInForce = "gtc",
+    limitPrice = null,
+    stopPrice = null,
+    clientOrderId = null,
+  }) {
+    return this._submitOrder({
+      symbol,
+      qty,
+      side,
+      type,
+      time_in_force: timeInForce,
+      limit_price: limitPrice,
+      stop_price: stopPrice,
+      client_order_id: clientOrderId,
+    });
+  }
+
+  /**
+   * Get order by ID
+   */
+  async getOrder(orderId) {
+    const order = this.orders.get(orderId);
+    if (!order) {
+      const error = this._error(404, `order not found: ${orderId}`);
+      logger.error(`Error fetching order ${orderId}:`, error);
+      throw error;
+    }
+    return this._formatOrder(order);
+  }
+
+  /**
+   * Get all orders (OCO legs are nested under their parent)
+   */
+  async getOrders(status = "open", limit = 500, symbols = null) {
+    let orders = [...this.orders.values()].filter(
+      (o) => !this.legParents.has(o.id)
+    );
+
+    if (status === "open") {
+      orders = orders.filter((o) => OPEN_STATUSES.includes(o.status));
+    } else if (status === "closed") {
+      orders = orders.filter((o) => !OPEN_STATUSES.includes(o.status));
+    }
+
+    if (symbols && symbols.length > 0) {
+      orders = orders.filter((o) => symbols.includes(o.symbol));
+    }
+
+    return orders
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+      .slice(0, limit)
+      .map((o) => this._formatOrder(o));
+  }
+
+  /**
+   * Cancel an order (cancelling an OCO leg cancels the whole OCO)
+   */
+  async cancelOrder(orderId) {
+    const order = this.orders.get(orderId);
+    if (!order) {
+      logger.warn(`Order ${orderId} not found for cancellation`);
+      return false;
+    }
+
+    if (!OPEN_STATUSES.includes(order.status)) {
+      const error = this._error(
+        422,
+        `order is not cancelable (status: ${order.status})`
+      );
+      logger.error(`Error cancelling order ${orderId}:`, error);
+      throw error;
+    }
+
+    logger.order("Cancelling order", { orderId });
+    const parentId = this.legParents.get(orderId);
+    this._cancel(parentId ? this.orders.get(parentId) : order);
+    logger.order("Order cancelled", { orderId });
+
+    return true;
+  }
+
+  /**
+   * Cancel all orders for a symbol
+   */
+  async cancelAllOrders(symbol = null) {
+    const orders = await this.getOrders("open", 500, symbol ? [symbol] : null);
+
+    for (const order of orders) {
+      await this.cancelOrder(order.id);
+    }
+
+    if (symbol) {
+      logger.order(`Cancelled all orders for ${symbol}`, {
+        count: orders.length,
+      });
+      return orders.length;
+    }
+
+    logger.order("Cancelled all open orders");
+    return true;
+  }
+
+  /**
+   * Replace an order (modify)
+   *
+   * Like Alpaca, the original order is marked 'replaced' and a new order
+   * with a new id takes its place (OCO legs are carried over).
+   */
+  async replaceOrder(orderId, updates) {
+    const order = this.orders.get(orderId);
+
+    if (!order || !OPEN_STATUSES.includes(order.status)) {
+      const error = order
+        ? this._error(422, `order is not replaceable (status: ${order.status})`)
+        : this._error(404, `order not found: ${orderId}`);
+      logger.error(`Error replacing order ${orderId}:`, error);
+      throw error;
+    }
+
+    logger.order("Replacing order", { orderId, updates });
+
+    const now = new Date().toISOString();
+    const replacement = this._buildOrder({
+      symbol: order.symbol,
+      qty: updates.qty ?? order.qty,
+      side: order.side,
+      type: order.type,
+      time_in_force: updates.time_in_force ?? order.time_in_force,
+      order_class: order.order_class,
+      limit_price: updates.limit_price ?? order.limit_price,
+      stop_price: updates.stop_price ?? order.stop_price,
+      client_order_id: updates.client_order_id || null,
+      extended_hours: order.extended_hours,
+    });
+    replacement.replaces = order.id;
+
+    order.status = "replaced";
+    order.replaced_by = replacement.id;
+    order.replaced_at = now;
+    order.updated_at = now;
+
+    // Carry OCO legs over to the new parent
+    if (order.legs) {
+      replacement.legs = order.legs;
+      for (const leg of order.legs) {
+        if (updates.qty !== undefined) leg.qty = String(updates.qty);
+        this.legParents.set(leg.id, replacement.id);
+      }
+    }
+
+    // Swap a replaced leg inside its parent
+    const parentId = this.legParents.get(order.id);
+    if (parentId) {
+      const parent = this.orders.get(parentId);
+      parent.legs = parent.legs.map((leg) =>
+        leg.id === order.id ? replacement : leg
+      );
+      this.legParents.delete(order.id);
+      this.legParents.set(replacement.id, parentId);
+    }
+
+    this.orders.set(replacement.id, replacement);
+
+    this._emitUpdate("replaced", order);
+    this._emitUpdate("new", replacement);
+    this._scheduleMatch(order.symbol);
+
+    logger.order("Order replaced", {
+      oldOrderId: orderId,
+      newOrderId: replacement.id,
+    });
+
+    return this._formatOrder(replacement);
+  }
+
+  // ===========================================
+  // MARKET METHODS
+  // ===========================================
+
+  /**
+   * Get market clock (the simulated market never closes; a session
+   * ends at midnight UTC)
+   */
+  async getClock() {
+    const now = new Date();
+    const nextClose = new Date(now);
+    nextClose.setUTCHours(24, 0, 0, 0);
+
+    return {
+      timestamp: now.toISOString(),
+      is_open: true,
+      next_open: now.toISOString(),
+      next_close: nextClose.toISOString(),
+    };
+  }
+
+  /**
+   * Get calendar (weekdays between start and end)
+   */
+  async getCalendar(start, end) {
+    const days = [];
+    const cursor = new Date(start);
+    const last = new Date(end);
+
+    while (cursor <= last) {
+      const weekday = cursor.getUTCDay();
+      if (weekday !== 0 && weekday !== 6) {
+        days.push({
+          date: cursor.toISOString().split("T")[0],
+          open: "09:30",
+          close: "16:00",
+          session_open: "0400",
+          session_close: "2000",
+        });
+      }
+      cursor.setUTCDate(cursor.getUTCDate() + 1);
+    }
+
+    return days;
+  }
+
+  // ===========================================
+  // STREAMING METHODS
+  // ===========================================
+
+  createTradeUpdatesStream() {
+    return new SimulatedTradeStream(this);
+  }
+
+  // ===========================================
+  // HELPER METHODS
+  // ===========================================
+
+  /**
+   * Validate and accept a new order
+   */
+  _submitOrder(params) {
+    try {
+      const symbol = params.symbol.toUpperCase();
+      const qty = Number(params.qty);
+
+      if (!Number.isFinite(qty) || qty <= 0) {
+        throw this._error(422, "qty must be > 0");
+      }
+
+      if (
+        !Number.isInteger(qty) &&
+        !this.supportsFractional({
+          type: params.type,
+          orderClass: params.order_class || "simple",
+          timeInForce: params.time_in_force,
+        })
+      ) {
+        throw this._error(422, "fractional orders must be simple DAY orders");
+      }
+
+      if (
+        params.client_order_id &&
+        [...this.orders.values()].some(
+          (o) => o.client_order_id === params.client_order_id
+        )
+      ) {
+        throw this._error(422, "client_order_id must be unique");
+      }
+
+      this._checkOrderFunding(symbol, qty, params);
+
+      const order = this._buildOrder({ ...params, symbol, qty });
+
+      if (params.order_class === "oco") {
+        const stopLeg = this._buildOrder({
+          symbol,
+          qty,
+          side: params.side,
+          type: "stop",
+          time_in_force: params.time_in_force,
+          order_class: "oco",
+          stop_price: params.stop_loss.stop_price,
+        });
+        order.legs = [stopLeg];
+        this.orders.set(stopLeg.id, stopLeg);
+        this.legParents.set(stopLeg.id, order.id);
+      }
+
+      this.orders.set(order.id, order);
+
+      logger.order("Simulated order accepted", {
+        orderId: order.id,
+        symbol,
+        side: order.side,
+        type: order.type,
+        orderClass: order.order_class,
+        qty,
+      });
+
+      this._emitUpdate("new", order);
+      this._scheduleMatch(symbol);
+
+      return this._formatOrder(order);
+    } catch (error) {
+      logger.error(`Error placing simulated ${params.type} ${params.side} order:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reject orders Alpaca would reject for lack of cash or shares
+   */
+  _checkOrderFunding(symbol, qty, params) {
+    const position = this.positions.get(symbol);
+    const positionQty = position ? position.qty : 0;
+
+    // Opening or adding to a position (long buys, short sells) needs
+    // buying power; covering and closing do not
+    const isOpening = params.side === "buy" ? positionQty >= 0 : positionQty <= 0;
+    if (isOpening) {
+      const last = this.prices.get(symbol);
+      const price = params.limit_price || params.stop_price || last?.price;
+      if (price && qty * Number(price) > this.cash) {
+        throw this._error(403, "insufficient buying power");
+      }
+    }
+
+    if (params.side === "buy") return;
+
+    // Selling from a long position may not exceed the shares not
+    // already held for other open sell orders
+    if (positionQty > 0) {
+      const heldForOrders = [...this.orders.values()]
+        .filter(
+          (o) =>
+            o.symbol === symbol &&
+            o.side === "sell" &&
+            OPEN_STATUSES.includes(o.status) &&
+            !this.legParents.has(o.id)
+        )
+        .reduce((sum, o) => sum + (Number(o.qty) - Number(o.filled_qty)), 0);
+
+      const available = positionQty - heldForOrders;
+      if (qty > available) {
+        throw this._error(
+          403,
+          `insufficient qty available for order (requested: ${qty}, available: ${available})`
+        );
+      }
+    }
+  }
+
+  _buildOrder({
+    symbol,
+    qty,
+    side,
+    type,
+    time_in_force,
+    order_class = "simple",
+    limit_price = null,
+    stop_price = null,
+    client_order_id = null,
+    extended_hours = false,
+  }) {
+    const now = new Date().toISOString();
+
+    return {
+      id: uuidv4(),
+      client_order_id: client_order_id || uuidv4(),
+      symbol,
+      side,
+      type,
+      order_class,
+      qty: String(qty),
+      filled_qty: "0",
+      limit_price:
+        limit_price !== null ? Number(limit_price).toFixed(2) : null,
+      stop_price: stop_price !== null ? Number(stop_price).toFixed(2) : null,
+      filled_avg_price: null,
+      status: "new",
+      time_in_force,
+      extended_hours,
+      created_at: now,
+      updated_at: now,
+      submitted_at: now,
+      filled_at: null,
+      expired_at: null,
+      canceled_at: null,
+      failed_at: null,
+      replaced_at: null,
+      replaced_by: null,
+      replaces: null,
+      legs: null,
+    };
+  }
+
+  /**
+   * Match against the last price after the fill delay, so callers can
+   * record the order before its fill event arrives
+   */
+  _scheduleMatch(symbol) {
+    setTimeout(() => this._matchOrders(symbol), this.fillDelayMs);
+  }
+
+  _matchOrders(symbol) {
+    const last = this.prices.get(symbol);
+    if (!last) return;
+
+    for (const order of [...this.orders.values()]) {
+      if (order.symbol !== symbol || !OPEN_STATUSES.includes(order.status)) {
+        continue;
+      }
+
+      // Legs are matched together with their parent
+      if (this.legParents.has(order.id)) continue;
+
+      if (order.order_class === "oco") {
+        this._matchOCO(order, last.price);
+        continue;
+      }
+
+      const fillPrice = this._getFillPrice(order, last.price);
+      if (fillPrice !== null) {
+        this._fillOrder(order, fillPrice);
+      }
+    }
+  }
+
+  /**
+   * OCO: the parent is the take-profit limit, the leg is the stop
+   */
+  _matchOCO(parent, price) {
+    const stopLeg = parent.legs && parent.legs[0];
+
+    const tpPrice = this._getFillPrice(parent, price);
+    if (tpPrice !== null) {
+      this._fillOrder(parent, tpPrice);
+      if (stopLeg) this._cancel(stopLeg);
+      return;
+    }
+
+    if (!stopLeg || !OPEN_STATUSES.includes(stopLeg.status)) return;
+
+    const slPrice = this._getFillPrice(stopLeg, price);
+    if (slPrice !== null) {
+      this._fillOrder(stopLeg, slPrice);
+      this._cancel(parent);
+    }
+  }
+
+  /**
+   * Price an order fills at for the given trade price, or null.
+   * Limits fill at the limit price, stops and markets at the trade price.
+   */
+  _getFillPrice(order, price) {
+    const isBuy = order.side === "buy";
+    const limit = order.limit_price !== null ? parseFloat(order.limit_price) : null;
+    const stop = order.stop_price !== null ? parseFloat(order.stop_price) : null;
+
+    switch (order.type) {
+      case "market":
+        return price;
+
+      case "limit":
+        return (isBuy ? price <= limit : price >= limit) ? limit : null;
+
+      case "stop":
+        return (isBuy ? price >= stop : price <= stop) ? price : null;
+
+      case "stop_limit":
+        if (!order.triggered && !(isBuy ? price >= stop : price <= stop)) {
+          return null;
+        }
+        order.triggered = true;
+        return (isBuy ? price <= limit : price >= limit) ? limit : null;
+
+      default:
+        return null;
+    }
+  }
+
+  _fillOrder(order, price) {
+    const now = new Date().toISOString();
+    const qty = Number(order.qty) - Number(order.filled_qty);
+
+    this._applyFill(order.symbol, order.side, qty, price);
+
+    order.filled_qty = order.qty;
+    order.filled_avg_price = String(price);
+    order.status = "filled";
+    order.filled_at = now;
+    order.updated_at = now;
+
+    logger.order("Simulated order filled", {
+      orderId: order.id,
+      symbol: order.symbol,
+      side: order.side,
+      qty,
+      price,
+    });
+
+    this._emitUpdate("fill", order, {
+      price: String(price),
+      qty: String(qty),
+    });
+  }
+
+  /**
+   * Apply a fill to cash and the symbol's position
+   */
+  _applyFill(symbol, side, qty, price) {
+    const signedQty = side === "buy" ? qty : -qty;
+    const position = this.positions.get(symbol) || { qty: 0, avg_entry_price: 0 };
+    const newQty = position.qty + signedQty;
+
+    this.cash -= signedQty * price;
+
+    if (position.qty === 0 || Math.sign(position.qty) === Math.sign(signedQty)) {
+      // Opening or adding to a position
+      position.avg_entry_price =
+        (Math.abs(position.qty) * position.avg_entry_price + qty * price) /
+        Math.abs(newQty);
+    } else if (newQty !== 0 && Math.sign(newQty) !== Math.sign(position.qty)) {
+      // Flipped through zero - the remainder was opened at this price
+      position.avg_entry_price = price;
+    }
+
+    position.qty = newQty;
+
+    if (newQty === 0) {
+      this.positions.delete(symbol);
+    } else {
+      this.positions.set(symbol, position);
+    }
+  }
+
+  _cancel(order) {
+    const now = new Date().toISOString();
+
+    if (OPEN_STATUSES.includes(order.status)) {
+      order.status = "canceled";
+      order.canceled_at = now;
+      order.updated_at = now;
+      this._emitUpdate("canceled", order);
+    }
+
+    for (const leg of order.legs || []) {
+      if (OPEN_STATUSES.includes(leg.status)) {
+        this._cancel(leg);
+      }
+    }
+  }
+
+  /**
+   * Push an Alpaca-shaped trade_updates event to every subscribed stream
+   */
+  _emitUpdate(event, order, extra = {}) {
+    const position = this.positions.get(order.symbol);
+    const update = {
+      event,
+      order: {
+        ...order,
+        legs: order.legs ? order.legs.map((leg) => ({ ...leg })) : null,
+      },
+      timestamp: new Date().toISOString(),
+      position_qty: String(position ? position.qty : 0),
+      ...extra,
+    };
+
+    if (event === "fill" || event === "partial_fill") {
+      update.execution_id = uuidv4();
+    }
+
+    setImmediate(() => {
+      for (const stream of this.streams) {
+        stream.push(update);
+      }
+    });
+  }
+
+  _positionSnapshot(symbol, position) {
+    const last = this.prices.get(symbol);
+    const currentPrice = this._markPrice(symbol, position);
+    const marketValue = position.qty * currentPrice;
+    const costBasis = position.qty * position.avg_entry_price;
+    const unrealizedPl = marketValue - costBasis;
+
+    return this._formatPosition({
+      symbol,
+      qty: position.qty,
+      side: position.qty > 0 ? "long" : "short",
+      market_value: marketValue,
+      cost_basis: costBasis,
+      unrealized_pl: unrealizedPl,
+      unrealized_plpc: costBasis !== 0 ? unrealizedPl / Math.abs(costBasis) : 0,
+      // Simulator state is reset on restart, so every position is from today
+      unrealized_intraday_pl: unrealizedPl,
+      current_price: currentPrice,
+      avg_entry_price: position.avg_entry_price,
+      change_today: last && last.open ? (last.price - last.open) / last.open : 0,
+    });
+  }
+
+  _markPrice(symbol, position) {
+    const last = this.prices.get(symbol);
+    return last ? last.price : position.avg_entry_price;
+  }
+
+  _requirePrice(symbol) {
+    const last = this.prices.get(symbol.toUpperCase());
+    if (!last) {
+      throw this._error(404, `No simulated price data for ${symbol}`);
+    }
+    return last;
+  }
+
+  /**
+   * Build an error shaped like the Alpaca client's HTTP errors
+   */
+  _error(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.response = { status: statusCode, data: { message } };
+    return error;
+  }
+}
+
+// Export the class - BrokerService creates one instance per account
+module.exports = SimulatedBroker;
@@ -0,0 +1,65 @@
+/**
+ * RZE Trading Platform - Encryption Utility
+ *
+ * AES-256-GCM encryption for secrets stored in the database (broker
+ * credentials). The key is derived from CREDENTIALS_ENCRYPTION_KEY.
+ * Encrypted values are stored as `v1:<iv>:<auth tag>:<ciphertext>`
+ * (base64 parts).
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+/**
+ * 32-byte key from CREDENTIALS_ENCRYPTION_KEY
+ */
+function getKey() {
+  const secret = process.env.CREDENTIALS_ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error('CREDENTIALS_ENCRYPTION_KEY is not configured');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Encrypt a string
+ *
+ * @param {string} plaintext
+ * @returns {string} Encrypted value
+ */
+function encrypt(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [VERSION, iv.toString('base64'), tag.toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+/**
+ * Decrypt a value produced by encrypt()
+ *
+ * @param {string} value - Encrypted value
+ * @returns {string} Plaintext
+ */
+function decrypt(value) {
+  const [version, iv, tag, ciphertext] = (value || '').split(':');
+  if (version !== VERSION || !iv || !tag || !ciphertext) {
+    throw new Error('Invalid encrypted value');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+module.exports = {
+  encrypt,
+  decrypt
+};
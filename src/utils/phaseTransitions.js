@@ -0,0 +1,44 @@
+/**
+ * RZE Trading Platform - Phase Transition State Machine
+ *
+ * When a phase's take profit has sold all of its shares the trade moves on
+ * in steps. The step a transition is at is persisted in
+ * phase_transitions.state, so a transition interrupted by a crash or a
+ * failed broker call resumes where it stopped:
+ *
+ *   cancel_exits -> advance -> place_orders -> done
+ *   cancel_exits -> complete -> done            (after the last phase)
+ *
+ *   cancel_exits  cancel the phase's remaining-shares stop (broker)
+ *   advance       move the trade's current_phase on (db)
+ *   place_orders  place the next phase's orders (broker)
+ *   complete      complete the trade (db)
+ *
+ * 'aborted' ends a transition whose trade was closed out in the meantime.
+ */
+
+const TRANSITION_STATES = ['cancel_exits', 'advance', 'place_orders', 'complete', 'done', 'aborted'];
+const TERMINAL_TRANSITION_STATES = ['done', 'aborted'];
+
+/**
+ * State a transition moves to once the step of its current state has run
+ */
+function nextTransitionState(transition) {
+  switch (transition.state) {
+    case 'cancel_exits':
+      return transition.to_phase ? 'advance' : 'complete';
+    case 'advance':
+      return 'place_orders';
+    case 'place_orders':
+    case 'complete':
+      return 'done';
+    default:
+      throw new Error(`Phase transition ${transition.id} is ${transition.state}: no step left`);
+  }
+}
+
+module.exports = {
+  TRANSITION_STATES,
+  TERMINAL_TRANSITION_STATES,
+  nextTransitionState
+};
@@ -0,0 +1,183 @@
+/**
+ * RZE Trading Platform - Phase Utilities
+ *
+ * Phase math shared by the live engine (TradeExecutionService),
+ * the trade calculator and the backtester, so every consumer splits
+ * shares and prices phases the same way.
+ */
+
+const { parseQty, roundQty } = require('./quantity');
+
+/**
+ * Parse a template's phases (stored as JSON text or jsonb)
+ */
+function parsePhases(phases) {
+  return typeof phases === 'string' ? JSON.parse(phases) : phases;
+}
+
+/**
+ * Direction of a trade side: 1 for long, -1 for short.
+ * Template percentages are favorable-positive, so a short's take profit
+ * sits below entry and its stop above.
+ */
+function sideDirection(side = 'long') {
+  return side === 'short' ? -1 : 1;
+}
+
+/**
+ * Order side that closes a trade side
+ */
+function exitOrderSide(side = 'long') {
+  return side === 'short' ? 'buy' : 'sell';
+}
+
+/**
+ * Take profit / stop loss prices for a phase from an entry price
+ */
+function calculatePhasePrices(entryPrice, phase, side = 'long') {
+  const direction = sideDirection(side);
+
+  return {
+    take_profit_price: entryPrice * (1 + (direction * phase.take_profit_pct) / 100),
+    stop_loss_price: entryPrice * (1 + (direction * phase.stop_loss_pct) / 100)
+  };
+}
+
+/**
+ * Stop price a trailing phase trails at from the best price seen
+ * (highest for longs, lowest for shorts).
+ * Trails by trail_pct percent, or by trail_amount dollars.
+ */
+function calculateTrailingStop(highWaterPrice, phase, side = 'long') {
+  const direction = sideDirection(side);
+
+  if (phase.trail_pct) {
+    return highWaterPrice * (1 - (direction * phase.trail_pct) / 100);
+  }
+  return highWaterPrice - direction * phase.trail_amount;
+}
+
+/**
+ * Whether a phase uses a trailing stop
+ */
+function isTrailingPhase(phase) {
+  return phase.stop_type === 'trailing';
+}
+
+/**
+ * Split total shares across phases by sell_pct.
+ * For whole-share trades every phase but the last gets whole shares and
+ * the last gets whatever is left after rounding down. Fractional trades
+ * split exactly; order placement sells any fraction separately.
+ */
+function allocatePhaseShares(phases, totalShares, fractional = false) {
+  let sharesAllocated = 0;
+
+  return phases.map((phase, idx) => {
+    const share = totalShares * (phase.sell_pct / 100);
+    const sharesToSell = idx === phases.length - 1
+      ? roundQty(totalShares - sharesAllocated)
+      : fractional ? roundQty(share) : Math.floor(share);
+
+    sharesAllocated += sharesToSell;
+    return sharesToSell;
+  });
+}
+
+/**
+ * Split shares across the phases still to run, keeping their sell_pct
+ * proportions. Used when a partial entry fill changes the share count.
+ */
+function reallocatePhaseShares(phases, shares, fractional = false) {
+  const totalPct = phases.reduce((sum, p) => sum + parseFloat(p.sell_pct), 0);
+
+  return allocatePhaseShares(
+    phases.map(p => ({
+      sell_pct: totalPct > 0 ? (parseFloat(p.sell_pct) / totalPct) * 100 : 0
+    })),
+    shares,
+    fractional
+  );
+}
+
+/**
+ * Build the trade_phases rows for a trade
+ */
+function buildPhasePlan(phases, totalShares, entryPrice, side = 'long', fractional = false) {
+  const shares = allocatePhaseShares(phases, totalShares, fractional);
+
+  return phases.map((phase, idx) => ({
+    phase_number: phase.phase,
+    take_profit_pct: phase.take_profit_pct,
+    stop_loss_pct: phase.stop_loss_pct,
+    sell_pct: phase.sell_pct,
+    stop_type: phase.stop_type || 'fixed',
+    trail_pct: phase.trail_pct || null,
+    trail_amount: phase.trail_amount || null,
+    ...calculatePhasePrices(entryPrice, phase, side),
+    shares_to_sell: shares[idx]
+  }));
+}
+
+/**
+ * Realized P&L of closing qty shares opened at entryPrice
+ */
+function calculatePnl(entryPrice, exitPrice, qty, side = 'long') {
+  return sideDirection(side) * (exitPrice - entryPrice) * qty;
+}
+
+/**
+ * Format a trade_phases row as a phase journey entry
+ */
+function formatPhaseJourney(phase, entryPrice) {
+  const phasePnl = phase.phase_pnl ? parseFloat(phase.phase_pnl) : null;
+  const exitPrice = phase.exit_price ? parseFloat(phase.exit_price) : null;
+  const sharesToSell = parseQty(phase.shares_to_sell);
+
+  return {
+    phase: phase.phase_number,
+    status: phase.status, // pending, active, completed
+
+    // Target prices
+    take_profit_price: parseFloat(phase.take_profit_price),
+    stop_loss_price: parseFloat(phase.stop_loss_price),
+    take_profit_pct: parseFloat(phase.take_profit_pct),
+    stop_loss_pct: parseFloat(phase.stop_loss_pct),
+    stop_type: phase.stop_type || 'fixed',
+    high_water_price: phase.high_water_price ? parseFloat(phase.high_water_price) : null,
+
+    // Execution details
+    shares_to_sell: sharesToSell,
+    exit_price: exitPrice,
+    exit_type: phase.exit_type, // take_profit, stop_loss, or null if pending
+
+    // P&L for this phase
+    phase_pnl: phasePnl,
+    phase_pnl_pct: phasePnl && sharesToSell && entryPrice
+      ? ((phasePnl / (parseFloat(entryPrice) * sharesToSell)) * 100).toFixed(4)
+      : null,
+
+    // Timestamps
+    started_at: phase.started_at,
+    completed_at: phase.completed_at,
+
+    // Duration if completed
+    duration_minutes: phase.started_at && phase.completed_at
+      ? Math.round((new Date(phase.completed_at) - new Date(phase.started_at)) / 60000)
+      : null
+  };
+}
+
+module.exports = {
+  parsePhases,
+  sideDirection,
+  exitOrderSide,
+  calculatePhasePrices,
+  calculateTrailingStop,
+  isTrailingPhase,
+  allocatePhaseShares,
+  reallocatePhaseShares,
+  buildPhasePlan,
+  calculatePnl,
+  formatPhaseJourney
+};
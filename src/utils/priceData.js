@@ -0,0 +1,168 @@
+/**
+ * RZE Trading Platform - Price Data Utility
+ *
+ * Loads OHLCV bars from CSV or JSON files and expands them into
+ * price ticks. Used by the simulated broker's replay feed.
+ *
+ * Accepted formats:
+ * - CSV with a header row (symbol,timestamp,open,high,low,close,volume)
+ *   or single-price ticks (symbol,timestamp,price)
+ * - JSON array of bar objects, or an object keyed by symbol
+ *   ({ "AAPL": [ { t, o, h, l, c, v }, ... ] })
+ *
+ * Short Alpaca-style keys (t, o, h, l, c, v, p) are accepted everywhere.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FIELD_ALIASES = {
+  symbol: ['symbol', 'ticker', 's'],
+  timestamp: ['timestamp', 'time', 'date', 't'],
+  open: ['open', 'o'],
+  high: ['high', 'h'],
+  low: ['low', 'l'],
+  close: ['close', 'c'],
+  volume: ['volume', 'v'],
+  price: ['price', 'p']
+};
+
+/**
+ * Pick the first defined alias of a field from a raw record
+ */
+function pickField(record, field) {
+  for (const alias of FIELD_ALIASES[field]) {
+    if (record[alias] !== undefined && record[alias] !== '') {
+      return record[alias];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Normalize a raw record into a bar
+ */
+function normalizeBar(record, defaultSymbol = null) {
+  const price = pickField(record, 'price');
+  const close = parseFloat(pickField(record, 'close') ?? price);
+
+  if (Number.isNaN(close)) {
+    throw new Error(`Invalid price data record: ${JSON.stringify(record)}`);
+  }
+
+  const open = parseFloat(pickField(record, 'open') ?? close);
+  const high = parseFloat(pickField(record, 'high') ?? Math.max(open, close));
+  const low = parseFloat(pickField(record, 'low') ?? Math.min(open, close));
+  const symbol = pickField(record, 'symbol') || defaultSymbol;
+  const timestamp = pickField(record, 'timestamp');
+
+  return {
+    symbol: symbol ? String(symbol).toUpperCase() : null,
+    timestamp: timestamp ? new Date(timestamp).toISOString() : null,
+    open,
+    high,
+    low,
+    close,
+    volume: parseFloat(pickField(record, 'volume')) || 0
+  };
+}
+
+/**
+ * Parse CSV text with a header row into raw records
+ */
+function parseCsv(text) {
+  const lines = text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+
+  if (lines.length === 0) return [];
+
+  const headers = lines[0].split(',').map(h => h.trim().toLowerCase());
+
+  return lines.slice(1).map(line => {
+    const values = line.split(',');
+    const record = {};
+    headers.forEach((header, idx) => {
+      record[header] = values[idx] !== undefined ? values[idx].trim() : undefined;
+    });
+    return record;
+  });
+}
+
+/**
+ * Parse JSON price data into raw records
+ */
+function parseJson(data) {
+  if (Array.isArray(data)) return data;
+
+  if (data && Array.isArray(data.bars)) return data.bars;
+
+  if (data && typeof data === 'object') {
+    // Object keyed by symbol
+    return Object.entries(data).flatMap(([symbol, bars]) =>
+      Array.isArray(bars) ? bars.map(bar => ({ symbol, ...bar })) : []
+    );
+  }
+
+  throw new Error('Unsupported JSON price data format');
+}
+
+/**
+ * Parse price data from a string
+ *
+ * @param {string} content - File contents
+ * @param {Object} options
+ * @param {string} options.format - 'csv' or 'json'
+ * @param {string} options.symbol - Symbol for records without one
+ */
+function parseBars(content, { format = 'csv', symbol = null } = {}) {
+  const records = format === 'json' ? parseJson(JSON.parse(content)) : parseCsv(content);
+
+  return records
+    .map(record => normalizeBar(record, symbol))
+    .sort((a, b) => {
+      if (!a.timestamp || !b.timestamp) return 0;
+      return new Date(a.timestamp) - new Date(b.timestamp);
+    });
+}
+
+/**
+ * Load bars from a CSV or JSON file
+ */
+function loadBars(filePath, { symbol = null } = {}) {
+  const resolvedPath = path.resolve(filePath);
+
+  if (!fs.existsSync(resolvedPath)) {
+    throw new Error(`Price data file not found: ${resolvedPath}`);
+  }
+
+  const format = path.extname(resolvedPath).toLowerCase() === '.json' ? 'json' : 'csv';
+  const content = fs.readFileSync(resolvedPath, 'utf8');
+
+  return parseBars(content, { format, symbol });
+}
+
+/**
+ * Expand a bar into the price path it most likely traded
+ *
+ * Up bars are assumed to dip to the low before running to the high,
+ * down bars to tag the high before falling to the low.
+ */
+function barToTicks(bar) {
+  const pricePath = bar.close >= bar.open
+    ? [bar.open, bar.low, bar.high, bar.close]
+    : [bar.open, bar.high, bar.low, bar.close];
+
+  return pricePath.map(price => ({
+    symbol: bar.symbol,
+    timestamp: bar.timestamp,
+    price
+  }));
+}
+
+module.exports = {
+  parseBars,
+  loadBars,
+  barToTicks
+};
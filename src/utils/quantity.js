@@ -0,0 +1,49 @@
+/**
+ * RZE Trading Platform - Share Quantity Utilities
+ *
+ * Share quantities may be fractional: Alpaca takes up to 9 decimal places.
+ * Quantity columns are numeric, so rows hold them as strings.
+ */
+
+const QTY_DECIMALS = 9;
+const QTY_SCALE = 10 ** QTY_DECIMALS;
+
+/**
+ * Parse a quantity from a database row or broker response
+ */
+function parseQty(value) {
+  const qty = parseFloat(value);
+  return Number.isFinite(qty) ? qty : 0;
+}
+
+/**
+ * Round away floating point noise (e.g. 0.1 + 0.2)
+ */
+function roundQty(qty) {
+  return Math.round(qty * QTY_SCALE) / QTY_SCALE;
+}
+
+/**
+ * Shares a dollar amount buys: whole shares, or fractional shares
+ * rounded down to QTY_DECIMALS places
+ */
+function sharesForAmount(amount, price, fractional = false) {
+  return fractional
+    ? Math.floor((amount / price) * QTY_SCALE) / QTY_SCALE
+    : Math.floor(amount / price);
+}
+
+/**
+ * Whole-share part of a quantity
+ */
+function wholeShares(qty) {
+  return Math.floor(roundQty(qty));
+}
+
+module.exports = {
+  QTY_DECIMALS,
+  parseQty,
+  roundQty,
+  sharesForAmount,
+  wholeShares
+};
@@ -0,0 +1,79 @@
+/**
+ * RZE Trading Platform - Trade Statistics
+ *
+ * Summary metrics over completed trades. Shared by
+ * GET /api/history/summary and the backtester so both report
+ * identical numbers.
+ */
+
+/**
+ * Summarize completed trades
+ *
+ * @param {Array} trades - Rows with symbol, realized_pnl, entry_time and exit_time
+ */
+function summarizeTrades(trades) {
+  if (trades.length === 0) {
+    return {
+      total_trades: 0,
+      wins: 0,
+      losses: 0,
+      win_rate: 0,
+      total_pnl: 0,
+      avg_pnl: 0,
+      avg_win: 0,
+      avg_loss: 0,
+      profit_factor: 0,
+      best_trade: null,
+      worst_trade: null,
+      avg_duration_minutes: 0
+    };
+  }
+
+  const wins = trades.filter(t => parseFloat(t.realized_pnl) > 0);
+  const losses = trades.filter(t => parseFloat(t.realized_pnl) <= 0);
+
+  const totalWinAmount = wins.reduce((sum, t) => sum + parseFloat(t.realized_pnl), 0);
+  const totalLossAmount = Math.abs(losses.reduce((sum, t) => sum + parseFloat(t.realized_pnl), 0));
+  const totalPnl = trades.reduce((sum, t) => sum + parseFloat(t.realized_pnl), 0);
+
+  // Calculate durations
+  const durations = trades
+    .filter(t => t.entry_time && t.exit_time)
+    .map(t => (new Date(t.exit_time) - new Date(t.entry_time)) / 60000);
+
+  const avgDuration = durations.length > 0
+    ? durations.reduce((a, b) => a + b, 0) / durations.length
+    : 0;
+
+  // Find best and worst trades
+  const sortedByPnl = [...trades].sort((a, b) =>
+    parseFloat(b.realized_pnl) - parseFloat(a.realized_pnl)
+  );
+
+  return {
+    total_trades: trades.length,
+    wins: wins.length,
+    losses: losses.length,
+    win_rate: (wins.length / trades.length) * 100,
+    total_pnl: totalPnl,
+    avg_pnl: totalPnl / trades.length,
+    avg_win: wins.length > 0 ? totalWinAmount / wins.length : 0,
+    avg_loss: losses.length > 0 ? -totalLossAmount / losses.length : 0,
+    profit_factor: totalLossAmount > 0 ? totalWinAmount / totalLossAmount : (totalWinAmount > 0 ? Infinity : 0),
+    best_trade: {
+      symbol: sortedByPnl[0].symbol,
+      pnl: parseFloat(sortedByPnl[0].realized_pnl),
+      date: sortedByPnl[0].exit_time
+    },
+    worst_trade: {
+      symbol: sortedByPnl[sortedByPnl.length - 1].symbol,
+      pnl: parseFloat(sortedByPnl[sortedByPnl.length - 1].realized_pnl),
+      date: sortedByPnl[sortedByPnl.length - 1].exit_time
+    },
+    avg_duration_minutes: Math.round(avgDuration)
+  };
+}
+
+module.exports = {
+  summarizeTrades
+};
@@ -3,9 +3,17 @@
  *
  * Manages WebSocket connections to the frontend for real-time updates.
  * Uses Socket.io for reliable bidirectional communication.
+ *
+ * Trade and order updates go to the room of the account they belong to
+ * (`account_<id>`, `account_default`); each client joins the rooms of the
+ * accounts its user can access.
  */
 
 const { Server } = require("socket.io");
+const database = require("../config/database");
+const AuthService = require("../services/AuthService");
+const AccountService = require("../services/AccountService");
+const { getAllowedOrigins } = require("../config/cors");
 const logger = require("../utils/logger");
 
 class WebSocketManager {
@@ -20,7 +28,7 @@ class WebSocketManager {
   initialize(httpServer) {
     this.io = new Server(httpServer, {
       cors: {
-        origin: ["https://rze.co", "https://backend.rze.co", "http://localhost:3000"],
+        origin: getAllowedOrigins(),
         methods: ["GET", "POST"],
         credentials: true,
       },
@@ -29,10 +37,37 @@ class WebSocketManager {
       pingInterval: 25000,
     });
 
+    // Clients authenticate in the handshake with a session or API token:
+    // io(url, { auth: { token } })
+    this.io.use(async (socket, next) => {
+      try {
+        const token =
+          socket.handshake.auth?.token || socket.handshake.query?.token;
+        socket.data.auth = await AuthService.authenticate(token);
+        socket.data.accountIds = await this._getAccessibleAccountIds(
+          socket.data.auth.user
+        );
+        next();
+      } catch (error) {
+        logger.warn(`WebSocket connection rejected: ${error.message}`, {
+          address: socket.handshake.address,
+        });
+        next(new Error(error.status ? error.message : "Authentication failed"));
+      }
+    });
+
     this.io.on("connection", (socket) => {
-      logger.info(`WebSocket client connected: ${socket.id}`);
+      logger.info(`WebSocket client connected: ${socket.id}`, {
+        userId: socket.data.auth.user.id,
+      });
       this.connectedClients.add(socket.id);
 
+      // Join the user's room and the rooms of their accounts
+      socket.join(`user_${socket.data.auth.user.id}`);
+      for (const accountId of socket.data.accountIds) {
+        socket.join(this.accountRoom(accountId));
+      }
+
       // Send connection confirmation
       socket.emit("connected", {
         message: "Connected to RZE Trading Platform",
@@ -40,9 +75,21 @@ class WebSocketManager {
       });
 
       // Handle client subscribing to specific trades
-      socket.on("subscribe_trade", (tradeId) => {
-        socket.join(`trade_${tradeId}`);
-        logger.debug(`Client ${socket.id} subscribed to trade ${tradeId}`);
+      socket.on("subscribe_trade", async (tradeId) => {
+        try {
+          const db = database.getDb();
+          const trade = await db("trades").where("id", tradeId).first();
+
+          if (!trade || !socket.data.accountIds.includes(trade.account_id)) {
+            socket.emit("error_message", { error: "Trade not found" });
+            return;
+          }
+
+          socket.join(`trade_${tradeId}`);
+          logger.debug(`Client ${socket.id} subscribed to trade ${tradeId}`);
+        } catch (error) {
+          logger.error(`Error subscribing ${socket.id} to trade ${tradeId}:`, error);
+        }
       });
 
       // Handle client unsubscribing from trades
@@ -71,6 +118,41 @@ class WebSocketManager {
     logger.info("WebSocket server initialized");
   }
 
+  /**
+   * Account ids a user may receive updates for (null = default account)
+   */
+  async _getAccessibleAccountIds(user) {
+    const accounts = await AccountService.listForUser(user.id);
+    const accountIds = accounts.map((a) => a.id);
+
+    if (user.role === "admin") {
+      accountIds.push(null);
+    }
+
+    return accountIds;
+  }
+
+  /**
+   * Room name for an account's updates
+   */
+  accountRoom(accountId) {
+    return `account_${accountId || "default"}`;
+  }
+
+  /**
+   * Let a user's connected clients receive a newly linked account's updates
+   */
+  addUserAccount(userId, accountId) {
+    if (!this.io) return;
+
+    for (const socket of this.io.sockets.sockets.values()) {
+      if (socket.data.auth && socket.data.auth.user.id === userId) {
+        socket.data.accountIds.push(accountId);
+      }
+    }
+    this.io.in(`user_${userId}`).socketsJoin(this.accountRoom(accountId));
+  }
+
   /**
    * Check if WebSocket server is connected
    */
@@ -102,6 +184,24 @@ class WebSocketManager {
     logger.debug(`Broadcast ${event} to ${this.connectedClients.size} clients`);
   }
 
+  /**
+   * Send a message to the clients that can access an account
+   */
+  broadcastToAccount(accountId, event, data) {
+    if (!this.io) {
+      logger.warn("WebSocket not initialized, cannot broadcast");
+      return;
+    }
+
+    const room = this.accountRoom(accountId);
+    this.io.to(room).emit(event, {
+      ...data,
+      timestamp: new Date().toISOString(),
+    });
+
+    logger.debug(`Broadcast ${event} to ${room}`);
+  }
+
   /**
    * Send message to clients subscribed to a specific trade
    */
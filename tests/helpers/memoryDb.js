@@ -0,0 +1,260 @@
+/**
+ * In-memory stand-in for the knex instance database.getDb() returns.
+ *
+ * Covers the query builder calls the services under test make: where /
+ * whereIn / whereNotIn / whereNull / whereNot filters, orderBy, first,
+ * count, insert (with returning and onConflict().ignore()), update and
+ * del. Rows live in plain arrays per table (db.tables) so tests can set
+ * them up and inspect them directly.
+ *
+ * It is not Postgres. Unique indexes, row locks (FOR UPDATE SKIP LOCKED)
+ * and transactions are not enforced: onConflict().ignore() only compares
+ * the named column, and db.raw is left for tests to stub. Tests built on
+ * it check what the services do with the rows they read, not the
+ * database guarantees the job queue relies on (see the README).
+ */
+
+function column(name) {
+  return name.includes('.') ? name.split('.').pop() : name;
+}
+
+function matches(row, op, value) {
+  switch (op) {
+    case '=':
+      return row === value;
+    case '!=':
+    case '<>':
+      return row !== value;
+    case '<':
+      return row < value;
+    case '<=':
+      return row <= value;
+    case '>':
+      return row > value;
+    case '>=':
+      return row >= value;
+    default:
+      throw new Error(`memoryDb: unsupported operator ${op}`);
+  }
+}
+
+class QueryBuilder {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.filters = [];
+    this.order = [];
+    this.mode = 'select';
+    this.single = false;
+    this.limitTo = null;
+    this.offsetBy = 0;
+    this.returnColumns = null;
+    this.ignoreConflictOn = null;
+  }
+
+  where(a, b, c) {
+    if (typeof a === 'object') {
+      for (const [key, value] of Object.entries(a)) {
+        this.filters.push((row) => row[column(key)] === value);
+      }
+    } else if (c === undefined) {
+      this.filters.push((row) => row[column(a)] === b);
+    } else {
+      this.filters.push((row) => matches(row[column(a)], b, c));
+    }
+    return this;
+  }
+
+  whereNot(key, value) {
+    this.filters.push((row) => row[column(key)] !== value);
+    return this;
+  }
+
+  whereIn(key, values) {
+    this.filters.push((row) => values.includes(row[column(key)]));
+    return this;
+  }
+
+  whereNotIn(key, values) {
+    this.filters.push((row) => !values.includes(row[column(key)]));
+    return this;
+  }
+
+  whereNull(key) {
+    this.filters.push((row) => row[column(key)] === null || row[column(key)] === undefined);
+    return this;
+  }
+
+  whereNotNull(key) {
+    this.filters.push((row) => row[column(key)] !== null && row[column(key)] !== undefined);
+    return this;
+  }
+
+  orderBy(key, direction = 'asc') {
+    this.order.push({ key: column(key), sign: direction === 'desc' ? -1 : 1 });
+    return this;
+  }
+
+  limit(n) {
+    this.limitTo = n;
+    return this;
+  }
+
+  offset(n) {
+    this.offsetBy = n;
+    return this;
+  }
+
+  select() {
+    return this;
+  }
+
+  clone() {
+    const copy = new QueryBuilder(this.db, this.table);
+    copy.filters = [...this.filters];
+    copy.order = [...this.order];
+    return copy;
+  }
+
+  first() {
+    this.single = true;
+    return this;
+  }
+
+  count() {
+    this.mode = 'count';
+    return this;
+  }
+
+  insert(rows) {
+    this.mode = 'insert';
+    this.rows = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  onConflict(key) {
+    this.conflictKey = key;
+    return this;
+  }
+
+  ignore() {
+    this.ignoreConflictOn = this.conflictKey;
+    return this;
+  }
+
+  returning(columns) {
+    this.returnColumns = columns;
+    return this;
+  }
+
+  update(values) {
+    this.mode = 'update';
+    this.values = values;
+    return this;
+  }
+
+  del() {
+    this.mode = 'delete';
+    return this;
+  }
+
+  then(resolve, reject) {
+    try {
+      return Promise.resolve(this._execute()).then(resolve, reject);
+    } catch (error) {
+      return Promise.reject(error).then(resolve, reject);
+    }
+  }
+
+  _rows() {
+    return this.db.table(this.table).filter((row) => this.filters.every((f) => f(row)));
+  }
+
+  _execute() {
+    const table = this.db.table(this.table);
+
+    switch (this.mode) {
+      case 'insert': {
+        const inserted = [];
+        for (const values of this.rows) {
+          const key = this.ignoreConflictOn;
+          if (key && table.some((row) => row[key] === values[key])) continue;
+
+          const row = {
+            id: this.db.nextId(this.table),
+            ...(this.db.defaults[this.table] || {}),
+            ...values
+          };
+          table.push(row);
+          inserted.push(row);
+        }
+        if (!this.returnColumns) return [];
+        return this.returnColumns === '*'
+          ? inserted.map((row) => ({ ...row }))
+          : inserted.map((row) => ({ id: row.id }));
+      }
+
+      case 'update': {
+        const rows = this._rows();
+        for (const row of rows) Object.assign(row, this.values);
+        return rows.length;
+      }
+
+      case 'delete': {
+        const rows = this._rows();
+        this.db.tables[this.table] = table.filter((row) => !rows.includes(row));
+        return rows.length;
+      }
+
+      case 'count': {
+        const result = { count: String(this._rows().length) };
+        return this.single ? result : [result];
+      }
+
+      default: {
+        let rows = this._rows().map((row) => ({ ...row }));
+        if (this.order.length > 0) {
+          rows.sort((a, b) => {
+            for (const { key, sign } of this.order) {
+              if (a[key] < b[key]) return -sign;
+              if (a[key] > b[key]) return sign;
+            }
+            return 0;
+          });
+        }
+        rows = rows.slice(this.offsetBy, this.limitTo === null ? undefined : this.offsetBy + this.limitTo);
+        return this.single ? rows[0] : rows;
+      }
+    }
+  }
+}
+
+/**
+ * @param {Object} defaults - Column defaults per table, e.g.
+ *   { phase_transitions: { attempts: 0 } }
+ */
+function createMemoryDb(defaults = {}) {
+  const ids = {};
+
+  const db = (table) => new QueryBuilder(db, table);
+  db.tables = {};
+  db.defaults = defaults;
+  db.fn = { now: () => new Date() };
+  db.table = (name) => (db.tables[name] = db.tables[name] || []);
+  db.nextId = (name) => (ids[name] = (ids[name] || 0) + 1);
+
+  /**
+   * Add rows to a table, keeping ids given in them
+   */
+  db.seed = (name, rows) => {
+    for (const row of rows) {
+      const id = row.id || db.nextId(name);
+      ids[name] = Math.max(ids[name] || 0, id);
+      db.table(name).push({ ...(defaults[name] || {}), ...row, id });
+    }
+  };
+
+  return db;
+}
+
+module.exports = { createMemoryDb };
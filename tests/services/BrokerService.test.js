@@ -0,0 +1,46 @@
+jest.mock('../../src/config/database', () => ({ getDb: jest.fn() }));
+jest.mock('../../src/services/AlpacaService', () => jest.fn());
+jest.mock('../../src/services/SettingsService', () => ({ set: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const BrokerService = require('../../src/services/BrokerService');
+
+describe('BrokerService.forTrade', () => {
+  const broker = { mode: 'live' };
+
+  beforeEach(() => {
+    BrokerService.brokers.set('default', broker);
+  });
+
+  afterEach(() => {
+    BrokerService.brokers.clear();
+  });
+
+  it('returns the account broker for a trade placed in its mode', async () => {
+    await expect(
+      BrokerService.forTrade({ id: 1, account_id: null, trading_mode: 'live' })
+    ).resolves.toBe(broker);
+  });
+
+  it('accepts trades placed before modes were recorded', async () => {
+    await expect(
+      BrokerService.forTrade({ id: 1, account_id: null, trading_mode: null })
+    ).resolves.toBe(broker);
+  });
+
+  it('refuses a trade left open in the other mode by a forced switch', async () => {
+    const error = await BrokerService.forTrade({
+      id: 1,
+      account_id: null,
+      trading_mode: 'paper'
+    }).catch((e) => e);
+
+    expect(error.status).toBe(409);
+    expect(error.message).toBe('Trade 1 was placed in paper mode but its account is in live mode');
+  });
+});
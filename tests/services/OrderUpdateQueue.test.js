@@ -0,0 +1,231 @@
+jest.mock('../../src/config/database', () => ({ getDb: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../src/services/NotificationService', () => ({ send: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const database = require('../../src/config/database');
+const NotificationService = require('../../src/services/NotificationService');
+const OrderUpdateQueue = require('../../src/services/OrderUpdateQueue');
+const { createMemoryDb } = require('../helpers/memoryDb');
+
+describe('OrderUpdateQueue', () => {
+  let db;
+
+  beforeEach(() => {
+    db = createMemoryDb({
+      order_update_jobs: { status: 'pending', attempts: 0, run_at: new Date(0) }
+    });
+    db.raw = jest.fn();
+    database.getDb.mockReturnValue(db);
+    NotificationService.send.mockClear();
+
+    OrderUpdateQueue.isRunning = true;
+    OrderUpdateQueue.isPolling = false;
+    OrderUpdateQueue.handlers = {};
+  });
+
+  afterEach(() => {
+    OrderUpdateQueue.isRunning = false;
+    jest.restoreAllMocks();
+  });
+
+  // The unique idempotency_key index is Postgres's; memoryDb only mimics
+  // onConflict('idempotency_key').ignore() for these tests
+  describe('idempotency', () => {
+    beforeEach(() => {
+      // Enqueuing kicks off a poll; these tests only look at the rows
+      OrderUpdateQueue.isRunning = false;
+    });
+
+    it('ignores a job whose idempotency key is already queued', async () => {
+      const params = { idempotencyKey: 'fill:abc', jobType: 'fill', source: 'stream', tradeId: 1 };
+
+      const first = await OrderUpdateQueue.enqueue(params);
+      const second = await OrderUpdateQueue.enqueue({ ...params, source: 'sync' });
+
+      expect(first).toMatchObject({ idempotency_key: 'fill:abc', source: 'stream' });
+      expect(second).toBeNull();
+      expect(db.tables.order_update_jobs).toHaveLength(1);
+    });
+
+    it('keys a fill by the broker order or leg that filled', async () => {
+      const dbOrder = { id: 7, trade_id: 3, purpose: 'phase_tp', phase: 2 };
+      const leg = { id: 'leg-1', filled_avg_price: '95.5', filled_qty: '4' };
+
+      const job = await OrderUpdateQueue.enqueueFill(dbOrder, leg, {
+        source: 'stream',
+        purpose: 'phase_sl'
+      });
+
+      expect(job.idempotency_key).toBe('fill:leg-1');
+      expect(JSON.parse(job.payload)).toMatchObject({
+        purpose: 'phase_sl',
+        phase: 2,
+        fill_price: 95.5,
+        filled_qty: 4
+      });
+      expect(await OrderUpdateQueue.enqueueFill(dbOrder, leg, { source: 'sync' })).toBeNull();
+    });
+
+    it('queues each new cumulative partial fill once, and the entry close separately', async () => {
+      const dbOrder = { id: 1, trade_id: 1, purpose: 'entry', phase: null };
+      const order = (filledQty) => ({ id: 'entry-1', filled_qty: filledQty, filled_avg_price: '10' });
+
+      await OrderUpdateQueue.enqueuePartialFill(dbOrder, order('2'), { source: 'stream' });
+      await OrderUpdateQueue.enqueuePartialFill(dbOrder, order('2'), { source: 'sync' });
+      await OrderUpdateQueue.enqueuePartialFill(dbOrder, order('5'), { source: 'stream' });
+      await OrderUpdateQueue.enqueuePartialFill(dbOrder, order('5'), { source: 'stream', final: true });
+
+      expect(db.tables.order_update_jobs.map((j) => j.idempotency_key)).toEqual([
+        'partial_fill:entry-1:2',
+        'partial_fill:entry-1:5',
+        'entry_closed:entry-1'
+      ]);
+    });
+
+    it('queues the end of an unfilled manual sell with its broker status', async () => {
+      const dbOrder = { id: 2, trade_id: 1, purpose: 'manual_exit', phase: 1 };
+      const order = { id: 'sell-1', status: 'rejected', filled_qty: '0', filled_avg_price: null };
+
+      const job = await OrderUpdateQueue.enqueuePartialFill(dbOrder, order, {
+        source: 'stream',
+        final: true
+      });
+
+      expect(job.idempotency_key).toBe('exit_closed:sell-1');
+      expect(JSON.parse(job.payload)).toMatchObject({
+        purpose: 'manual_exit',
+        filled_qty: 0,
+        final: true,
+        status: 'rejected'
+      });
+    });
+  });
+
+  describe('ordering', () => {
+    // Only the query is checked: memoryDb has no row locks, so SKIP LOCKED
+    // and the per-trade ordering themselves need a real Postgres database
+    it('claims jobs in id order, one at a time per trade, behind earlier unfinished jobs', async () => {
+      db.raw.mockResolvedValue({ rows: [] });
+
+      await OrderUpdateQueue._claimJobs();
+
+      const [sql, bindings] = db.raw.mock.calls[0];
+      expect(bindings).toEqual([OrderUpdateQueue.concurrency]);
+      expect(sql).toMatch(/earlier\.trade_id IS NOT DISTINCT FROM j\.trade_id/);
+      expect(sql).toMatch(/earlier\.id < j\.id/);
+      expect(sql).toMatch(/earlier\.status IN \('pending', 'processing', 'dead'\)/);
+      expect(sql).toMatch(/ORDER BY j\.id/);
+      expect(sql).toMatch(/FOR UPDATE SKIP LOCKED/);
+    });
+
+    it('runs the claimed jobs and completes them', async () => {
+      db.seed('order_update_jobs', [
+        { id: 1, job_type: 'fill', trade_id: 1, payload: '{"purpose":"entry"}', attempts: 1, max_attempts: 5 },
+        { id: 2, job_type: 'fill', trade_id: 2, payload: '{"purpose":"phase_tp"}', attempts: 1, max_attempts: 5 }
+      ]);
+      db.raw
+        .mockResolvedValueOnce({ rows: db.tables.order_update_jobs.map((j) => ({ ...j })) })
+        .mockResolvedValue({ rows: [] });
+      jest.spyOn(global, 'setImmediate').mockImplementation(() => {});
+
+      const seen = [];
+      OrderUpdateQueue.registerHandler('fill', async (job) => seen.push(job.payload.purpose));
+
+      await OrderUpdateQueue.poll();
+
+      expect(seen).toEqual(['entry', 'phase_tp']);
+      expect(db.tables.order_update_jobs.map((j) => j.status)).toEqual(['completed', 'completed']);
+    });
+
+    it('does not poll while a poll is in flight', async () => {
+      OrderUpdateQueue.isPolling = true;
+
+      await OrderUpdateQueue.poll();
+
+      expect(db.raw).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('backoff', () => {
+    const now = 1700000000000;
+
+    beforeEach(() => {
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+    });
+
+    const failedJob = (attempts) => {
+      db.seed('order_update_jobs', [
+        { id: 1, idempotency_key: 'fill:x', trade_id: 9, status: 'processing', attempts, max_attempts: 5 }
+      ]);
+      return { ...db.tables.order_update_jobs[0] };
+    };
+
+    it('retries a failed job after backoffMs * 2^(attempts - 1)', async () => {
+      await OrderUpdateQueue._failJob(failedJob(3), new Error('broker timeout'));
+
+      const [job] = db.tables.order_update_jobs;
+      expect(job.status).toBe('pending');
+      expect(job.last_error).toBe('broker timeout');
+      expect(job.locked_at).toBeNull();
+      expect(job.run_at.getTime()).toBe(now + OrderUpdateQueue.backoffMs * 4);
+      expect(NotificationService.send).not.toHaveBeenCalled();
+    });
+
+    it('retries the first failure after backoffMs', async () => {
+      await OrderUpdateQueue._failJob(failedJob(1), new Error('boom'));
+
+      expect(db.tables.order_update_jobs[0].run_at.getTime()).toBe(now + OrderUpdateQueue.backoffMs);
+    });
+
+    it('dead-letters a job out of attempts and notifies', async () => {
+      await OrderUpdateQueue._failJob(failedJob(5), new Error('still failing'));
+
+      const [job] = db.tables.order_update_jobs;
+      expect(job.status).toBe('dead');
+      expect(job.last_error).toBe('still failing');
+      expect(NotificationService.send).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'error', tradeId: 9 })
+      );
+    });
+
+    it('fails a job without a registered handler', async () => {
+      const job = failedJob(1);
+
+      await OrderUpdateQueue._runJob({ ...job, job_type: 'unknown', payload: '{}' });
+
+      expect(db.tables.order_update_jobs[0]).toMatchObject({
+        status: 'pending',
+        last_error: 'No handler registered for job type unknown'
+      });
+    });
+  });
+
+  describe('dead-letter list', () => {
+    beforeEach(() => {
+      jest.spyOn(global, 'setImmediate').mockImplementation(() => {});
+      db.seed('order_update_jobs', [
+        { id: 1, status: 'dead', attempts: 5 },
+        { id: 2, status: 'pending', attempts: 0 }
+      ]);
+    });
+
+    it('retries only dead jobs, with their attempts reset', async () => {
+      expect(await OrderUpdateQueue.retry(1)).toBe(true);
+      expect(await OrderUpdateQueue.retry(2)).toBe(false);
+
+      expect(db.tables.order_update_jobs[0]).toMatchObject({ status: 'pending', attempts: 0 });
+    });
+
+    it('discards only dead jobs', async () => {
+      expect(await OrderUpdateQueue.discard(1)).toBe(true);
+      expect(await OrderUpdateQueue.discard(2)).toBe(false);
+
+      expect(db.tables.order_update_jobs.map((j) => j.status)).toEqual(['discarded', 'pending']);
+    });
+  });
+});
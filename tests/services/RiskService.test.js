@@ -0,0 +1,193 @@
+jest.mock('../../src/config/database', () => ({ getDb: jest.fn() }));
+jest.mock('../../src/services/BrokerService', () => ({ forAccount: jest.fn() }));
+jest.mock('../../src/services/SettingsService', () => ({ getAll: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const database = require('../../src/config/database');
+const BrokerService = require('../../src/services/BrokerService');
+const RiskService = require('../../src/services/RiskService');
+const { RiskRejectionError } = require('../../src/services/RiskService');
+const { createMemoryDb } = require('../helpers/memoryDb');
+
+const account = { equity: 100000, last_equity: 100000, daytrade_count: 0 };
+
+describe('RiskService', () => {
+  let db;
+  let broker;
+
+  const evaluate = (settings, params = {}) =>
+    RiskService.evaluate({
+      accountId: 1,
+      symbol: 'aapl',
+      entryPrice: 100,
+      positionSize: 10000,
+      account,
+      settings,
+      ...params
+    });
+
+  const rules = (result) => result.violations.map((v) => v.rule);
+
+  beforeEach(() => {
+    db = createMemoryDb();
+    database.getDb.mockReturnValue(db);
+    broker = { getDailyBars: jest.fn().mockResolvedValue([]) };
+    BrokerService.forAccount.mockResolvedValue(broker);
+    jest.spyOn(RiskService, '_countTradesToday').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const openTrade = (symbol, shares, entryPrice, status = 'active') => ({
+    account_id: 1,
+    symbol,
+    status,
+    remaining_shares: String(shares),
+    entry_price: String(entryPrice)
+  });
+
+  it('approves an entry with every limit off', async () => {
+    db.seed('trades', [openTrade('AAPL', 500, 100)]);
+
+    const result = await evaluate({});
+
+    expect(result).toEqual({ approved: true, violations: [], warnings: [] });
+  });
+
+  describe('max_concurrent_positions', () => {
+    it('counts pending and active trades of the account only', async () => {
+      db.seed('trades', [
+        openTrade('MSFT', 10, 100),
+        openTrade('TSLA', 10, 100, 'pending'),
+        openTrade('NVDA', 10, 100, 'completed'),
+        { ...openTrade('AMD', 10, 100), account_id: 2 }
+      ]);
+
+      expect(rules(await evaluate({ max_concurrent_positions: 3 }))).toEqual([]);
+      expect(rules(await evaluate({ max_concurrent_positions: 2 }))).toEqual([
+        'max_concurrent_positions'
+      ]);
+    });
+  });
+
+  describe('max_symbol_exposure_pct', () => {
+    it('adds the new position to the symbol exposure already open', async () => {
+      db.seed('trades', [openTrade('AAPL', 100, 100), openTrade('MSFT', 500, 100)]);
+
+      // 10,000 open + 10,000 new = 20% of equity
+      expect(rules(await evaluate({ max_symbol_exposure_pct: 20 }))).toEqual([]);
+
+      const result = await evaluate({ max_symbol_exposure_pct: 15 });
+      expect(result.violations).toEqual([
+        expect.objectContaining({ rule: 'max_symbol_exposure_pct', limit: 15, actual: 20 })
+      ]);
+    });
+  });
+
+  describe('max_sector_exposure_pct', () => {
+    const symbol_sectors = { AAPL: 'tech', MSFT: 'tech', XOM: 'energy' };
+
+    it('sums the open trades of the symbol sector', async () => {
+      db.seed('trades', [openTrade('MSFT', 200, 100), openTrade('XOM', 500, 100)]);
+
+      const result = await evaluate({ max_sector_exposure_pct: 25, symbol_sectors });
+
+      expect(result.violations).toEqual([
+        expect.objectContaining({ rule: 'max_sector_exposure_pct', actual: 30 })
+      ]);
+    });
+
+    it('warns instead of checking a symbol without a sector', async () => {
+      const result = await evaluate({ max_sector_exposure_pct: 1, symbol_sectors: {} });
+
+      expect(result.approved).toBe(true);
+      expect(result.warnings).toEqual(['No sector configured for AAPL - sector limit not checked']);
+    });
+  });
+
+  describe('max_daily_loss', () => {
+    it('rejects once the day is down the limit', async () => {
+      const down = { ...account, equity: 98000 };
+
+      expect(rules(await evaluate({ max_daily_loss: 2500 }, { account: down }))).toEqual([]);
+      expect(rules(await evaluate({ max_daily_loss: 2000 }, { account: down }))).toEqual([
+        'max_daily_loss'
+      ]);
+    });
+  });
+
+  describe('max_trades_per_day', () => {
+    it('rejects once the day has its trades', async () => {
+      RiskService._countTradesToday.mockResolvedValue(5);
+
+      expect(rules(await evaluate({ max_trades_per_day: 6 }))).toEqual([]);
+      expect(rules(await evaluate({ max_trades_per_day: 5 }))).toEqual(['max_trades_per_day']);
+    });
+  });
+
+  describe('pdt_max_daytrades', () => {
+    it('applies only under the pattern day trader equity minimum', async () => {
+      const small = { ...account, equity: 20000, last_equity: 20000, daytrade_count: 3 };
+      const large = { ...account, daytrade_count: 3 };
+
+      expect(rules(await evaluate({ pdt_max_daytrades: 3 }, { account: small }))).toEqual([
+        'pdt_max_daytrades'
+      ]);
+      expect(rules(await evaluate({ pdt_max_daytrades: 3 }, { account: large }))).toEqual([]);
+    });
+  });
+
+  describe('price and liquidity floors', () => {
+    it('rejects entries under the minimum share price', async () => {
+      expect(rules(await evaluate({ min_share_price: 5 }, { entryPrice: 4.5 }))).toEqual([
+        'min_share_price'
+      ]);
+    });
+
+    it('checks the average daily volume', async () => {
+      broker.getDailyBars.mockResolvedValue([{ volume: 400000 }, { volume: 600000 }]);
+
+      expect(rules(await evaluate({ min_avg_daily_volume: 500000 }))).toEqual([]);
+      expect(rules(await evaluate({ min_avg_daily_volume: 600000 }))).toEqual([
+        'min_avg_daily_volume'
+      ]);
+    });
+
+    it('warns instead of checking without daily bars', async () => {
+      const result = await evaluate({ min_avg_daily_volume: 500000 });
+
+      expect(result.approved).toBe(true);
+      expect(result.warnings).toEqual(['No daily volume for AAPL - liquidity not checked']);
+    });
+  });
+
+  describe('assertAllowed', () => {
+    it('throws a 422 RiskRejectionError listing every violation', async () => {
+      const error = await RiskService.assertAllowed({
+        accountId: 1,
+        symbol: 'AAPL',
+        entryPrice: 1,
+        positionSize: 10000,
+        account: { ...account, equity: 20000, last_equity: 25000 },
+        settings: { max_daily_loss: 1000, min_share_price: 5 }
+      }).catch((e) => e);
+
+      expect(error).toBeInstanceOf(RiskRejectionError);
+      expect(error.status).toBe(422);
+      expect(error.violations.map((v) => v.rule)).toEqual(['max_daily_loss', 'min_share_price']);
+    });
+
+    it('returns the evaluation when every rule passes', async () => {
+      await expect(
+        RiskService.assertAllowed({ symbol: 'AAPL', entryPrice: 100, positionSize: 1000, account, settings: {} })
+      ).resolves.toMatchObject({ approved: true });
+    });
+  });
+});
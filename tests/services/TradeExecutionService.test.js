@@ -0,0 +1,669 @@
+jest.mock('../../src/config/database', () => ({ getDb: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../src/services/BrokerService', () => ({ forAccount: jest.fn(), forTrade: jest.fn() }));
+jest.mock('../../src/services/NotificationService', () => ({ send: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  trade: jest.fn(),
+  order: jest.fn(),
+  phase: jest.fn()
+}));
+
+const database = require('../../src/config/database');
+const BrokerService = require('../../src/services/BrokerService');
+const NotificationService = require('../../src/services/NotificationService');
+const SimulatedBroker = require('../../src/services/brokers/SimulatedBroker');
+const TradeExecutionService = require('../../src/services/TradeExecutionService');
+const { createMemoryDb } = require('../helpers/memoryDb');
+
+/**
+ * A long AAPL trade bought at $100 whose phase 1 take profit has sold
+ * its 5 shares: 5 shares are left, held by phase 1's remaining-shares
+ * stop, and phase 2 and 3 are still to run.
+ */
+async function setUpTrade(db, broker, { transitionState = 'cancel_exits', toPhase = 2 } = {}) {
+  broker.positions.set('AAPL', { qty: 5, avg_entry_price: 100 });
+  const stop = await broker.placeStopLossSellOrder('AAPL', 5, 97, 'RZE-P1-SL-abcd1234');
+
+  db.seed('trades', [{
+    id: 1,
+    trade_uuid: 'abcd1234-0000-0000-0000-000000000000',
+    account_id: null,
+    symbol: 'AAPL',
+    side: 'long',
+    status: 'active',
+    exit_reason: null,
+    entry_price: '100',
+    total_shares: '10',
+    remaining_shares: '5',
+    position_size: '1000',
+    current_phase: 1,
+    fractional: false
+  }]);
+  db.seed('trade_phases', [
+    { trade_id: 1, phase_number: 1, status: 'completed', shares_to_sell: '5', filled_qty: '5',
+      take_profit_price: 105, stop_loss_price: 97, exit_price: '105', phase_pnl: '25' },
+    { trade_id: 1, phase_number: 2, status: 'pending', shares_to_sell: '3', filled_qty: '0',
+      take_profit_price: 110, stop_loss_price: 100 },
+    { trade_id: 1, phase_number: 3, status: 'pending', shares_to_sell: '2', filled_qty: '0',
+      take_profit_price: 120, stop_loss_price: 105 }
+  ]);
+  db.seed('orders', [{
+    trade_id: 1,
+    alpaca_order_id: stop.id,
+    client_order_id: stop.client_order_id,
+    symbol: 'AAPL',
+    side: 'sell',
+    order_class: 'simple',
+    qty: '5',
+    phase: 1,
+    purpose: 'remaining_sl',
+    status: 'new'
+  }]);
+  db.seed('phase_transitions', [{
+    trade_id: 1,
+    from_phase: 1,
+    to_phase: toPhase,
+    state: transitionState
+  }]);
+
+  return stop;
+}
+
+let db;
+let broker;
+
+beforeEach(() => {
+  db = createMemoryDb({
+    phase_transitions: { attempts: 0, last_error: null, completed_at: null },
+    broker_intents: { status: 'pending', error: null }
+  });
+  database.getDb.mockReturnValue(db);
+  database.transaction.mockImplementation((callback) => callback(db));
+
+  broker = new SimulatedBroker();
+  broker.cash = 100000;
+  broker.fillDelayMs = 0;
+  BrokerService.forAccount.mockResolvedValue(broker);
+  BrokerService.forTrade.mockResolvedValue(broker);
+  NotificationService.send.mockClear();
+
+  TradeExecutionService.runningTransitions.clear();
+});
+
+describe('TradeExecutionService phase transitions', () => {
+  const transition = () => db.tables.phase_transitions[0];
+  const trade = () => db.tables.trades[0];
+  const intents = () => db.tables.broker_intents || [];
+
+  it('resumes a transition from its first step through to done', async () => {
+    const stop = await setUpTrade(db, broker);
+
+    const results = await TradeExecutionService.resumePhaseTransitions();
+
+    expect(results).toEqual([{ transitionId: 1, tradeId: 1, state: 'done' }]);
+    expect(transition()).toMatchObject({ state: 'done', last_error: null });
+    expect(trade().current_phase).toBe(2);
+
+    // The old stop is cancelled, phase 2's OCO placed
+    expect((await broker.getOrder(stop.id)).status).toBe('canceled');
+    expect(db.tables.orders[0].status).toBe('cancelled');
+    const [oco] = await broker.getOrders('open');
+    expect(oco).toMatchObject({ order_class: 'oco', qty: 3, client_order_id: 'RZE-P2-OCO-abcd1234' });
+    expect(db.tables.orders[1]).toMatchObject({ purpose: 'phase_tp', phase: 2, alpaca_order_id: oco.id });
+
+    expect(intents().map((i) => [i.action, i.status])).toEqual([
+      ['cancel_order', 'done'],
+      ['place_phase_orders', 'done']
+    ]);
+    expect(NotificationService.send).toHaveBeenCalledWith(
+      expect.objectContaining({ title: '🎯 Phase 1 Complete: AAPL' })
+    );
+  });
+
+  it('picks up at the step the transition was left at', async () => {
+    const stop = await setUpTrade(db, broker, { transitionState: 'place_orders' });
+    db.tables.trades[0].current_phase = 2;
+    await broker.cancelOrder(stop.id);
+    db.tables.orders[0].status = 'cancelled';
+    const cancelOrder = jest.spyOn(broker, 'cancelOrder');
+
+    await TradeExecutionService.resumePhaseTransitions(1);
+
+    expect(transition().state).toBe('done');
+    // The steps before it are not run again
+    expect(cancelOrder).not.toHaveBeenCalled();
+    expect(intents().map((i) => i.action)).toEqual(['place_phase_orders']);
+    expect(await broker.getOrders('open')).toHaveLength(1);
+  });
+
+  it('leaves a transition whose broker call failed at its step, for the next resume', async () => {
+    await setUpTrade(db, broker);
+    jest.spyOn(broker, 'placeOCOSellOrder').mockRejectedValueOnce(new Error('broker unavailable'));
+
+    const [failed] = await TradeExecutionService.resumePhaseTransitions();
+
+    expect(failed).toMatchObject({ state: 'cancel_exits', error: 'broker unavailable' });
+    expect(transition()).toMatchObject({
+      state: 'place_orders',
+      attempts: 1,
+      last_error: 'broker unavailable'
+    });
+    expect(intents().map((i) => [i.action, i.status])).toEqual([
+      ['cancel_order', 'done'],
+      ['place_phase_orders', 'failed']
+    ]);
+
+    const [resumed] = await TradeExecutionService.resumePhaseTransitions();
+
+    expect(resumed.state).toBe('done');
+    expect(transition().last_error).toBeNull();
+    expect(await broker.getOrders('open')).toHaveLength(1);
+    expect(intents().map((i) => i.status)).toEqual(['done', 'failed', 'done']);
+  });
+
+  it('re-places orders an interrupted attempt placed in part', async () => {
+    await setUpTrade(db, broker, { transitionState: 'place_orders' });
+    db.tables.trades[0].current_phase = 2;
+    await broker.cancelOrder(db.tables.orders[0].alpaca_order_id);
+    db.tables.orders[0].status = 'canceled';
+
+    // Placed, but the process stopped before the intent was marked done
+    const placed = await broker.placeOCOSellOrder('AAPL', 3, 110, 100, 'RZE-P2-OCO-abcd1234');
+    db.seed('orders', [{
+      trade_id: 1, alpaca_order_id: placed.id, client_order_id: placed.client_order_id,
+      qty: '3', phase: 2, purpose: 'phase_tp', status: 'new'
+    }]);
+    db.seed('broker_intents', [{ trade_id: 1, transition_id: 1, action: 'place_phase_orders' }]);
+
+    await TradeExecutionService.resumePhaseTransitions();
+
+    expect(transition().state).toBe('done');
+    expect((await broker.getOrder(placed.id)).status).toBe('canceled');
+    const open = await broker.getOrders('open');
+    expect(open.map((o) => o.client_order_id)).toEqual(['RZE-P2-OCO-abcd1234-R1']);
+  });
+
+  it('records a stop already cancelled at the broker and moves on', async () => {
+    const stop = await setUpTrade(db, broker);
+    await broker.cancelOrder(stop.id);
+
+    await TradeExecutionService.resumePhaseTransitions();
+
+    expect(transition().state).toBe('done');
+    expect(db.tables.orders[0].status).toBe('canceled');
+    expect(trade().current_phase).toBe(2);
+  });
+
+  it('aborts when the stop filled first, queueing its fill', async () => {
+    const stop = await setUpTrade(db, broker);
+    broker.setPrice('AAPL', 96);
+
+    await TradeExecutionService.resumePhaseTransitions();
+
+    expect(transition().state).toBe('aborted');
+    expect(db.tables.orders[0].status).toBe('filled');
+    expect(trade().current_phase).toBe(1);
+    expect(db.tables.order_update_jobs).toEqual([
+      expect.objectContaining({ idempotency_key: `fill:${stop.id}`, source: 'transition', trade_id: 1 })
+    ]);
+  });
+
+  it('aborts without broker calls when the trade was closed out meanwhile', async () => {
+    const stop = await setUpTrade(db, broker);
+    db.tables.trades[0].exit_reason = 'liquidated';
+
+    await TradeExecutionService.resumePhaseTransitions();
+
+    expect(transition().state).toBe('aborted');
+    expect((await broker.getOrder(stop.id)).status).toBe('new');
+    expect(intents()).toEqual([]);
+  });
+
+  it('completes the trade after its last phase', async () => {
+    await setUpTrade(db, broker, { toPhase: null });
+
+    await TradeExecutionService.resumePhaseTransitions();
+
+    expect(transition().state).toBe('done');
+    expect(trade()).toMatchObject({
+      status: 'completed',
+      exit_reason: 'phase_1_complete',
+      realized_pnl: 25
+    });
+  });
+
+  it('skips finished transitions', async () => {
+    await setUpTrade(db, broker, { transitionState: 'done' });
+
+    expect(await TradeExecutionService.resumePhaseTransitions()).toEqual([]);
+  });
+});
+
+describe('TradeExecutionService partial entry fills', () => {
+  const trade = () => db.tables.trades[0];
+  const phaseShares = () => db.tables.trade_phases.map((p) => p.shares_to_sell);
+
+  beforeEach(() => {
+    db.seed('trades', [{
+      id: 1,
+      trade_uuid: 'beef5678-0000-0000-0000-000000000000',
+      account_id: null,
+      symbol: 'AAPL',
+      side: 'long',
+      status: 'pending',
+      exit_reason: null,
+      entry_price: '100',
+      total_shares: '10',
+      remaining_shares: '10',
+      position_size: '1000',
+      current_phase: 0,
+      fractional: false,
+      entry_fills: null,
+      entry_first_fill_at: null
+    }]);
+    db.seed('trade_phases', [1, 2, 3].map((phase, idx) => ({
+      trade_id: 1,
+      phase_number: phase,
+      status: 'pending',
+      sell_pct: ['50.00', '30.00', '20.00'][idx],
+      take_profit_pct: [5, 10, 20][idx],
+      stop_loss_pct: [-3, 0, 5][idx],
+      shares_to_sell: ['5', '3', '2'][idx],
+      filled_qty: '0'
+    })));
+    db.seed('orders', [{
+      trade_id: 1, alpaca_order_id: 'entry-1', purpose: 'entry', status: 'partially_filled'
+    }]);
+  });
+
+  const fill = (cumulativeQty, avgPrice, { orderDone = false } = {}) => {
+    broker.positions.set('AAPL', { qty: cumulativeQty, avg_entry_price: avgPrice });
+    return TradeExecutionService._processEntryFill(trade(), 'entry-1', avgPrice, cumulativeQty, {
+      orderDone
+    });
+  };
+
+  it('activates the trade on its first fill and sizes the phases to the shares held', async () => {
+    const result = await fill(4, 100);
+
+    expect(result).toEqual({ filledQty: 4, avgPrice: 100, final: false });
+    expect(trade()).toMatchObject({ status: 'active', current_phase: 1, remaining_shares: 4 });
+    expect(phaseShares()).toEqual([2, 1, 1]);
+
+    // Phase 1's OCO and the stop for the other phases' shares
+    const open = await broker.getOrders('open');
+    expect(open.map((o) => [o.client_order_id, o.qty]).sort()).toEqual([
+      ['RZE-P1-OCO-beef5678', 2],
+      ['RZE-P1-SL-beef5678', 2]
+    ]);
+  });
+
+  it('ignores an update that reports no new shares', async () => {
+    await fill(4, 100);
+
+    expect(await fill(4, 100)).toBeNull();
+    expect(await broker.getOrders('open')).toHaveLength(2);
+  });
+
+  it('re-sizes, re-prices and re-places the orders as more shares fill', async () => {
+    await fill(4, 100);
+    const first = await broker.getOrders('open');
+
+    await fill(10, 102, { orderDone: true });
+
+    expect(trade()).toMatchObject({ remaining_shares: 10, entry_price: 102, entry_filled_qty: 10 });
+    expect(phaseShares()).toEqual([5, 3, 2]);
+    expect(db.tables.trade_phases[0].take_profit_price).toBeCloseTo(107.1);
+
+    for (const order of first) {
+      expect((await broker.getOrder(order.id)).status).toBe('canceled');
+    }
+    const open = await broker.getOrders('open');
+    expect(open.map((o) => [o.client_order_id, o.qty]).sort()).toEqual([
+      ['RZE-P1-OCO-beef5678-R2', 5],
+      ['RZE-P1-SL-beef5678-R2', 5]
+    ]);
+  });
+
+  it('ignores fills of a trade that is being closed out', async () => {
+    db.tables.trades[0].status = 'active';
+    db.tables.trades[0].exit_reason = 'liquidated';
+
+    expect(await fill(4, 100)).toBeNull();
+    expect(await broker.getOrders('open')).toEqual([]);
+  });
+});
+
+describe('TradeExecutionService partial exit fills', () => {
+  const trade = () => db.tables.trades[0];
+  const phase = (number) => db.tables.trade_phases.find((p) => p.phase_number === number);
+  const events = (type) => (db.tables.order_events || []).filter((e) => e.event_type === type);
+
+  beforeEach(() => {
+    // Phase 2 of a 10 share trade bought at $100: 3 shares to sell, 5 held
+    db.seed('trades', [{
+      id: 1,
+      trade_uuid: 'cafe9012-0000-0000-0000-000000000000',
+      account_id: null,
+      symbol: 'AAPL',
+      side: 'long',
+      status: 'active',
+      exit_reason: null,
+      entry_price: '100',
+      total_shares: '10',
+      remaining_shares: '5',
+      position_size: '1000',
+      current_phase: 2,
+      fractional: false
+    }]);
+    db.seed('trade_phases', [
+      { trade_id: 1, phase_number: 1, status: 'completed', shares_to_sell: '5', filled_qty: '5',
+        exit_price: '105', phase_pnl: '25' },
+      { trade_id: 1, phase_number: 2, status: 'active', shares_to_sell: '3', filled_qty: '0',
+        fills: null, take_profit_price: 110, stop_loss_price: 100 },
+      { trade_id: 1, phase_number: 3, status: 'pending', shares_to_sell: '2', filled_qty: '0',
+        fills: null, take_profit_price: 120, stop_loss_price: 105 }
+    ]);
+  });
+
+  it('books each new cumulative quantity of an order once', async () => {
+    await TradeExecutionService.handlePhaseExitPartialFill(1, 2, 110, 1, 'oco-1');
+    await TradeExecutionService.handlePhaseExitPartialFill(1, 2, 110, 1, 'oco-1');
+    await TradeExecutionService.handlePhaseExitPartialFill(1, 2, 110, 2, 'oco-1');
+
+    expect(phase(2)).toMatchObject({ status: 'active', filled_qty: 2, exit_price: 110, phase_pnl: 20 });
+    expect(trade().remaining_shares).toBe(3);
+    expect(events('phase_partial_fill').map((e) => JSON.parse(e.event_data).soldQty)).toEqual([1, 1]);
+  });
+
+  it('averages the exit price over every order of the phase', async () => {
+    await TradeExecutionService.handlePhaseExitPartialFill(1, 2, 110, 2, 'oco-1');
+    await TradeExecutionService.handlePhaseExitPartialFill(1, 2, 104, 1, 'manual-1');
+
+    expect(phase(2).filled_qty).toBe(3);
+    expect(phase(2).exit_price).toBeCloseTo(108);
+    expect(phase(2).phase_pnl).toBeCloseTo(24);
+    expect(trade().remaining_shares).toBe(2);
+  });
+
+  it('records the P&L of each new piece of a fill for the day total', async () => {
+    await TradeExecutionService.handlePhaseExitPartialFill(1, 2, 110, 1, 'oco-1');
+    // The order's average over 2 shares: the second one sold at $112
+    await TradeExecutionService.handlePhaseExitPartialFill(1, 2, 111, 2, 'oco-1');
+    await TradeExecutionService.handlePhaseExitPartialFill(1, 2, 111, 2, 'oco-1');
+
+    expect(db.tables.exit_fills.map(({ broker_order_id, qty, price, pnl }) =>
+      ({ broker_order_id, qty, price, pnl }))).toEqual([
+      { broker_order_id: 'oco-1', qty: 1, price: 110, pnl: 10 },
+      { broker_order_id: 'oco-1', qty: 1, price: 112, pnl: 12 }
+    ]);
+  });
+
+  it('completes the phase once the take profit fills the rest, and moves on', async () => {
+    await TradeExecutionService.handlePhaseExitPartialFill(1, 2, 110, 1, 'oco-1');
+    broker.positions.set('AAPL', { qty: 2, avg_entry_price: 100 });
+
+    await TradeExecutionService.handlePhaseTakeProfitHit(1, 2, 110, 3, 'oco-1');
+
+    expect(phase(2)).toMatchObject({ status: 'completed', exit_type: 'take_profit', filled_qty: 3 });
+    expect(trade()).toMatchObject({ current_phase: 3, remaining_shares: 2 });
+    expect(db.tables.phase_transitions).toEqual([
+      expect.objectContaining({ from_phase: 2, to_phase: 3, state: 'done' })
+    ]);
+
+    const open = await broker.getOrders('open');
+    expect(open.map((o) => [o.client_order_id, o.qty])).toEqual([['RZE-P3-OCO-cafe9012', 2]]);
+  });
+
+  it('ignores partial fills of a completed phase', async () => {
+    db.tables.trade_phases[1].status = 'completed';
+
+    await TradeExecutionService.handlePhaseExitPartialFill(1, 2, 110, 1, 'oco-1');
+
+    expect(trade().remaining_shares).toBe('5');
+    expect(events('phase_partial_fill')).toEqual([]);
+  });
+});
+
+describe('TradeExecutionService manual intervention', () => {
+  const trade = () => db.tables.trades[0];
+  const phase = (number) => db.tables.trade_phases.find((p) => p.phase_number === number);
+  const openOrders = async () =>
+    (await broker.getOrders('open')).map((o) => [o.client_order_id, o.qty]).sort();
+
+  /** Fill phase 1's take profit the moment the first order is cancelled */
+  const fillTakeProfitOnCancel = () => {
+    const cancelOrder = broker.cancelOrder.bind(broker);
+    jest.spyOn(broker, 'cancelOrder').mockImplementationOnce((orderId) => {
+      broker.setPrice('AAPL', 106);
+      return cancelOrder(orderId);
+    });
+  };
+
+  beforeEach(async () => {
+    // A 10 share long in phase 1: its OCO holds 5 shares, its stop the other 5
+    broker.positions.set('AAPL', { qty: 10, avg_entry_price: 100 });
+    db.seed('trades', [{
+      id: 1,
+      trade_uuid: 'dead3456-0000-0000-0000-000000000000',
+      account_id: null,
+      symbol: 'AAPL',
+      side: 'long',
+      status: 'active',
+      exit_reason: null,
+      entry_price: '100',
+      total_shares: '10',
+      remaining_shares: '10',
+      position_size: '1000',
+      current_phase: 1,
+      fractional: false
+    }]);
+    db.seed('trade_phases', [1, 2, 3].map((number, idx) => ({
+      trade_id: 1,
+      phase_number: number,
+      status: 'pending',
+      sell_pct: ['50.00', '30.00', '20.00'][idx],
+      shares_to_sell: ['5', '3', '2'][idx],
+      filled_qty: '0',
+      fills: null,
+      take_profit_price: [105, 110, 120][idx],
+      stop_loss_price: [97, 100, 105][idx]
+    })));
+    await TradeExecutionService.placePhaseOrders(1, 1);
+  });
+
+  describe('skipPhase', () => {
+    it('carries the unsold shares into the next phase once the orders are closed', async () => {
+      const result = await TradeExecutionService.skipPhase(1);
+
+      expect(result).toEqual({ success: true, skippedPhase: 1, currentPhase: 2 });
+      expect(phase(1)).toMatchObject({ status: 'skipped', shares_to_sell: 0 });
+      expect(phase(2).shares_to_sell).toBe(8);
+      expect(trade().current_phase).toBe(2);
+      expect(db.tables.orders.slice(0, 2).map((o) => o.status)).toEqual(['canceled', 'canceled']);
+      expect(await openOrders()).toEqual([['RZE-P2-OCO-dead3456', 8]]);
+    });
+
+    it('books a fill that lands during the cancel and leaves the phase to it', async () => {
+      fillTakeProfitOnCancel();
+
+      const error = await TradeExecutionService.skipPhase(1).catch((e) => e);
+
+      expect(error.status).toBe(409);
+      expect(phase(1)).toMatchObject({ status: 'active', filled_qty: 5, exit_price: 105 });
+      expect(trade()).toMatchObject({ current_phase: 1, remaining_shares: 5 });
+      // The shares left keep their stop
+      expect(await openOrders()).toEqual([['RZE-P1-SL-dead3456-R2', 5]]);
+    });
+  });
+
+  describe('sellShares', () => {
+    const closed = (order, status) =>
+      TradeExecutionService.handleExitOrderClosed(1, {
+        purpose: 'manual_exit',
+        phaseNumber: 1,
+        avgFillPrice: parseFloat(order.filled_avg_price),
+        filledQty: parseFloat(order.filled_qty),
+        brokerOrderId: order.id,
+        status
+      });
+
+    it('puts the phase orders back when the broker rejects the sell', async () => {
+      jest.spyOn(broker, 'placeMarketSellOrder').mockRejectedValueOnce(new Error('asset halted'));
+
+      await expect(TradeExecutionService.sellShares(1, 3)).rejects.toThrow('asset halted');
+
+      expect(await openOrders()).toEqual([
+        ['RZE-P1-OCO-dead3456-R2', 5],
+        ['RZE-P1-SL-dead3456-R2', 5]
+      ]);
+    });
+
+    it('puts the phase orders back when the sell is cancelled unfilled', async () => {
+      const { order } = await TradeExecutionService.sellShares(1, 3);
+      expect(await openOrders()).toEqual([[order.client_order_id, 3]]);
+
+      await broker.cancelOrder(order.id);
+      await closed(await broker.getOrder(order.id), 'canceled');
+
+      expect(trade().remaining_shares).toBe('10');
+      expect(await openOrders()).toEqual([
+        ['RZE-P1-OCO-dead3456-R2', 5],
+        ['RZE-P1-SL-dead3456-R2', 5]
+      ]);
+      expect(NotificationService.send).toHaveBeenCalledWith(
+        expect.objectContaining({ title: '⚠️ Sell Order canceled: AAPL' })
+      );
+    });
+
+    it('does not place the phase orders twice', async () => {
+      const { order } = await TradeExecutionService.sellShares(1, 3);
+      await broker.cancelOrder(order.id);
+
+      await closed(await broker.getOrder(order.id), 'canceled');
+      await closed(await broker.getOrder(order.id), 'canceled');
+
+      expect(await openOrders()).toHaveLength(2);
+    });
+  });
+
+  describe('liquidateTrade', () => {
+    const closed = (order, status) =>
+      TradeExecutionService.handleExitOrderClosed(1, {
+        purpose: 'liquidation',
+        phaseNumber: 1,
+        avgFillPrice: parseFloat(order.filled_avg_price),
+        filledQty: parseFloat(order.filled_qty),
+        brokerOrderId: order.id,
+        status
+      });
+
+    it('puts the phase orders back and reopens the trade when the broker rejects it', async () => {
+      const { order } = await TradeExecutionService.liquidateTrade(1, 'manual_close');
+      expect(trade().exit_reason).toBe('manual_close');
+
+      broker.rejectOrder(order.id, 'halted');
+      await closed(await broker.getOrder(order.id), 'rejected');
+
+      expect(trade()).toMatchObject({ status: 'active', exit_reason: null, remaining_shares: '10' });
+      expect(await openOrders()).toEqual([
+        ['RZE-P1-OCO-dead3456-R2', 5],
+        ['RZE-P1-SL-dead3456-R2', 5]
+      ]);
+      expect(NotificationService.send).toHaveBeenCalledWith(
+        expect.objectContaining({ title: '⚠️ Sell Order rejected: AAPL' })
+      );
+
+      // Interventions work again
+      await expect(TradeExecutionService.skipPhase(1)).resolves.toMatchObject({ currentPhase: 2 });
+    });
+
+    it('puts the phase orders back when the submit fails', async () => {
+      jest.spyOn(broker, 'placeMarketSellOrder').mockRejectedValueOnce(new Error('asset halted'));
+
+      await expect(TradeExecutionService.liquidateTrade(1)).rejects.toThrow('asset halted');
+
+      expect(trade().exit_reason).toBeNull();
+      expect(await openOrders()).toHaveLength(2);
+    });
+
+    it('leaves a newer liquidation to finish', async () => {
+      const { order } = await TradeExecutionService.liquidateTrade(1);
+      broker.rejectOrder(order.id);
+      db.tables.orders.find((o) => o.alpaca_order_id === order.id).status = 'rejected';
+      // The close is retried before the rejection is processed
+      const now = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 1000);
+      await TradeExecutionService.liquidateTrade(1);
+      now.mockRestore();
+
+      await closed(await broker.getOrder(order.id), 'rejected');
+
+      expect(trade().exit_reason).toBe('liquidated');
+      expect((await openOrders()).map(([id]) => id)).toEqual([
+        expect.stringMatching(/^RZE-LIQ-dead3456-/)
+      ]);
+    });
+  });
+
+  describe('reconciliation', () => {
+    it('re-places the phase orders once the old ones are closed', async () => {
+      const [oco, stop] = db.tables.orders;
+
+      await TradeExecutionService.replacePhaseOrders(1);
+
+      expect((await broker.getOrder(oco.alpaca_order_id)).status).toBe('canceled');
+      expect((await broker.getOrder(stop.alpaca_order_id)).status).toBe('canceled');
+      expect(await openOrders()).toEqual([
+        ['RZE-P1-OCO-dead3456-R2', 5],
+        ['RZE-P1-SL-dead3456-R2', 5]
+      ]);
+    });
+
+    it('re-places only what is left after a fill during the cancel', async () => {
+      fillTakeProfitOnCancel();
+
+      await TradeExecutionService.replacePhaseOrders(1);
+
+      expect(phase(1).filled_qty).toBe(5);
+      expect(trade().remaining_shares).toBe(5);
+      expect(await openOrders()).toEqual([['RZE-P1-SL-dead3456-R2', 5]]);
+    });
+
+    it('resizes the trade and re-splits its shares', async () => {
+      await TradeExecutionService.resizeRemainingShares(1, 8);
+
+      expect(trade().remaining_shares).toBe(8);
+      expect([1, 2, 3].map((n) => phase(n).shares_to_sell)).toEqual([4, 2, 2]);
+      expect(await openOrders()).toEqual([
+        ['RZE-P1-OCO-dead3456-R2', 4],
+        ['RZE-P1-SL-dead3456-R2', 4]
+      ]);
+    });
+
+    it('takes shares sold during the cancel off the new size', async () => {
+      fillTakeProfitOnCancel();
+
+      await TradeExecutionService.resizeRemainingShares(1, 8);
+
+      expect(trade().remaining_shares).toBe(3);
+      const [resized] = db.tables.order_events.filter(
+        (e) => e.event_type === 'remaining_shares_resized'
+      );
+      expect(JSON.parse(resized.event_data)).toEqual({
+        previous: 10,
+        soldMeanwhile: 5,
+        remainingShares: 3
+      });
+
+      // Phase 1 keeps the 5 it sold plus its part of the 3 left
+      expect([1, 2, 3].map((n) => phase(n).shares_to_sell)).toEqual([6, 0, 2]);
+      expect(await openOrders()).toEqual([
+        ['RZE-P1-OCO-dead3456-R2', 1],
+        ['RZE-P1-SL-dead3456-R2', 2]
+      ]);
+    });
+  });
+});
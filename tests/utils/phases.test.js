@@ -0,0 +1,93 @@
+const {
+  allocatePhaseShares,
+  reallocatePhaseShares,
+  buildPhasePlan
+} = require('../../src/utils/phases');
+
+const threePhases = [
+  { phase: 1, sell_pct: 50, take_profit_pct: 5, stop_loss_pct: -3 },
+  { phase: 2, sell_pct: 30, take_profit_pct: 10, stop_loss_pct: 0 },
+  { phase: 3, sell_pct: 20, take_profit_pct: 20, stop_loss_pct: 5 }
+];
+
+const sum = (shares) => shares.reduce((total, qty) => total + qty, 0);
+
+describe('phase share allocation', () => {
+  describe('allocatePhaseShares', () => {
+    it('gives whole-share trades whole shares, with the remainder in the last phase', () => {
+      expect(allocatePhaseShares(threePhases, 100)).toEqual([50, 30, 20]);
+      expect(allocatePhaseShares(threePhases, 7)).toEqual([3, 2, 2]);
+    });
+
+    it('leaves a phase too small for a share empty', () => {
+      expect(allocatePhaseShares(threePhases, 2)).toEqual([1, 0, 1]);
+    });
+
+    it('splits fractional trades exactly by sell_pct', () => {
+      expect(allocatePhaseShares(threePhases, 2.5, true)).toEqual([1.25, 0.75, 0.5]);
+    });
+
+    it('rounds fractional splits to 9 places and gives the last phase the rest', () => {
+      const shares = allocatePhaseShares(threePhases, 1 / 3, true);
+
+      expect(shares).toEqual([0.166666667, 0.1, 0.066666666]);
+      expect(sum(shares)).toBeCloseTo(0.333333333, 9);
+    });
+
+    it('keeps a fraction only in the last phase of a whole-share split', () => {
+      expect(allocatePhaseShares(threePhases, 2.5)).toEqual([1, 0, 1.5]);
+    });
+  });
+
+  describe('reallocatePhaseShares', () => {
+    const openPhases = [
+      { sell_pct: '30.00' },
+      { sell_pct: '20.00' }
+    ];
+
+    it('keeps the open phases in proportion to their sell_pct', () => {
+      expect(reallocatePhaseShares(openPhases, 10)).toEqual([6, 4]);
+    });
+
+    it('splits fractional trades exactly', () => {
+      expect(reallocatePhaseShares(openPhases, 2.5, true)).toEqual([1.5, 1]);
+    });
+
+    it('gives everything to the last phase when no sell_pct is left', () => {
+      expect(reallocatePhaseShares([{ sell_pct: 0 }, { sell_pct: 0 }], 5)).toEqual([0, 5]);
+    });
+
+    it('never allocates more or less than the shares held', () => {
+      for (const shares of [1, 3, 17, 99]) {
+        expect(sum(reallocatePhaseShares(openPhases, shares))).toBe(shares);
+      }
+    });
+  });
+
+  describe('buildPhasePlan', () => {
+    it('prices each phase off the entry and assigns its shares', () => {
+      const plan = buildPhasePlan(threePhases, 10, 100);
+
+      expect(plan.map((p) => p.shares_to_sell)).toEqual([5, 3, 2]);
+      expect(plan[0]).toMatchObject({
+        phase_number: 1,
+        stop_type: 'fixed',
+        take_profit_price: 105,
+        stop_loss_price: 97
+      });
+    });
+
+    it('mirrors prices for shorts', () => {
+      const [first] = buildPhasePlan(threePhases, 10, 100, 'short');
+
+      expect(first.take_profit_price).toBe(95);
+      expect(first.stop_loss_price).toBe(103);
+    });
+
+    it('passes the fractional split through', () => {
+      const plan = buildPhasePlan(threePhases, 0.8, 100, 'long', true);
+
+      expect(plan.map((p) => p.shares_to_sell)).toEqual([0.4, 0.24, 0.16]);
+    });
+  });
+});
@@ -0,0 +1,50 @@
+const { parseQty, roundQty, sharesForAmount, wholeShares } = require('../../src/utils/quantity');
+
+describe('quantity utils', () => {
+  describe('parseQty', () => {
+    it('parses numeric column strings', () => {
+      expect(parseQty('12.500000000')).toBe(12.5);
+      expect(parseQty(3)).toBe(3);
+    });
+
+    it('treats missing or invalid values as 0', () => {
+      expect(parseQty(null)).toBe(0);
+      expect(parseQty(undefined)).toBe(0);
+      expect(parseQty('abc')).toBe(0);
+    });
+  });
+
+  describe('roundQty', () => {
+    it('rounds away floating point noise', () => {
+      expect(roundQty(0.1 + 0.2)).toBe(0.3);
+      expect(roundQty(10 - 9.7)).toBe(0.3);
+    });
+
+    it('keeps up to 9 decimal places', () => {
+      expect(roundQty(1.1234567894)).toBe(1.123456789);
+    });
+  });
+
+  describe('sharesForAmount', () => {
+    it('buys whole shares by default', () => {
+      expect(sharesForAmount(1000, 30)).toBe(33);
+      expect(sharesForAmount(20, 30)).toBe(0);
+    });
+
+    it('buys fractional shares rounded down to 9 places', () => {
+      expect(sharesForAmount(1000, 30, true)).toBe(33.333333333);
+      expect(sharesForAmount(20, 30, true)).toBe(0.666666666);
+    });
+  });
+
+  describe('wholeShares', () => {
+    it('drops the fraction', () => {
+      expect(wholeShares(4.75)).toBe(4);
+      expect(wholeShares(0.5)).toBe(0);
+    });
+
+    it('does not lose a share to floating point noise', () => {
+      expect(wholeShares(0.1 * 3 * 10)).toBe(3);
+    });
+  });
+});